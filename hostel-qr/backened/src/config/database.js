@@ -39,20 +39,50 @@ const query = async (sql, params) => {
     }
 };
 
+// Work to do once a transaction's connection has committed
+const commitCallbacks = new WeakMap();
+
 // Transaction helper
 const transaction = async (callback) => {
     const connection = await pool.getConnection();
+    const callbacks = [];
+    commitCallbacks.set(connection, callbacks);
+
+    let result;
     try {
         await connection.beginTransaction();
-        const result = await callback(connection);
+        result = await callback(connection);
         await connection.commit();
-        return result;
     } catch (error) {
         await connection.rollback();
         throw error;
     } finally {
+        commitCallbacks.delete(connection);
         connection.release();
     }
+
+    // The data is committed by now, so a failing callback is only logged
+    for (const afterCommitCallback of callbacks) {
+        try {
+            await afterCommitCallback();
+        } catch (error) {
+            console.error('After-commit callback error:', error.message);
+        }
+    }
+
+    return result;
+};
+
+// Run a callback after the transaction on this connection commits (e.g.
+// cache invalidation, which must not race the commit); right away outside one
+const afterCommit = async (connection, callback) => {
+    const callbacks = connection && commitCallbacks.get(connection);
+
+    if (callbacks) {
+        callbacks.push(callback);
+    } else {
+        await callback();
+    }
 };
 
 // Get single row
@@ -95,6 +125,7 @@ module.exports = {
     testConnection,
     query,
     transaction,
+    afterCommit,
     getOne,
     getMany,
     insert,
@@ -0,0 +1,565 @@
+// =====================================================
+// ADMIN CONTROLLER (User management)
+// =====================================================
+
+const db = require('../config/database');
+const {
+    hashPassword,
+    validatePasswordPolicy,
+    revokeAllUserSessions,
+    sanitizePhoneNumber,
+    writeAuditLog
+} = require('../utils/helpers');
+const { clearFailedLogins } = require('../services/loginSecurity');
+const cache = require('../services/cache');
+
+// Everything except these is a staff role (including roles created by admins)
+const NON_STAFF_ROLES = ['STUDENT', 'PARENT'];
+
+/**
+ * Load a staff user by ID (null if not found or not staff)
+ */
+const getStaffUser = async (userId) => {
+    const user = await db.getOne(
+        `SELECT u.id, u.email, u.phone_number, u.is_active, u.role_id, r.role_name,
+                s.id as staff_id, s.staff_name, s.designation
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         JOIN staff s ON u.id = s.user_id
+         WHERE u.id = ?`,
+        [userId]
+    );
+
+    return user && !NON_STAFF_ROLES.includes(user.role_name) ? user : null;
+};
+
+/**
+ * Look up a staff role by name (null for unknown or non-staff roles)
+ */
+const getStaffRole = async (roleName) => {
+    if (!roleName || NON_STAFF_ROLES.includes(roleName)) {
+        return null;
+    }
+
+    return await db.getOne(
+        'SELECT id, role_name FROM roles WHERE role_name = ?',
+        [roleName]
+    );
+};
+
+/**
+ * List users with filters
+ * Query: role, isActive, search, limit, offset
+ */
+const listUsers = async (req, res) => {
+    try {
+        const { role, isActive, search, limit = 50, offset = 0 } = req.query;
+
+        let query = `
+            SELECT u.id, u.email, u.phone_number, u.is_verified, u.is_active,
+                   u.created_at, r.role_name, u.failed_login_attempts,
+                   u.locked_until > NOW() as is_locked,
+                   COALESCE(st.staff_name, s.student_name, p.parent_name) as name,
+                   st.employee_id, st.designation, s.college_id
+            FROM users u
+            JOIN roles r ON u.role_id = r.id
+            LEFT JOIN staff st ON u.id = st.user_id
+            LEFT JOIN students s ON u.id = s.user_id
+            LEFT JOIN parents p ON u.id = p.user_id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (role) {
+            query += ' AND r.role_name = ?';
+            params.push(role);
+        }
+
+        if (isActive === 'true' || isActive === 'false') {
+            query += ' AND u.is_active = ?';
+            params.push(isActive === 'true');
+        }
+
+        if (search) {
+            query += ` AND (u.email LIKE ? OR u.phone_number LIKE ? OR st.staff_name LIKE ?
+                       OR s.student_name LIKE ? OR p.parent_name LIKE ?
+                       OR st.employee_id LIKE ? OR s.college_id LIKE ?)`;
+            params.push(...Array(7).fill(`%${search}%`));
+        }
+
+        query += ' ORDER BY u.created_at DESC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+
+        const users = await db.getMany(query, params);
+
+        res.json({
+            success: true,
+            data: users
+        });
+
+    } catch (error) {
+        console.error('List users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch users'
+        });
+    }
+};
+
+/**
+ * Create a staff user (any role except Student/Parent)
+ */
+const createStaffUser = async (req, res) => {
+    try {
+        const {
+            email,
+            phoneNumber,
+            password,
+            role,
+            staffName,
+            employeeId,
+            designation,
+            department
+        } = req.body;
+
+        if (!email || !password || !role || !staffName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email, password, role and staff name are required'
+            });
+        }
+
+        const roleRow = await getStaffRole(role);
+
+        if (!roleRow) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be an existing staff role'
+            });
+        }
+
+        const passwordCheck = validatePasswordPolicy(password);
+
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password does not meet requirements',
+                errors: passwordCheck.errors
+            });
+        }
+
+        const sanitizedPhone = phoneNumber ? sanitizePhoneNumber(phoneNumber) : null;
+
+        const existing = await db.getOne(
+            'SELECT id FROM users WHERE email = ? OR (phone_number IS NOT NULL AND phone_number = ?)',
+            [email, sanitizedPhone]
+        );
+
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'A user with this email or phone number already exists'
+            });
+        }
+
+        if (employeeId) {
+            const existingEmployee = await db.getOne(
+                'SELECT id FROM staff WHERE employee_id = ?',
+                [employeeId]
+            );
+
+            if (existingEmployee) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Employee ID is already in use'
+                });
+            }
+        }
+
+        const passwordHash = await hashPassword(password);
+
+        const userId = await db.transaction(async (conn) => {
+            const [userResult] = await conn.execute(
+                `INSERT INTO users (role_id, email, phone_number, password_hash, is_verified, is_active)
+                 VALUES (?, ?, ?, ?, TRUE, TRUE)`,
+                [roleRow.id, email, sanitizedPhone, passwordHash]
+            );
+
+            await conn.execute(
+                `INSERT INTO staff (user_id, staff_name, employee_id, designation, department)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [userResult.insertId, staffName, employeeId || null, designation || null, department || null]
+            );
+
+            await writeAuditLog(conn, req, 'STAFF_CREATED', 'users', userResult.insertId, null, {
+                email,
+                role,
+                staffName,
+                employeeId: employeeId || null
+            });
+
+            return userResult.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Staff user created successfully',
+            data: { userId, email, role }
+        });
+
+    } catch (error) {
+        console.error('Create staff user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create staff user'
+        });
+    }
+};
+
+/**
+ * Deactivate a staff user (signs them out everywhere)
+ */
+const deactivateUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { reason } = req.body;
+
+        if (parseInt(userId) === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot deactivate your own account'
+            });
+        }
+
+        const user = await getStaffUser(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff user not found'
+            });
+        }
+
+        if (!user.is_active) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already inactive'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE users SET is_active = FALSE WHERE id = ?',
+                [user.id]
+            );
+
+            await revokeAllUserSessions(user.id, req.user.id, 'ADMIN_REVOKED', null, conn);
+
+            await writeAuditLog(conn, req, 'USER_DEACTIVATED', 'users', user.id,
+                { isActive: true },
+                { isActive: false, reason: reason || null }
+            );
+        });
+
+        await cache.invalidateUser(user.id);
+
+        res.json({
+            success: true,
+            message: 'User deactivated successfully'
+        });
+
+    } catch (error) {
+        console.error('Deactivate user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to deactivate user'
+        });
+    }
+};
+
+/**
+ * Reactivate a staff user
+ */
+const reactivateUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await getStaffUser(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff user not found'
+            });
+        }
+
+        if (user.is_active) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already active'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE users SET is_active = TRUE WHERE id = ?',
+                [user.id]
+            );
+
+            await writeAuditLog(conn, req, 'USER_REACTIVATED', 'users', user.id,
+                { isActive: false },
+                { isActive: true }
+            );
+        });
+
+        await cache.invalidateUser(user.id);
+
+        res.json({
+            success: true,
+            message: 'User reactivated successfully'
+        });
+
+    } catch (error) {
+        console.error('Reactivate user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reactivate user'
+        });
+    }
+};
+
+/**
+ * Change a staff user's role
+ * Existing sessions carry the old role, so they are revoked
+ */
+const changeUserRole = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { role, designation } = req.body;
+
+        const roleRow = await getStaffRole(role);
+
+        if (!roleRow) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be an existing staff role'
+            });
+        }
+
+        if (parseInt(userId) === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const user = await getStaffUser(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff user not found'
+            });
+        }
+
+        if (user.role_name === role) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already has this role'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE users SET role_id = ? WHERE id = ?',
+                [roleRow.id, user.id]
+            );
+
+            if (designation) {
+                await conn.execute(
+                    'UPDATE staff SET designation = ? WHERE user_id = ?',
+                    [designation, user.id]
+                );
+            }
+
+            await revokeAllUserSessions(user.id, req.user.id, 'ROLE_CHANGED', null, conn);
+
+            await writeAuditLog(conn, req, 'USER_ROLE_CHANGED', 'users', user.id,
+                { role: user.role_name, designation: user.designation },
+                { role, designation: designation || user.designation }
+            );
+        });
+
+        await cache.invalidateUser(user.id);
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully. The user must login again.'
+        });
+
+    } catch (error) {
+        console.error('Change user role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change role'
+        });
+    }
+};
+
+/**
+ * Reset a staff user's password (signs them out everywhere)
+ */
+const resetUserPassword = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        const { newPassword } = req.body;
+
+        const passwordCheck = validatePasswordPolicy(newPassword);
+
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password does not meet requirements',
+                errors: passwordCheck.errors
+            });
+        }
+
+        const user = await getStaffUser(userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Staff user not found'
+            });
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE users SET password_hash = ? WHERE id = ?',
+                [passwordHash, user.id]
+            );
+
+            await revokeAllUserSessions(user.id, req.user.id, 'PASSWORD_RESET', null, conn);
+            await clearFailedLogins(user.id, conn);
+
+            await conn.execute(
+                `INSERT INTO notifications
+                 (user_id, notification_type, title, message)
+                 VALUES (?, 'PASSWORD_CHANGED', 'Password Reset',
+                         'Your password was reset by an administrator.')`,
+                [user.id]
+            );
+
+            await writeAuditLog(conn, req, 'USER_PASSWORD_RESET', 'users', user.id);
+        });
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully'
+        });
+
+    } catch (error) {
+        console.error('Reset user password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    }
+};
+
+/**
+ * Lift a login lockout (any user, including students)
+ */
+const unlockUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await db.getOne(
+            `SELECT id, failed_login_attempts, locked_until, locked_until > NOW() as is_locked
+             FROM users WHERE id = ?`,
+            [userId]
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (!user.is_locked && user.failed_login_attempts === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not locked'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await clearFailedLogins(user.id, conn);
+
+            await conn.execute(
+                `INSERT INTO notifications
+                 (user_id, notification_type, title, message)
+                 VALUES (?, 'ACCOUNT_UNLOCKED', 'Account Unlocked',
+                         'Your account was unlocked by an administrator. You can login again.')`,
+                [user.id]
+            );
+
+            await writeAuditLog(conn, req, 'ACCOUNT_UNLOCKED', 'users', user.id,
+                { failedAttempts: user.failed_login_attempts, lockedUntil: user.locked_until },
+                null
+            );
+        });
+
+        res.json({
+            success: true,
+            message: 'Account unlocked successfully'
+        });
+
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlock account'
+        });
+    }
+};
+
+/**
+ * Cache hit/miss statistics
+ * Query: reset=true clears the counters after reading them
+ */
+const getCacheStats = async (req, res) => {
+    try {
+        const stats = await cache.getStats();
+
+        if (req.query.reset === 'true') {
+            cache.resetStats();
+        }
+
+        res.json({
+            success: true,
+            data: stats
+        });
+
+    } catch (error) {
+        console.error('Get cache stats error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch cache statistics'
+        });
+    }
+};
+
+module.exports = {
+    listUsers,
+    createStaffUser,
+    deactivateUser,
+    reactivateUser,
+    changeUserRole,
+    resetUserPassword,
+    unlockUser,
+    getCacheStats
+};
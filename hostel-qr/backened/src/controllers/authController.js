@@ -1,12 +1,247 @@
+// =====================================================
 // AUTHENTICATION CONTROLLER
 // =====================================================
 
+const db = require('../config/database');
+const {
+    generateAccessToken,
+    verifyRefreshToken,
+    issueRefreshToken,
+    issueAuthTokens,
+    revokeSession,
+    revokeAllUserSessions,
+    hashPassword,
+    comparePassword,
+    validatePasswordPolicy,
+    checkOTPRequestAllowed,
+    storeOTP,
+    verifyOTP,
+    sendOTP,
+    sanitizePhoneNumber,
+    normalizeName,
+    hashToken,
+    generateRandomString
+} = require('../utils/helpers');
+const twoFactor = require('../services/twoFactor');
+const { getEffectivePermissions } = require('../services/permissions');
+const cache = require('../services/cache');
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordUnknownLoginFailure,
+    clearFailedLogins,
+    recordLoginDevice,
+    sendLoginBlocked
+} = require('../services/loginSecurity');
+
+// =====================================================
+// STUDENT REGISTRATION
+// =====================================================
+
+/**
+ * Step 1: Student Registration
+ * Details must match the official college roster. The account stays
+ * locked until the parent on the roster registers and verifies.
+ */
+const registerStudent = async (req, res) => {
+    try {
+        const {
+            collegeId,
+            studentName,
+            password,
+            parentPhone,
+            email
+        } = req.body;
+
+        if (!collegeId || !studentName || !password || !parentPhone) {
+            return res.status(400).json({
+                success: false,
+                message: 'College ID, name, password and parent phone are required'
+            });
+        }
+
+        const passwordCheck = validatePasswordPolicy(password);
+
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: passwordCheck.errors[0],
+                errors: passwordCheck.errors
+            });
+        }
+
+        const rosterEntry = await db.getOne(
+            'SELECT * FROM student_roster WHERE college_id = ? AND is_active = TRUE',
+            [collegeId.trim()]
+        );
+
+        // Same response for every mismatch so the roster can't be probed
+        const matchesRoster = rosterEntry
+            && normalizeName(rosterEntry.student_name) === normalizeName(studentName)
+            && sanitizePhoneNumber(rosterEntry.parent_phone) === sanitizePhoneNumber(parentPhone);
+
+        if (!matchesRoster) {
+            return res.status(403).json({
+                success: false,
+                message: 'Details do not match college records. Please contact the hostel office.'
+            });
+        }
+
+        const existingStudent = await db.getOne(
+            'SELECT id FROM students WHERE college_id = ?',
+            [rosterEntry.college_id]
+        );
+
+        if (existingStudent || rosterEntry.registered_user_id) {
+            return res.status(409).json({
+                success: false,
+                message: 'Student already registered. Please login.'
+            });
+        }
+
+        if (email) {
+            const existingEmail = await db.getOne(
+                'SELECT id FROM users WHERE email = ?',
+                [email]
+            );
+
+            if (existingEmail) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Email is already in use'
+                });
+            }
+        }
+
+        const studentRole = await db.getOne(
+            "SELECT id FROM roles WHERE role_name = 'STUDENT'"
+        );
+
+        const passwordHash = await hashPassword(password);
+        const sanitizedParentPhone = sanitizePhoneNumber(rosterEntry.parent_phone);
+
+        const userId = await db.transaction(async (conn) => {
+            // Create student user account (locked until parent verifies)
+            const [userResult] = await conn.execute(
+                `INSERT INTO users (role_id, email, password_hash, is_verified, is_active)
+                 VALUES (?, ?, ?, FALSE, FALSE)`,
+                [studentRole.id, email || null, passwordHash]
+            );
+
+            const newUserId = userResult.insertId;
+
+            // Profile comes from the roster, not from what was typed
+            const [studentResult] = await conn.execute(
+                `INSERT INTO students 
+                 (user_id, college_id, student_name, department, year_of_study, parent_phone)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    newUserId,
+                    rosterEntry.college_id,
+                    rosterEntry.student_name,
+                    rosterEntry.department,
+                    rosterEntry.year_of_study,
+                    sanitizedParentPhone
+                ]
+            );
+
+            // Roster parent becomes the primary guardian. If they already have
+            // an account (e.g. for a sibling), link it now and ask them to confirm.
+            const [existingParents] = await conn.execute(
+                `SELECT u.id FROM users u
+                 JOIN roles r ON u.role_id = r.id
+                 WHERE u.phone_number = ? AND r.role_name = 'PARENT'`,
+                [sanitizedParentPhone]
+            );
+            const existingParentId = existingParents.length > 0 ? existingParents[0].id : null;
+
+            await conn.execute(
+                `INSERT INTO student_guardians 
+                 (student_id, guardian_phone, guardian_user_id, is_primary)
+                 VALUES (?, ?, ?, TRUE)`,
+                [studentResult.insertId, sanitizedParentPhone, existingParentId]
+            );
+
+            if (existingParentId) {
+                await conn.execute(
+                    'UPDATE students SET parent_id = ? WHERE id = ?',
+                    [existingParentId, studentResult.insertId]
+                );
+
+                await conn.execute(
+                    `INSERT INTO notifications 
+                     (user_id, notification_type, title, message)
+                     VALUES (?, 'STUDENT_LINKED', 'Confirm Student Account', ?)`,
+                    [
+                        existingParentId,
+                        `${rosterEntry.student_name} (${rosterEntry.college_id}) has registered. Please confirm to activate the account.`
+                    ]
+                );
+            }
+
+            await conn.execute(
+                `UPDATE student_roster 
+                 SET registered_user_id = ?, registered_at = NOW()
+                 WHERE id = ?`,
+                [newUserId, rosterEntry.id]
+            );
+
+            await conn.execute(
+                `INSERT INTO audit_logs 
+                 (user_id, action, table_name, record_id, ip_address, user_agent)
+                 VALUES (?, 'STUDENT_REGISTERED', 'users', ?, ?, ?)`,
+                [newUserId, newUserId, req.ip, req.headers['user-agent'] || null]
+            );
+
+            return newUserId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Registration successful. Ask your parent to register to activate your account.',
+            data: {
+                userId,
+                collegeId: rosterEntry.college_id,
+                name: rosterEntry.student_name,
+                parentPhone: sanitizedParentPhone.replace(/\d(?=\d{4})/g, '*'),
+                requiresParentVerification: true
+            }
+        });
 
+    } catch (error) {
+        console.error('Student registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Registration failed. Please try again.'
+        });
+    }
+};
 
 // =====================================================
 // PARENT REGISTRATION & VERIFICATION
 // =====================================================
 
+/**
+ * Respond to a refused OTP request or failed OTP check
+ * The code lets the mobile app show the right message and timer
+ */
+const sendOTPError = (res, result) => {
+    const throttled = ['OTP_RESEND_COOLDOWN', 'OTP_DAILY_LIMIT_REACHED', 'OTP_ATTEMPTS_EXCEEDED']
+        .includes(result.code);
+
+    if (result.retryAfterSeconds) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+    }
+
+    return res.status(throttled ? 429 : 400).json({
+        success: false,
+        message: result.message || 'Invalid or expired OTP',
+        code: result.code || 'OTP_INVALID',
+        ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining }),
+        ...(result.retryAfterSeconds && { retryAfterSeconds: result.retryAfterSeconds })
+    });
+};
+
 /**
  * Step 2: Parent Registration
  * Parent registers using phone number linked to student
@@ -31,9 +266,12 @@ const registerParent = async (req, res) => {
         // Sanitize phone
         const sanitizedPhone = sanitizePhoneNumber(phoneNumber);
 
-        // Check if phone is linked to any student
+        // Check if phone is linked to any student as a guardian
         const linkedStudents = await db.getMany(
-            'SELECT id, student_name, college_id FROM students WHERE parent_phone = ?',
+            `SELECT sg.id as link_id, sg.is_primary, s.id, s.student_name, s.college_id
+             FROM student_guardians sg
+             JOIN students s ON sg.student_id = s.id
+             WHERE sg.guardian_phone = ? AND sg.guardian_user_id IS NULL`,
             [sanitizedPhone]
         );
 
@@ -57,6 +295,12 @@ const registerParent = async (req, res) => {
             });
         }
 
+        const otpAllowed = await checkOTPRequestAllowed(sanitizedPhone);
+
+        if (!otpAllowed.allowed) {
+            return sendOTPError(res, otpAllowed);
+        }
+
         // Get PARENT role ID
         const parentRole = await db.getOne(
             "SELECT id FROM roles WHERE role_name = 'PARENT'"
@@ -83,22 +327,33 @@ const registerParent = async (req, res) => {
             // Link parent to all students with this phone
             for (const student of linkedStudents) {
                 await conn.execute(
-                    'UPDATE students SET parent_id = ? WHERE id = ?',
-                    [userId, student.id]
+                    `UPDATE student_guardians 
+                     SET guardian_user_id = ?, relationship = COALESCE(relationship, ?)
+                     WHERE id = ?`,
+                    [userId, relationship || null, student.link_id]
                 );
+
+                if (student.is_primary) {
+                    await conn.execute(
+                        'UPDATE students SET parent_id = ? WHERE id = ?',
+                        [userId, student.id]
+                    );
+                }
             }
 
-            // Generate and send OTP
-            const otp = await storeOTP(userId, sanitizedPhone, 'VERIFICATION');
-            await sendOTP(sanitizedPhone, otp);
+            // Generate OTP (sent once the account is committed)
+            const otp = await storeOTP(userId, sanitizedPhone, 'VERIFICATION', conn);
 
             return { 
                 userId, 
                 parentId: parentResult.insertId,
-                linkedStudents: linkedStudents.length 
+                linkedStudents: linkedStudents.length,
+                otp
             };
         });
 
+        await sendOTP(sanitizedPhone, result.otp);
+
         res.status(201).json({
             success: true,
             message: 'Parent registered successfully. OTP sent for verification.',
@@ -140,10 +395,7 @@ const verifyParentOTP = async (req, res) => {
         const verification = await verifyOTP(sanitizedPhone, otp, 'VERIFICATION');
 
         if (!verification.success) {
-            return res.status(400).json({
-                success: false,
-                message: verification.message
-            });
+            return sendOTPError(res, verification);
         }
 
         // Activate parent and student accounts
@@ -156,7 +408,10 @@ const verifyParentOTP = async (req, res) => {
 
             // Get all linked students
             const students = await conn.query(
-                'SELECT id, user_id, student_name FROM students WHERE parent_id = ?',
+                `SELECT s.id, s.user_id, s.student_name
+                 FROM student_guardians sg
+                 JOIN students s ON sg.student_id = s.id
+                 WHERE sg.guardian_user_id = ?`,
                 [verification.userId]
             );
 
@@ -184,9 +439,11 @@ const verifyParentOTP = async (req, res) => {
                 [verification.userId, verification.userId]
             );
 
-            return { studentsActivated: students[0].length };
+            return { studentUserIds: students[0].map(student => student.user_id) };
         });
 
+        await cache.invalidateUser(verification.userId, ...result.studentUserIds);
+
         // Generate tokens for parent
         const parentUser = await db.getOne(
             `SELECT u.*, r.role_name 
@@ -196,12 +453,12 @@ const verifyParentOTP = async (req, res) => {
             [verification.userId]
         );
 
-        const accessToken = generateAccessToken(
+        const { accessToken, refreshToken } = await issueAuthTokens(
             parentUser.id,
             parentUser.role_id,
-            parentUser.role_name
+            parentUser.role_name,
+            req
         );
-        const refreshToken = generateRefreshToken(parentUser.id);
 
         res.json({
             success: true,
@@ -213,9 +470,10 @@ const verifyParentOTP = async (req, res) => {
                     id: parentUser.id,
                     phoneNumber: parentUser.phone_number,
                     role: parentUser.role_name,
-                    isVerified: true
+                    isVerified: true,
+                    permissions: await getEffectivePermissions(parentUser.id)
                 },
-                studentsActivated: result.studentsActivated
+                studentsActivated: result.studentUserIds.length
             }
         });
 
@@ -251,34 +509,56 @@ const loginStudent = async (req, res) => {
         const student = await db.getOne(
             `SELECT s.*, u.id as user_id, u.password_hash, u.is_active, 
                     u.is_verified, r.id as role_id, r.role_name,
-                    p_user.is_verified as parent_verified
+                    (SELECT COUNT(*) FROM student_guardians sg
+                     JOIN users gu ON sg.guardian_user_id = gu.id
+                     WHERE sg.student_id = s.id AND gu.is_verified = TRUE) as verified_guardians
              FROM students s
              JOIN users u ON s.user_id = u.id
              JOIN roles r ON u.role_id = r.id
-             LEFT JOIN users p_user ON s.parent_id = p_user.id
              WHERE s.college_id = ?`,
             [collegeId]
         );
 
         if (!student) {
+            // Counted like a wrong password so lockouts don't reveal which IDs exist
+            const blocked = await recordUnknownLoginFailure(collegeId);
+
+            if (blocked) {
+                return sendLoginBlocked(res, blocked);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        const loginAllowed = await checkLoginAllowed(student.user_id);
+
+        if (!loginAllowed.allowed) {
+            return sendLoginBlocked(res, loginAllowed);
+        }
+
         // Verify password
         const passwordMatch = await comparePassword(password, student.password_hash);
 
         if (!passwordMatch) {
+            const failure = await recordFailedLogin(student.user_id, req);
+
+            if (failure.locked) {
+                return sendLoginBlocked(res, failure);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Check if parent is verified
-        if (!student.parent_id || !student.parent_verified) {
+        await clearFailedLogins(student.user_id);
+
+        // Check if a guardian is verified
+        if (!student.verified_guardians) {
             return res.status(403).json({
                 success: false,
                 message: 'Account locked. Parent verification pending.',
@@ -296,12 +576,12 @@ const loginStudent = async (req, res) => {
         }
 
         // Generate tokens
-        const accessToken = generateAccessToken(
+        const { accessToken, refreshToken } = await issueAuthTokens(
             student.user_id,
             student.role_id,
-            student.role_name
+            student.role_name,
+            req
         );
-        const refreshToken = generateRefreshToken(student.user_id);
 
         // Update last login
         await db.query(
@@ -309,6 +589,8 @@ const loginStudent = async (req, res) => {
             [student.user_id]
         );
 
+        await recordLoginDevice(student.user_id, req);
+
         res.json({
             success: true,
             message: 'Login successful',
@@ -323,7 +605,8 @@ const loginStudent = async (req, res) => {
                     email: student.email,
                     role: student.role_name,
                     department: student.department,
-                    profileCompleted: student.profile_completed
+                    profileCompleted: student.profile_completed,
+                    permissions: await getEffectivePermissions(student.user_id)
                 }
             }
         });
@@ -373,6 +656,12 @@ const requestParentOTP = async (req, res) => {
             });
         }
 
+        const otpAllowed = await checkOTPRequestAllowed(sanitizedPhone);
+
+        if (!otpAllowed.allowed) {
+            return sendOTPError(res, otpAllowed);
+        }
+
         // Generate and send OTP
         const otp = await storeOTP(parent.id, sanitizedPhone, 'LOGIN');
         await sendOTP(sanitizedPhone, otp);
@@ -414,10 +703,7 @@ const loginParent = async (req, res) => {
         const verification = await verifyOTP(sanitizedPhone, otp, 'LOGIN');
 
         if (!verification.success) {
-            return res.status(400).json({
-                success: false,
-                message: verification.message
-            });
+            return sendOTPError(res, verification);
         }
 
         // Get parent details
@@ -431,12 +717,14 @@ const loginParent = async (req, res) => {
         );
 
         // Generate tokens
-        const accessToken = generateAccessToken(
+        const { accessToken, refreshToken } = await issueAuthTokens(
             parent.id,
             parent.role_id,
-            parent.role_name
+            parent.role_name,
+            req
         );
-        const refreshToken = generateRefreshToken(parent.id);
+
+        await recordLoginDevice(parent.id, req);
 
         res.json({
             success: true,
@@ -449,7 +737,8 @@ const loginParent = async (req, res) => {
                     phoneNumber: parent.phone_number,
                     name: parent.parent_name,
                     role: parent.role_name,
-                    isVerified: parent.is_verified
+                    isVerified: parent.is_verified,
+                    permissions: await getEffectivePermissions(parent.id)
                 }
             }
         });
@@ -464,9 +753,57 @@ const loginParent = async (req, res) => {
 };
 
 // =====================================================
-// STAFF LOGIN (Deputy Warden, Principal, Watchman)
+// STAFF LOGIN (Deputy Warden, Principal, Watchman, Admin, custom staff roles)
 // =====================================================
 
+const STAFF_USER_QUERY = `
+    SELECT u.*, r.role_name, s.staff_name, s.designation
+    FROM users u
+    JOIN roles r ON u.role_id = r.id
+    JOIN staff s ON u.id = s.user_id
+`;
+
+/**
+ * Issue tokens and build the staff login response body
+ */
+const completeStaffLogin = async (user, req) => {
+    const { accessToken, refreshToken } = await issueAuthTokens(
+        user.id,
+        user.role_id,
+        user.role_name,
+        req
+    );
+
+    await recordLoginDevice(user.id, req);
+
+    return {
+        accessToken,
+        refreshToken,
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.staff_name,
+            role: user.role_name,
+            designation: user.designation,
+            permissions: await getEffectivePermissions(user.id)
+        }
+    };
+};
+
+/**
+ * Load staff user behind a pending 2FA token
+ */
+const getPendingTwoFactorUser = async (twoFactorToken, purpose) => {
+    const pending = twoFactorToken && twoFactor.verifyPendingToken(twoFactorToken, purpose);
+
+    if (!pending) {
+        return null;
+    }
+
+    const user = await db.getOne(`${STAFF_USER_QUERY} WHERE u.id = ?`, [pending.userId]);
+    return user && user.is_active ? user : null;
+};
+
 const loginStaff = async (req, res) => {
     try {
         const { email, password } = req.body;
@@ -480,31 +817,50 @@ const loginStaff = async (req, res) => {
 
         // Get staff user
         const user = await db.getOne(
-            `SELECT u.*, r.role_name, s.staff_name, s.designation
-             FROM users u
-             JOIN roles r ON u.role_id = r.id
-             JOIN staff s ON u.id = s.user_id
-             WHERE u.email = ? AND r.role_name IN ('DEPUTY_WARDEN', 'PRINCIPAL', 'WATCHMAN')`,
+            `${STAFF_USER_QUERY}
+             WHERE u.email = ? AND r.role_name NOT IN ('STUDENT', 'PARENT')`,
             [email]
         );
 
         if (!user) {
+            // Counted like a wrong password so lockouts don't reveal which emails exist
+            const blocked = await recordUnknownLoginFailure(email);
+
+            if (blocked) {
+                return sendLoginBlocked(res, blocked);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        const loginAllowed = await checkLoginAllowed(user.id);
+
+        if (!loginAllowed.allowed) {
+            return sendLoginBlocked(res, loginAllowed);
+        }
+
         // Verify password
-        const passwordMatch = await comparePassword(password, user.password_hash);
+        // Seeded staff have no password until an admin sets one
+        const passwordMatch = !!user.password_hash && await comparePassword(password, user.password_hash);
 
         if (!passwordMatch) {
+            const failure = await recordFailedLogin(user.id, req);
+
+            if (failure.locked) {
+                return sendLoginBlocked(res, failure);
+            }
+
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        await clearFailedLogins(user.id);
+
         if (!user.is_active) {
             return res.status(403).json({
                 success: false,
@@ -512,28 +868,35 @@ const loginStaff = async (req, res) => {
             });
         }
 
-        // Generate tokens
-        const accessToken = generateAccessToken(
-            user.id,
-            user.role_id,
-            user.role_name
-        );
-        const refreshToken = generateRefreshToken(user.id);
+        // Second step: authenticator code, or mandatory enrollment
+        const twoFactorStatus = await twoFactor.getStatus(user.id);
+
+        if (twoFactorStatus.enabled) {
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                data: {
+                    requiresTwoFactor: true,
+                    twoFactorToken: twoFactor.generatePendingToken(user.id, 'login')
+                }
+            });
+        }
+
+        if (twoFactor.isTwoFactorRequired(user.role_name)) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication must be set up before you can continue',
+                data: {
+                    requiresTwoFactorEnrollment: true,
+                    twoFactorToken: twoFactor.generatePendingToken(user.id, 'enroll')
+                }
+            });
+        }
 
         res.json({
             success: true,
             message: 'Login successful',
-            data: {
-                accessToken,
-                refreshToken,
-                user: {
-                    id: user.id,
-                    email: user.email,
-                    name: user.staff_name,
-                    role: user.role_name,
-                    designation: user.designation
-                }
-            }
+            data: await completeStaffLogin(user, req)
         });
 
     } catch (error) {
@@ -545,6 +908,758 @@ const loginStaff = async (req, res) => {
     }
 };
 
+/**
+ * Staff login step 2: verify authenticator or recovery code
+ */
+const verifyStaffTwoFactor = async (req, res) => {
+    try {
+        const { twoFactorToken, code, recoveryCode } = req.body;
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code or recovery code is required'
+            });
+        }
+
+        const user = await getPendingTwoFactorUser(twoFactorToken, 'login');
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login session expired. Please login again.'
+            });
+        }
+
+        const verification = await twoFactor.verifyCode(user.id, { code, recoveryCode });
+
+        if (!verification.success) {
+            return res.status(verification.code === 'TWO_FACTOR_LOCKED' ? 429 : 401).json({
+                success: false,
+                message: verification.message,
+                code: verification.code
+            });
+        }
+
+        const data = await completeStaffLogin(user, req);
+
+        if (verification.usedRecoveryCode) {
+            data.recoveryCodesLeft = (await twoFactor.getStatus(user.id)).recoveryCodesLeft;
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data
+        });
+
+    } catch (error) {
+        console.error('Two-factor verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Verification failed. Please try again.'
+        });
+    }
+};
+
+/**
+ * Mandatory enrollment during login: get secret + provisioning URI
+ */
+const setupStaffTwoFactor = async (req, res) => {
+    try {
+        const user = await getPendingTwoFactorUser(req.body.twoFactorToken, 'enroll');
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login session expired. Please login again.'
+            });
+        }
+
+        const enrollment = await twoFactor.startEnrollment(user.id, user.email);
+
+        if (enrollment.alreadyEnabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled. Please login again.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app',
+            data: enrollment
+        });
+
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Two-factor setup failed. Please try again.'
+        });
+    }
+};
+
+/**
+ * Mandatory enrollment during login: confirm first code and finish login
+ */
+const confirmStaffTwoFactorSetup = async (req, res) => {
+    try {
+        const { twoFactorToken, code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required'
+            });
+        }
+
+        const user = await getPendingTwoFactorUser(twoFactorToken, 'enroll');
+
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login session expired. Please login again.'
+            });
+        }
+
+        const result = await twoFactor.confirmEnrollment(user.id, code);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const data = await completeStaffLogin(user, req);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes safely.',
+            data: {
+                ...data,
+                recoveryCodes: result.recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-factor setup confirmation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Two-factor setup failed. Please try again.'
+        });
+    }
+};
+
+// =====================================================
+// PASSWORD RESET (Students & Staff)
+// =====================================================
+
+/**
+ * Find the account a reset request refers to
+ * Students are identified by college ID, staff by email. Students without
+ * their own phone receive the OTP on the parent phone from the roster.
+ */
+const findPasswordResetAccount = async ({ collegeId, email }) => {
+    if (collegeId) {
+        const student = await db.getOne(
+            `SELECT u.id, u.phone_number, s.parent_phone
+             FROM students s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.college_id = ?`,
+            [collegeId]
+        );
+
+        return student
+            ? { userId: student.id, phone: student.phone_number || student.parent_phone }
+            : null;
+    }
+
+    if (email) {
+        const staff = await db.getOne(
+            `SELECT u.id, u.phone_number
+             FROM users u
+             JOIN staff st ON u.id = st.user_id
+             WHERE u.email = ?`,
+            [email]
+        );
+
+        return staff ? { userId: staff.id, phone: staff.phone_number } : null;
+    }
+
+    return null;
+};
+
+/**
+ * Step 1: Request password reset OTP
+ */
+const forgotPassword = async (req, res) => {
+    try {
+        const { collegeId, email } = req.body;
+
+        if (!collegeId && !email) {
+            return res.status(400).json({
+                success: false,
+                message: 'College ID or email is required'
+            });
+        }
+
+        const account = await findPasswordResetAccount({ collegeId, email });
+
+        // A throttled request sends nothing but gets the usual answer;
+        // a 429 here would tell apart accounts that exist
+        if (account && account.phone) {
+            const phone = sanitizePhoneNumber(account.phone);
+            const otpAllowed = await checkOTPRequestAllowed(phone);
+
+            if (otpAllowed.allowed) {
+                const otp = await storeOTP(account.userId, phone, 'PASSWORD_RESET');
+                await sendOTP(phone, otp);
+            }
+        }
+
+        // Same answer whether or not the account exists
+        res.json({
+            success: true,
+            message: 'If the account exists, an OTP has been sent to the registered phone number'
+        });
+
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send OTP. Please try again.'
+        });
+    }
+};
+
+/**
+ * Step 2: Verify OTP and issue a short-lived reset token
+ */
+const verifyPasswordResetOTP = async (req, res) => {
+    try {
+        const { collegeId, email, otp } = req.body;
+
+        if ((!collegeId && !email) || !otp) {
+            return res.status(400).json({
+                success: false,
+                message: 'College ID or email, and OTP are required'
+            });
+        }
+
+        const account = await findPasswordResetAccount({ collegeId, email });
+
+        if (!account || !account.phone) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired OTP'
+            });
+        }
+
+        const verification = await verifyOTP(
+            sanitizePhoneNumber(account.phone),
+            otp,
+            'PASSWORD_RESET',
+            account.userId
+        );
+
+        if (!verification.success) {
+            return sendOTPError(res, verification);
+        }
+
+        const resetToken = generateRandomString(32);
+        const expiryMinutes = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES) || 15;
+        const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+
+        await db.transaction(async (conn) => {
+            // Only the newest reset token stays usable
+            await conn.execute(
+                `UPDATE password_reset_tokens SET used_at = NOW()
+                 WHERE user_id = ? AND used_at IS NULL`,
+                [account.userId]
+            );
+
+            await conn.execute(
+                `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+                 VALUES (?, ?, ?)`,
+                [account.userId, hashToken(resetToken), expiresAt]
+            );
+        });
+
+        res.json({
+            success: true,
+            message: 'OTP verified. You can now set a new password.',
+            data: {
+                resetToken,
+                expiresAt
+            }
+        });
+
+    } catch (error) {
+        console.error('Password reset OTP error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Verification failed. Please try again.'
+        });
+    }
+};
+
+/**
+ * Step 3: Set new password
+ * Logs the account out everywhere
+ */
+const resetPassword = async (req, res) => {
+    try {
+        const { resetToken, newPassword } = req.body;
+
+        if (!resetToken || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token and new password are required'
+            });
+        }
+
+        const passwordCheck = validatePasswordPolicy(newPassword);
+
+        if (!passwordCheck.valid) {
+            return res.status(400).json({
+                success: false,
+                message: passwordCheck.errors[0],
+                errors: passwordCheck.errors
+            });
+        }
+
+        const tokenRow = await db.getOne(
+            `SELECT prt.id, prt.user_id, u.password_hash
+             FROM password_reset_tokens prt
+             JOIN users u ON prt.user_id = u.id
+             WHERE prt.token_hash = ? AND prt.used_at IS NULL AND prt.expires_at > NOW()`,
+            [hashToken(resetToken)]
+        );
+
+        if (!tokenRow) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        if (tokenRow.password_hash && await comparePassword(newPassword, tokenRow.password_hash)) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
+        const passwordHash = await hashPassword(newPassword);
+
+        const sessionsRevoked = await db.transaction(async (conn) => {
+            // Claim the token first; a concurrent reset with it gets nothing
+            const [consumed] = await conn.execute(
+                `UPDATE password_reset_tokens SET used_at = NOW()
+                 WHERE id = ? AND used_at IS NULL AND expires_at > NOW()`,
+                [tokenRow.id]
+            );
+
+            if (consumed.affectedRows !== 1) {
+                return null;
+            }
+
+            await conn.execute(
+                'UPDATE users SET password_hash = ? WHERE id = ?',
+                [passwordHash, tokenRow.user_id]
+            );
+
+            // Proving the phone number also lifts a login lockout
+            await clearFailedLogins(tokenRow.user_id, conn);
+
+            const revoked = await revokeAllUserSessions(
+                tokenRow.user_id,
+                tokenRow.user_id,
+                'PASSWORD_RESET',
+                null,
+                conn
+            );
+
+            await conn.execute(
+                `INSERT INTO notifications 
+                 (user_id, notification_type, title, message)
+                 VALUES (?, 'PASSWORD_CHANGED', 'Password Changed', 
+                         'Your password was reset and all devices were logged out. Contact the hostel office if this was not you.')`,
+                [tokenRow.user_id]
+            );
+
+            await conn.execute(
+                `INSERT INTO audit_logs 
+                 (user_id, action, table_name, record_id, ip_address, user_agent)
+                 VALUES (?, 'PASSWORD_RESET', 'users', ?, ?, ?)`,
+                [tokenRow.user_id, tokenRow.user_id, req.ip, req.headers['user-agent'] || null]
+            );
+
+            return revoked;
+        });
+
+        if (sessionsRevoked === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully. Please login with your new password.',
+            data: { sessionsRevoked }
+        });
+
+    } catch (error) {
+        console.error('Password reset error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Password reset failed. Please try again.'
+        });
+    }
+};
+
+// =====================================================
+// TOKEN REFRESH (Rotation with reuse detection)
+// =====================================================
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * Every refresh token is single-use. Presenting one that was already
+ * rotated means it leaked, so the whole token family is revoked.
+ */
+const refreshAccessToken = async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const decoded = verifyRefreshToken(refreshToken);
+
+        if (!decoded || !decoded.jti || !decoded.familyId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        const result = await db.transaction(async (conn) => {
+            const [tokens] = await conn.execute(
+                'SELECT * FROM refresh_tokens WHERE token_id = ? FOR UPDATE',
+                [decoded.jti]
+            );
+            const stored = tokens[0];
+
+            if (!stored || stored.user_id !== decoded.userId) {
+                return { error: 'INVALID' };
+            }
+
+            if (stored.revoked_at) {
+                if (stored.revoke_reason === 'ROTATED') {
+                    // Replay of an already-rotated token: kill the family
+                    await revokeSession(stored.family_id, null, 'REUSE_DETECTED', conn);
+
+                    await conn.execute(
+                        `INSERT INTO audit_logs 
+                         (user_id, action, table_name, record_id, ip_address, user_agent)
+                         VALUES (?, 'REFRESH_TOKEN_REUSE', 'refresh_tokens', ?, ?, ?)`,
+                        [stored.user_id, stored.id, req.ip, req.headers['user-agent'] || null]
+                    );
+
+                    return { error: 'REUSED' };
+                }
+
+                return { error: 'INVALID' };
+            }
+
+            const [sessions] = await conn.execute(
+                `SELECT id FROM user_sessions 
+                 WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+                [stored.family_id]
+            );
+
+            if (sessions.length === 0) {
+                return { error: 'INVALID' };
+            }
+
+            const [users] = await conn.execute(
+                `SELECT u.id, u.role_id, u.is_active, r.role_name
+                 FROM users u
+                 JOIN roles r ON u.role_id = r.id
+                 WHERE u.id = ?`,
+                [stored.user_id]
+            );
+            const user = users[0];
+
+            if (!user || !user.is_active) {
+                return { error: 'INACTIVE' };
+            }
+
+            // Rotate: issue the next token in the family and retire this one
+            const next = await issueRefreshToken(user.id, stored.family_id, conn);
+
+            await conn.execute(
+                `UPDATE refresh_tokens 
+                 SET revoked_at = NOW(), revoke_reason = 'ROTATED', replaced_by = ?
+                 WHERE id = ?`,
+                [next.tokenId, stored.id]
+            );
+
+            await conn.execute(
+                `UPDATE user_sessions 
+                 SET last_seen_at = NOW(), ip_address = ?, expires_at = ?
+                 WHERE id = ?`,
+                [req.ip, next.expiresAt, stored.family_id]
+            );
+
+            return {
+                accessToken: generateAccessToken(
+                    user.id,
+                    user.role_id,
+                    user.role_name,
+                    stored.family_id
+                ),
+                refreshToken: next.token
+            };
+        });
+
+        if (result.error === 'REUSED') {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token reuse detected. Please login again.',
+                code: 'REFRESH_TOKEN_REUSED'
+            });
+        }
+
+        if (result.error === 'INACTIVE') {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is not active'
+            });
+        }
+
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken
+            }
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Token refresh failed. Please try again.'
+        });
+    }
+};
+
+// =====================================================
+// SESSIONS & LOGOUT
+// =====================================================
+
+/**
+ * Logout: revoke the session behind the current access token
+ */
+const logout = async (req, res) => {
+    try {
+        await revokeSession(req.user.sessionId, req.user.id, 'LOGOUT');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed. Please try again.'
+        });
+    }
+};
+
+/**
+ * List the current user's active sessions (devices)
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await db.getMany(
+            `SELECT id, ip_address, user_agent, created_at, last_seen_at, expires_at
+             FROM user_sessions
+             WHERE user_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+             ORDER BY COALESCE(last_seen_at, created_at) DESC`,
+            [req.user.id]
+        );
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session,
+                current: session.id === req.user.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions'
+        });
+    }
+};
+
+/**
+ * Get my effective permissions (UIs use this to hide actions)
+ */
+const getMyPermissions = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                role: req.user.roleName,
+                permissions: await getEffectivePermissions(req.user.id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch permissions'
+        });
+    }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ */
+const revokeMySession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const session = await db.getOne(
+            `SELECT id FROM user_sessions 
+             WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+            [sessionId, req.user.id]
+        );
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(sessionId, req.user.id, 'USER_REVOKED');
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+};
+
+/**
+ * Revoke all other sessions of the current user
+ */
+const revokeOtherSessions = async (req, res) => {
+    try {
+        const revoked = await revokeAllUserSessions(
+            req.user.id,
+            req.user.id,
+            'USER_REVOKED',
+            req.user.sessionId
+        );
+
+        res.json({
+            success: true,
+            message: 'Other sessions revoked successfully',
+            data: { sessionsRevoked: revoked }
+        });
+
+    } catch (error) {
+        console.error('Revoke other sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions'
+        });
+    }
+};
+
+/**
+ * Revoke every session of a given user (staff/admin action)
+ */
+const revokeUserSessions = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await db.getOne(
+            'SELECT id FROM users WHERE id = ?',
+            [userId]
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const revoked = await revokeAllUserSessions(user.id, req.user.id, 'ADMIN_REVOKED');
+
+        await db.query(
+            `INSERT INTO audit_logs 
+             (user_id, action, table_name, record_id, new_value, ip_address, user_agent)
+             VALUES (?, 'SESSIONS_REVOKED', 'users', ?, ?, ?, ?)`,
+            [
+                req.user.id,
+                user.id,
+                JSON.stringify({ sessionsRevoked: revoked }),
+                req.ip,
+                req.headers['user-agent'] || null
+            ]
+        );
+
+        res.json({
+            success: true,
+            message: 'All sessions revoked successfully',
+            data: { sessionsRevoked: revoked }
+        });
+
+    } catch (error) {
+        console.error('Revoke user sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions'
+        });
+    }
+};
+
 module.exports = {
     registerStudent,
     registerParent,
@@ -552,5 +1667,18 @@ module.exports = {
     loginStudent,
     requestParentOTP,
     loginParent,
-    loginStaff
+    loginStaff,
+    verifyStaffTwoFactor,
+    setupStaffTwoFactor,
+    confirmStaffTwoFactorSetup,
+    forgotPassword,
+    verifyPasswordResetOTP,
+    resetPassword,
+    refreshAccessToken,
+    logout,
+    getSessions,
+    getMyPermissions,
+    revokeMySession,
+    revokeOtherSessions,
+    revokeUserSessions
 };
\ No newline at end of file
@@ -0,0 +1,406 @@
+// =====================================================
+// CALENDAR CONTROLLER (Academic calendar and overrides)
+// =====================================================
+
+const db = require('../config/database');
+const { notifyUsers } = require('../services/notifications');
+const { EVENT_TYPES, BLOCKING_TYPES } = require('../services/academicCalendar');
+const { writeAuditLog, isValidDateString } = require('../utils/helpers');
+
+// Request fields of an event (request field -> column)
+const EVENT_FIELDS = {
+    eventName: 'event_name',
+    eventType: 'event_type',
+    startDate: 'start_date',
+    endDate: 'end_date',
+    department: 'department',
+    yearOfStudy: 'year_of_study',
+    description: 'description',
+    isActive: 'is_active'
+};
+
+const EVENT_COLUMNS = `id, event_name, event_type,
+    DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+    DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+    department, year_of_study, description, is_active`;
+
+/**
+ * Validate an event; returns an error message or null
+ */
+const validateEvent = (event) => {
+    if (!event.event_name || !isValidDateString(event.start_date) || !isValidDateString(event.end_date)) {
+        return 'Event name, start date and end date (YYYY-MM-DD) are required';
+    }
+
+    if (!EVENT_TYPES.includes(event.event_type)) {
+        return `Event type must be one of ${EVENT_TYPES.join(', ')}`;
+    }
+
+    if (new Date(event.end_date) < new Date(event.start_date)) {
+        return 'End date must be after start date';
+    }
+
+    if (event.year_of_study !== null
+        && (!Number.isInteger(event.year_of_study) || event.year_of_study < 1)) {
+        return 'Year of study must be a positive number';
+    }
+
+    return null;
+};
+
+// =====================================================
+// STUDENT VIEW
+// =====================================================
+
+/**
+ * Current and upcoming calendar events that apply to the student
+ */
+const getMyCalendar = async (req, res) => {
+    try {
+        const student = await db.getOne(
+            'SELECT id, department, year_of_study FROM students WHERE user_id = ?',
+            [req.user.id]
+        );
+
+        const events = await db.getMany(
+            `SELECT ${EVENT_COLUMNS},
+                    EXISTS (SELECT 1 FROM calendar_overrides o
+                            WHERE o.event_id = calendar_events.id AND o.student_id = ?
+                            AND o.leave_application_id IS NULL) as is_overridden
+             FROM calendar_events
+             WHERE is_active = TRUE AND end_date >= CURDATE()
+             AND (department IS NULL OR department = ?)
+             AND (year_of_study IS NULL OR year_of_study = ?)
+             ORDER BY start_date`,
+            [student.id, student.department, student.year_of_study]
+        );
+
+        res.json({
+            success: true,
+            data: events
+        });
+
+    } catch (error) {
+        console.error('Get calendar error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch academic calendar'
+        });
+    }
+};
+
+// =====================================================
+// CALENDAR MANAGEMENT
+// =====================================================
+
+/**
+ * List calendar events, optionally within a date range
+ * Query: from, to (YYYY-MM-DD)
+ */
+const listEvents = async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        const conditions = [];
+        const params = [];
+
+        if (from) {
+            conditions.push('end_date >= ?');
+            params.push(from);
+        }
+
+        if (to) {
+            conditions.push('start_date <= ?');
+            params.push(to);
+        }
+
+        const events = await db.getMany(
+            `SELECT ${EVENT_COLUMNS},
+                    (SELECT COUNT(*) FROM calendar_overrides o
+                     WHERE o.event_id = calendar_events.id) as override_count
+             FROM calendar_events
+             ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+             ORDER BY start_date DESC`,
+            params
+        );
+
+        res.json({
+            success: true,
+            data: events
+        });
+
+    } catch (error) {
+        console.error('List calendar events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch calendar events'
+        });
+    }
+};
+
+/**
+ * Add a calendar event
+ * Body: { eventName, eventType, startDate, endDate, department?, yearOfStudy?, description? }
+ */
+const createEvent = async (req, res) => {
+    try {
+        const event = {
+            event_name: null,
+            event_type: null,
+            start_date: null,
+            end_date: null,
+            department: null,
+            year_of_study: null,
+            description: null,
+            is_active: true
+        };
+
+        for (const [field, column] of Object.entries(EVENT_FIELDS)) {
+            if (req.body[field] !== undefined) {
+                event[column] = req.body[field];
+            }
+        }
+
+        const validationError = validateEvent(event);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const eventId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO calendar_events
+                 (event_name, event_type, start_date, end_date, department, year_of_study,
+                  description, is_active, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    event.event_name,
+                    event.event_type,
+                    event.start_date,
+                    event.end_date,
+                    event.department,
+                    event.year_of_study,
+                    event.description,
+                    !!event.is_active,
+                    req.user.id
+                ]
+            );
+
+            await writeAuditLog(conn, req, 'CALENDAR_EVENT_CREATED', 'calendar_events',
+                result.insertId, null, event);
+
+            return result.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Calendar event created successfully',
+            data: { eventId }
+        });
+
+    } catch (error) {
+        console.error('Create calendar event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create calendar event'
+        });
+    }
+};
+
+/**
+ * Update or deactivate a calendar event
+ * Body: any of { eventName, eventType, startDate, endDate, department, yearOfStudy,
+ *                description, isActive }
+ */
+const updateEvent = async (req, res) => {
+    try {
+        const existing = await db.getOne(
+            `SELECT ${EVENT_COLUMNS} FROM calendar_events WHERE id = ?`,
+            [req.params.eventId]
+        );
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar event not found'
+            });
+        }
+
+        const event = { ...existing };
+
+        for (const [field, column] of Object.entries(EVENT_FIELDS)) {
+            if (req.body[field] !== undefined) {
+                event[column] = req.body[field];
+            }
+        }
+
+        const validationError = validateEvent(event);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE calendar_events
+                 SET event_name = ?, event_type = ?, start_date = ?, end_date = ?,
+                     department = ?, year_of_study = ?, description = ?, is_active = ?
+                 WHERE id = ?`,
+                [
+                    event.event_name,
+                    event.event_type,
+                    event.start_date,
+                    event.end_date,
+                    event.department,
+                    event.year_of_study,
+                    event.description,
+                    !!event.is_active,
+                    existing.id
+                ]
+            );
+
+            await writeAuditLog(conn, req, 'CALENDAR_EVENT_UPDATED', 'calendar_events',
+                existing.id, existing, event);
+        });
+
+        res.json({
+            success: true,
+            message: 'Calendar event updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update calendar event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update calendar event'
+        });
+    }
+};
+
+// =====================================================
+// OVERRIDES (Staff exceptions for a student)
+// =====================================================
+
+/**
+ * List the overrides granted for an event
+ */
+const listOverrides = async (req, res) => {
+    try {
+        const overrides = await db.getMany(
+            `SELECT o.*, s.college_id, s.student_name, st.staff_name as granted_by_name
+             FROM calendar_overrides o
+             JOIN students s ON o.student_id = s.id
+             LEFT JOIN staff st ON st.user_id = o.granted_by
+             WHERE o.event_id = ?
+             ORDER BY o.created_at DESC`,
+            [req.params.eventId]
+        );
+
+        res.json({
+            success: true,
+            data: overrides
+        });
+
+    } catch (error) {
+        console.error('List calendar overrides error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch overrides'
+        });
+    }
+};
+
+/**
+ * Let a student take leave during an exam blackout or restricted window
+ * Body: { studentId, justification }
+ */
+const grantOverride = async (req, res) => {
+    try {
+        const { justification } = req.body;
+        const studentId = parseInt(req.body.studentId) || null;
+
+        if (!studentId || typeof justification !== 'string' || !justification.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Student and justification are required'
+            });
+        }
+
+        const event = await db.getOne(
+            `SELECT ${EVENT_COLUMNS} FROM calendar_events WHERE id = ? AND is_active = TRUE`,
+            [req.params.eventId]
+        );
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar event not found'
+            });
+        }
+
+        if (!BLOCKING_TYPES.includes(event.event_type)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only exam blackouts and restricted windows can be overridden'
+            });
+        }
+
+        const student = await db.getOne(
+            'SELECT id, user_id FROM students WHERE id = ?',
+            [studentId]
+        );
+
+        if (!student) {
+            return res.status(404).json({
+                success: false,
+                message: 'Student not found'
+            });
+        }
+
+        const overrideId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO calendar_overrides (event_id, student_id, justification, granted_by)
+                 VALUES (?, ?, ?, ?)`,
+                [event.id, student.id, justification.trim(), req.user.id]
+            );
+
+            await writeAuditLog(conn, req, 'CALENDAR_OVERRIDE', 'calendar_overrides',
+                result.insertId, null, { eventId: event.id, studentId: student.id, justification });
+
+            await notifyUsers(conn, [student.user_id], {
+                type: 'CALENDAR_OVERRIDE_GRANTED',
+                title: 'Leave Exception Granted',
+                message: `You may apply for leave during ${event.event_name} (${event.start_date} to ${event.end_date})`
+            });
+
+            return result.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Override granted successfully',
+            data: { overrideId }
+        });
+
+    } catch (error) {
+        console.error('Grant calendar override error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to grant override'
+        });
+    }
+};
+
+module.exports = {
+    getMyCalendar,
+    listEvents,
+    createEvent,
+    updateEvent,
+    listOverrides,
+    grantOverride
+};
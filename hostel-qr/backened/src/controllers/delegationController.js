@@ -0,0 +1,302 @@
+// =====================================================
+// DELEGATION CONTROLLER (Approval authority while away)
+// =====================================================
+
+const db = require('../config/database');
+const { getEffectivePermissions, hasPermission } = require('../services/permissions');
+const { getApprovalPermissions } = require('../services/delegations');
+const { notifyUsers } = require('../services/notifications');
+const { writeAuditLog, isValidDateString } = require('../utils/helpers');
+
+const DELEGATION_COLUMNS = `d.*,
+    dr.staff_name as delegator_name,
+    de.staff_name as delegate_name,
+    (d.revoked_at IS NULL AND CURDATE() BETWEEN d.from_date AND d.to_date) as is_active`;
+
+const DELEGATION_JOINS = `FROM approval_delegations d
+    LEFT JOIN staff dr ON dr.user_id = d.delegator_user_id
+    LEFT JOIN staff de ON de.user_id = d.delegate_user_id`;
+
+/**
+ * Delegations given or received by the current user (latest first)
+ */
+const getMyDelegations = async (req, res) => {
+    try {
+        const delegations = await db.getMany(
+            `SELECT ${DELEGATION_COLUMNS}
+             ${DELEGATION_JOINS}
+             WHERE d.delegator_user_id = ? OR d.delegate_user_id = ?
+             ORDER BY d.from_date DESC, d.id DESC
+             LIMIT 100`,
+            [req.user.id, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                given: delegations.filter(d => d.delegator_user_id === req.user.id),
+                received: delegations.filter(d => d.delegate_user_id === req.user.id)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get delegations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch delegations'
+        });
+    }
+};
+
+/**
+ * All current and upcoming delegations (admin)
+ */
+const listDelegations = async (req, res) => {
+    try {
+        const delegations = await db.getMany(
+            `SELECT ${DELEGATION_COLUMNS}
+             ${DELEGATION_JOINS}
+             WHERE d.revoked_at IS NULL AND d.to_date >= CURDATE()
+             ORDER BY d.from_date ASC, d.id ASC`
+        );
+
+        res.json({
+            success: true,
+            data: delegations
+        });
+
+    } catch (error) {
+        console.error('List delegations error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch delegations'
+        });
+    }
+};
+
+/**
+ * Delegate approval authority for a date range
+ * Body: { delegateUserId, fromDate, toDate, permission?, reason?, delegatorUserId? }
+ * permission omitted delegates every approval permission the delegator holds.
+ * delegatorUserId (someone else) needs DELEGATIONS_MANAGE.
+ */
+const createDelegation = async (req, res) => {
+    try {
+        const { fromDate, toDate, reason } = req.body;
+        const permission = req.body.permission || null;
+        const delegateUserId = parseInt(req.body.delegateUserId) || null;
+        const delegatorUserId = parseInt(req.body.delegatorUserId) || req.user.id;
+
+        if (delegatorUserId !== req.user.id && !(await hasPermission(req.user.id, 'DELEGATIONS_MANAGE'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only delegate your own approval authority'
+            });
+        }
+
+        if (!delegateUserId || !isValidDateString(fromDate) || !isValidDateString(toDate)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Delegate, from date and to date (YYYY-MM-DD) are required'
+            });
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        if (new Date(toDate) < new Date(fromDate) || new Date(toDate) < today) {
+            return res.status(400).json({
+                success: false,
+                message: 'To date must be after from date and not in the past'
+            });
+        }
+
+        if (delegateUserId === delegatorUserId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Approval authority cannot be delegated to the same person'
+            });
+        }
+
+        const approvalPermissions = await getApprovalPermissions();
+        const delegable = (await getEffectivePermissions(delegatorUserId))
+            .filter(name => approvalPermissions.includes(name));
+
+        if (delegable.length === 0 || (permission && !delegable.includes(permission))) {
+            return res.status(400).json({
+                success: false,
+                message: permission
+                    ? `${permission} is not an approval permission the delegator holds`
+                    : 'The delegator has no approval permissions to delegate'
+            });
+        }
+
+        const staffSql = `SELECT s.staff_name FROM staff s
+                          JOIN users u ON u.id = s.user_id
+                          WHERE s.user_id = ? AND u.is_active = TRUE`;
+
+        const delegator = await db.getOne(staffSql, [delegatorUserId]);
+        const delegate = await db.getOne(staffSql, [delegateUserId]);
+
+        if (!delegator || !delegate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Delegator and delegate must be active staff members'
+            });
+        }
+
+        // Same delegator, overlapping dates and permissions
+        const overlapping = await db.getOne(
+            `SELECT id FROM approval_delegations
+             WHERE delegator_user_id = ? AND revoked_at IS NULL
+             AND from_date <= ? AND to_date >= ?
+             AND (permission_name IS NULL OR ? IS NULL OR permission_name = ?)`,
+            [delegatorUserId, toDate, fromDate, permission, permission]
+        );
+
+        if (overlapping) {
+            return res.status(409).json({
+                success: false,
+                message: 'An overlapping delegation already exists for these dates'
+            });
+        }
+
+        // Delegated authority is not passed on, so an away delegate would leave it unattended
+        const delegateAway = await db.getOne(
+            `SELECT id FROM approval_delegations
+             WHERE delegator_user_id = ? AND revoked_at IS NULL
+             AND from_date <= ? AND to_date >= ?`,
+            [delegateUserId, toDate, fromDate]
+        );
+
+        if (delegateAway) {
+            return res.status(409).json({
+                success: false,
+                message: `${delegate.staff_name} has delegated their own approvals during these dates`
+            });
+        }
+
+        // Likewise authority the delegator covers for someone else would be left unattended
+        const delegatorCovering = await db.getOne(
+            `SELECT id FROM approval_delegations
+             WHERE delegate_user_id = ? AND revoked_at IS NULL
+             AND from_date <= ? AND to_date >= ?`,
+            [delegatorUserId, toDate, fromDate]
+        );
+
+        if (delegatorCovering) {
+            return res.status(409).json({
+                success: false,
+                message: `${delegator.staff_name} is covering someone else's approvals during these dates; that delegation must be revoked or reassigned first`
+            });
+        }
+
+        const delegationId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO approval_delegations
+                 (delegator_user_id, delegate_user_id, permission_name, from_date, to_date, reason, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [delegatorUserId, delegateUserId, permission, fromDate, toDate, reason || null, req.user.id]
+            );
+
+            await writeAuditLog(conn, req, 'DELEGATION_CREATED', 'approval_delegations', result.insertId, null, {
+                delegatorUserId,
+                delegateUserId,
+                permission,
+                fromDate,
+                toDate,
+                reason
+            });
+
+            await notifyUsers(conn, [delegateUserId], {
+                type: 'APPROVAL_DELEGATED',
+                title: 'Approvals Delegated To You',
+                message: `You will handle leave approvals for ${delegator.staff_name} from ${fromDate} to ${toDate}`
+            });
+
+            if (delegatorUserId !== req.user.id) {
+                await notifyUsers(conn, [delegatorUserId], {
+                    type: 'APPROVAL_DELEGATED',
+                    title: 'Your Approvals Were Delegated',
+                    message: `${delegate.staff_name} will handle your leave approvals from ${fromDate} to ${toDate}`
+                });
+            }
+
+            return result.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Delegation created successfully',
+            data: { delegationId }
+        });
+
+    } catch (error) {
+        console.error('Create delegation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create delegation'
+        });
+    }
+};
+
+/**
+ * Revoke a delegation (the delegator, or DELEGATIONS_MANAGE)
+ */
+const revokeDelegation = async (req, res) => {
+    try {
+        const { delegationId } = req.params;
+
+        const delegation = await db.getOne(
+            'SELECT * FROM approval_delegations WHERE id = ? AND revoked_at IS NULL',
+            [delegationId]
+        );
+
+        const allowed = delegation && (delegation.delegator_user_id === req.user.id
+            || await hasPermission(req.user.id, 'DELEGATIONS_MANAGE'));
+
+        if (!allowed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delegation not found'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE approval_delegations SET revoked_at = NOW(), revoked_by = ? WHERE id = ?',
+                [req.user.id, delegation.id]
+            );
+
+            await writeAuditLog(conn, req, 'DELEGATION_REVOKED', 'approval_delegations', delegation.id, null, {
+                delegatorUserId: delegation.delegator_user_id,
+                delegateUserId: delegation.delegate_user_id
+            });
+
+            await notifyUsers(conn, [delegation.delegate_user_id], {
+                type: 'APPROVAL_DELEGATION_REVOKED',
+                title: 'Delegation Ended',
+                message: 'A delegation of leave approvals to you has been revoked'
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Delegation revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke delegation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke delegation'
+        });
+    }
+};
+
+module.exports = {
+    getMyDelegations,
+    listDelegations,
+    createDelegation,
+    revokeDelegation
+};
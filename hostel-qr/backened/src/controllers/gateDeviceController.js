@@ -0,0 +1,515 @@
+// =====================================================
+// GATE DEVICE CONTROLLER (Gates, scanner terminals, watchman shifts)
+// =====================================================
+// A gate device authenticates with its own API key (X-Device-Key) and is
+// bound to one gate. Scans from it are recorded against the device, the
+// gate and the watchman currently signed in on it.
+
+const db = require('../config/database');
+const {
+    comparePassword,
+    hashToken,
+    generateRandomString,
+    writeAuditLog
+} = require('../utils/helpers');
+const { hasPermission } = require('../services/permissions');
+const twoFactor = require('../services/twoFactor');
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordUnknownLoginFailure,
+    clearFailedLogins,
+    sendLoginBlocked
+} = require('../services/loginSecurity');
+
+// =====================================================
+// ADMIN: GATES & DEVICES
+// =====================================================
+
+/**
+ * List gates with their active device count
+ */
+const listGates = async (req, res) => {
+    try {
+        const gates = await db.getMany(
+            `SELECT g.*,
+                    (SELECT COUNT(*) FROM gate_devices gd
+                     WHERE gd.gate_id = g.id AND gd.revoked_at IS NULL) as active_devices
+             FROM gates g
+             ORDER BY g.gate_name`
+        );
+
+        res.json({
+            success: true,
+            data: gates
+        });
+
+    } catch (error) {
+        console.error('List gates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch gates'
+        });
+    }
+};
+
+/**
+ * Add a gate
+ * Body: { gateName, description }
+ */
+const createGate = async (req, res) => {
+    try {
+        const { gateName, description } = req.body;
+
+        if (!gateName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Gate name is required'
+            });
+        }
+
+        const existing = await db.getOne(
+            'SELECT id FROM gates WHERE gate_name = ?',
+            [gateName]
+        );
+
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'A gate with this name already exists'
+            });
+        }
+
+        const gateId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                'INSERT INTO gates (gate_name, description) VALUES (?, ?)',
+                [gateName, description || null]
+            );
+
+            await writeAuditLog(conn, req, 'GATE_CREATED', 'gates', result.insertId, null, {
+                gateName
+            });
+
+            return result.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Gate created successfully',
+            data: { gateId, gateName }
+        });
+
+    } catch (error) {
+        console.error('Create gate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create gate'
+        });
+    }
+};
+
+/**
+ * List gate devices with the watchman currently on shift
+ * Query: gateId, includeRevoked
+ */
+const listDevices = async (req, res) => {
+    try {
+        const { gateId, includeRevoked } = req.query;
+
+        let query = `
+            SELECT gd.id, gd.device_name, gd.key_prefix, gd.gate_id, g.gate_name,
+                   gd.last_seen_at, gd.last_ip, gd.created_at,
+                   gd.revoked_at, gd.revoke_reason,
+                   ds.started_at as shift_started_at,
+                   st.staff_name as on_shift_name
+            FROM gate_devices gd
+            JOIN gates g ON gd.gate_id = g.id
+            LEFT JOIN device_shifts ds ON ds.device_id = gd.id AND ds.ended_at IS NULL
+            LEFT JOIN staff st ON ds.watchman_user_id = st.user_id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (gateId) {
+            query += ' AND gd.gate_id = ?';
+            params.push(gateId);
+        }
+
+        if (includeRevoked !== 'true') {
+            query += ' AND gd.revoked_at IS NULL';
+        }
+
+        query += ' ORDER BY g.gate_name, gd.device_name';
+
+        const devices = await db.getMany(query, params);
+
+        res.json({
+            success: true,
+            data: devices
+        });
+
+    } catch (error) {
+        console.error('List gate devices error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch gate devices'
+        });
+    }
+};
+
+/**
+ * Register a gate device; the API key is only shown in this response
+ * Body: { deviceName, gateId }
+ */
+const registerDevice = async (req, res) => {
+    try {
+        const { deviceName, gateId } = req.body;
+
+        if (!deviceName || !gateId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device name and gate are required'
+            });
+        }
+
+        const gate = await db.getOne(
+            'SELECT id, gate_name FROM gates WHERE id = ? AND is_active = TRUE',
+            [gateId]
+        );
+
+        if (!gate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Gate not found'
+            });
+        }
+
+        const keyPrefix = generateRandomString(4);
+        const apiKey = `gd_${keyPrefix}_${generateRandomString(24)}`;
+
+        const deviceId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO gate_devices (gate_id, device_name, key_prefix, api_key_hash, registered_by)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [gate.id, deviceName, keyPrefix, hashToken(apiKey), req.user.id]
+            );
+
+            await writeAuditLog(conn, req, 'GATE_DEVICE_REGISTERED', 'gate_devices', result.insertId, null, {
+                deviceName,
+                gate: gate.gate_name,
+                keyPrefix
+            });
+
+            return result.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Device registered. Store the API key on the device now; it cannot be shown again.',
+            data: {
+                deviceId,
+                deviceName,
+                gateId: gate.id,
+                gateName: gate.gate_name,
+                apiKey
+            }
+        });
+
+    } catch (error) {
+        console.error('Register gate device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register device'
+        });
+    }
+};
+
+/**
+ * Revoke a lost or retired device (its key stops working immediately)
+ * Body: { reason }
+ */
+const revokeDevice = async (req, res) => {
+    try {
+        const { deviceId } = req.params;
+        const { reason } = req.body;
+
+        const device = await db.getOne(
+            'SELECT id, device_name, revoked_at FROM gate_devices WHERE id = ?',
+            [deviceId]
+        );
+
+        if (!device) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device not found'
+            });
+        }
+
+        if (device.revoked_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Device is already revoked'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE gate_devices
+                 SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+                 WHERE id = ?`,
+                [req.user.id, reason || null, device.id]
+            );
+
+            await conn.execute(
+                `UPDATE device_shifts SET ended_at = NOW(), end_reason = 'DEVICE_REVOKED'
+                 WHERE device_id = ? AND ended_at IS NULL`,
+                [device.id]
+            );
+
+            await writeAuditLog(conn, req, 'GATE_DEVICE_REVOKED', 'gate_devices', device.id, null, {
+                deviceName: device.device_name,
+                reason: reason || null
+            });
+        });
+
+        res.json({
+            success: true,
+            message: 'Device revoked successfully'
+        });
+
+    } catch (error) {
+        console.error('Revoke gate device error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke device'
+        });
+    }
+};
+
+// =====================================================
+// DEVICE: WATCHMAN SHIFTS
+// =====================================================
+
+/**
+ * Current device and the watchman signed in on it
+ */
+const getCurrentShift = async (req, res) => {
+    try {
+        const shift = await db.getOne(
+            `SELECT ds.id, ds.watchman_user_id, ds.started_at, st.staff_name
+             FROM device_shifts ds
+             JOIN staff st ON ds.watchman_user_id = st.user_id
+             WHERE ds.device_id = ? AND ds.ended_at IS NULL`,
+            [req.gateDevice.id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                device: req.gateDevice,
+                shift: shift ? {
+                    id: shift.id,
+                    watchmanUserId: shift.watchman_user_id,
+                    watchmanName: shift.staff_name,
+                    startedAt: shift.started_at
+                } : null
+            }
+        });
+
+    } catch (error) {
+        console.error('Get device shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch shift'
+        });
+    }
+};
+
+/**
+ * Watchman signs in on the device
+ * Body: { email, password, code | recoveryCode (if 2FA is enabled) }
+ * Ends whoever was signed in on this device, and the watchman's shift on any other device
+ */
+const startShift = async (req, res) => {
+    try {
+        const { email, password, code, recoveryCode } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email and password are required'
+            });
+        }
+
+        const user = await db.getOne(
+            `SELECT u.id, u.password_hash, u.is_active, st.staff_name
+             FROM users u
+             JOIN roles r ON u.role_id = r.id
+             JOIN staff st ON u.id = st.user_id
+             WHERE u.email = ? AND r.role_name NOT IN ('STUDENT', 'PARENT')`,
+            [email]
+        );
+
+        if (!user) {
+            // Counted like a wrong password so lockouts don't reveal which emails exist
+            const blocked = await recordUnknownLoginFailure(email);
+
+            if (blocked) {
+                return sendLoginBlocked(res, blocked);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        const loginAllowed = await checkLoginAllowed(user.id);
+
+        if (!loginAllowed.allowed) {
+            return sendLoginBlocked(res, loginAllowed);
+        }
+
+        // Seeded staff have no password until an admin sets one
+        const passwordMatch = !!user.password_hash && await comparePassword(password, user.password_hash);
+
+        if (!passwordMatch) {
+            const failure = await recordFailedLogin(user.id, req);
+
+            if (failure.locked) {
+                return sendLoginBlocked(res, failure);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        await clearFailedLogins(user.id);
+
+        if (!user.is_active) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is not active'
+            });
+        }
+
+        if (!(await hasPermission(user.id, 'GATE_SCAN'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not allowed to operate gate devices'
+            });
+        }
+
+        const twoFactorStatus = await twoFactor.getStatus(user.id);
+
+        if (twoFactorStatus.enabled) {
+            if (!code && !recoveryCode) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Enter the code from your authenticator app',
+                    requiresTwoFactor: true
+                });
+            }
+
+            const verification = await twoFactor.verifyCode(user.id, { code, recoveryCode });
+
+            if (!verification.success) {
+                return res.status(verification.code === 'TWO_FACTOR_LOCKED' ? 429 : 401).json({
+                    success: false,
+                    message: verification.message,
+                    code: verification.code
+                });
+            }
+        }
+
+        const shiftId = await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE device_shifts SET ended_at = NOW(), end_reason = 'REPLACED'
+                 WHERE device_id = ? AND ended_at IS NULL`,
+                [req.gateDevice.id]
+            );
+
+            await conn.execute(
+                `UPDATE device_shifts SET ended_at = NOW(), end_reason = 'MOVED_DEVICE'
+                 WHERE watchman_user_id = ? AND ended_at IS NULL`,
+                [user.id]
+            );
+
+            const [result] = await conn.execute(
+                'INSERT INTO device_shifts (device_id, watchman_user_id) VALUES (?, ?)',
+                [req.gateDevice.id, user.id]
+            );
+
+            await writeAuditLog(conn, req, 'GATE_SHIFT_STARTED', 'device_shifts', result.insertId, null, {
+                deviceId: req.gateDevice.id,
+                gate: req.gateDevice.gateName
+            }, user.id);
+
+            return result.insertId;
+        });
+
+        res.json({
+            success: true,
+            message: `${user.staff_name} signed in at ${req.gateDevice.gateName}`,
+            data: {
+                shiftId,
+                watchmanUserId: user.id,
+                watchmanName: user.staff_name,
+                device: req.gateDevice
+            }
+        });
+
+    } catch (error) {
+        console.error('Start shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign in on device'
+        });
+    }
+};
+
+/**
+ * Watchman signs out of the device
+ */
+const endShift = async (req, res) => {
+    try {
+        const { shift } = req.gateDevice;
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE device_shifts SET ended_at = NOW(), end_reason = 'SIGNED_OUT'
+                 WHERE id = ? AND ended_at IS NULL`,
+                [shift.id]
+            );
+
+            await writeAuditLog(conn, req, 'GATE_SHIFT_ENDED', 'device_shifts', shift.id, null, {
+                deviceId: req.gateDevice.id
+            }, shift.watchmanUserId);
+        });
+
+        res.json({
+            success: true,
+            message: 'Signed out of device'
+        });
+
+    } catch (error) {
+        console.error('End shift error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sign out of device'
+        });
+    }
+};
+
+module.exports = {
+    listGates,
+    createGate,
+    listDevices,
+    registerDevice,
+    revokeDevice,
+    getCurrentShift,
+    startShift,
+    endShift
+};
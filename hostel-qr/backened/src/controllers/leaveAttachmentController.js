@@ -0,0 +1,273 @@
+// =====================================================
+// LEAVE ATTACHMENT CONTROLLER (Supporting documents)
+// =====================================================
+
+const db = require('../config/database');
+const { notifyUsers } = require('../services/notifications');
+const leaveWorkflow = require('../services/leaveWorkflow');
+const leaveAttachments = require('../services/leaveAttachments');
+
+/**
+ * A leave the current user may see, or null
+ */
+const findViewableLeave = async (req) => {
+    const leave = await db.getOne(
+        `SELECT la.id, la.student_id, la.workflow_id, s.user_id as student_user_id
+         FROM leave_applications la
+         JOIN students s ON la.student_id = s.id
+         WHERE la.id = ?`,
+        [req.params.leaveId]
+    );
+
+    if (!leave || !(await leaveWorkflow.canViewLeave(req.user.id, leave))) {
+        return null;
+    }
+
+    return leave;
+};
+
+// =====================================================
+// STUDENT OPERATIONS
+// =====================================================
+
+/**
+ * Attach documents to own pending or upcoming approved leave
+ * Multipart body: attachments (one or more PDF, JPEG or PNG files)
+ */
+const uploadAttachments = async (req, res) => {
+    try {
+        const { leaveId } = req.params;
+
+        const leave = await db.getOne(
+            `SELECT la.*, s.student_name, s.user_id as student_user_id,
+                    la.to_date < CURDATE() as has_ended,
+                    (SELECT COUNT(*) FROM leave_attachments a
+                     WHERE a.leave_application_id = la.id) as attachment_count
+             FROM leave_applications la
+             JOIN students s ON la.student_id = s.id
+             WHERE la.id = ? AND s.user_id = ?`,
+            [leaveId, req.user.id]
+        );
+
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave application not found'
+            });
+        }
+
+        const openStatuses = [...leaveWorkflow.PENDING_STATUSES, ...leaveWorkflow.APPROVED_STATUSES];
+
+        if (!openStatuses.includes(leave.status) || leave.has_ended) {
+            return res.status(400).json({
+                success: false,
+                message: 'Documents can only be attached to pending or upcoming approved leaves'
+            });
+        }
+
+        const validationError = leaveAttachments.validateFiles(req.files);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const maxPerLeave = leaveAttachments.getMaxPerLeave();
+
+        if (leave.attachment_count + req.files.length > maxPerLeave) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${maxPerLeave} files can be attached to a leave`
+            });
+        }
+
+        const stored = await leaveAttachments.storeFiles(req.files);
+
+        try {
+            await db.transaction(async (conn) => {
+                for (const file of stored) {
+                    await conn.execute(
+                        `INSERT INTO leave_attachments
+                         (leave_application_id, uploaded_by, original_name, mime_type,
+                          size_bytes, sha256, storage_key)
+                         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                        [leave.id, req.user.id, file.originalName, file.mimeType,
+                         file.sizeBytes, file.sha256, file.storageKey]
+                    );
+                }
+
+                await notifyUsers(conn, await leaveWorkflow.getCurrentApproverIds(conn, leave), {
+                    type: 'LEAVE_ATTACHMENT_ADDED',
+                    title: 'Leave Document Added',
+                    message: `${leave.student_name} has attached ${stored.length} document(s) to a leave application`,
+                    leaveId: leave.id
+                });
+            });
+        } catch (error) {
+            await leaveAttachments.removeFiles(stored.map(file => file.storageKey));
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Documents attached successfully',
+            data: stored.map(file => ({
+                originalName: file.originalName,
+                mimeType: file.mimeType,
+                sizeBytes: file.sizeBytes,
+                sha256: file.sha256
+            }))
+        });
+
+    } catch (error) {
+        console.error('Upload leave attachments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to attach documents'
+        });
+    }
+};
+
+/**
+ * Remove a document from own leave while it is still pending
+ */
+const deleteAttachment = async (req, res) => {
+    try {
+        const { leaveId, attachmentId } = req.params;
+
+        const attachment = await db.getOne(
+            `SELECT a.id, a.storage_key, la.status
+             FROM leave_attachments a
+             JOIN leave_applications la ON a.leave_application_id = la.id
+             JOIN students s ON la.student_id = s.id
+             WHERE a.id = ? AND la.id = ? AND s.user_id = ?`,
+            [attachmentId, leaveId, req.user.id]
+        );
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        if (!leaveWorkflow.PENDING_STATUSES.includes(attachment.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Documents can only be removed while the leave is pending'
+            });
+        }
+
+        await db.query('DELETE FROM leave_attachments WHERE id = ?', [attachment.id]);
+        await leaveAttachments.removeFiles([attachment.storage_key]);
+
+        res.json({
+            success: true,
+            message: 'Attachment removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete leave attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove attachment'
+        });
+    }
+};
+
+// =====================================================
+// VIEWING (Student, guardians, approving staff)
+// =====================================================
+
+/**
+ * List the documents attached to a leave
+ */
+const listAttachments = async (req, res) => {
+    try {
+        const leave = await findViewableLeave(req);
+
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave application not found'
+            });
+        }
+
+        const attachments = await db.getMany(
+            `SELECT id, original_name, mime_type, size_bytes, sha256, created_at
+             FROM leave_attachments
+             WHERE leave_application_id = ?
+             ORDER BY id`,
+            [leave.id]
+        );
+
+        res.json({
+            success: true,
+            data: attachments
+        });
+
+    } catch (error) {
+        console.error('List leave attachments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch attachments'
+        });
+    }
+};
+
+/**
+ * Download a document attached to a leave
+ */
+const downloadAttachment = async (req, res) => {
+    try {
+        const leave = await findViewableLeave(req);
+
+        const attachment = leave && await db.getOne(
+            `SELECT original_name, mime_type, storage_key
+             FROM leave_attachments
+             WHERE id = ? AND leave_application_id = ?`,
+            [req.params.attachmentId, leave.id]
+        );
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        res.attachment(attachment.original_name);
+        res.type(attachment.mime_type);
+        res.set({
+            'Cache-Control': 'private, no-store',
+            'X-Content-Type-Options': 'nosniff'
+        });
+
+        res.sendFile(leaveAttachments.getFilePath(attachment.storage_key), (error) => {
+            if (error && !res.headersSent) {
+                console.error('Send leave attachment error:', error);
+                res.removeHeader('Content-Disposition');
+                res.status(404).json({
+                    success: false,
+                    message: 'Attachment file is missing'
+                });
+            }
+        });
+
+    } catch (error) {
+        console.error('Download leave attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download attachment'
+        });
+    }
+};
+
+module.exports = {
+    uploadAttachments,
+    deleteAttachment,
+    listAttachments,
+    downloadAttachment
+};
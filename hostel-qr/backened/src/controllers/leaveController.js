@@ -8,8 +8,110 @@ const {
     isFutureDate,
     generateQRCodeData,
     generateQRCodeImage,
-    validateQRCode
+    validateQRCode,
+    getGuardianUserIds
 } = require('../utils/helpers');
+const { getUserIdsWithPermission } = require('../services/permissions');
+const { notifyUsers, createNotificationBatch } = require('../services/notifications');
+const leaveWorkflow = require('../services/leaveWorkflow');
+const leavePolicy = require('../services/leavePolicy');
+const leaveQuota = require('../services/leaveQuota');
+const academicCalendar = require('../services/academicCalendar');
+
+// Leave fields a student may edit (request field -> column)
+const EDITABLE_FIELDS = {
+    fromDate: 'from_date',
+    toDate: 'to_date',
+    reason: 'reason',
+    destination: 'destination',
+    contactDuringLeave: 'contact_during_leave',
+    leaveType: 'leave_type'
+};
+
+// Length of leave_applications.cancel_reason
+const CANCEL_REASON_MAX_LENGTH = 255;
+
+// Most leaves one bulk request may decide
+const BULK_PROCESS_LIMIT = parseInt(process.env.LEAVE_BULK_PROCESS_LIMIT) || 200;
+
+// Tries at writing a bulk request's notifications once its decisions are committed
+const BULK_NOTIFY_ATTEMPTS = 2;
+
+/**
+ * Approve/reject the current staff stage of a leave
+ * permission limits the call to stages of that permission (role endpoints)
+ * Body: { action, remarks?, overrideJustification? } - the justification is
+ * needed to approve leave during an exam blackout or restricted window
+ */
+const processStageAction = async (req, res, permission = null) => {
+    const { leaveId } = req.params;
+    const { action, remarks, overrideJustification } = req.body; // action: 'approve' or 'reject'
+
+    if (!action || !['approve', 'reject'].includes(action)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Valid action (approve/reject) is required'
+        });
+    }
+
+    const result = await leaveWorkflow.actOnLeave(leaveId, req.user.id, {
+        action,
+        remarks,
+        permission,
+        approverType: 'PERMISSION',
+        overrideJustification
+    });
+
+    if (!result.success) {
+        return res.status(result.statusCode).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    res.json({
+        success: true,
+        message: result.nextStage
+            ? `Leave approved and forwarded to ${result.nextStage}`
+            : `Leave ${action === 'approve' ? 'approved' : 'rejected'} successfully`,
+        data: {
+            status: result.status,
+            nextStage: result.nextStage
+        }
+    });
+};
+
+/**
+ * Another pending or approved leave of the student overlapping these dates
+ */
+const findOverlappingLeave = async (studentId, fromDate, toDate, excludeLeaveId = null) => {
+    return await db.getOne(
+        `SELECT id FROM leave_applications 
+         WHERE student_id = ? 
+         AND id <> ?
+         AND status IN ('PENDING_PARENT', 'PENDING', 'APPROVED_DW', 'APPROVED_PRINCIPAL')
+         AND (
+             (? BETWEEN from_date AND to_date)
+             OR (? BETWEEN from_date AND to_date)
+             OR (from_date BETWEEN ? AND ?)
+         )`,
+        [studentId, excludeLeaveId || 0, fromDate, toDate, fromDate, toDate]
+    );
+};
+
+/**
+ * Whether the student's latest valid gate scan is an exit
+ */
+const isStudentOutside = async (studentId) => {
+    const lastLog = await db.getOne(
+        `SELECT action_type FROM gate_logs
+         WHERE student_id = ? AND validation_status = 'VALID'
+         ORDER BY scan_timestamp DESC LIMIT 1`,
+        [studentId]
+    );
+
+    return !!lastLog && lastLog.action_type === 'EXIT';
+};
 
 // =====================================================
 // STUDENT LEAVE OPERATIONS
@@ -31,7 +133,8 @@ const applyLeave = async (req, res) => {
 
         // Get student ID from authenticated user
         const student = await db.getOne(
-            'SELECT id, student_name, parent_id FROM students WHERE user_id = ?',
+            `SELECT id, student_name, department, year_of_study
+             FROM students WHERE user_id = ?`,
             [req.user.id]
         );
 
@@ -50,41 +153,27 @@ const applyLeave = async (req, res) => {
             });
         }
 
-        const from = new Date(fromDate);
-        const to = new Date(toDate);
+        const policy = await leavePolicy.getPolicy(leaveType || 'REGULAR');
 
-        if (to < from) {
+        if (!policy) {
             return res.status(400).json({
                 success: false,
-                message: 'To date must be after from date'
+                message: 'Unknown leave type'
             });
         }
 
-        // Check minimum advance days
-        const minAdvanceDays = parseInt(process.env.MIN_ADVANCE_DAYS) || 2;
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        const daysUntilLeave = Math.ceil((from - today) / (1000 * 60 * 60 * 24));
+        // Advance days and maximum duration of this leave type
+        const dateError = leavePolicy.checkLeaveDates(policy, fromDate, toDate);
 
-        if (daysUntilLeave < minAdvanceDays) {
+        if (dateError) {
             return res.status(400).json({
                 success: false,
-                message: `Leave must be applied at least ${minAdvanceDays} days in advance`
+                message: dateError
             });
         }
 
         // Check for overlapping leaves
-        const overlappingLeave = await db.getOne(
-            `SELECT id FROM leave_applications 
-             WHERE student_id = ? 
-             AND status IN ('PENDING', 'APPROVED_DW', 'APPROVED_PRINCIPAL')
-             AND (
-                 (? BETWEEN from_date AND to_date)
-                 OR (? BETWEEN from_date AND to_date)
-                 OR (from_date BETWEEN ? AND ?)
-             )`,
-            [student.id, fromDate, toDate, fromDate, toDate]
-        );
+        const overlappingLeave = await findOverlappingLeave(student.id, fromDate, toDate);
 
         if (overlappingLeave) {
             return res.status(409).json({
@@ -93,67 +182,113 @@ const applyLeave = async (req, res) => {
             });
         }
 
+        // Exam blackouts and restricted windows of the academic calendar
+        const calendarCheck = await academicCalendar.checkApplication(student, fromDate, toDate);
+
+        if (calendarCheck && calendarCheck.reject) {
+            return res.status(409).json({
+                success: false,
+                message: calendarCheck.message,
+                data: { calendarEvents: calendarCheck.events }
+            });
+        }
+
+        // Term quotas: over-quota leaves are rejected or flagged for approvers
+        const quotaCheck = await leaveQuota.checkQuota({
+            studentId: student.id,
+            yearOfStudy: student.year_of_study,
+            policy,
+            fromDate,
+            toDate
+        });
+
+        if (quotaCheck && quotaCheck.reject) {
+            return res.status(422).json({
+                success: false,
+                message: quotaCheck.message,
+                data: { quota: quotaCheck.terms }
+            });
+        }
+
         // Calculate leave duration
         const duration = daysBetween(fromDate, toDate);
 
+        // Pick the approval chain for this leave
+        const facts = {
+            leaveType: policy.leave_type,
+            duration,
+            department: student.department,
+            yearOfStudy: student.year_of_study
+        };
+
+        const workflow = await leaveWorkflow.resolveWorkflow(facts, policy);
+
+        if (!workflow) {
+            return res.status(422).json({
+                success: false,
+                message: 'No approval workflow is configured for this leave. Please contact the hostel office.'
+            });
+        }
+
         // Start transaction
         const result = await db.transaction(async (conn) => {
             // Create leave application
             const [leaveResult] = await conn.execute(
                 `INSERT INTO leave_applications 
                  (student_id, leave_type, from_date, to_date, reason, destination, 
-                  contact_during_leave, status)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING')`,
-                [student.id, leaveType || 'REGULAR', fromDate, toDate, reason, 
-                 destination, contactDuringLeave]
+                  contact_during_leave, status, over_quota)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING', ?)`,
+                [student.id, facts.leaveType, fromDate, toDate, reason, 
+                 destination, contactDuringLeave, !!quotaCheck]
             );
 
             const leaveId = leaveResult.insertId;
 
-            // Notify parent
-            if (student.parent_id) {
-                await conn.execute(
-                    `INSERT INTO notifications 
-                     (user_id, notification_type, title, message, related_leave_id)
-                     VALUES (?, 'LEAVE_APPLIED', 'Leave Application', ?, ?)`,
-                    [
-                        student.parent_id,
-                        `${student.student_name} has applied for leave from ${fromDate} to ${toDate}`,
-                        leaveId
-                    ]
-                );
-            }
-
-            // Notify Deputy Warden
-            const deputyWardens = await conn.query(
-                `SELECT u.id FROM users u 
-                 JOIN roles r ON u.role_id = r.id 
-                 WHERE r.role_name = 'DEPUTY_WARDEN' AND u.is_active = TRUE`
-            );
-
-            for (const dw of deputyWardens[0]) {
-                await conn.execute(
-                    `INSERT INTO notifications 
-                     (user_id, notification_type, title, message, related_leave_id)
-                     VALUES (?, 'LEAVE_PENDING', 'New Leave Request', ?, ?)`,
-                    [
-                        dw.id,
-                        `New leave request from ${student.student_name} for ${duration} days`,
-                        leaveId
-                    ]
-                );
+            // Start the approval chain (notifies the first stage's approvers)
+            const approval = await leaveWorkflow.startWorkflow(conn, {
+                id: leaveId,
+                student_id: student.id,
+                student_name: student.student_name,
+                student_user_id: req.user.id,
+                from_date: fromDate,
+                to_date: toDate,
+                duration
+            }, workflow, facts);
+
+            // Guardians asked for consent have just been notified
+            if (approval.currentApproverType !== 'GUARDIAN') {
+                await notifyUsers(conn, await getGuardianUserIds(student.id, conn), {
+                    type: 'LEAVE_APPLIED',
+                    title: 'Leave Application',
+                    message: `${student.student_name} has applied for leave from ${fromDate} to ${toDate}`,
+                    leaveId
+                });
             }
 
-            return leaveId;
+            return { leaveId, ...approval };
         });
 
         res.status(201).json({
             success: true,
-            message: 'Leave application submitted successfully',
+            message: [
+                quotaCheck
+                    ? `Leave application submitted. ${quotaCheck.message}, so the approvers will see it as over quota.`
+                    : 'Leave application submitted successfully',
+                calendarCheck && calendarCheck.message
+            ].filter(Boolean).join(' '),
             data: {
-                leaveId: result,
+                leaveId: result.leaveId,
                 duration,
-                requiresPrincipalApproval: duration > (parseInt(process.env.MAX_REGULAR_LEAVE_DAYS) || 15)
+                status: result.status,
+                workflow: workflow.workflow_name,
+                currentStage: result.currentStage,
+                approvalStages: result.stages,
+                requiresPrincipalApproval: result.stages.some(
+                    stage => stage.approverPermission === 'LEAVE_APPROVE_PRINCIPAL'
+                ),
+                requiresAttachment: !!policy.requires_attachment,
+                overQuota: !!quotaCheck,
+                calendarEvents: calendarCheck ? calendarCheck.events : []
             }
         });
 
@@ -179,7 +314,9 @@ const getMyLeaves = async (req, res) => {
         const leaves = await db.getMany(
             `SELECT la.*, 
                     dw.staff_name as approved_by_dw_name,
-                    p.staff_name as approved_by_principal_name
+                    p.staff_name as approved_by_principal_name,
+                    (SELECT COUNT(*) FROM leave_attachments a
+                     WHERE a.leave_application_id = la.id) as attachment_count
              FROM leave_applications la
              LEFT JOIN staff dw ON la.approved_by_dw = dw.id
              LEFT JOIN staff p ON la.approved_by_principal = p.id
@@ -188,9 +325,14 @@ const getMyLeaves = async (req, res) => {
             [student.id]
         );
 
+        const trails = await leaveWorkflow.getApprovalTrails(leaves.map(leave => leave.id));
+
         res.json({
             success: true,
-            data: leaves
+            data: leaves.map(leave => ({
+                ...leave,
+                approvals: trails[leave.id] || []
+            }))
         });
 
     } catch (error) {
@@ -202,6 +344,40 @@ const getMyLeaves = async (req, res) => {
     }
 };
 
+/**
+ * Get student's used and remaining leave days for a term
+ * Query: termId (optional, defaults to the current or next term)
+ */
+const getLeaveBalance = async (req, res) => {
+    try {
+        const student = await db.getOne(
+            'SELECT id, year_of_study FROM students WHERE user_id = ?',
+            [req.user.id]
+        );
+
+        const balance = await leaveQuota.getBalances(student, req.query.termId || null);
+
+        if (!balance) {
+            return res.status(404).json({
+                success: false,
+                message: 'No academic term found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: balance
+        });
+
+    } catch (error) {
+        console.error('Get leave balance error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch leave balance'
+        });
+    }
+};
+
 /**
  * Get QR code for approved leave
  */
@@ -279,241 +455,671 @@ const getLeaveQRCode = async (req, res) => {
     }
 };
 
-// =====================================================
-// DEPUTY WARDEN OPERATIONS
-// =====================================================
-
 /**
- * Get pending leave requests for deputy warden
+ * Edit own pending or upcoming approved leave
+ * Date, policy and overlap checks run again when the dates or type change.
+ * An approved leave, or one whose new details pick another workflow,
+ * goes through approval again from the first stage.
  */
-const getPendingLeaves = async (req, res) => {
+const updateLeave = async (req, res) => {
     try {
-        const maxDays = parseInt(process.env.MAX_REGULAR_LEAVE_DAYS) || 15;
+        const { leaveId } = req.params;
 
-        const leaves = await db.getMany(
-            `SELECT la.*, 
-                    s.college_id, s.student_name, s.department, s.hostel_block, s.room_number,
-                    DATEDIFF(la.to_date, la.from_date) + 1 as duration
+        const leave = await db.getOne(
+            `SELECT la.*, s.student_name, s.department, s.year_of_study,
+                    DATE_FORMAT(la.from_date, '%Y-%m-%d') as from_day,
+                    DATE_FORMAT(la.to_date, '%Y-%m-%d') as to_day,
+                    la.to_date < CURDATE() as has_ended
              FROM leave_applications la
              JOIN students s ON la.student_id = s.id
-             WHERE la.status = 'PENDING'
-             AND DATEDIFF(la.to_date, la.from_date) + 1 <= ?
-             ORDER BY la.created_at ASC`,
-            [maxDays]
+             WHERE la.id = ? AND s.user_id = ?`,
+            [leaveId, req.user.id]
         );
 
+        if (!leave) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave application not found'
+            });
+        }
+
+        const isApproved = leaveWorkflow.APPROVED_STATUSES.includes(leave.status);
+
+        if ((!isApproved && !leaveWorkflow.PENDING_STATUSES.includes(leave.status)) || leave.has_ended) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only pending or upcoming approved leaves can be edited'
+            });
+        }
+
+        if (isApproved && await isStudentOutside(leave.student_id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'You are currently outside the hostel. Leave cannot be edited until you return.'
+            });
+        }
+
+        // Compare as plain values (dates as YYYY-MM-DD)
+        const current = {
+            from_date: leave.from_day,
+            to_date: leave.to_day,
+            reason: leave.reason,
+            destination: leave.destination,
+            contact_during_leave: leave.contact_during_leave,
+            leave_type: leave.leave_type
+        };
+
+        const updated = { ...current };
+
+        for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+            if (req.body[field] !== undefined) {
+                updated[column] = req.body[field];
+            }
+        }
+
+        const changedFields = {};
+
+        for (const column of Object.keys(current)) {
+            if (updated[column] !== current[column]) {
+                changedFields[column] = { from: current[column], to: updated[column] };
+            }
+        }
+
+        if (Object.keys(changedFields).length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'No changes to save'
+            });
+        }
+
+        if (!updated.from_date || !updated.to_date || !updated.reason) {
+            return res.status(400).json({
+                success: false,
+                message: 'From date, to date, and reason are required'
+            });
+        }
+
+        const policy = await leavePolicy.getPolicy(updated.leave_type || 'REGULAR');
+
+        if (!policy) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unknown leave type'
+            });
+        }
+
+        let overQuota = !!leave.over_quota;
+
+        if (changedFields.from_date || changedFields.to_date || changedFields.leave_type) {
+            const dateError = leavePolicy.checkLeaveDates(policy, updated.from_date, updated.to_date);
+
+            if (dateError) {
+                return res.status(400).json({
+                    success: false,
+                    message: dateError
+                });
+            }
+
+            const overlappingLeave = await findOverlappingLeave(
+                leave.student_id, updated.from_date, updated.to_date, leave.id
+            );
+
+            if (overlappingLeave) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You have an overlapping leave application'
+                });
+            }
+
+            const calendarCheck = await academicCalendar.checkApplication(
+                { id: leave.student_id, department: leave.department, year_of_study: leave.year_of_study },
+                updated.from_date,
+                updated.to_date
+            );
+
+            if (calendarCheck && calendarCheck.reject) {
+                return res.status(409).json({
+                    success: false,
+                    message: calendarCheck.message,
+                    data: { calendarEvents: calendarCheck.events }
+                });
+            }
+
+            const quotaCheck = await leaveQuota.checkQuota({
+                studentId: leave.student_id,
+                yearOfStudy: leave.year_of_study,
+                policy,
+                fromDate: updated.from_date,
+                toDate: updated.to_date,
+                excludeLeaveId: leave.id
+            });
+
+            if (quotaCheck && quotaCheck.reject) {
+                return res.status(422).json({
+                    success: false,
+                    message: quotaCheck.message,
+                    data: { quota: quotaCheck.terms }
+                });
+            }
+
+            overQuota = !!quotaCheck;
+        }
+
+        const duration = daysBetween(updated.from_date, updated.to_date);
+
+        const facts = {
+            leaveType: policy.leave_type,
+            duration,
+            department: leave.department,
+            yearOfStudy: leave.year_of_study
+        };
+
+        const workflow = await leaveWorkflow.resolveWorkflow(facts, policy);
+
+        if (!workflow) {
+            return res.status(422).json({
+                success: false,
+                message: 'No approval workflow is configured for this leave. Please contact the hostel office.'
+            });
+        }
+
+        // Earlier approvals (and parent consent) were given for the old
+        // dates and type, and the stages to skip may differ now
+        const reapprovalRequired = isApproved
+            || workflow.id !== leave.workflow_id
+            || !!(changedFields.from_date || changedFields.to_date || changedFields.leave_type)
+            || await leaveWorkflow.hasStageDecisions(leave.id);
+
+        const result = await db.transaction(async (conn) => {
+            // Only if no stage was decided since the leave was read above
+            const [edited] = await conn.execute(
+                `UPDATE leave_applications
+                 SET from_date = ?, to_date = ?, reason = ?, destination = ?,
+                     contact_during_leave = ?, leave_type = ?, over_quota = ?
+                 WHERE id = ? AND status = ? AND current_stage_id <=> ?`,
+                [updated.from_date, updated.to_date, updated.reason, updated.destination,
+                 updated.contact_during_leave, facts.leaveType, overQuota, leave.id,
+                 leave.status, leave.current_stage_id]
+            );
+
+            if (edited.affectedRows === 0) {
+                return null;
+            }
+
+            const [revisionRows] = await conn.execute(
+                `SELECT COALESCE(MAX(revision_number), 0) + 1 as next_revision
+                 FROM leave_application_revisions WHERE leave_application_id = ?`,
+                [leave.id]
+            );
+
+            const revisionNumber = revisionRows[0].next_revision;
+
+            await conn.execute(
+                `INSERT INTO leave_application_revisions
+                 (leave_application_id, revision_number, edited_by, status_before,
+                  changed_fields, reapproval_required)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [leave.id, revisionNumber, req.user.id, leave.status,
+                 JSON.stringify(changedFields), reapprovalRequired]
+            );
+
+            const leaveRef = {
+                id: leave.id,
+                student_id: leave.student_id,
+                student_name: leave.student_name,
+                student_user_id: req.user.id,
+                current_stage_id: leave.current_stage_id,
+                from_date: updated.from_date,
+                to_date: updated.to_date,
+                duration
+            };
+
+            if (reapprovalRequired) {
+                // A new QR code is issued once the leave is approved again
+                await conn.execute(
+                    `UPDATE leave_applications
+                     SET qr_code_data = NULL, qr_code_generated = FALSE, qr_code_expires_at = NULL
+                     WHERE id = ?`,
+                    [leave.id]
+                );
+
+                const approval = await leaveWorkflow.restartWorkflow(conn, leaveRef, workflow, facts);
+
+                return { revisionNumber, status: approval.status, currentStage: approval.currentStage };
+            }
+
+            // Only the current stage's approvers hear about the change
+            await notifyUsers(conn, await leaveWorkflow.getCurrentApproverIds(conn, leaveRef), {
+                type: 'LEAVE_UPDATED',
+                title: 'Leave Request Updated',
+                message: `${leave.student_name} updated their leave request (${Object.keys(changedFields).join(', ')})`,
+                leaveId: leave.id
+            });
+
+            return { revisionNumber, status: leave.status, currentStage: null };
+        });
+
+        if (!result) {
+            return res.status(409).json({
+                success: false,
+                message: 'Leave status changed while you were editing. Please reload and try again.'
+            });
+        }
+
         res.json({
             success: true,
-            data: leaves
+            message: reapprovalRequired
+                ? 'Leave updated. It has been sent for approval again.'
+                : 'Leave updated successfully',
+            data: {
+                ...result,
+                duration,
+                reapprovalRequired,
+                overQuota
+            }
         });
 
     } catch (error) {
-        console.error('Get pending leaves error:', error);
+        console.error('Update leave error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch pending leaves'
+            message: 'Failed to update leave application'
         });
     }
 };
 
 /**
- * Approve/Reject leave by deputy warden
+ * Cancel own leave (pending or approved); revokes its QR code
+ * Not allowed while the student is outside the hostel
  */
-const processLeaveByDW = async (req, res) => {
+const cancelLeave = async (req, res) => {
     try {
         const { leaveId } = req.params;
-        const { action, remarks } = req.body; // action: 'approve' or 'reject'
+        const { reason } = req.body;
 
-        if (!action || !['approve', 'reject'].includes(action)) {
+        if (reason !== undefined && reason !== null
+            && (typeof reason !== 'string' || reason.length > CANCEL_REASON_MAX_LENGTH)) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid action (approve/reject) is required'
+                message: `Reason must be text of at most ${CANCEL_REASON_MAX_LENGTH} characters`
             });
         }
 
-        // Get staff ID
-        const staff = await db.getOne(
-            'SELECT id FROM staff WHERE user_id = ?',
-            [req.user.id]
-        );
-
         const leave = await db.getOne(
             `SELECT la.*, s.student_name, s.user_id as student_user_id,
-                    DATEDIFF(la.to_date, la.from_date) + 1 as duration
+                    la.to_date < CURDATE() as has_ended
              FROM leave_applications la
              JOIN students s ON la.student_id = s.id
-             WHERE la.id = ? AND la.status = 'PENDING'`,
-            [leaveId]
+             WHERE la.id = ? AND s.user_id = ?`,
+            [leaveId, req.user.id]
         );
 
         if (!leave) {
             return res.status(404).json({
                 success: false,
-                message: 'Leave application not found or already processed'
+                message: 'Leave application not found'
             });
         }
 
-        const maxDays = parseInt(process.env.MAX_REGULAR_LEAVE_DAYS) || 15;
+        const cancellableStatuses = [...leaveWorkflow.PENDING_STATUSES, ...leaveWorkflow.APPROVED_STATUSES];
 
-        if (leave.duration > maxDays) {
+        if (!cancellableStatuses.includes(leave.status) || leave.has_ended) {
             return res.status(400).json({
                 success: false,
-                message: `Leave duration exceeds ${maxDays} days. Principal approval required.`
+                message: 'Only pending or upcoming approved leaves can be cancelled'
             });
         }
 
-        await db.transaction(async (conn) => {
-            const newStatus = action === 'approve' ? 'APPROVED_DW' : 'REJECTED';
+        if (await isStudentOutside(leave.student_id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'You are currently outside the hostel. Leave cannot be cancelled until you return.'
+            });
+        }
+
+        const cancelled = await db.transaction(async (conn) => {
+            const approverIds = await leaveWorkflow.cancelWorkflow(conn, {
+                id: leave.id,
+                student_id: leave.student_id
+            });
+
+            // Decided or cancelled since it was read above
+            if (!approverIds) {
+                return false;
+            }
 
-            // Update leave status
             await conn.execute(
-                `UPDATE leave_applications 
-                 SET status = ?, approved_by_dw = ?, dw_remarks = ?, dw_approved_at = NOW()
+                `UPDATE leave_applications
+                 SET cancelled_at = NOW(), cancel_reason = ?,
+                     qr_revoked_at = IF(qr_code_generated, NOW(), NULL),
+                     qr_code_data = NULL, qr_code_generated = FALSE
                  WHERE id = ?`,
-                [newStatus, staff.id, remarks, leaveId]
+                [reason || null, leave.id]
             );
 
-            // Notify student
-            const notifMessage = action === 'approve' 
-                ? 'Your leave application has been approved'
-                : `Your leave application has been rejected. Reason: ${remarks || 'Not specified'}`;
+            const guardianIds = await getGuardianUserIds(leave.student_id, conn);
 
-            await conn.execute(
-                `INSERT INTO notifications 
-                 (user_id, notification_type, title, message, related_leave_id)
-                 VALUES (?, ?, ?, ?, ?)`,
-                [
-                    leave.student_user_id,
-                    action === 'approve' ? 'LEAVE_APPROVED' : 'LEAVE_REJECTED',
-                    action === 'approve' ? 'Leave Approved' : 'Leave Rejected',
-                    notifMessage,
-                    leaveId
-                ]
-            );
+            await notifyUsers(conn, [...guardianIds, ...approverIds], {
+                type: 'LEAVE_CANCELLED',
+                title: 'Leave Cancelled',
+                message: `${leave.student_name} has cancelled a leave application${reason ? `. Reason: ${reason}` : ''}`,
+                leaveId: leave.id
+            });
+
+            return true;
         });
 
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Leave status changed and it can no longer be cancelled. Please reload.'
+            });
+        }
+
         res.json({
             success: true,
-            message: `Leave ${action === 'approve' ? 'approved' : 'rejected'} successfully`
+            message: 'Leave cancelled successfully'
         });
 
     } catch (error) {
-        console.error('Leave processing error:', error);
+        console.error('Cancel leave error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to process leave application'
+            message: 'Failed to cancel leave'
         });
     }
 };
 
 // =====================================================
-// PRINCIPAL OPERATIONS
+// LEAVE DETAILS (Student, guardians, approvers)
 // =====================================================
 
 /**
- * Get leaves requiring principal approval
+ * Edit history of a leave
  */
-const getLeavesForPrincipal = async (req, res) => {
+const getLeaveRevisions = async (req, res) => {
     try {
-        const maxDays = parseInt(process.env.MAX_REGULAR_LEAVE_DAYS) || 15;
+        const { leaveId } = req.params;
 
-        const leaves = await db.getMany(
-            `SELECT la.*, 
-                    s.college_id, s.student_name, s.department, s.hostel_block,
-                    dw.staff_name as approved_by_dw_name,
-                    DATEDIFF(la.to_date, la.from_date) + 1 as duration
+        const leave = await db.getOne(
+            `SELECT la.id, la.student_id, la.workflow_id, s.user_id as student_user_id
              FROM leave_applications la
              JOIN students s ON la.student_id = s.id
-             LEFT JOIN staff dw ON la.approved_by_dw = dw.id
-             WHERE la.status = 'PENDING'
-             AND DATEDIFF(la.to_date, la.from_date) + 1 > ?
-             ORDER BY la.created_at ASC`,
-            [maxDays]
+             WHERE la.id = ?`,
+            [leaveId]
+        );
+
+        if (!leave || !(await leaveWorkflow.canViewLeave(req.user.id, leave))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave application not found'
+            });
+        }
+
+        const revisions = await db.getMany(
+            `SELECT r.revision_number, r.status_before, r.changed_fields,
+                    r.reapproval_required, r.created_at
+             FROM leave_application_revisions r
+             WHERE r.leave_application_id = ?
+             ORDER BY r.revision_number`,
+            [leaveId]
         );
 
         res.json({
             success: true,
-            data: leaves
+            data: revisions
         });
 
     } catch (error) {
-        console.error('Get principal leaves error:', error);
+        console.error('Get leave revisions error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to fetch leaves'
+            message: 'Failed to fetch leave revisions'
         });
     }
 };
 
+// =====================================================
+// PARENT CONSENT
+// =====================================================
+
 /**
- * Approve/Reject leave by principal
+ * Parent approves or declines a leave waiting for guardian consent
  */
-const processLeaveByPrincipal = async (req, res) => {
+const processLeaveByParent = async (req, res) => {
     try {
         const { leaveId } = req.params;
-        const { action, remarks } = req.body;
+        const { action, remarks } = req.body; // action: 'approve' or 'decline'
 
-        if (!action || !['approve', 'reject'].includes(action)) {
+        if (!action || !['approve', 'decline'].includes(action)) {
             return res.status(400).json({
                 success: false,
-                message: 'Valid action (approve/reject) is required'
+                message: 'Valid action (approve/decline) is required'
             });
         }
 
-        const staff = await db.getOne(
-            'SELECT id FROM staff WHERE user_id = ?',
-            [req.user.id]
-        );
+        const result = await leaveWorkflow.actOnLeave(leaveId, req.user.id, {
+            action: action === 'approve' ? 'approve' : 'reject',
+            remarks,
+            approverType: 'GUARDIAN'
+        });
 
-        const leave = await db.getOne(
-            `SELECT la.*, s.student_name, s.user_id as student_user_id
-             FROM leave_applications la
-             JOIN students s ON la.student_id = s.id
-             WHERE la.id = ? AND la.status = 'PENDING'`,
-            [leaveId]
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.statusCode === 400
+                    ? 'This leave is not waiting for guardian consent'
+                    : result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: action === 'approve'
+                ? 'Consent recorded. The leave has been sent on for approval.'
+                : 'Leave request declined',
+            data: {
+                status: result.status,
+                nextStage: result.nextStage
+            }
+        });
+
+    } catch (error) {
+        console.error('Parent leave consent error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record consent'
+        });
+    }
+};
+
+// =====================================================
+// DEPUTY WARDEN OPERATIONS
+// =====================================================
+
+/**
+ * Get leaves waiting at a deputy warden stage
+ */
+const getPendingLeaves = async (req, res) => {
+    try {
+        const leaves = await leaveQuota.attachQuotaBalances(
+            await leaveWorkflow.getPendingQueue(req.user.id, ['LEAVE_APPROVE_DW'])
         );
 
-        if (!leave) {
-            return res.status(404).json({
+        res.json({
+            success: true,
+            data: leaves
+        });
+
+    } catch (error) {
+        console.error('Get pending leaves error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch pending leaves'
+        });
+    }
+};
+
+/**
+ * Approve/Reject leave by deputy warden
+ */
+const processLeaveByDW = async (req, res) => {
+    try {
+        await processStageAction(req, res, 'LEAVE_APPROVE_DW');
+    } catch (error) {
+        console.error('Leave processing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process leave application'
+        });
+    }
+};
+
+/**
+ * Approve/reject many leaves at the deputy warden stage with one remark
+ * Body: { leaveIds: [], action, remarks?, overrideJustification? }
+ * Each leave is checked and decided on its own (one transaction each), so
+ * one failure doesn't stop the rest. Notifications are sent together once
+ * all leaves are done; if that still fails after a retry the decisions
+ * stand and data.notificationsSent is false.
+ */
+const processLeavesInBulkByDW = async (req, res) => {
+    try {
+        const { leaveIds, action, remarks, overrideJustification } = req.body;
+
+        if (!action || !['approve', 'reject'].includes(action)) {
+            return res.status(400).json({
                 success: false,
-                message: 'Leave application not found or already processed'
+                message: 'Valid action (approve/reject) is required'
             });
         }
 
-        await db.transaction(async (conn) => {
-            const newStatus = action === 'approve' ? 'APPROVED_PRINCIPAL' : 'REJECTED';
+        if (!Array.isArray(leaveIds) || leaveIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'leaveIds must be a non-empty list'
+            });
+        }
 
-            await conn.execute(
-                `UPDATE leave_applications 
-                 SET status = ?, approved_by_principal = ?, principal_remarks = ?, 
-                     principal_approved_at = NOW()
-                 WHERE id = ?`,
-                [newStatus, staff.id, remarks, leaveId]
-            );
+        if (leaveIds.length > BULK_PROCESS_LIMIT) {
+            return res.status(400).json({
+                success: false,
+                message: `At most ${BULK_PROCESS_LIMIT} leaves can be processed at once`
+            });
+        }
 
-            const notifMessage = action === 'approve' 
-                ? 'Your leave application has been approved by Principal'
-                : `Your leave application has been rejected. Reason: ${remarks || 'Not specified'}`;
+        const batch = createNotificationBatch();
+        const results = [];
 
-            await conn.execute(
-                `INSERT INTO notifications 
-                 (user_id, notification_type, title, message, related_leave_id)
-                 VALUES (?, ?, ?, ?, ?)`,
-                [
-                    leave.student_user_id,
-                    action === 'approve' ? 'LEAVE_APPROVED' : 'LEAVE_REJECTED',
-                    action === 'approve' ? 'Leave Approved' : 'Leave Rejected',
-                    notifMessage,
-                    leaveId
-                ]
-            );
+        const ids = [...new Set(leaveIds.map(Number))];
+
+        for (const leaveId of ids) {
+            if (!Number.isInteger(leaveId) || leaveId < 1) {
+                results.push({ leaveId, success: false, message: 'Invalid leave ID' });
+                continue;
+            }
+
+            // Only notifications of leaves that were actually decided are sent
+            const itemBatch = createNotificationBatch();
+
+            try {
+                const result = await leaveWorkflow.actOnLeave(leaveId, req.user.id, {
+                    action,
+                    remarks,
+                    permission: 'LEAVE_APPROVE_DW',
+                    approverType: 'PERMISSION',
+                    overrideJustification,
+                    notify: itemBatch.notify
+                });
+
+                if (!result.success) {
+                    results.push({ leaveId, success: false, message: result.message });
+                    continue;
+                }
+
+                batch.merge(itemBatch);
+                results.push({
+                    leaveId,
+                    success: true,
+                    status: result.status,
+                    nextStage: result.nextStage
+                });
+            } catch (error) {
+                console.error(`Bulk leave processing error (leave ${leaveId}):`, error);
+                results.push({ leaveId, success: false, message: 'Failed to process leave application' });
+            }
+        }
+
+        // Decisions are already committed; a failed notification insert mustn't undo the report
+        let notificationsSent = false;
+
+        for (let attempt = 1; attempt <= BULK_NOTIFY_ATTEMPTS && !notificationsSent; attempt++) {
+            try {
+                await batch.flush();
+                notificationsSent = true;
+            } catch (error) {
+                console.error(`Bulk leave notification error (attempt ${attempt}):`, error);
+            }
+        }
+
+        const processed = results.filter(result => result.success).length;
+
+        res.json({
+            success: true,
+            message: [
+                `${processed} of ${results.length} leave applications ${action === 'approve' ? 'approved' : 'rejected'}`,
+                !notificationsSent && 'but the notifications could not be sent'
+            ].filter(Boolean).join(', '),
+            data: {
+                processed,
+                failed: results.length - processed,
+                notificationsSent,
+                results
+            }
         });
 
+    } catch (error) {
+        console.error('Bulk leave processing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process leave applications'
+        });
+    }
+};
+
+// =====================================================
+// PRINCIPAL OPERATIONS
+// =====================================================
+
+/**
+ * Get leaves waiting at a principal stage
+ */
+const getLeavesForPrincipal = async (req, res) => {
+    try {
+        const leaves = await leaveQuota.attachQuotaBalances(
+            await leaveWorkflow.getPendingQueue(req.user.id, ['LEAVE_APPROVE_PRINCIPAL'])
+        );
+
         res.json({
             success: true,
-            message: `Leave ${action === 'approve' ? 'approved' : 'rejected'} successfully`
+            data: leaves
         });
 
+    } catch (error) {
+        console.error('Get principal leaves error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch leaves'
+        });
+    }
+};
+
+/**
+ * Approve/Reject leave by principal
+ */
+const processLeaveByPrincipal = async (req, res) => {
+    try {
+        await processStageAction(req, res, 'LEAVE_APPROVE_PRINCIPAL');
     } catch (error) {
         console.error('Principal leave processing error:', error);
         res.status(500).json({
@@ -523,6 +1129,49 @@ const processLeaveByPrincipal = async (req, res) => {
     }
 };
 
+// =====================================================
+// STAFF APPROVAL QUEUE (Own and delegated stages)
+// =====================================================
+
+/**
+ * Leaves waiting at any staff stage the user currently answers for,
+ * including stages delegated to them
+ */
+const getMyApprovalQueue = async (req, res) => {
+    try {
+        const leaves = await leaveQuota.attachQuotaBalances(
+            await leaveWorkflow.getPendingQueue(req.user.id)
+        );
+
+        res.json({
+            success: true,
+            data: leaves
+        });
+
+    } catch (error) {
+        console.error('Get approval queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch approval queue'
+        });
+    }
+};
+
+/**
+ * Approve/Reject the current staff stage of a leave, with own or delegated authority
+ */
+const processAssignedLeave = async (req, res) => {
+    try {
+        await processStageAction(req, res);
+    } catch (error) {
+        console.error('Assigned leave processing error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process leave application'
+        });
+    }
+};
+
 // =====================================================
 // EMERGENCY EXTENSION (Parent Request)
 // =====================================================
@@ -539,12 +1188,13 @@ const requestEmergencyExtension = async (req, res) => {
             [req.user.id]
         );
 
-        // Validate leave belongs to parent's child
+        // Validate leave belongs to one of the guardian's students
         const leave = await db.getOne(
-            `SELECT la.*, s.student_name, s.parent_id
+            `SELECT la.*, s.student_name
              FROM leave_applications la
              JOIN students s ON la.student_id = s.id
-             WHERE la.id = ? AND s.parent_id = ?`,
+             JOIN student_guardians sg ON sg.student_id = s.id
+             WHERE la.id = ? AND sg.guardian_user_id = ?`,
             [leaveId, req.user.id]
         );
 
@@ -580,20 +1230,16 @@ const requestEmergencyExtension = async (req, res) => {
                 [leaveId, parent.id, extendedToDate, reason]
             );
 
-            // Notify deputy wardens
-            const deputyWardens = await conn.query(
-                `SELECT u.id FROM users u 
-                 JOIN roles r ON u.role_id = r.id 
-                 WHERE r.role_name = 'DEPUTY_WARDEN' AND u.is_active = TRUE`
-            );
+            // Notify extension approvers
+            const approverIds = await getUserIdsWithPermission('EXTENSION_PROCESS', conn);
 
-            for (const dw of deputyWardens[0]) {
+            for (const approverId of approverIds) {
                 await conn.execute(
                     `INSERT INTO notifications 
                      (user_id, notification_type, title, message, related_leave_id)
                      VALUES (?, 'EXTENSION_REQUEST', 'Emergency Extension Request', ?, ?)`,
                     [
-                        dw.id,
+                        approverId,
                         `Emergency extension requested for ${leave.student_name}'s leave`,
                         leaveId
                     ]
@@ -632,12 +1278,10 @@ const processEmergencyExtension = async (req, res) => {
         );
 
         const extension = await db.getOne(
-            `SELECT ee.*, la.student_id, s.user_id as student_user_id,
-                    p.user_id as parent_user_id
+            `SELECT ee.*, la.student_id, s.user_id as student_user_id
              FROM emergency_extensions ee
              JOIN leave_applications la ON ee.leave_application_id = la.id
              JOIN students s ON la.student_id = s.id
-             JOIN parents p ON ee.requested_by_parent = p.id
              WHERE ee.id = ? AND ee.status = 'PENDING'`,
             [extensionId]
         );
@@ -667,12 +1311,14 @@ const processEmergencyExtension = async (req, res) => {
                 );
             }
 
-            // Notify parent and student
+            // Notify guardians and student
             const message = action === 'approve' 
                 ? 'Emergency extension approved'
                 : `Emergency extension rejected. Reason: ${remarks || 'Not specified'}`;
 
-            for (const userId of [extension.parent_user_id, extension.student_user_id]) {
+            const guardianIds = await getGuardianUserIds(extension.student_id, conn);
+
+            for (const userId of [...guardianIds, extension.student_user_id]) {
                 await conn.execute(
                     `INSERT INTO notifications 
                      (user_id, notification_type, title, message, related_leave_id)
@@ -700,16 +1346,30 @@ module.exports = {
     // Student operations
     applyLeave,
     getMyLeaves,
+    getLeaveBalance,
     getLeaveQRCode,
+    updateLeave,
+    cancelLeave,
+    
+    // Leave details
+    getLeaveRevisions,
+    
+    // Parent consent
+    processLeaveByParent,
     
     // Deputy Warden operations
     getPendingLeaves,
     processLeaveByDW,
+    processLeavesInBulkByDW,
     
     // Principal operations
     getLeavesForPrincipal,
     processLeaveByPrincipal,
     
+    // Staff approval queue
+    getMyApprovalQueue,
+    processAssignedLeave,
+    
     // Emergency extensions
     requestEmergencyExtension,
     processEmergencyExtension
@@ -0,0 +1,200 @@
+// =====================================================
+// LEAVE POLICY CONTROLLER (Leave types and their rules)
+// =====================================================
+
+const db = require('../config/database');
+
+// Request fields of a policy (request field -> column)
+const POLICY_FIELDS = {
+    description: 'description',
+    minAdvanceDays: 'min_advance_days',
+    maxDurationDays: 'max_duration_days',
+    requiresAttachment: 'requires_attachment',
+    workflowId: 'workflow_id',
+    countsTowardQuota: 'counts_toward_quota',
+    isActive: 'is_active'
+};
+
+/**
+ * Leave types a student can apply for, with the rules that apply
+ */
+const listLeaveTypes = async (req, res) => {
+    try {
+        const leaveTypes = await db.getMany(
+            `SELECT leave_type, description, min_advance_days, max_duration_days,
+                    requires_attachment
+             FROM leave_type_policies
+             WHERE is_active = TRUE
+             ORDER BY id`
+        );
+
+        res.json({
+            success: true,
+            data: leaveTypes
+        });
+
+    } catch (error) {
+        console.error('List leave types error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch leave types'
+        });
+    }
+};
+
+/**
+ * List all leave type policies (including disabled ones)
+ */
+const listPolicies = async (req, res) => {
+    try {
+        const policies = await db.getMany(
+            `SELECT ltp.*, w.workflow_name
+             FROM leave_type_policies ltp
+             LEFT JOIN approval_workflows w ON ltp.workflow_id = w.id
+             ORDER BY ltp.id`
+        );
+
+        res.json({
+            success: true,
+            data: policies
+        });
+
+    } catch (error) {
+        console.error('List leave policies error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch leave policies'
+        });
+    }
+};
+
+/**
+ * Create or update the policy of a leave type
+ * Body: any of { description, minAdvanceDays, maxDurationDays, requiresAttachment,
+ *                workflowId, countsTowardQuota, isActive }
+ */
+const savePolicy = async (req, res) => {
+    try {
+        const { leaveType } = req.params;
+
+        if (!/^[A-Z][A-Z_]{2,49}$/.test(leaveType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Leave type must be 3-50 uppercase letters or underscores'
+            });
+        }
+
+        const existing = await db.getOne(
+            'SELECT * FROM leave_type_policies WHERE leave_type = ?',
+            [leaveType]
+        );
+
+        // Unspecified fields keep their current (or default) value
+        const policy = {
+            description: null,
+            min_advance_days: 2,
+            max_duration_days: null,
+            requires_attachment: false,
+            workflow_id: null,
+            counts_toward_quota: true,
+            is_active: true,
+            ...existing
+        };
+
+        for (const [field, column] of Object.entries(POLICY_FIELDS)) {
+            if (req.body[field] !== undefined) {
+                policy[column] = req.body[field];
+            }
+        }
+
+        if (!Number.isInteger(policy.min_advance_days) || policy.min_advance_days < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Minimum advance days must be zero or more'
+            });
+        }
+
+        if (policy.max_duration_days !== null
+            && (!Number.isInteger(policy.max_duration_days) || policy.max_duration_days < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Maximum duration must be a positive number of days'
+            });
+        }
+
+        if (policy.workflow_id !== null) {
+            const workflow = await db.getOne(
+                'SELECT id FROM approval_workflows WHERE id = ?',
+                [policy.workflow_id]
+            );
+
+            if (!workflow) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Approval workflow not found'
+                });
+            }
+        }
+
+        await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO leave_type_policies
+                 (leave_type, description, min_advance_days, max_duration_days, requires_attachment,
+                  workflow_id, counts_toward_quota, is_active, updated_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    description = VALUES(description),
+                    min_advance_days = VALUES(min_advance_days),
+                    max_duration_days = VALUES(max_duration_days),
+                    requires_attachment = VALUES(requires_attachment),
+                    workflow_id = VALUES(workflow_id),
+                    counts_toward_quota = VALUES(counts_toward_quota),
+                    is_active = VALUES(is_active),
+                    updated_by = VALUES(updated_by)`,
+                [
+                    leaveType,
+                    policy.description,
+                    policy.min_advance_days,
+                    policy.max_duration_days,
+                    !!policy.requires_attachment,
+                    policy.workflow_id,
+                    !!policy.counts_toward_quota,
+                    !!policy.is_active,
+                    req.user.id
+                ]
+            );
+
+            await conn.execute(
+                `INSERT INTO audit_logs
+                 (user_id, action, table_name, record_id, old_value, new_value, ip_address, user_agent)
+                 VALUES (?, 'LEAVE_POLICY_SAVED', 'leave_type_policies', ?, ?, ?, ?, ?)`,
+                [
+                    req.user.id,
+                    existing ? existing.id : result.insertId,
+                    existing ? JSON.stringify(existing) : null,
+                    JSON.stringify({ leaveType, ...req.body }),
+                    req.ip,
+                    req.headers['user-agent'] || null
+                ]
+            );
+        });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Leave policy updated successfully' : 'Leave type created successfully'
+        });
+
+    } catch (error) {
+        console.error('Save leave policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save leave policy'
+        });
+    }
+};
+
+module.exports = {
+    listLeaveTypes,
+    listPolicies,
+    savePolicy
+};
@@ -0,0 +1,368 @@
+// =====================================================
+// LEAVE QUOTA CONTROLLER (Academic terms and day quotas)
+// =====================================================
+
+const db = require('../config/database');
+const { writeAuditLog, isValidDateString } = require('../utils/helpers');
+
+const OVER_QUOTA_ACTIONS = ['REJECT', 'FLAG'];
+
+/**
+ * Validate a term; returns an error message or null
+ * Terms may not overlap, otherwise a leave would count twice
+ */
+const validateTerm = async (term, excludeTermId = null) => {
+    if (!term.term_name || !isValidDateString(term.start_date) || !isValidDateString(term.end_date)) {
+        return 'Term name, start date and end date (YYYY-MM-DD) are required';
+    }
+
+    if (new Date(term.end_date) < new Date(term.start_date)) {
+        return 'End date must be after start date';
+    }
+
+    const overlapping = await db.getOne(
+        `SELECT term_name FROM academic_terms
+         WHERE start_date <= ? AND end_date >= ? AND id <> ?`,
+        [term.end_date, term.start_date, excludeTermId || 0]
+    );
+
+    if (overlapping) {
+        return `Dates overlap with ${overlapping.term_name}`;
+    }
+
+    return null;
+};
+
+// =====================================================
+// ACADEMIC TERMS
+// =====================================================
+
+/**
+ * List academic terms (latest first)
+ */
+const listTerms = async (req, res) => {
+    try {
+        const terms = await db.getMany(
+            `SELECT t.*,
+                    (CURDATE() BETWEEN t.start_date AND t.end_date) as is_current,
+                    (SELECT COUNT(*) FROM leave_quotas q WHERE q.term_id = t.id) as quota_count
+             FROM academic_terms t
+             ORDER BY t.start_date DESC`
+        );
+
+        res.json({
+            success: true,
+            data: terms
+        });
+
+    } catch (error) {
+        console.error('List academic terms error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch academic terms'
+        });
+    }
+};
+
+/**
+ * Create an academic term
+ * Body: { termName, startDate, endDate }
+ */
+const createTerm = async (req, res) => {
+    try {
+        const term = {
+            term_name: req.body.termName,
+            start_date: req.body.startDate,
+            end_date: req.body.endDate
+        };
+
+        const validationError = await validateTerm(term);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const termId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO academic_terms (term_name, start_date, end_date, created_by)
+                 VALUES (?, ?, ?, ?)`,
+                [term.term_name, term.start_date, term.end_date, req.user.id]
+            );
+
+            await writeAuditLog(conn, req, 'ACADEMIC_TERM_CREATED', 'academic_terms',
+                result.insertId, null, term);
+
+            return result.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Academic term created successfully',
+            data: { termId }
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                message: 'A term with this name already exists'
+            });
+        }
+
+        console.error('Create academic term error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create academic term'
+        });
+    }
+};
+
+/**
+ * Rename or move an academic term
+ * Body: any of { termName, startDate, endDate }
+ */
+const updateTerm = async (req, res) => {
+    try {
+        const existing = await db.getOne(
+            `SELECT id, term_name,
+                    DATE_FORMAT(start_date, '%Y-%m-%d') as start_date,
+                    DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+             FROM academic_terms WHERE id = ?`,
+            [req.params.termId]
+        );
+
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'Academic term not found'
+            });
+        }
+
+        const term = {
+            term_name: req.body.termName !== undefined ? req.body.termName : existing.term_name,
+            start_date: req.body.startDate !== undefined ? req.body.startDate : existing.start_date,
+            end_date: req.body.endDate !== undefined ? req.body.endDate : existing.end_date
+        };
+
+        const validationError = await validateTerm(term, existing.id);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE academic_terms SET term_name = ?, start_date = ?, end_date = ? WHERE id = ?',
+                [term.term_name, term.start_date, term.end_date, existing.id]
+            );
+
+            await writeAuditLog(conn, req, 'ACADEMIC_TERM_UPDATED', 'academic_terms',
+                existing.id, existing, term);
+        });
+
+        res.json({
+            success: true,
+            message: 'Academic term updated successfully'
+        });
+
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({
+                success: false,
+                message: 'A term with this name already exists'
+            });
+        }
+
+        console.error('Update academic term error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update academic term'
+        });
+    }
+};
+
+// =====================================================
+// LEAVE QUOTAS
+// =====================================================
+
+/**
+ * List leave quotas of a term
+ * Query: termId
+ */
+const listQuotas = async (req, res) => {
+    try {
+        const { termId } = req.query;
+
+        if (!termId) {
+            return res.status(400).json({
+                success: false,
+                message: 'termId is required'
+            });
+        }
+
+        const quotas = await db.getMany(
+            `SELECT q.*, p.counts_toward_quota
+             FROM leave_quotas q
+             JOIN leave_type_policies p ON p.leave_type = q.leave_type
+             WHERE q.term_id = ?
+             ORDER BY q.leave_type, q.year_of_study IS NULL, q.year_of_study`,
+            [termId]
+        );
+
+        res.json({
+            success: true,
+            data: quotas
+        });
+
+    } catch (error) {
+        console.error('List leave quotas error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch leave quotas'
+        });
+    }
+};
+
+/**
+ * Create or update the quota of a leave type in a term
+ * Body: { termId, leaveType, yearOfStudy?, maxDays, overQuotaAction? }
+ * yearOfStudy omitted sets the quota for all years.
+ */
+const saveQuota = async (req, res) => {
+    try {
+        const { termId, leaveType, maxDays } = req.body;
+        const yearOfStudy = req.body.yearOfStudy != null ? req.body.yearOfStudy : null;
+        const overQuotaAction = req.body.overQuotaAction || 'REJECT';
+
+        if (!Number.isInteger(maxDays) || maxDays < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Maximum days must be zero or more'
+            });
+        }
+
+        if (yearOfStudy !== null && (!Number.isInteger(yearOfStudy) || yearOfStudy < 1)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Year of study must be a positive number'
+            });
+        }
+
+        if (!OVER_QUOTA_ACTIONS.includes(overQuotaAction)) {
+            return res.status(400).json({
+                success: false,
+                message: `Over quota action must be one of ${OVER_QUOTA_ACTIONS.join(', ')}`
+            });
+        }
+
+        const term = await db.getOne('SELECT id FROM academic_terms WHERE id = ?', [termId]);
+        const policy = await db.getOne(
+            'SELECT leave_type FROM leave_type_policies WHERE leave_type = ?',
+            [leaveType]
+        );
+
+        if (!term || !policy) {
+            return res.status(400).json({
+                success: false,
+                message: 'Academic term or leave type not found'
+            });
+        }
+
+        // The unique key doesn't match NULL years, so look the quota up first
+        const existing = await db.getOne(
+            `SELECT * FROM leave_quotas
+             WHERE term_id = ? AND leave_type = ? AND year_of_study <=> ?`,
+            [term.id, leaveType, yearOfStudy]
+        );
+
+        const quotaId = await db.transaction(async (conn) => {
+            let id = existing && existing.id;
+
+            if (existing) {
+                await conn.execute(
+                    `UPDATE leave_quotas SET max_days = ?, over_quota_action = ?, updated_by = ?
+                     WHERE id = ?`,
+                    [maxDays, overQuotaAction, req.user.id, existing.id]
+                );
+            } else {
+                const [result] = await conn.execute(
+                    `INSERT INTO leave_quotas
+                     (term_id, leave_type, year_of_study, max_days, over_quota_action, updated_by)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [term.id, leaveType, yearOfStudy, maxDays, overQuotaAction, req.user.id]
+                );
+                id = result.insertId;
+            }
+
+            await writeAuditLog(conn, req, 'LEAVE_QUOTA_SAVED', 'leave_quotas', id, existing,
+                { termId: term.id, leaveType, yearOfStudy, maxDays, overQuotaAction });
+
+            return id;
+        });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            message: existing ? 'Leave quota updated successfully' : 'Leave quota created successfully',
+            data: { quotaId }
+        });
+
+    } catch (error) {
+        console.error('Save leave quota error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to save leave quota'
+        });
+    }
+};
+
+/**
+ * Remove a leave quota (the leave type becomes unlimited in that term)
+ */
+const deleteQuota = async (req, res) => {
+    try {
+        const quota = await db.getOne(
+            'SELECT * FROM leave_quotas WHERE id = ?',
+            [req.params.quotaId]
+        );
+
+        if (!quota) {
+            return res.status(404).json({
+                success: false,
+                message: 'Leave quota not found'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute('DELETE FROM leave_quotas WHERE id = ?', [quota.id]);
+
+            await writeAuditLog(conn, req, 'LEAVE_QUOTA_DELETED', 'leave_quotas', quota.id, quota, null);
+        });
+
+        res.json({
+            success: true,
+            message: 'Leave quota removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Delete leave quota error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove leave quota'
+        });
+    }
+};
+
+module.exports = {
+    listTerms,
+    createTerm,
+    updateTerm,
+    listQuotas,
+    saveQuota,
+    deleteQuota
+};
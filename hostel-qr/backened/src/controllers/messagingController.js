@@ -0,0 +1,127 @@
+// =====================================================
+// MESSAGING CONTROLLER (Delivery tracking)
+// =====================================================
+
+const crypto = require('crypto');
+const db = require('../config/database');
+const messaging = require('../services/messaging');
+
+/**
+ * Provider delivery status callback (webhook)
+ * Authenticated with a shared secret in the callback URL (?token=...)
+ */
+const handleStatusCallback = async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const secret = process.env.MESSAGING_WEBHOOK_SECRET;
+        const token = String(req.query.token || '');
+
+        const authorized = secret
+            && token.length === secret.length
+            && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(secret));
+
+        if (!authorized) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook token'
+            });
+        }
+
+        const updated = await messaging.handleStatusCallback(provider, req.body);
+
+        res.json({
+            success: true,
+            data: { updated }
+        });
+
+    } catch (error) {
+        console.error('Messaging status callback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process status callback'
+        });
+    }
+};
+
+/**
+ * List message deliveries (support: "parent did not get the OTP")
+ */
+const getDeliveries = async (req, res) => {
+    try {
+        const { recipient, status, purpose, limit = 50 } = req.query;
+
+        let query = `
+            SELECT id, channel, recipient, purpose, provider, provider_message_id, status,
+                   attempts, last_error, sent_at, delivered_at, created_at
+            FROM message_deliveries
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (recipient) {
+            query += ' AND recipient = ?';
+            params.push(recipient);
+        }
+
+        if (status) {
+            query += ' AND status = ?';
+            params.push(status);
+        }
+
+        if (purpose) {
+            query += ' AND purpose = ?';
+            params.push(purpose);
+        }
+
+        query += ' ORDER BY created_at DESC LIMIT ?';
+        params.push(parseInt(limit));
+
+        const deliveries = await db.getMany(query, params);
+
+        res.json({
+            success: true,
+            data: deliveries
+        });
+
+    } catch (error) {
+        console.error('Get message deliveries error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch message deliveries'
+        });
+    }
+};
+
+/**
+ * Get a single delivery status
+ */
+const getDelivery = async (req, res) => {
+    try {
+        const delivery = await messaging.getDeliveryStatus(req.params.deliveryId);
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: delivery
+        });
+
+    } catch (error) {
+        console.error('Get message delivery error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch message delivery'
+        });
+    }
+};
+
+module.exports = {
+    handleStatusCallback,
+    getDeliveries,
+    getDelivery
+};
@@ -3,6 +3,9 @@
 // =====================================================
 
 const db = require('../config/database');
+const { sendSMS } = require('../services/messaging');
+const { getGuardianLink, sanitizePhoneNumber } = require('../utils/helpers');
+const cache = require('../services/cache');
 
 /**
  * Get parent dashboard
@@ -11,10 +14,11 @@ const getDashboard = async (req, res) => {
     try {
         // Get linked students
         const students = await db.getMany(
-            `SELECT s.*, u.email, u.is_active
+            `SELECT s.*, u.email, u.is_active, sg.relationship, sg.is_primary
              FROM students s
              JOIN users u ON s.user_id = u.id
-             WHERE s.parent_id = ?`,
+             JOIN student_guardians sg ON sg.student_id = s.id
+             WHERE sg.guardian_user_id = ?`,
             [req.user.id]
         );
 
@@ -25,7 +29,8 @@ const getDashboard = async (req, res) => {
                 `SELECT 
                     COUNT(*) as total_leaves,
                     SUM(CASE WHEN status IN ('APPROVED_DW', 'APPROVED_PRINCIPAL') THEN 1 ELSE 0 END) as approved,
-                    SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as pending
+                    SUM(CASE WHEN status IN ('PENDING', 'PENDING_PARENT') THEN 1 ELSE 0 END) as pending,
+                    SUM(CASE WHEN status = 'PENDING_PARENT' THEN 1 ELSE 0 END) as awaiting_consent
                  FROM leave_applications
                  WHERE student_id = ?`,
                 [student.id]
@@ -58,7 +63,10 @@ const getDashboard = async (req, res) => {
                     name: student.student_name,
                     department: student.department,
                     hostelBlock: student.hostel_block,
-                    roomNumber: student.room_number
+                    roomNumber: student.room_number,
+                    isActive: !!student.is_active,
+                    relationship: student.relationship,
+                    isPrimaryGuardian: !!student.is_primary
                 },
                 statistics: leaveStats,
                 activeLeave,
@@ -91,12 +99,16 @@ const getChildrenLeaves = async (req, res) => {
             SELECT la.*, 
                    s.college_id, s.student_name, s.department,
                    dw.staff_name as approved_by_dw_name,
-                   p.staff_name as approved_by_principal_name
+                   p.staff_name as approved_by_principal_name,
+                   ws.stage_name as current_stage_name,
+                   COALESCE(ws.approver_type = 'GUARDIAN', FALSE) as awaiting_consent
             FROM leave_applications la
             JOIN students s ON la.student_id = s.id
+            JOIN student_guardians sg ON sg.student_id = s.id
             LEFT JOIN staff dw ON la.approved_by_dw = dw.id
             LEFT JOIN staff p ON la.approved_by_principal = p.id
-            WHERE s.parent_id = ?
+            LEFT JOIN approval_workflow_stages ws ON ws.id = la.current_stage_id
+            WHERE sg.guardian_user_id = ?
         `;
         const params = [req.user.id];
 
@@ -129,27 +141,25 @@ const getChildrenLeaves = async (req, res) => {
 };
 
 /**
- * Get emergency extension requests
+ * Get emergency extension requests for linked students
  */
 const getEmergencyExtensions = async (req, res) => {
     try {
-        const parent = await db.getOne(
-            'SELECT id FROM parents WHERE user_id = ?',
-            [req.user.id]
-        );
-
         const extensions = await db.getMany(
             `SELECT ee.*, 
                     la.from_date, la.to_date, la.reason as leave_reason,
                     s.college_id, s.student_name,
+                    rp.parent_name as requested_by_name,
                     st.staff_name as approved_by_name
              FROM emergency_extensions ee
              JOIN leave_applications la ON ee.leave_application_id = la.id
              JOIN students s ON la.student_id = s.id
+             JOIN student_guardians sg ON sg.student_id = s.id
+             LEFT JOIN parents rp ON ee.requested_by_parent = rp.id
              LEFT JOIN staff st ON ee.approved_by = st.id
-             WHERE ee.requested_by_parent = ?
+             WHERE sg.guardian_user_id = ?
              ORDER BY ee.created_at DESC`,
-            [parent.id]
+            [req.user.id]
         );
 
         res.json({
@@ -173,13 +183,10 @@ const getStudentGateHistory = async (req, res) => {
     try {
         const { studentId } = req.params;
 
-        // Verify student is linked to this parent
-        const student = await db.getOne(
-            'SELECT id FROM students WHERE id = ? AND parent_id = ?',
-            [studentId, req.user.id]
-        );
+        // Verify student is linked to this guardian
+        const link = await getGuardianLink(req.user.id, studentId);
 
-        if (!student) {
+        if (!link) {
             return res.status(403).json({
                 success: false,
                 message: 'Access denied'
@@ -296,11 +303,330 @@ const markAllNotificationsRead = async (req, res) => {
     }
 };
 
+// =====================================================
+// GUARDIANS
+// =====================================================
+
+/**
+ * List guardians linked to a student
+ */
+const getGuardians = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+
+        const link = await getGuardianLink(req.user.id, studentId);
+
+        if (!link) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const guardians = await db.getMany(
+            `SELECT sg.id, sg.guardian_phone, sg.relationship, sg.is_primary, sg.created_at,
+                    p.parent_name, gu.is_verified,
+                    sg.guardian_user_id IS NOT NULL as is_registered
+             FROM student_guardians sg
+             LEFT JOIN users gu ON sg.guardian_user_id = gu.id
+             LEFT JOIN parents p ON sg.guardian_user_id = p.user_id
+             WHERE sg.student_id = ?
+             ORDER BY sg.is_primary DESC, sg.id ASC`,
+            [studentId]
+        );
+
+        res.json({
+            success: true,
+            data: guardians
+        });
+
+    } catch (error) {
+        console.error('Get guardians error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch guardians'
+        });
+    }
+};
+
+/**
+ * Add a guardian to a student (primary guardian only)
+ * An existing parent account is linked straight away; otherwise the
+ * guardian is invited by SMS and linked when they register.
+ */
+const addGuardian = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+        const { phoneNumber, relationship } = req.body;
+
+        if (!phoneNumber || !relationship) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number and relationship are required'
+            });
+        }
+
+        const link = await getGuardianLink(req.user.id, studentId);
+
+        if (!link || !link.is_primary) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the primary guardian can add guardians'
+            });
+        }
+
+        const sanitizedPhone = sanitizePhoneNumber(phoneNumber);
+
+        const existingLink = await db.getOne(
+            'SELECT id FROM student_guardians WHERE student_id = ? AND guardian_phone = ?',
+            [studentId, sanitizedPhone]
+        );
+
+        if (existingLink) {
+            return res.status(409).json({
+                success: false,
+                message: 'This phone number is already a guardian of the student'
+            });
+        }
+
+        const existingUser = await db.getOne(
+            `SELECT u.id, r.role_name FROM users u
+             JOIN roles r ON u.role_id = r.id
+             WHERE u.phone_number = ?`,
+            [sanitizedPhone]
+        );
+
+        if (existingUser && existingUser.role_name !== 'PARENT') {
+            return res.status(409).json({
+                success: false,
+                message: 'This phone number belongs to another account'
+            });
+        }
+
+        const student = await db.getOne(
+            'SELECT user_id, student_name FROM students WHERE id = ?',
+            [studentId]
+        );
+
+        const guardianId = await db.transaction(async (conn) => {
+            const [result] = await conn.execute(
+                `INSERT INTO student_guardians 
+                 (student_id, guardian_phone, guardian_user_id, relationship, is_primary, added_by)
+                 VALUES (?, ?, ?, ?, FALSE, ?)`,
+                [studentId, sanitizedPhone, existingUser ? existingUser.id : null, relationship, req.user.id]
+            );
+
+            if (existingUser) {
+                await conn.execute(
+                    `INSERT INTO notifications 
+                     (user_id, notification_type, title, message)
+                     VALUES (?, 'GUARDIAN_ADDED', 'Added as Guardian', ?)`,
+                    [existingUser.id, `You have been added as a guardian of ${student.student_name}`]
+                );
+            }
+
+            await conn.execute(
+                `INSERT INTO audit_logs 
+                 (user_id, action, table_name, record_id, new_value, ip_address, user_agent)
+                 VALUES (?, 'GUARDIAN_ADDED', 'student_guardians', ?, ?, ?, ?)`,
+                [
+                    req.user.id,
+                    result.insertId,
+                    JSON.stringify({ studentId: parseInt(studentId), phoneNumber: sanitizedPhone, relationship }),
+                    req.ip,
+                    req.headers['user-agent'] || null
+                ]
+            );
+
+            return result.insertId;
+        });
+
+        // A verified guardian counts towards the student's verification
+        if (existingUser) {
+            await cache.invalidateUser(student.user_id);
+        }
+
+        if (!existingUser) {
+            await sendSMS(
+                sanitizedPhone,
+                `You have been added as a guardian of ${student.student_name} in the Hostel QR app. Register with this number to get started.`,
+                { purpose: 'GUARDIAN_INVITE' }
+            );
+        }
+
+        res.status(201).json({
+            success: true,
+            message: existingUser
+                ? 'Guardian added successfully'
+                : 'Guardian added. They will be linked once they register with this number.',
+            data: {
+                guardianId,
+                isRegistered: !!existingUser
+            }
+        });
+
+    } catch (error) {
+        console.error('Add guardian error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add guardian'
+        });
+    }
+};
+
+/**
+ * Remove a guardian from a student (primary guardian only)
+ */
+const removeGuardian = async (req, res) => {
+    try {
+        const { studentId, guardianId } = req.params;
+
+        const link = await getGuardianLink(req.user.id, studentId);
+
+        if (!link || !link.is_primary) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the primary guardian can remove guardians'
+            });
+        }
+
+        const guardian = await db.getOne(
+            `SELECT sg.*, s.user_id as student_user_id
+             FROM student_guardians sg
+             JOIN students s ON sg.student_id = s.id
+             WHERE sg.id = ? AND sg.student_id = ?`,
+            [guardianId, studentId]
+        );
+
+        if (!guardian) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guardian not found'
+            });
+        }
+
+        if (guardian.is_primary) {
+            return res.status(400).json({
+                success: false,
+                message: 'The primary guardian cannot be removed'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute('DELETE FROM student_guardians WHERE id = ?', [guardianId]);
+
+            await conn.execute(
+                `INSERT INTO audit_logs 
+                 (user_id, action, table_name, record_id, old_value, ip_address, user_agent)
+                 VALUES (?, 'GUARDIAN_REMOVED', 'student_guardians', ?, ?, ?, ?)`,
+                [
+                    req.user.id,
+                    guardianId,
+                    JSON.stringify({
+                        studentId: guardian.student_id,
+                        phoneNumber: guardian.guardian_phone,
+                        relationship: guardian.relationship
+                    }),
+                    req.ip,
+                    req.headers['user-agent'] || null
+                ]
+            );
+        });
+
+        await cache.invalidateUser(guardian.student_user_id);
+
+        res.json({
+            success: true,
+            message: 'Guardian removed successfully'
+        });
+
+    } catch (error) {
+        console.error('Remove guardian error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove guardian'
+        });
+    }
+};
+
+/**
+ * Verify (activate) a linked student account
+ * Used when a guardian who is already registered gets linked to a student
+ */
+const verifyStudent = async (req, res) => {
+    try {
+        const { studentId } = req.params;
+
+        const link = await getGuardianLink(req.user.id, studentId);
+
+        if (!link) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied'
+            });
+        }
+
+        const student = await db.getOne(
+            `SELECT s.id, s.user_id, s.student_name, u.is_active
+             FROM students s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.id = ?`,
+            [studentId]
+        );
+
+        if (student.is_active) {
+            return res.json({
+                success: true,
+                message: 'Student account is already active'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'UPDATE users SET is_active = TRUE, is_verified = TRUE WHERE id = ?',
+                [student.user_id]
+            );
+
+            await conn.execute(
+                `INSERT INTO notifications 
+                 (user_id, notification_type, title, message)
+                 VALUES (?, 'ACCOUNT_ACTIVATED', 'Account Activated', 
+                         'Your account has been activated. You can now complete your profile and apply for leave.')`,
+                [student.user_id]
+            );
+
+            await conn.execute(
+                `INSERT INTO audit_logs (user_id, action, table_name, record_id)
+                 VALUES (?, 'STUDENT_VERIFIED_BY_GUARDIAN', 'users', ?)`,
+                [req.user.id, student.user_id]
+            );
+        });
+
+        await cache.invalidateUser(student.user_id);
+
+        res.json({
+            success: true,
+            message: `${student.student_name}'s account has been activated`
+        });
+
+    } catch (error) {
+        console.error('Verify student error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to verify student'
+        });
+    }
+};
+
 module.exports = {
     getDashboard,
     getChildrenLeaves,
     getEmergencyExtensions,
     getStudentGateHistory,
+    getGuardians,
+    addGuardian,
+    removeGuardian,
+    verifyStudent,
     getNotifications,
     markNotificationRead,
     markAllNotificationsRead
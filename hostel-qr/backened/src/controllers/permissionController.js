@@ -0,0 +1,431 @@
+// =====================================================
+// PERMISSION CONTROLLER (Roles, role permissions, user overrides)
+// =====================================================
+
+const db = require('../config/database');
+const { getEffectivePermissions } = require('../services/permissions');
+const { writeAuditLog } = require('../utils/helpers');
+const cache = require('../services/cache');
+
+/**
+ * Resolve permission names to rows; returns { rows, unknown }
+ */
+const resolvePermissions = async (names) => {
+    if (names.length === 0) {
+        return { rows: [], unknown: [] };
+    }
+
+    const rows = await db.getMany(
+        `SELECT id, permission_name FROM permissions
+         WHERE permission_name IN (${names.map(() => '?').join(', ')})`,
+        names
+    );
+
+    const known = rows.map(row => row.permission_name);
+
+    return { rows, unknown: names.filter(name => !known.includes(name)) };
+};
+
+/**
+ * List all permissions with the roles that grant them
+ */
+const listPermissions = async (req, res) => {
+    try {
+        const permissions = await db.getMany(
+            `SELECT p.id, p.permission_name, p.description,
+                    GROUP_CONCAT(r.role_name ORDER BY r.role_name) as roles
+             FROM permissions p
+             LEFT JOIN role_permissions rp ON rp.permission_id = p.id
+             LEFT JOIN roles r ON rp.role_id = r.id
+             GROUP BY p.id, p.permission_name, p.description
+             ORDER BY p.permission_name`
+        );
+
+        res.json({
+            success: true,
+            data: permissions.map(permission => ({
+                ...permission,
+                roles: permission.roles ? permission.roles.split(',') : []
+            }))
+        });
+
+    } catch (error) {
+        console.error('List permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch permissions'
+        });
+    }
+};
+
+/**
+ * List roles with their permissions
+ */
+const listRoles = async (req, res) => {
+    try {
+        const roles = await db.getMany(
+            `SELECT r.id, r.role_name, r.description,
+                    GROUP_CONCAT(p.permission_name ORDER BY p.permission_name) as permissions,
+                    (SELECT COUNT(*) FROM users u WHERE u.role_id = r.id) as user_count
+             FROM roles r
+             LEFT JOIN role_permissions rp ON rp.role_id = r.id
+             LEFT JOIN permissions p ON rp.permission_id = p.id
+             GROUP BY r.id, r.role_name, r.description
+             ORDER BY r.id`
+        );
+
+        res.json({
+            success: true,
+            data: roles.map(role => ({
+                ...role,
+                permissions: role.permissions ? role.permissions.split(',') : []
+            }))
+        });
+
+    } catch (error) {
+        console.error('List roles error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch roles'
+        });
+    }
+};
+
+/**
+ * Create a staff role (e.g. ASSISTANT_WARDEN)
+ * Body: { roleName, description, permissions: [] }
+ */
+const createRole = async (req, res) => {
+    try {
+        const { roleName, description, permissions = [] } = req.body;
+
+        if (!roleName || !/^[A-Z][A-Z_]{2,49}$/.test(roleName)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Role name must be 3-50 uppercase letters or underscores'
+            });
+        }
+
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Permissions must be a list'
+            });
+        }
+
+        const existing = await db.getOne(
+            'SELECT id FROM roles WHERE role_name = ?',
+            [roleName]
+        );
+
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'Role already exists'
+            });
+        }
+
+        const { rows, unknown } = await resolvePermissions(permissions);
+
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown permissions: ${unknown.join(', ')}`
+            });
+        }
+
+        const roleId = await db.transaction(async (conn) => {
+            const [roleResult] = await conn.execute(
+                'INSERT INTO roles (role_name, description) VALUES (?, ?)',
+                [roleName, description || null]
+            );
+
+            for (const permission of rows) {
+                await conn.execute(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [roleResult.insertId, permission.id]
+                );
+            }
+
+            await writeAuditLog(conn, req, 'ROLE_CREATED', 'roles', roleResult.insertId, null, {
+                roleName,
+                permissions
+            });
+
+            return roleResult.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Role created successfully',
+            data: { roleId, roleName }
+        });
+
+    } catch (error) {
+        console.error('Create role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create role'
+        });
+    }
+};
+
+/**
+ * Replace the permissions granted by a role
+ * Body: { permissions: [] }
+ */
+const setRolePermissions = async (req, res) => {
+    try {
+        const { roleId } = req.params;
+        const { permissions } = req.body;
+
+        if (!Array.isArray(permissions)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Permissions must be a list'
+            });
+        }
+
+        const role = await db.getOne(
+            'SELECT id, role_name FROM roles WHERE id = ?',
+            [roleId]
+        );
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Don't let an admin lock themselves out of permission management
+        if (role.id === req.user.roleId && !permissions.includes('PERMISSIONS_MANAGE')) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot remove PERMISSIONS_MANAGE from your own role'
+            });
+        }
+
+        const { rows, unknown } = await resolvePermissions(permissions);
+
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Unknown permissions: ${unknown.join(', ')}`
+            });
+        }
+
+        const previous = await db.getMany(
+            `SELECT p.permission_name FROM role_permissions rp
+             JOIN permissions p ON rp.permission_id = p.id
+             WHERE rp.role_id = ?`,
+            [role.id]
+        );
+
+        await db.transaction(async (conn) => {
+            await conn.execute('DELETE FROM role_permissions WHERE role_id = ?', [role.id]);
+
+            for (const permission of rows) {
+                await conn.execute(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [role.id, permission.id]
+                );
+            }
+
+            await writeAuditLog(conn, req, 'ROLE_PERMISSIONS_UPDATED', 'roles', role.id,
+                { permissions: previous.map(row => row.permission_name) },
+                { permissions }
+            );
+        });
+
+        await cache.invalidateAllPermissions();
+
+        res.json({
+            success: true,
+            message: `Permissions updated for ${role.role_name}`
+        });
+
+    } catch (error) {
+        console.error('Set role permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update role permissions'
+        });
+    }
+};
+
+/**
+ * Get a user's effective permissions and overrides
+ */
+const getUserPermissions = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        const user = await db.getOne(
+            `SELECT u.id, r.role_name FROM users u
+             JOIN roles r ON u.role_id = r.id
+             WHERE u.id = ?`,
+            [userId]
+        );
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const overrides = await db.getMany(
+            `SELECT p.permission_name, upo.is_granted, upo.reason, upo.granted_by, upo.updated_at
+             FROM user_permission_overrides upo
+             JOIN permissions p ON upo.permission_id = p.id
+             WHERE upo.user_id = ?
+             ORDER BY p.permission_name`,
+            [user.id]
+        );
+
+        res.json({
+            success: true,
+            data: {
+                userId: user.id,
+                role: user.role_name,
+                permissions: await getEffectivePermissions(user.id),
+                overrides
+            }
+        });
+
+    } catch (error) {
+        console.error('Get user permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch user permissions'
+        });
+    }
+};
+
+/**
+ * Grant or revoke a single permission for a user
+ * Body: { isGranted, reason }
+ */
+const setUserPermissionOverride = async (req, res) => {
+    try {
+        const { userId, permissionName } = req.params;
+        const { isGranted, reason } = req.body;
+
+        if (typeof isGranted !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isGranted must be true or false'
+            });
+        }
+
+        if (parseInt(userId) === req.user.id && permissionName === 'PERMISSIONS_MANAGE' && !isGranted) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot revoke PERMISSIONS_MANAGE from yourself'
+            });
+        }
+
+        const user = await db.getOne('SELECT id FROM users WHERE id = ?', [userId]);
+        const { rows } = await resolvePermissions([permissionName]);
+
+        if (!user || rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User or permission not found'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `INSERT INTO user_permission_overrides (user_id, permission_id, is_granted, reason, granted_by)
+                 VALUES (?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                    is_granted = VALUES(is_granted),
+                    reason = VALUES(reason),
+                    granted_by = VALUES(granted_by)`,
+                [user.id, rows[0].id, isGranted, reason || null, req.user.id]
+            );
+
+            await writeAuditLog(conn, req, 'USER_PERMISSION_OVERRIDDEN', 'users', user.id, null, {
+                permission: permissionName,
+                isGranted,
+                reason: reason || null
+            });
+        });
+
+        await cache.invalidateUser(user.id);
+
+        res.json({
+            success: true,
+            message: `${permissionName} ${isGranted ? 'granted to' : 'revoked from'} user`
+        });
+
+    } catch (error) {
+        console.error('Set permission override error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update user permission'
+        });
+    }
+};
+
+/**
+ * Remove a user override (back to the role's permissions)
+ */
+const clearUserPermissionOverride = async (req, res) => {
+    try {
+        const { userId, permissionName } = req.params;
+
+        const override = await db.getOne(
+            `SELECT upo.user_id, upo.permission_id, upo.is_granted
+             FROM user_permission_overrides upo
+             JOIN permissions p ON upo.permission_id = p.id
+             WHERE upo.user_id = ? AND p.permission_name = ?`,
+            [userId, permissionName]
+        );
+
+        if (!override) {
+            return res.status(404).json({
+                success: false,
+                message: 'Override not found'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                'DELETE FROM user_permission_overrides WHERE user_id = ? AND permission_id = ?',
+                [override.user_id, override.permission_id]
+            );
+
+            await writeAuditLog(conn, req, 'USER_PERMISSION_OVERRIDE_CLEARED', 'users', override.user_id,
+                { permission: permissionName, isGranted: !!override.is_granted },
+                null
+            );
+        });
+
+        await cache.invalidateUser(override.user_id);
+
+        res.json({
+            success: true,
+            message: 'Override removed'
+        });
+
+    } catch (error) {
+        console.error('Clear permission override error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove override'
+        });
+    }
+};
+
+module.exports = {
+    listPermissions,
+    listRoles,
+    createRole,
+    setRolePermissions,
+    getUserPermissions,
+    setUserPermissionOverride,
+    clearUserPermissionOverride
+};
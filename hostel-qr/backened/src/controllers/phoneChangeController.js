@@ -0,0 +1,552 @@
+// =====================================================
+// GUARDIAN PHONE CHANGE CONTROLLER
+// =====================================================
+// Flow: request (student or parent) -> OTP to new number -> Deputy Warden
+// approval -> number updated everywhere. Nothing changes until approval,
+// so the student's account keeps working throughout.
+
+const db = require('../config/database');
+const { sendSMS } = require('../services/messaging');
+const {
+    comparePassword,
+    checkOTPRequestAllowed,
+    storeOTP,
+    verifyOTP,
+    sendOTP,
+    sanitizePhoneNumber
+} = require('../utils/helpers');
+const { getUserIdsWithPermission } = require('../services/permissions');
+const cache = require('../services/cache');
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordUnknownLoginFailure,
+    clearFailedLogins,
+    sendLoginBlocked
+} = require('../services/loginSecurity');
+
+const OPEN_STATUSES = "('PENDING_OTP', 'PENDING_APPROVAL')";
+
+/**
+ * Create the request and send the OTP to the new number
+ * target: { studentId, guardianLinkId, guardianUserId, oldPhone }
+ */
+const createChangeRequest = async (res, requestedBy, target, newPhone, reason) => {
+    if (newPhone === target.oldPhone) {
+        return res.status(400).json({
+            success: false,
+            message: 'New phone number is the same as the current one'
+        });
+    }
+
+    const phoneInUse = await db.getOne(
+        'SELECT id FROM users WHERE phone_number = ?',
+        [newPhone]
+    );
+
+    if (phoneInUse) {
+        return res.status(409).json({
+            success: false,
+            message: 'This phone number is already registered to another account'
+        });
+    }
+
+    const otpAllowed = await checkOTPRequestAllowed(newPhone);
+
+    if (!otpAllowed.allowed) {
+        return res.status(429).json({
+            success: false,
+            message: otpAllowed.message,
+            code: otpAllowed.code,
+            ...(otpAllowed.retryAfterSeconds && { retryAfterSeconds: otpAllowed.retryAfterSeconds })
+        });
+    }
+
+    const result = await db.transaction(async (conn) => {
+        // A new request replaces any open one for the same guardian
+        await conn.execute(
+            `UPDATE guardian_phone_change_requests SET status = 'CANCELLED'
+             WHERE status IN ${OPEN_STATUSES}
+             AND (guardian_user_id = ? OR guardian_link_id = ?)`,
+            [target.guardianUserId || 0, target.guardianLinkId || 0]
+        );
+
+        const [requestResult] = await conn.execute(
+            `INSERT INTO guardian_phone_change_requests
+             (student_id, guardian_link_id, guardian_user_id, old_phone, new_phone, reason,
+              requested_by, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, 'PENDING_OTP')`,
+            [
+                target.studentId || null,
+                target.guardianLinkId || null,
+                target.guardianUserId || null,
+                target.oldPhone,
+                newPhone,
+                reason || null,
+                requestedBy
+            ]
+        );
+
+        const otp = await storeOTP(requestedBy, newPhone, 'PHONE_CHANGE', conn);
+
+        return { requestId: requestResult.insertId, otp };
+    });
+
+    await sendOTP(newPhone, result.otp);
+
+    return res.status(201).json({
+        success: true,
+        message: 'OTP sent to the new phone number',
+        data: {
+            requestId: result.requestId,
+            newPhone,
+            requiresOTPVerification: true
+        }
+    });
+};
+
+/**
+ * Student raises a change for one of their guardians
+ * Public (college ID + password) so a student locked out by an
+ * unreachable parent number can still start it
+ */
+const requestByStudent = async (req, res) => {
+    try {
+        const { collegeId, password, guardianId, newPhone, reason } = req.body;
+
+        if (!collegeId || !password || !newPhone) {
+            return res.status(400).json({
+                success: false,
+                message: 'College ID, password and new phone number are required'
+            });
+        }
+
+        const student = await db.getOne(
+            `SELECT s.id, s.user_id, u.password_hash
+             FROM students s
+             JOIN users u ON s.user_id = u.id
+             WHERE s.college_id = ?`,
+            [collegeId]
+        );
+
+        if (!student) {
+            // Counted like a wrong password so lockouts don't reveal which IDs exist
+            const blocked = await recordUnknownLoginFailure(collegeId);
+
+            if (blocked) {
+                return sendLoginBlocked(res, blocked);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        // Same failed-login counter as the student login
+        const loginAllowed = await checkLoginAllowed(student.user_id);
+
+        if (!loginAllowed.allowed) {
+            return sendLoginBlocked(res, loginAllowed);
+        }
+
+        const passwordMatch = await comparePassword(password, student.password_hash);
+
+        if (!passwordMatch) {
+            const failure = await recordFailedLogin(student.user_id, req);
+
+            if (failure.locked) {
+                return sendLoginBlocked(res, failure);
+            }
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        await clearFailedLogins(student.user_id);
+
+        // Default to the primary guardian
+        const link = await db.getOne(
+            guardianId
+                ? 'SELECT * FROM student_guardians WHERE student_id = ? AND id = ?'
+                : 'SELECT * FROM student_guardians WHERE student_id = ? AND is_primary = TRUE',
+            guardianId ? [student.id, guardianId] : [student.id]
+        );
+
+        if (!link) {
+            return res.status(404).json({
+                success: false,
+                message: 'Guardian not found'
+            });
+        }
+
+        return await createChangeRequest(
+            res,
+            student.user_id,
+            {
+                studentId: student.id,
+                guardianLinkId: link.id,
+                guardianUserId: link.guardian_user_id,
+                oldPhone: link.guardian_phone
+            },
+            sanitizePhoneNumber(newPhone),
+            reason
+        );
+
+    } catch (error) {
+        console.error('Guardian phone change request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to raise phone change request'
+        });
+    }
+};
+
+/**
+ * Parent raises a change for their own number (all linked students)
+ */
+const requestByParent = async (req, res) => {
+    try {
+        const { newPhone, reason } = req.body;
+
+        if (!newPhone) {
+            return res.status(400).json({
+                success: false,
+                message: 'New phone number is required'
+            });
+        }
+
+        return await createChangeRequest(
+            res,
+            req.user.id,
+            {
+                guardianUserId: req.user.id,
+                oldPhone: req.user.phoneNumber
+            },
+            sanitizePhoneNumber(newPhone),
+            reason
+        );
+
+    } catch (error) {
+        console.error('Parent phone change request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to raise phone change request'
+        });
+    }
+};
+
+/**
+ * Verify the OTP sent to the new number
+ * Moves the request to the Deputy Warden queue
+ */
+const verifyChangeOTP = async (req, res) => {
+    try {
+        const { requestId, otp } = req.body;
+
+        if (!requestId || !otp) {
+            return res.status(400).json({
+                success: false,
+                message: 'Request ID and OTP are required'
+            });
+        }
+
+        const request = await db.getOne(
+            `SELECT * FROM guardian_phone_change_requests
+             WHERE id = ? AND status = 'PENDING_OTP'`,
+            [requestId]
+        );
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phone change request not found or already verified'
+            });
+        }
+
+        const verification = await verifyOTP(request.new_phone, otp, 'PHONE_CHANGE');
+
+        if (!verification.success || verification.userId !== request.requested_by) {
+            return res.status(verification.code === 'OTP_ATTEMPTS_EXCEEDED' ? 429 : 400).json({
+                success: false,
+                message: verification.message || 'Incorrect OTP',
+                code: verification.code || 'OTP_INVALID',
+                ...(verification.attemptsRemaining !== undefined && { attemptsRemaining: verification.attemptsRemaining })
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE guardian_phone_change_requests
+                 SET status = 'PENDING_APPROVAL', otp_verified_at = NOW()
+                 WHERE id = ?`,
+                [request.id]
+            );
+
+            // Notify phone change approvers
+            const approverIds = await getUserIdsWithPermission('PHONE_CHANGE_APPROVE', conn);
+
+            for (const approverId of approverIds) {
+                await conn.execute(
+                    `INSERT INTO notifications
+                     (user_id, notification_type, title, message)
+                     VALUES (?, 'PHONE_CHANGE_REQUEST', 'Guardian Phone Change', ?)`,
+                    [approverId, `Guardian phone change requested: ${request.old_phone} to ${request.new_phone}`]
+                );
+            }
+        });
+
+        res.json({
+            success: true,
+            message: 'New number verified. The request is awaiting Deputy Warden approval.'
+        });
+
+    } catch (error) {
+        console.error('Phone change OTP verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Verification failed. Please try again.'
+        });
+    }
+};
+
+/**
+ * Get my phone change requests (student or parent)
+ */
+const getMyRequests = async (req, res) => {
+    try {
+        const requests = await db.getMany(
+            `SELECT id, old_phone, new_phone, reason, status, remarks,
+                    otp_verified_at, reviewed_at, created_at
+             FROM guardian_phone_change_requests
+             WHERE requested_by = ? OR guardian_user_id = ?
+             ORDER BY created_at DESC`,
+            [req.user.id, req.user.id]
+        );
+
+        res.json({
+            success: true,
+            data: requests
+        });
+
+    } catch (error) {
+        console.error('Get phone change requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch phone change requests'
+        });
+    }
+};
+
+// =====================================================
+// DEPUTY WARDEN OPERATIONS
+// =====================================================
+
+/**
+ * List phone change requests (default: awaiting approval)
+ */
+const getChangeRequests = async (req, res) => {
+    try {
+        const { status = 'PENDING_APPROVAL' } = req.query;
+
+        const requests = await db.getMany(
+            `SELECT r.*,
+                    p.parent_name,
+                    (SELECT GROUP_CONCAT(CONCAT(s.student_name, ' (', s.college_id, ')') SEPARATOR ', ')
+                     FROM student_guardians sg
+                     JOIN students s ON sg.student_id = s.id
+                     WHERE sg.id = r.guardian_link_id
+                     OR (r.guardian_user_id IS NOT NULL AND sg.guardian_user_id = r.guardian_user_id)
+                    ) as students
+             FROM guardian_phone_change_requests r
+             LEFT JOIN parents p ON r.guardian_user_id = p.user_id
+             WHERE r.status = ?
+             ORDER BY r.created_at ASC`,
+            [status]
+        );
+
+        res.json({
+            success: true,
+            data: requests
+        });
+
+    } catch (error) {
+        console.error('Get phone change queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch phone change requests'
+        });
+    }
+};
+
+/**
+ * Approve/Reject a phone change request
+ */
+const processChangeRequest = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+        const { action, remarks } = req.body;
+
+        if (!['approve', 'reject'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid action. Use "approve" or "reject"'
+            });
+        }
+
+        const staff = await db.getOne(
+            'SELECT id FROM staff WHERE user_id = ?',
+            [req.user.id]
+        );
+
+        const request = await db.getOne(
+            `SELECT r.*, sg.guardian_user_id as link_user_id
+             FROM guardian_phone_change_requests r
+             LEFT JOIN student_guardians sg ON r.guardian_link_id = sg.id
+             WHERE r.id = ? AND r.status = 'PENDING_APPROVAL'`,
+            [requestId]
+        );
+
+        if (!request) {
+            return res.status(404).json({
+                success: false,
+                message: 'Phone change request not found or already processed'
+            });
+        }
+
+        // The guardian may have registered since the request was raised
+        const guardianUserId = request.guardian_user_id || request.link_user_id;
+
+        if (action === 'approve') {
+            const phoneInUse = await db.getOne(
+                'SELECT id FROM users WHERE phone_number = ? AND id <> ?',
+                [request.new_phone, guardianUserId || 0]
+            );
+
+            const linkConflict = await db.getOne(
+                `SELECT sg.id FROM student_guardians sg
+                 JOIN student_guardians target ON target.student_id = sg.student_id
+                 WHERE sg.guardian_phone = ?
+                 AND (target.id = ? OR target.guardian_user_id = ?)
+                 AND sg.id <> target.id`,
+                [request.new_phone, request.guardian_link_id || 0, guardianUserId || 0]
+            );
+
+            if (phoneInUse || linkConflict) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'The new phone number is already in use. Reject this request instead.'
+                });
+            }
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE guardian_phone_change_requests
+                 SET status = ?, reviewed_by = ?, remarks = ?, reviewed_at = NOW()
+                 WHERE id = ?`,
+                [action === 'approve' ? 'APPROVED' : 'REJECTED', staff.id, remarks || null, request.id]
+            );
+
+            if (action === 'approve') {
+                if (guardianUserId) {
+                    await conn.execute(
+                        'UPDATE users SET phone_number = ? WHERE id = ?',
+                        [request.new_phone, guardianUserId]
+                    );
+
+                    await conn.execute(
+                        'UPDATE student_guardians SET guardian_phone = ? WHERE guardian_user_id = ?',
+                        [request.new_phone, guardianUserId]
+                    );
+                } else {
+                    await conn.execute(
+                        'UPDATE student_guardians SET guardian_phone = ? WHERE id = ?',
+                        [request.new_phone, request.guardian_link_id]
+                    );
+                }
+
+                // Keep the primary guardian's number on the student record in sync
+                await conn.execute(
+                    `UPDATE students s
+                     JOIN student_guardians sg ON sg.student_id = s.id
+                     SET s.parent_phone = ?
+                     WHERE sg.is_primary = TRUE AND (sg.id = ? OR sg.guardian_user_id = ?)`,
+                    [request.new_phone, request.guardian_link_id || 0, guardianUserId || 0]
+                );
+
+                await conn.execute(
+                    `INSERT INTO audit_logs
+                     (user_id, action, table_name, record_id, old_value, new_value, ip_address, user_agent)
+                     VALUES (?, 'GUARDIAN_PHONE_CHANGED', 'guardian_phone_change_requests', ?, ?, ?, ?, ?)`,
+                    [
+                        req.user.id,
+                        request.id,
+                        JSON.stringify({ phoneNumber: request.old_phone }),
+                        JSON.stringify({ phoneNumber: request.new_phone, guardianUserId }),
+                        req.ip,
+                        req.headers['user-agent'] || null
+                    ]
+                );
+            } else {
+                await conn.execute(
+                    `INSERT INTO audit_logs
+                     (user_id, action, table_name, record_id, ip_address, user_agent)
+                     VALUES (?, 'GUARDIAN_PHONE_CHANGE_REJECTED', 'guardian_phone_change_requests', ?, ?, ?)`,
+                    [req.user.id, request.id, req.ip, req.headers['user-agent'] || null]
+                );
+            }
+
+            const message = action === 'approve'
+                ? `Guardian phone number changed to ${request.new_phone}`
+                : `Guardian phone change rejected. Reason: ${remarks || 'Not specified'}`;
+
+            const recipients = new Set([request.requested_by, guardianUserId].filter(Boolean));
+
+            for (const userId of recipients) {
+                await conn.execute(
+                    `INSERT INTO notifications
+                     (user_id, notification_type, title, message)
+                     VALUES (?, 'PHONE_CHANGE_PROCESSED', 'Guardian Phone Change', ?)`,
+                    [userId, message]
+                );
+            }
+        });
+
+        if (action === 'approve' && guardianUserId) {
+            await cache.invalidateUser(guardianUserId);
+        }
+
+        // Tell the old number too, in case the change wasn't expected
+        if (action === 'approve') {
+            await sendSMS(
+                request.old_phone,
+                `The guardian phone number on your Hostel QR account was changed to ${request.new_phone}. Contact the hostel office if you did not request this.`,
+                { purpose: 'PHONE_CHANGE' }
+            );
+        }
+
+        res.json({
+            success: true,
+            message: `Phone change ${action === 'approve' ? 'approved' : 'rejected'} successfully`
+        });
+
+    } catch (error) {
+        console.error('Process phone change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process phone change request'
+        });
+    }
+};
+
+module.exports = {
+    requestByStudent,
+    requestByParent,
+    verifyChangeOTP,
+    getMyRequests,
+    getChangeRequests,
+    processChangeRequest
+};
@@ -5,12 +5,23 @@
 const db = require('../config/database');
 const { validateQRCode } = require('../utils/helpers');
 
+/**
+ * Who scanned and where: the watchman signed in on the gate device
+ * (scans are only accepted from registered devices)
+ */
+const getScanContext = (req) => ({
+    scannedBy: req.gateDevice.shift.watchmanUserId,
+    deviceId: req.gateDevice.id,
+    gateId: req.gateDevice.gateId,
+    location: req.gateDevice.gateName
+});
+
 /**
  * Scan and validate QR code at gate
  */
 const scanQRCode = async (req, res) => {
     try {
-        const { qrData, actionType, location } = req.body;
+        const { qrData, actionType } = req.body;
 
         if (!qrData || !actionType) {
             return res.status(400).json({
@@ -28,16 +39,19 @@ const scanQRCode = async (req, res) => {
 
         // Validate QR code
         const validation = await validateQRCode(qrData);
+        const scanContext = getScanContext(req);
 
         let logEntry = {
             studentId: null,
             leaveApplicationId: null,
             actionType,
-            scannedBy: req.user.id,
+            scannedBy: scanContext.scannedBy,
+            deviceId: scanContext.deviceId,
+            gateId: scanContext.gateId,
             qrCodeData: qrData,
             validationStatus: validation.valid ? 'VALID' : 'INVALID',
             validationMessage: validation.message,
-            location: location || 'Main Gate'
+            location: scanContext.location
         };
 
         // If valid, extract student and leave info
@@ -82,14 +96,16 @@ const scanQRCode = async (req, res) => {
         // Log the scan event
         const logId = await db.insert(
             `INSERT INTO gate_logs 
-             (student_id, leave_application_id, action_type, scanned_by, 
+             (student_id, leave_application_id, action_type, scanned_by, device_id, gate_id,
               validation_status, validation_message, qr_code_data, location)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
             [
                 logEntry.studentId,
                 logEntry.leaveApplicationId,
                 logEntry.actionType,
                 logEntry.scannedBy,
+                logEntry.deviceId,
+                logEntry.gateId,
                 logEntry.validationStatus,
                 logEntry.validationMessage,
                 logEntry.qrCodeData,
@@ -142,15 +158,18 @@ const scanQRCode = async (req, res) => {
  */
 const getGateLogs = async (req, res) => {
     try {
-        const { date, actionType, status } = req.query;
+        const { date, actionType, status, gateId } = req.query;
         
         let query = `
             SELECT gl.*, 
                    s.college_id, s.student_name, s.department,
-                   w.staff_name as scanned_by_name
+                   w.staff_name as scanned_by_name,
+                   gd.device_name, g.gate_name
             FROM gate_logs gl
             JOIN students s ON gl.student_id = s.id
             JOIN staff w ON gl.scanned_by = w.user_id
+            LEFT JOIN gate_devices gd ON gl.device_id = gd.id
+            LEFT JOIN gates g ON gl.gate_id = g.id
             WHERE 1=1
         `;
         const params = [];
@@ -173,6 +192,11 @@ const getGateLogs = async (req, res) => {
             params.push(status);
         }
 
+        if (gateId) {
+            query += ' AND gl.gate_id = ?';
+            params.push(gateId);
+        }
+
         query += ' ORDER BY gl.scan_timestamp DESC LIMIT 100';
 
         const logs = await db.getMany(query, params);
@@ -201,9 +225,12 @@ const getStudentGateHistory = async (req, res) => {
         const logs = await db.getMany(
             `SELECT gl.*, 
                     w.staff_name as scanned_by_name,
+                    gd.device_name, g.gate_name,
                     la.from_date, la.to_date
              FROM gate_logs gl
              LEFT JOIN staff w ON gl.scanned_by = w.user_id
+             LEFT JOIN gate_devices gd ON gl.device_id = gd.id
+             LEFT JOIN gates g ON gl.gate_id = g.id
              LEFT JOIN leave_applications la ON gl.leave_application_id = la.id
              WHERE gl.student_id = ?
              ORDER BY gl.scan_timestamp DESC
@@ -293,13 +320,23 @@ const manualEntryExit = async (req, res) => {
             });
         }
 
+        const scanContext = getScanContext(req);
+
         // Create manual log
         const logId = await db.insert(
             `INSERT INTO gate_logs 
-             (student_id, action_type, scanned_by, validation_status, 
+             (student_id, action_type, scanned_by, device_id, gate_id, validation_status, 
               validation_message, location)
-             VALUES (?, ?, ?, 'MANUAL', ?, 'Main Gate')`,
-            [student.id, actionType, req.user.id, `Manual ${actionType}: ${reason}`]
+             VALUES (?, ?, ?, ?, ?, 'MANUAL', ?, ?)`,
+            [
+                student.id,
+                actionType,
+                scanContext.scannedBy,
+                scanContext.deviceId,
+                scanContext.gateId,
+                `Manual ${actionType}: ${reason}`,
+                scanContext.location
+            ]
         );
 
         res.json({
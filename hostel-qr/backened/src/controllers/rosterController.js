@@ -0,0 +1,158 @@
+// =====================================================
+// STUDENT ROSTER CONTROLLER (Hostel office)
+// =====================================================
+
+const db = require('../config/database');
+const { sanitizePhoneNumber } = require('../utils/helpers');
+
+/**
+ * Import or update roster entries
+ * Body: { students: [{ collegeId, studentName, department, yearOfStudy, parentPhone, isActive }] }
+ */
+const importRoster = async (req, res) => {
+    try {
+        const { students } = req.body;
+
+        if (!Array.isArray(students) || students.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'A non-empty students list is required'
+            });
+        }
+
+        const maxRows = parseInt(process.env.ROSTER_IMPORT_MAX_ROWS) || 1000;
+
+        if (students.length > maxRows) {
+            return res.status(400).json({
+                success: false,
+                message: `A maximum of ${maxRows} students can be imported at once`
+            });
+        }
+
+        const invalidRows = [];
+        const validRows = [];
+
+        students.forEach((entry, index) => {
+            if (!entry || !entry.collegeId || !entry.studentName || !entry.parentPhone) {
+                invalidRows.push({
+                    row: index + 1,
+                    collegeId: entry && entry.collegeId,
+                    message: 'College ID, student name and parent phone are required'
+                });
+                return;
+            }
+            validRows.push(entry);
+        });
+
+        await db.transaction(async (conn) => {
+            for (const entry of validRows) {
+                await conn.execute(
+                    `INSERT INTO student_roster
+                     (college_id, student_name, department, year_of_study, parent_phone,
+                      is_active, uploaded_by)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE
+                        student_name = VALUES(student_name),
+                        department = VALUES(department),
+                        year_of_study = VALUES(year_of_study),
+                        parent_phone = VALUES(parent_phone),
+                        is_active = VALUES(is_active),
+                        uploaded_by = VALUES(uploaded_by)`,
+                    [
+                        String(entry.collegeId).trim(),
+                        String(entry.studentName).trim(),
+                        entry.department || null,
+                        entry.yearOfStudy || null,
+                        sanitizePhoneNumber(String(entry.parentPhone)),
+                        entry.isActive === false ? false : true,
+                        req.user.id
+                    ]
+                );
+            }
+
+            await conn.execute(
+                `INSERT INTO audit_logs
+                 (user_id, action, table_name, new_value, ip_address, user_agent)
+                 VALUES (?, 'ROSTER_IMPORTED', 'student_roster', ?, ?, ?)`,
+                [
+                    req.user.id,
+                    JSON.stringify({ imported: validRows.length, rejected: invalidRows.length }),
+                    req.ip,
+                    req.headers['user-agent'] || null
+                ]
+            );
+        });
+
+        res.json({
+            success: true,
+            message: 'Roster imported successfully',
+            data: {
+                imported: validRows.length,
+                rejected: invalidRows.length,
+                invalidRows
+            }
+        });
+
+    } catch (error) {
+        console.error('Roster import error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import roster'
+        });
+    }
+};
+
+/**
+ * List roster entries with registration status
+ */
+const getRoster = async (req, res) => {
+    try {
+        const { search, department, registered, limit = 100, offset = 0 } = req.query;
+
+        let query = `
+            SELECT sr.*, u.is_active as account_active
+            FROM student_roster sr
+            LEFT JOIN users u ON sr.registered_user_id = u.id
+            WHERE 1=1
+        `;
+        const params = [];
+
+        if (search) {
+            query += ' AND (sr.college_id LIKE ? OR sr.student_name LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`);
+        }
+
+        if (department) {
+            query += ' AND sr.department = ?';
+            params.push(department);
+        }
+
+        if (registered === 'true') {
+            query += ' AND sr.registered_user_id IS NOT NULL';
+        } else if (registered === 'false') {
+            query += ' AND sr.registered_user_id IS NULL';
+        }
+
+        query += ' ORDER BY sr.college_id ASC LIMIT ? OFFSET ?';
+        params.push(parseInt(limit), parseInt(offset));
+
+        const roster = await db.getMany(query, params);
+
+        res.json({
+            success: true,
+            data: roster
+        });
+
+    } catch (error) {
+        console.error('Get roster error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch roster'
+        });
+    }
+};
+
+module.exports = {
+    importRoster,
+    getRoster
+};
\ No newline at end of file
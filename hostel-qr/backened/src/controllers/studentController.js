@@ -4,6 +4,7 @@
 
 const db = require('../config/database');
 const path = require('path');
+const cache = require('../services/cache');
 
 /**
  * Get student profile
@@ -30,6 +31,17 @@ const getProfile = async (req, res) => {
             });
         }
 
+        profile.guardians = await db.getMany(
+            `SELECT sg.id, sg.relationship, sg.is_primary, sg.guardian_phone,
+                    p.parent_name, gu.is_verified
+             FROM student_guardians sg
+             LEFT JOIN users gu ON sg.guardian_user_id = gu.id
+             LEFT JOIN parents p ON sg.guardian_user_id = p.user_id
+             WHERE sg.student_id = ?
+             ORDER BY sg.is_primary DESC, sg.id ASC`,
+            [profile.id]
+        );
+
         res.json({
             success: true,
             data: profile
@@ -60,10 +72,12 @@ const completeProfile = async (req, res) => {
 
         // Get student
         const student = await db.getOne(
-            `SELECT s.*, u.is_active, pu.is_verified as parent_verified
+            `SELECT s.*, u.is_active,
+                    (SELECT COUNT(*) FROM student_guardians sg
+                     JOIN users gu ON sg.guardian_user_id = gu.id
+                     WHERE sg.student_id = s.id AND gu.is_verified = TRUE) as verified_guardians
              FROM students s
              JOIN users u ON s.user_id = u.id
-             LEFT JOIN users pu ON s.parent_id = pu.id
              WHERE s.user_id = ?`,
             [req.user.id]
         );
@@ -76,7 +90,7 @@ const completeProfile = async (req, res) => {
         }
 
         // Check parent verification
-        if (!student.parent_id || !student.parent_verified) {
+        if (!student.verified_guardians) {
             return res.status(403).json({
                 success: false,
                 message: 'Cannot complete profile. Parent verification pending.'
@@ -118,6 +132,8 @@ const completeProfile = async (req, res) => {
             );
         });
 
+        await cache.invalidateUser(req.user.id);
+
         res.json({
             success: true,
             message: 'Profile completed successfully'
@@ -197,6 +213,8 @@ const updateProfile = async (req, res) => {
             }
         });
 
+        await cache.invalidateUser(req.user.id);
+
         res.json({
             success: true,
             message: 'Profile updated successfully'
@@ -226,7 +244,7 @@ const getDashboard = async (req, res) => {
             `SELECT 
                 COUNT(*) as total_leaves,
                 SUM(CASE WHEN status IN ('APPROVED_DW', 'APPROVED_PRINCIPAL') THEN 1 ELSE 0 END) as approved_leaves,
-                SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as pending_leaves,
+                SUM(CASE WHEN status IN ('PENDING', 'PENDING_PARENT') THEN 1 ELSE 0 END) as pending_leaves,
                 SUM(CASE WHEN status = 'REJECTED' THEN 1 ELSE 0 END) as rejected_leaves,
                 SUM(CASE WHEN status IN ('APPROVED_DW', 'APPROVED_PRINCIPAL') THEN DATEDIFF(to_date, from_date) + 1 ELSE 0 END) as total_days_on_leave
              FROM leave_applications
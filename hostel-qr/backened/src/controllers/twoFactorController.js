@@ -0,0 +1,210 @@
+// =====================================================
+// TWO-FACTOR CONTROLLER (Staff, logged in)
+// =====================================================
+
+const db = require('../config/database');
+const { comparePassword } = require('../utils/helpers');
+const twoFactor = require('../services/twoFactor');
+
+/**
+ * Get 2FA status for current user
+ */
+const getStatus = async (req, res) => {
+    try {
+        const status = await twoFactor.getStatus(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...status,
+                required: twoFactor.isTwoFactorRequired(req.user.roleName)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch two-factor status'
+        });
+    }
+};
+
+/**
+ * Start enrollment: returns secret + provisioning URI
+ */
+const startEnrollment = async (req, res) => {
+    try {
+        const enrollment = await twoFactor.startEnrollment(req.user.id, req.user.email);
+
+        if (enrollment.alreadyEnabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app',
+            data: enrollment
+        });
+
+    } catch (error) {
+        console.error('Two-factor enrollment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup'
+        });
+    }
+};
+
+/**
+ * Confirm enrollment with the first code
+ */
+const confirmEnrollment = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required'
+            });
+        }
+
+        const result = await twoFactor.confirmEnrollment(req.user.id, code);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes safely.',
+            data: {
+                recoveryCodes: result.recoveryCodes
+            }
+        });
+
+    } catch (error) {
+        console.error('Two-factor confirmation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication'
+        });
+    }
+};
+
+/**
+ * Regenerate recovery codes (requires a current authenticator code)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required'
+            });
+        }
+
+        const verification = await twoFactor.verifyCode(req.user.id, { code });
+
+        if (!verification.success) {
+            return res.status(verification.code === 'TWO_FACTOR_LOCKED' ? 429 : 401).json({
+                success: false,
+                message: verification.message,
+                code: verification.code
+            });
+        }
+
+        const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'New recovery codes generated. Old codes no longer work.',
+            data: { recoveryCodes }
+        });
+
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate recovery codes'
+        });
+    }
+};
+
+/**
+ * Disable 2FA (password + current code; not allowed for required roles)
+ */
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (twoFactor.isTwoFactorRequired(req.user.roleName)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is mandatory for your role'
+            });
+        }
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and authentication code are required'
+            });
+        }
+
+        const user = await db.getOne(
+            'SELECT password_hash FROM users WHERE id = ?',
+            [req.user.id]
+        );
+
+        const passwordMatch = user && await comparePassword(password, user.password_hash);
+
+        if (!passwordMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Password is incorrect'
+            });
+        }
+
+        const verification = await twoFactor.verifyCode(req.user.id, { code });
+
+        if (!verification.success) {
+            return res.status(verification.code === 'TWO_FACTOR_LOCKED' ? 429 : 401).json({
+                success: false,
+                message: verification.message,
+                code: verification.code
+            });
+        }
+
+        await twoFactor.disable(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+};
+
+module.exports = {
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+};
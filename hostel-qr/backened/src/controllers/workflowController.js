@@ -0,0 +1,340 @@
+// =====================================================
+// WORKFLOW CONTROLLER (Leave approval chains)
+// =====================================================
+// Stages of a workflow can't be edited once created, because leaves in
+// progress point at them. To change a chain, create a new workflow and
+// deactivate the old one; leaves already submitted finish on the old chain.
+
+const db = require('../config/database');
+const {
+    APPROVER_TYPES,
+    PENDING_STATUSES,
+    APPROVED_STATUSES,
+    validateSkipCondition,
+    getWorkflowStages
+} = require('../services/leaveWorkflow');
+const { writeAuditLog } = require('../utils/helpers');
+
+// Request fields that select which leaves a workflow applies to
+const CRITERIA_FIELDS = {
+    description: 'description',
+    leaveType: 'leave_type',
+    department: 'department',
+    yearOfStudy: 'year_of_study',
+    minDays: 'min_days',
+    maxDays: 'max_days',
+    priority: 'priority'
+};
+
+/**
+ * Check the duration range of a workflow; returns an error message or null
+ */
+const validateDayRange = (minDays, maxDays) => {
+    for (const value of [minDays, maxDays]) {
+        if (value !== null && value !== undefined && (!Number.isInteger(value) || value < 1)) {
+            return 'Minimum and maximum days must be positive whole numbers';
+        }
+    }
+
+    if (minDays && maxDays && minDays > maxDays) {
+        return 'Minimum days cannot be more than maximum days';
+    }
+
+    return null;
+};
+
+/**
+ * Check the stages of a new workflow; returns an error message or null
+ */
+const validateStages = async (stages) => {
+    if (!Array.isArray(stages) || stages.length === 0) {
+        return 'At least one stage is required';
+    }
+
+    for (const [index, stage] of stages.entries()) {
+        const label = `Stage ${index + 1}`;
+
+        if (!stage.stageName) {
+            return `${label}: stage name is required`;
+        }
+
+        if (!APPROVER_TYPES.includes(stage.approverType)) {
+            return `${label}: approver type must be one of ${APPROVER_TYPES.join(', ')}`;
+        }
+
+        if (stage.approverType === 'PERMISSION') {
+            const permission = stage.approverPermission && await db.getOne(
+                'SELECT id FROM permissions WHERE permission_name = ?',
+                [stage.approverPermission]
+            );
+
+            if (!permission) {
+                return `${label}: a valid approver permission is required`;
+            }
+        }
+
+        if (stage.pendingStatus && !PENDING_STATUSES.includes(stage.pendingStatus)) {
+            return `${label}: pending status must be one of ${PENDING_STATUSES.join(', ')}`;
+        }
+
+        if (stage.approvedStatus && !APPROVED_STATUSES.includes(stage.approvedStatus)) {
+            return `${label}: approved status must be one of ${APPROVED_STATUSES.join(', ')}`;
+        }
+
+        if (stage.escalateAfterHours !== undefined && stage.escalateAfterHours !== null
+            && (!Number.isInteger(stage.escalateAfterHours) || stage.escalateAfterHours < 1)) {
+            return `${label}: escalation hours must be a positive whole number`;
+        }
+
+        for (const field of ['slaHoursBeforeStart', 'slaReminderHours']) {
+            if (stage[field] !== undefined && stage[field] !== null
+                && (!Number.isInteger(stage[field]) || stage[field] < 0)) {
+                return `${label}: SLA hours must be zero or more`;
+            }
+        }
+
+        if (stage.slaEscalateTo) {
+            const escalationPermission = await db.getOne(
+                'SELECT id FROM permissions WHERE permission_name = ?',
+                [stage.slaEscalateTo]
+            );
+
+            if (!escalationPermission) {
+                return `${label}: SLA escalation permission not found`;
+            }
+        }
+
+        const conditionError = validateSkipCondition(stage.skipCondition);
+
+        if (conditionError) {
+            return `${label}: ${conditionError}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * List workflows with their stages
+ */
+const listWorkflows = async (req, res) => {
+    try {
+        const workflows = await db.getMany(
+            `SELECT w.*,
+                    (SELECT COUNT(*) FROM leave_applications la
+                     WHERE la.workflow_id = w.id AND la.current_stage_id IS NOT NULL) as leaves_in_progress
+             FROM approval_workflows w
+             ORDER BY w.is_active DESC, w.priority DESC, w.id ASC`
+        );
+
+        for (const workflow of workflows) {
+            workflow.stages = await getWorkflowStages(workflow.id);
+        }
+
+        res.json({
+            success: true,
+            data: workflows
+        });
+
+    } catch (error) {
+        console.error('List workflows error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch workflows'
+        });
+    }
+};
+
+/**
+ * Create a workflow with its stages
+ * Body: { workflowName, description, leaveType, department, yearOfStudy, minDays, maxDays,
+ *         priority, stages: [{ stageName, approverType, approverPermission,
+ *         pendingStatus, approvedStatus, skipCondition, escalateAfterHours,
+ *         slaHoursBeforeStart, slaReminderHours, slaEscalateTo }] }
+ */
+const createWorkflow = async (req, res) => {
+    try {
+        const {
+            workflowName,
+            description,
+            leaveType,
+            department,
+            yearOfStudy,
+            minDays,
+            maxDays,
+            priority,
+            stages
+        } = req.body;
+
+        if (!workflowName) {
+            return res.status(400).json({
+                success: false,
+                message: 'Workflow name is required'
+            });
+        }
+
+        const validationError = validateDayRange(minDays, maxDays) || await validateStages(stages);
+
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const existing = await db.getOne(
+            'SELECT id FROM approval_workflows WHERE workflow_name = ?',
+            [workflowName]
+        );
+
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'A workflow with this name already exists'
+            });
+        }
+
+        const workflowId = await db.transaction(async (conn) => {
+            const [workflowResult] = await conn.execute(
+                `INSERT INTO approval_workflows
+                 (workflow_name, description, leave_type, department, year_of_study,
+                  min_days, max_days, priority, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    workflowName,
+                    description || null,
+                    leaveType || null,
+                    department || null,
+                    yearOfStudy || null,
+                    minDays || null,
+                    maxDays || null,
+                    parseInt(priority) || 0,
+                    req.user.id
+                ]
+            );
+
+            for (const [index, stage] of stages.entries()) {
+                await conn.execute(
+                    `INSERT INTO approval_workflow_stages
+                     (workflow_id, stage_order, stage_name, approver_type, approver_permission,
+                      pending_status, approved_status, skip_condition, escalate_after_hours,
+                      sla_hours_before_start, sla_reminder_hours, sla_escalate_to)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        workflowResult.insertId,
+                        index + 1,
+                        stage.stageName,
+                        stage.approverType,
+                        stage.approverType === 'PERMISSION' ? stage.approverPermission : null,
+                        stage.pendingStatus || 'PENDING',
+                        stage.approvedStatus || 'APPROVED_DW',
+                        stage.skipCondition ? JSON.stringify(stage.skipCondition) : null,
+                        stage.escalateAfterHours || null,
+                        Number.isInteger(stage.slaHoursBeforeStart) ? stage.slaHoursBeforeStart : null,
+                        Number.isInteger(stage.slaReminderHours) ? stage.slaReminderHours : null,
+                        stage.slaEscalateTo || null
+                    ]
+                );
+            }
+
+            await writeAuditLog(conn, req, 'WORKFLOW_CREATED', 'approval_workflows', workflowResult.insertId, null, req.body);
+
+            return workflowResult.insertId;
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Workflow created successfully',
+            data: { workflowId }
+        });
+
+    } catch (error) {
+        console.error('Create workflow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create workflow'
+        });
+    }
+};
+
+/**
+ * Update a workflow's matching criteria, priority or active flag
+ * Body: any of { description, leaveType, department, yearOfStudy, minDays, maxDays, priority, isActive }
+ */
+const updateWorkflow = async (req, res) => {
+    try {
+        const { workflowId } = req.params;
+
+        const workflow = await db.getOne(
+            'SELECT * FROM approval_workflows WHERE id = ?',
+            [workflowId]
+        );
+
+        if (!workflow) {
+            return res.status(404).json({
+                success: false,
+                message: 'Workflow not found'
+            });
+        }
+
+        const minDays = req.body.minDays !== undefined ? req.body.minDays : workflow.min_days;
+        const maxDays = req.body.maxDays !== undefined ? req.body.maxDays : workflow.max_days;
+        const rangeError = validateDayRange(minDays, maxDays);
+
+        if (rangeError) {
+            return res.status(400).json({
+                success: false,
+                message: rangeError
+            });
+        }
+
+        const updates = [];
+        const params = [];
+
+        for (const [field, column] of Object.entries(CRITERIA_FIELDS)) {
+            if (req.body[field] !== undefined) {
+                updates.push(`${column} = ?`);
+                params.push(field === 'priority' ? parseInt(req.body[field]) || 0 : req.body[field] || null);
+            }
+        }
+
+        if (req.body.isActive !== undefined) {
+            updates.push('is_active = ?');
+            params.push(!!req.body.isActive);
+        }
+
+        if (updates.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Nothing to update'
+            });
+        }
+
+        await db.transaction(async (conn) => {
+            await conn.execute(
+                `UPDATE approval_workflows SET ${updates.join(', ')} WHERE id = ?`,
+                [...params, workflowId]
+            );
+
+            await writeAuditLog(conn, req, 'WORKFLOW_UPDATED', 'approval_workflows', workflow.id, workflow, req.body);
+        });
+
+        res.json({
+            success: true,
+            message: 'Workflow updated successfully'
+        });
+
+    } catch (error) {
+        console.error('Update workflow error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update workflow'
+        });
+    }
+};
+
+module.exports = {
+    listWorkflows,
+    createWorkflow,
+    updateWorkflow
+};
@@ -0,0 +1,63 @@
+// =====================================================
+// BACKGROUND JOBS (In-process interval scheduler)
+// =====================================================
+// Each job module exports { name, intervalMinutes(), run() }. Set
+// JOBS_ENABLED=false on all but one instance when running several.
+
+const leaveEscalation = require('./leaveEscalation');
+const leaveSla = require('./leaveSla');
+const loginFailureCleanup = require('./loginFailureCleanup');
+
+const jobs = [leaveEscalation, leaveSla, loginFailureCleanup];
+
+const timers = [];
+const running = new Set();
+
+/**
+ * Run a job once; skipped while a previous run is still going
+ */
+const runJob = async (job) => {
+    if (running.has(job.name)) {
+        return;
+    }
+
+    running.add(job.name);
+
+    try {
+        await job.run();
+    } catch (error) {
+        console.error(`Job ${job.name} error:`, error);
+    } finally {
+        running.delete(job.name);
+    }
+};
+
+/**
+ * Start every job on its interval
+ */
+const startJobs = () => {
+    if (process.env.JOBS_ENABLED === 'false') {
+        return;
+    }
+
+    for (const job of jobs) {
+        const timer = setInterval(() => runJob(job), job.intervalMinutes() * 60 * 1000);
+        timer.unref();
+        timers.push(timer);
+    }
+};
+
+/**
+ * Stop all jobs (shutdown)
+ */
+const stopJobs = () => {
+    while (timers.length > 0) {
+        clearInterval(timers.pop());
+    }
+};
+
+module.exports = {
+    startJobs,
+    stopJobs,
+    runJob
+};
@@ -0,0 +1,19 @@
+// =====================================================
+// LEAVE ESCALATION JOB
+// =====================================================
+// Passes leaves on when a stage (e.g. parent consent) has waited longer
+// than its escalate_after_hours.
+
+const { escalateOverdueStages } = require('../services/leaveWorkflow');
+
+module.exports = {
+    name: 'leave-escalation',
+    intervalMinutes: () => parseInt(process.env.LEAVE_ESCALATION_CHECK_MINUTES) || 15,
+    run: async () => {
+        const escalated = await escalateOverdueStages();
+
+        if (escalated > 0) {
+            console.log(`Leave escalation: ${escalated} leave(s) passed on to the next stage`);
+        }
+    }
+};
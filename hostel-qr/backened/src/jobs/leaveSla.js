@@ -0,0 +1,19 @@
+// =====================================================
+// LEAVE SLA JOB
+// =====================================================
+// Reminds approvers of stages nearing their deadline and opens overdue
+// stages to the next authority (the stage's sla_escalate_to).
+
+const { processStageDeadlines } = require('../services/leaveWorkflow');
+
+module.exports = {
+    name: 'leave-sla',
+    intervalMinutes: () => parseInt(process.env.LEAVE_SLA_CHECK_MINUTES) || 15,
+    run: async () => {
+        const { reminded, escalated } = await processStageDeadlines();
+
+        if (reminded > 0 || escalated > 0) {
+            console.log(`Leave SLA: ${reminded} reminder(s) sent, ${escalated} overdue stage(s) escalated`);
+        }
+    }
+};
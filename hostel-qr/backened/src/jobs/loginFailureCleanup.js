@@ -0,0 +1,19 @@
+// =====================================================
+// LOGIN FAILURE CLEANUP JOB
+// =====================================================
+// Forgets failed logins that stopped long ago, for accounts and unknown
+// identifiers alike, and keeps login_identifier_failures from growing.
+
+const { pruneLoginFailures } = require('../services/loginSecurity');
+
+module.exports = {
+    name: 'login-failure-cleanup',
+    intervalMinutes: () => parseInt(process.env.LOGIN_FAILURE_CLEANUP_MINUTES) || 60,
+    run: async () => {
+        const removed = await pruneLoginFailures();
+
+        if (removed > 0) {
+            console.log(`Login failure cleanup: ${removed} unknown identifier(s) forgotten`);
+        }
+    }
+};
@@ -4,6 +4,41 @@
 
 const jwt = require('jsonwebtoken');
 const db = require('../config/database');
+const { isSessionActive, hashToken } = require('../utils/helpers');
+const { getEffectivePermissions, hasPermission } = require('../services/permissions');
+const cache = require('../services/cache');
+
+// User/role and student verification state are cached for a few seconds
+// (CACHE_AUTH_TTL_SECONDS); writers call cache.invalidateUser() on change.
+// Session liveness is cached the same way inside isSessionActive.
+const loadAuthUser = (userId) => cache.remember(
+    cache.keys.user(userId),
+    cache.getAuthTTL(),
+    () => db.getOne(
+        `SELECT u.id, u.role_id, u.email, u.phone_number, u.is_verified, u.is_active, r.role_name
+         FROM users u 
+         JOIN roles r ON u.role_id = r.id 
+         WHERE u.id = ?`,
+        [userId]
+    )
+);
+
+const loadStudentState = (userId) => cache.remember(
+    cache.keys.student(userId),
+    cache.getAuthTTL(),
+    () => db.getOne(
+        `SELECT s.id, s.user_id, s.college_id, s.student_name, s.department,
+                s.hostel_block, s.room_number, s.profile_completed,
+                u.is_active as student_active, 
+                (SELECT COUNT(*) FROM student_guardians sg
+                 JOIN users gu ON sg.guardian_user_id = gu.id
+                 WHERE sg.student_id = s.id AND gu.is_verified = TRUE) as verified_guardians
+         FROM students s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.user_id = ?`,
+        [userId]
+    )
+);
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -20,15 +55,18 @@ const authenticateToken = async (req, res, next) => {
 
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Reject tokens whose session was logged out or revoked
+        if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired or revoked. Please login again.',
+                code: 'SESSION_REVOKED'
+            });
+        }
         
-        // Get user from database
-        const user = await db.getOne(
-            `SELECT u.*, r.role_name 
-             FROM users u 
-             JOIN roles r ON u.role_id = r.id 
-             WHERE u.id = ?`,
-            [decoded.userId]
-        );
+        // Get user (cached)
+        const user = await loadAuthUser(decoded.userId);
 
         if (!user) {
             return res.status(401).json({
@@ -51,7 +89,8 @@ const authenticateToken = async (req, res, next) => {
             roleName: user.role_name,
             email: user.email,
             phoneNumber: user.phone_number,
-            isVerified: user.is_verified
+            isVerified: user.is_verified,
+            sessionId: decoded.sid
         };
 
         next();
@@ -97,6 +136,39 @@ const authorizeRoles = (...allowedRoles) => {
     };
 };
 
+// Permission-based authorization (user needs at least one of the permissions)
+const requirePermission = (...requiredPermissions) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.user) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Authentication required'
+                });
+            }
+
+            if (!req.user.permissions) {
+                req.user.permissions = await getEffectivePermissions(req.user.id);
+            }
+
+            if (!requiredPermissions.some(permission => req.user.permissions.includes(permission))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied. Insufficient permissions.'
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Permission check error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Permission check failed'
+            });
+        }
+    };
+};
+
 // Check if student is verified (parent verification completed)
 const checkStudentVerification = async (req, res, next) => {
     try {
@@ -104,15 +176,7 @@ const checkStudentVerification = async (req, res, next) => {
             return next();
         }
 
-        const student = await db.getOne(
-            `SELECT s.*, u.is_active as student_active, 
-                    p_user.is_verified as parent_verified
-             FROM students s
-             JOIN users u ON s.user_id = u.id
-             LEFT JOIN users p_user ON s.parent_id = p_user.id
-             WHERE s.user_id = ?`,
-            [req.user.id]
-        );
+        const student = await loadStudentState(req.user.id);
 
         if (!student) {
             return res.status(404).json({
@@ -121,8 +185,8 @@ const checkStudentVerification = async (req, res, next) => {
             });
         }
 
-        // Check if parent is verified
-        if (!student.parent_id || !student.parent_verified) {
+        // Check that at least one linked guardian is verified
+        if (!student.verified_guardians) {
             return res.status(403).json({
                 success: false,
                 message: 'Account locked. Parent verification pending.',
@@ -149,10 +213,7 @@ const checkProfileCompleted = async (req, res, next) => {
             return next();
         }
 
-        const student = await db.getOne(
-            'SELECT profile_completed FROM students WHERE user_id = ?',
-            [req.user.id]
-        );
+        const student = await loadStudentState(req.user.id);
 
         if (!student || !student.profile_completed) {
             return res.status(403).json({
@@ -183,13 +244,12 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await db.getOne(
-            `SELECT u.*, r.role_name 
-             FROM users u 
-             JOIN roles r ON u.role_id = r.id 
-             WHERE u.id = ?`,
-            [decoded.userId]
-        );
+
+        if (!(await isSessionActive(decoded.sid, decoded.userId))) {
+            return next();
+        }
+
+        const user = await loadAuthUser(decoded.userId);
 
         if (user && user.is_active) {
             req.user = {
@@ -198,7 +258,8 @@ const optionalAuth = async (req, res, next) => {
                 roleName: user.role_name,
                 email: user.email,
                 phoneNumber: user.phone_number,
-                isVerified: user.is_verified
+                isVerified: user.is_verified,
+                sessionId: decoded.sid
             };
         }
 
@@ -209,10 +270,100 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+// Gate scanner terminal: verify its API key (X-Device-Key header)
+const authenticateGateDevice = async (req, res, next) => {
+    try {
+        const apiKey = req.headers['x-device-key'];
+
+        if (!apiKey) {
+            return res.status(401).json({
+                success: false,
+                message: 'Device key required'
+            });
+        }
+
+        const device = await db.getOne(
+            `SELECT gd.id, gd.device_name, gd.gate_id, g.gate_name
+             FROM gate_devices gd
+             JOIN gates g ON gd.gate_id = g.id
+             WHERE gd.api_key_hash = ? AND gd.revoked_at IS NULL AND g.is_active = TRUE`,
+            [hashToken(apiKey)]
+        );
+
+        if (!device) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or revoked device key',
+                code: 'DEVICE_REVOKED'
+            });
+        }
+
+        await db.query(
+            'UPDATE gate_devices SET last_seen_at = NOW(), last_ip = ? WHERE id = ?',
+            [req.ip, device.id]
+        );
+
+        req.gateDevice = {
+            id: device.id,
+            name: device.device_name,
+            gateId: device.gate_id,
+            gateName: device.gate_name
+        };
+
+        next();
+    } catch (error) {
+        console.error('Device authentication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Device authentication failed'
+        });
+    }
+};
+
+// Gate scanner terminal: a watchman must be signed in on it (after authenticateGateDevice)
+const requireDeviceShift = async (req, res, next) => {
+    try {
+        const shift = await db.getOne(
+            `SELECT ds.id, ds.watchman_user_id, ds.started_at, st.staff_name
+             FROM device_shifts ds
+             JOIN users u ON ds.watchman_user_id = u.id
+             JOIN staff st ON u.id = st.user_id
+             WHERE ds.device_id = ? AND ds.ended_at IS NULL AND u.is_active = TRUE`,
+            [req.gateDevice.id]
+        );
+
+        if (!shift || !(await hasPermission(shift.watchman_user_id, 'GATE_SCAN'))) {
+            return res.status(403).json({
+                success: false,
+                message: 'No watchman is signed in on this device',
+                code: 'NO_ACTIVE_SHIFT'
+            });
+        }
+
+        req.gateDevice.shift = {
+            id: shift.id,
+            watchmanUserId: shift.watchman_user_id,
+            watchmanName: shift.staff_name,
+            startedAt: shift.started_at
+        };
+
+        next();
+    } catch (error) {
+        console.error('Device shift check error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Shift check failed'
+        });
+    }
+};
+
 module.exports = {
     authenticateToken,
     authorizeRoles,
+    requirePermission,
     checkStudentVerification,
     checkProfileCompleted,
-    optionalAuth
+    optionalAuth,
+    authenticateGateDevice,
+    requireDeviceShift
 };
\ No newline at end of file
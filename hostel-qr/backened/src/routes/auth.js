@@ -11,13 +11,29 @@ const studentController = require('../controllers/studentController');
 const parentController = require('../controllers/parentController');
 const leaveController = require('../controllers/leaveController');
 const qrController = require('../controllers/qrController');
+const rosterController = require('../controllers/rosterController');
+const messagingController = require('../controllers/messagingController');
+const twoFactorController = require('../controllers/twoFactorController');
+const phoneChangeController = require('../controllers/phoneChangeController');
+const adminController = require('../controllers/adminController');
+const permissionController = require('../controllers/permissionController');
+const gateDeviceController = require('../controllers/gateDeviceController');
+const workflowController = require('../controllers/workflowController');
+const leavePolicyController = require('../controllers/leavePolicyController');
+const leaveQuotaController = require('../controllers/leaveQuotaController');
+const calendarController = require('../controllers/calendarController');
+const leaveAttachmentController = require('../controllers/leaveAttachmentController');
+const delegationController = require('../controllers/delegationController');
+const { receiveAttachments } = require('../services/leaveAttachments');
 
 // Import middleware
 const {
     authenticateToken,
-    authorizeRoles,
+    requirePermission,
     checkStudentVerification,
-    checkProfileCompleted
+    checkProfileCompleted,
+    authenticateGateDevice,
+    requireDeviceShift
 } = require('../middleware/auth');
 
 // =====================================================
@@ -33,6 +49,9 @@ router.get('/health', (req, res) => {
     });
 });
 
+// SMS provider delivery reports
+router.post('/webhooks/messaging/:provider/status', messagingController.handleStatusCallback);
+
 // =====================================================
 // AUTHENTICATION ROUTES
 // =====================================================
@@ -55,9 +74,91 @@ router.post('/auth/parent/request-otp', authController.requestParentOTP);
 // Parent login - Verify OTP
 router.post('/auth/parent/login', authController.loginParent);
 
-// Staff login (Deputy Warden, Principal, Watchman)
+// Staff login (Deputy Warden, Principal, Watchman, Admin)
 router.post('/auth/staff/login', authController.loginStaff);
 
+// Staff login - Verify authenticator / recovery code
+router.post('/auth/staff/2fa/verify', authController.verifyStaffTwoFactor);
+
+// Staff login - Mandatory 2FA setup (get secret)
+router.post('/auth/staff/2fa/setup', authController.setupStaffTwoFactor);
+
+// Staff login - Mandatory 2FA setup (confirm first code)
+router.post('/auth/staff/2fa/setup/confirm', authController.confirmStaffTwoFactorSetup);
+
+// Guardian phone change - raised by student (college ID + password, works while locked)
+router.post('/auth/student/guardian-phone-change', phoneChangeController.requestByStudent);
+
+// Guardian phone change - Verify OTP sent to the new number
+router.post('/auth/guardian-phone-change/verify-otp', phoneChangeController.verifyChangeOTP);
+
+// Forgot password - Request OTP (students by college ID, staff by email)
+router.post('/auth/password/forgot', authController.forgotPassword);
+
+// Forgot password - Verify OTP, returns reset token
+router.post('/auth/password/verify-otp', authController.verifyPasswordResetOTP);
+
+// Reset password with reset token
+router.post('/auth/password/reset', authController.resetPassword);
+
+// Refresh access token (rotates the refresh token)
+router.post('/auth/refresh', authController.refreshAccessToken);
+
+// Logout (revokes current session)
+router.post('/auth/logout', authenticateToken, authController.logout);
+
+// List my active sessions (devices)
+router.get('/auth/sessions', authenticateToken, authController.getSessions);
+
+// Revoke all my other sessions
+router.post('/auth/sessions/revoke-others', authenticateToken, authController.revokeOtherSessions);
+
+// Revoke one of my sessions
+router.delete('/auth/sessions/:sessionId', authenticateToken, authController.revokeMySession);
+
+// My effective permissions
+router.get('/auth/permissions', authenticateToken, authController.getMyPermissions);
+
+// Two-factor status (staff)
+router.get(
+    '/auth/2fa/status',
+    authenticateToken,
+    requirePermission('TWO_FACTOR_USE'),
+    twoFactorController.getStatus
+);
+
+// Start two-factor setup (staff)
+router.post(
+    '/auth/2fa/enroll',
+    authenticateToken,
+    requirePermission('TWO_FACTOR_USE'),
+    twoFactorController.startEnrollment
+);
+
+// Confirm two-factor setup (staff)
+router.post(
+    '/auth/2fa/enroll/confirm',
+    authenticateToken,
+    requirePermission('TWO_FACTOR_USE'),
+    twoFactorController.confirmEnrollment
+);
+
+// Regenerate recovery codes (staff)
+router.post(
+    '/auth/2fa/recovery-codes',
+    authenticateToken,
+    requirePermission('TWO_FACTOR_USE'),
+    twoFactorController.regenerateRecoveryCodes
+);
+
+// Disable two-factor (staff, optional roles only)
+router.post(
+    '/auth/2fa/disable',
+    authenticateToken,
+    requirePermission('TWO_FACTOR_USE'),
+    twoFactorController.disableTwoFactor
+);
+
 // =====================================================
 // STUDENT ROUTES
 // =====================================================
@@ -66,7 +167,7 @@ router.post('/auth/staff/login', authController.loginStaff);
 router.get(
     '/student/profile',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('STUDENT_PROFILE_MANAGE'),
     checkStudentVerification,
     studentController.getProfile
 );
@@ -75,7 +176,7 @@ router.get(
 router.post(
     '/student/profile/complete',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('STUDENT_PROFILE_MANAGE'),
     checkStudentVerification,
     studentController.completeProfile
 );
@@ -84,7 +185,7 @@ router.post(
 router.put(
     '/student/profile',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('STUDENT_PROFILE_MANAGE'),
     checkStudentVerification,
     studentController.updateProfile
 );
@@ -93,16 +194,32 @@ router.put(
 router.get(
     '/student/dashboard',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('STUDENT_PROFILE_MANAGE'),
     checkStudentVerification,
     studentController.getDashboard
 );
 
+// My guardian phone change requests
+router.get(
+    '/student/guardian-phone-change',
+    authenticateToken,
+    requirePermission('STUDENT_PROFILE_MANAGE'),
+    phoneChangeController.getMyRequests
+);
+
+// Leave types available to apply for, with their rules
+router.get(
+    '/student/leave/types',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    leavePolicyController.listLeaveTypes
+);
+
 // Apply for leave
 router.post(
     '/student/leave/apply',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('LEAVE_APPLY'),
     checkStudentVerification,
     checkProfileCompleted,
     leaveController.applyLeave
@@ -112,20 +229,75 @@ router.post(
 router.get(
     '/student/leave/my-leaves',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('LEAVE_APPLY'),
     checkStudentVerification,
     leaveController.getMyLeaves
 );
 
+// My used and remaining leave days for a term
+router.get(
+    '/student/leave/balance',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    checkStudentVerification,
+    leaveController.getLeaveBalance
+);
+
+// Upcoming holidays, exam blackouts and restricted windows that apply to me
+router.get(
+    '/student/calendar',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    checkStudentVerification,
+    calendarController.getMyCalendar
+);
+
 // Get QR code for approved leave
 router.get(
     '/student/leave/:leaveId/qr-code',
     authenticateToken,
-    authorizeRoles('STUDENT'),
+    requirePermission('LEAVE_APPLY'),
     checkStudentVerification,
     leaveController.getLeaveQRCode
 );
 
+// Edit a pending or approved leave (approved leaves need approval again)
+router.put(
+    '/student/leave/:leaveId',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    checkStudentVerification,
+    leaveController.updateLeave
+);
+
+// Cancel a pending or approved leave (revokes its QR code)
+router.post(
+    '/student/leave/:leaveId/cancel',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    checkStudentVerification,
+    leaveController.cancelLeave
+);
+
+// Attach supporting documents to own leave (multipart "attachments")
+router.post(
+    '/student/leave/:leaveId/attachments',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    checkStudentVerification,
+    receiveAttachments,
+    leaveAttachmentController.uploadAttachments
+);
+
+// Remove a document from own pending leave
+router.delete(
+    '/student/leave/:leaveId/attachments/:attachmentId',
+    authenticateToken,
+    requirePermission('LEAVE_APPLY'),
+    checkStudentVerification,
+    leaveAttachmentController.deleteAttachment
+);
+
 // =====================================================
 // PARENT ROUTES
 // =====================================================
@@ -134,7 +306,7 @@ router.get(
 router.get(
     '/parent/dashboard',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.getDashboard
 );
 
@@ -142,15 +314,23 @@ router.get(
 router.get(
     '/parent/leaves',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.getChildrenLeaves
 );
 
+// Approve or decline a leave waiting for guardian consent
+router.post(
+    '/parent/leaves/:leaveId/consent',
+    authenticateToken,
+    requirePermission('LEAVE_CONSENT'),
+    leaveController.processLeaveByParent
+);
+
 // Request emergency extension
 router.post(
     '/parent/leave/emergency-extension',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('EXTENSION_REQUEST'),
     leaveController.requestEmergencyExtension
 );
 
@@ -158,7 +338,7 @@ router.post(
 router.get(
     '/parent/emergency-extensions',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.getEmergencyExtensions
 );
 
@@ -166,15 +346,63 @@ router.get(
 router.get(
     '/parent/student/:studentId/gate-history',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.getStudentGateHistory
 );
 
+// Request a change of my phone number
+router.post(
+    '/parent/phone-change',
+    authenticateToken,
+    requirePermission('GUARDIAN_MANAGE'),
+    phoneChangeController.requestByParent
+);
+
+// My phone change requests
+router.get(
+    '/parent/phone-change',
+    authenticateToken,
+    requirePermission('GUARDIAN_MANAGE'),
+    phoneChangeController.getMyRequests
+);
+
+// List guardians of a student
+router.get(
+    '/parent/student/:studentId/guardians',
+    authenticateToken,
+    requirePermission('GUARDIAN_MANAGE'),
+    parentController.getGuardians
+);
+
+// Add a guardian (primary guardian only)
+router.post(
+    '/parent/student/:studentId/guardians',
+    authenticateToken,
+    requirePermission('GUARDIAN_MANAGE'),
+    parentController.addGuardian
+);
+
+// Remove a guardian (primary guardian only)
+router.delete(
+    '/parent/student/:studentId/guardians/:guardianId',
+    authenticateToken,
+    requirePermission('GUARDIAN_MANAGE'),
+    parentController.removeGuardian
+);
+
+// Verify (activate) a linked student account
+router.post(
+    '/parent/student/:studentId/verify',
+    authenticateToken,
+    requirePermission('GUARDIAN_MANAGE'),
+    parentController.verifyStudent
+);
+
 // Get notifications
 router.get(
     '/parent/notifications',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.getNotifications
 );
 
@@ -182,7 +410,7 @@ router.get(
 router.put(
     '/parent/notifications/:notificationId/read',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.markNotificationRead
 );
 
@@ -190,7 +418,7 @@ router.put(
 router.put(
     '/parent/notifications/read-all',
     authenticateToken,
-    authorizeRoles('PARENT'),
+    requirePermission('CHILD_MONITOR'),
     parentController.markAllNotificationsRead
 );
 
@@ -198,11 +426,11 @@ router.put(
 // DEPUTY WARDEN ROUTES
 // =====================================================
 
-// Get pending leave requests (≤15 days)
+// Get leaves waiting at a deputy warden stage
 router.get(
     '/deputy-warden/leaves/pending',
     authenticateToken,
-    authorizeRoles('DEPUTY_WARDEN'),
+    requirePermission('LEAVE_APPROVE_DW'),
     leaveController.getPendingLeaves
 );
 
@@ -210,23 +438,47 @@ router.get(
 router.post(
     '/deputy-warden/leaves/:leaveId/process',
     authenticateToken,
-    authorizeRoles('DEPUTY_WARDEN'),
+    requirePermission('LEAVE_APPROVE_DW'),
     leaveController.processLeaveByDW
 );
 
+// Approve/Reject many leaves with one remark
+router.post(
+    '/deputy-warden/leaves/bulk-process',
+    authenticateToken,
+    requirePermission('LEAVE_APPROVE_DW'),
+    leaveController.processLeavesInBulkByDW
+);
+
 // Process emergency extension
 router.post(
     '/deputy-warden/extension/:extensionId/process',
     authenticateToken,
-    authorizeRoles('DEPUTY_WARDEN'),
+    requirePermission('EXTENSION_PROCESS'),
     leaveController.processEmergencyExtension
 );
 
+// Get guardian phone change requests
+router.get(
+    '/deputy-warden/phone-change-requests',
+    authenticateToken,
+    requirePermission('PHONE_CHANGE_APPROVE'),
+    phoneChangeController.getChangeRequests
+);
+
+// Approve/Reject guardian phone change
+router.post(
+    '/deputy-warden/phone-change-requests/:requestId/process',
+    authenticateToken,
+    requirePermission('PHONE_CHANGE_APPROVE'),
+    phoneChangeController.processChangeRequest
+);
+
 // Get gate logs
 router.get(
     '/deputy-warden/gate-logs',
     authenticateToken,
-    authorizeRoles('DEPUTY_WARDEN'),
+    requirePermission('GATE_LOGS_VIEW'),
     qrController.getGateLogs
 );
 
@@ -234,7 +486,7 @@ router.get(
 router.get(
     '/deputy-warden/students-outside',
     authenticateToken,
-    authorizeRoles('DEPUTY_WARDEN'),
+    requirePermission('GATE_LOGS_VIEW'),
     qrController.getStudentsOutside
 );
 
@@ -242,11 +494,11 @@ router.get(
 // PRINCIPAL ROUTES
 // =====================================================
 
-// Get leaves requiring principal approval (>15 days)
+// Get leaves waiting at a principal stage
 router.get(
     '/principal/leaves/pending',
     authenticateToken,
-    authorizeRoles('PRINCIPAL'),
+    requirePermission('LEAVE_APPROVE_PRINCIPAL'),
     leaveController.getLeavesForPrincipal
 );
 
@@ -254,7 +506,7 @@ router.get(
 router.post(
     '/principal/leaves/:leaveId/process',
     authenticateToken,
-    authorizeRoles('PRINCIPAL'),
+    requirePermission('LEAVE_APPROVE_PRINCIPAL'),
     leaveController.processLeaveByPrincipal
 );
 
@@ -262,7 +514,7 @@ router.post(
 router.get(
     '/principal/gate-logs',
     authenticateToken,
-    authorizeRoles('PRINCIPAL'),
+    requirePermission('GATE_LOGS_VIEW'),
     qrController.getGateLogs
 );
 
@@ -270,35 +522,22 @@ router.get(
 // WATCHMAN ROUTES
 // =====================================================
 
-// Scan QR code (main functionality)
-router.post(
-    '/watchman/scan-qr',
-    authenticateToken,
-    authorizeRoles('WATCHMAN'),
-    qrController.scanQRCode
-);
+// Scanning and manual entries go through a registered gate device
+// (see GATE DEVICE ROUTES below); a watchman login is read-only here
 
 // Get today's gate logs
 router.get(
     '/watchman/gate-logs',
     authenticateToken,
-    authorizeRoles('WATCHMAN'),
+    requirePermission('GATE_LOGS_VIEW'),
     qrController.getGateLogs
 );
 
-// Manual entry/exit (emergency)
-router.post(
-    '/watchman/manual-entry',
-    authenticateToken,
-    authorizeRoles('WATCHMAN'),
-    qrController.manualEntryExit
-);
-
 // Get students currently outside
 router.get(
     '/watchman/students-outside',
     authenticateToken,
-    authorizeRoles('WATCHMAN'),
+    requirePermission('GATE_LOGS_VIEW'),
     qrController.getStudentsOutside
 );
 
@@ -306,10 +545,430 @@ router.get(
 router.get(
     '/watchman/student/:studentId/history',
     authenticateToken,
-    authorizeRoles('WATCHMAN'),
+    requirePermission('GATE_LOGS_VIEW'),
     qrController.getStudentGateHistory
 );
 
+// =====================================================
+// GATE DEVICE ROUTES (Device API key, X-Device-Key)
+// =====================================================
+
+// Device info and the watchman signed in on it
+router.get(
+    '/gate-device/shift',
+    authenticateGateDevice,
+    gateDeviceController.getCurrentShift
+);
+
+// Watchman signs in on the device
+router.post(
+    '/gate-device/shift/start',
+    authenticateGateDevice,
+    gateDeviceController.startShift
+);
+
+// Watchman signs out of the device
+router.post(
+    '/gate-device/shift/end',
+    authenticateGateDevice,
+    requireDeviceShift,
+    gateDeviceController.endShift
+);
+
+// Scan QR code from the gate device
+router.post(
+    '/gate-device/scan-qr',
+    authenticateGateDevice,
+    requireDeviceShift,
+    qrController.scanQRCode
+);
+
+// Manual entry/exit from the gate device
+router.post(
+    '/gate-device/manual-entry',
+    authenticateGateDevice,
+    requireDeviceShift,
+    qrController.manualEntryExit
+);
+
+// =====================================================
+// ADMINISTRATION ROUTES
+// =====================================================
+
+// Import/update the official student roster
+router.post(
+    '/admin/roster',
+    authenticateToken,
+    requirePermission('ROSTER_MANAGE'),
+    rosterController.importRoster
+);
+
+// List roster entries
+router.get(
+    '/admin/roster',
+    authenticateToken,
+    requirePermission('ROSTER_MANAGE'),
+    rosterController.getRoster
+);
+
+// SMS delivery tracking
+router.get(
+    '/admin/message-deliveries',
+    authenticateToken,
+    requirePermission('MESSAGING_VIEW'),
+    messagingController.getDeliveries
+);
+
+router.get(
+    '/admin/message-deliveries/:deliveryId',
+    authenticateToken,
+    requirePermission('MESSAGING_VIEW'),
+    messagingController.getDelivery
+);
+
+// Revoke every session of a user (lost phone, staff leaving)
+router.post(
+    '/admin/users/:userId/sessions/revoke',
+    authenticateToken,
+    requirePermission('SESSIONS_REVOKE'),
+    authController.revokeUserSessions
+);
+
+// List users (filters: role, isActive, search)
+router.get(
+    '/admin/users',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.listUsers
+);
+
+// Create staff user
+router.post(
+    '/admin/users',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.createStaffUser
+);
+
+// Deactivate staff user
+router.post(
+    '/admin/users/:userId/deactivate',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.deactivateUser
+);
+
+// Reactivate staff user
+router.post(
+    '/admin/users/:userId/reactivate',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.reactivateUser
+);
+
+// Change staff role
+router.put(
+    '/admin/users/:userId/role',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.changeUserRole
+);
+
+// Reset staff password
+router.post(
+    '/admin/users/:userId/password/reset',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.resetUserPassword
+);
+
+// Lift a login lockout (any user)
+router.post(
+    '/admin/users/:userId/unlock',
+    authenticateToken,
+    requirePermission('USERS_MANAGE'),
+    adminController.unlockUser
+);
+
+// Cache statistics (?reset=true to clear counters)
+router.get(
+    '/admin/cache/stats',
+    authenticateToken,
+    requirePermission('SYSTEM_MONITOR'),
+    adminController.getCacheStats
+);
+
+// List permissions
+router.get(
+    '/admin/permissions',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.listPermissions
+);
+
+// List roles with their permissions
+router.get(
+    '/admin/roles',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.listRoles
+);
+
+// Create a staff role
+router.post(
+    '/admin/roles',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.createRole
+);
+
+// Replace a role's permissions
+router.put(
+    '/admin/roles/:roleId/permissions',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.setRolePermissions
+);
+
+// Get a user's effective permissions and overrides
+router.get(
+    '/admin/users/:userId/permissions',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.getUserPermissions
+);
+
+// Grant/revoke a permission for one user
+router.put(
+    '/admin/users/:userId/permissions/:permissionName',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.setUserPermissionOverride
+);
+
+// Remove a user override
+router.delete(
+    '/admin/users/:userId/permissions/:permissionName',
+    authenticateToken,
+    requirePermission('PERMISSIONS_MANAGE'),
+    permissionController.clearUserPermissionOverride
+);
+
+// List gates
+router.get(
+    '/admin/gates',
+    authenticateToken,
+    requirePermission('GATE_DEVICES_MANAGE'),
+    gateDeviceController.listGates
+);
+
+// Add a gate
+router.post(
+    '/admin/gates',
+    authenticateToken,
+    requirePermission('GATE_DEVICES_MANAGE'),
+    gateDeviceController.createGate
+);
+
+// List gate devices (filters: gateId, includeRevoked)
+router.get(
+    '/admin/gate-devices',
+    authenticateToken,
+    requirePermission('GATE_DEVICES_MANAGE'),
+    gateDeviceController.listDevices
+);
+
+// Register a gate device (returns its API key once)
+router.post(
+    '/admin/gate-devices',
+    authenticateToken,
+    requirePermission('GATE_DEVICES_MANAGE'),
+    gateDeviceController.registerDevice
+);
+
+// Revoke a lost or retired gate device
+router.post(
+    '/admin/gate-devices/:deviceId/revoke',
+    authenticateToken,
+    requirePermission('GATE_DEVICES_MANAGE'),
+    gateDeviceController.revokeDevice
+);
+
+// List leave approval workflows with their stages
+router.get(
+    '/admin/workflows',
+    authenticateToken,
+    requirePermission('WORKFLOWS_MANAGE'),
+    workflowController.listWorkflows
+);
+
+// Create a leave approval workflow
+router.post(
+    '/admin/workflows',
+    authenticateToken,
+    requirePermission('WORKFLOWS_MANAGE'),
+    workflowController.createWorkflow
+);
+
+// Update a workflow's criteria, priority or active flag
+router.put(
+    '/admin/workflows/:workflowId',
+    authenticateToken,
+    requirePermission('WORKFLOWS_MANAGE'),
+    workflowController.updateWorkflow
+);
+
+// List leave type policies
+router.get(
+    '/admin/leave-policies',
+    authenticateToken,
+    requirePermission('LEAVE_POLICIES_MANAGE'),
+    leavePolicyController.listPolicies
+);
+
+// Create or update the policy of a leave type
+router.put(
+    '/admin/leave-policies/:leaveType',
+    authenticateToken,
+    requirePermission('LEAVE_POLICIES_MANAGE'),
+    leavePolicyController.savePolicy
+);
+
+// List academic terms
+router.get(
+    '/admin/academic-terms',
+    authenticateToken,
+    requirePermission('LEAVE_QUOTAS_MANAGE'),
+    leaveQuotaController.listTerms
+);
+
+// Create an academic term
+router.post(
+    '/admin/academic-terms',
+    authenticateToken,
+    requirePermission('LEAVE_QUOTAS_MANAGE'),
+    leaveQuotaController.createTerm
+);
+
+// Update an academic term
+router.put(
+    '/admin/academic-terms/:termId',
+    authenticateToken,
+    requirePermission('LEAVE_QUOTAS_MANAGE'),
+    leaveQuotaController.updateTerm
+);
+
+// List leave quotas of a term
+router.get(
+    '/admin/leave-quotas',
+    authenticateToken,
+    requirePermission('LEAVE_QUOTAS_MANAGE'),
+    leaveQuotaController.listQuotas
+);
+
+// Create or update a leave quota
+router.put(
+    '/admin/leave-quotas',
+    authenticateToken,
+    requirePermission('LEAVE_QUOTAS_MANAGE'),
+    leaveQuotaController.saveQuota
+);
+
+// Remove a leave quota
+router.delete(
+    '/admin/leave-quotas/:quotaId',
+    authenticateToken,
+    requirePermission('LEAVE_QUOTAS_MANAGE'),
+    leaveQuotaController.deleteQuota
+);
+
+// List academic calendar events
+router.get(
+    '/admin/calendar-events',
+    authenticateToken,
+    requirePermission('CALENDAR_MANAGE'),
+    calendarController.listEvents
+);
+
+// Add an academic calendar event
+router.post(
+    '/admin/calendar-events',
+    authenticateToken,
+    requirePermission('CALENDAR_MANAGE'),
+    calendarController.createEvent
+);
+
+// Update or deactivate an academic calendar event
+router.put(
+    '/admin/calendar-events/:eventId',
+    authenticateToken,
+    requirePermission('CALENDAR_MANAGE'),
+    calendarController.updateEvent
+);
+
+// List current and upcoming approval delegations
+router.get(
+    '/admin/delegations',
+    authenticateToken,
+    requirePermission('DELEGATIONS_MANAGE'),
+    delegationController.listDelegations
+);
+
+// =====================================================
+// STAFF APPROVALS & DELEGATION (Any approving staff)
+// =====================================================
+
+// Leaves waiting for me, including stages delegated to me
+router.get(
+    '/staff/approvals/pending',
+    authenticateToken,
+    leaveController.getMyApprovalQueue
+);
+
+// Approve/Reject a leave with own or delegated authority
+router.post(
+    '/staff/approvals/:leaveId/process',
+    authenticateToken,
+    leaveController.processAssignedLeave
+);
+
+// Delegations I have given or received
+router.get(
+    '/staff/delegations',
+    authenticateToken,
+    delegationController.getMyDelegations
+);
+
+// Delegate approval authority for a date range
+router.post(
+    '/staff/delegations',
+    authenticateToken,
+    delegationController.createDelegation
+);
+
+// Revoke a delegation
+router.post(
+    '/staff/delegations/:delegationId/revoke',
+    authenticateToken,
+    delegationController.revokeDelegation
+);
+
+// Students allowed leave during a calendar event
+router.get(
+    '/staff/calendar-events/:eventId/overrides',
+    authenticateToken,
+    requirePermission('CALENDAR_OVERRIDE'),
+    calendarController.listOverrides
+);
+
+// Allow a student leave during an exam blackout or restricted window
+router.post(
+    '/staff/calendar-events/:eventId/overrides',
+    authenticateToken,
+    requirePermission('CALENDAR_OVERRIDE'),
+    calendarController.grantOverride
+);
+
 // =====================================================
 // COMMON ROUTES (Multiple roles)
 // =====================================================
@@ -328,4 +987,25 @@ router.put(
     parentController.markNotificationRead
 );
 
+// Edit history of a leave (student, guardians, approving staff)
+router.get(
+    '/leaves/:leaveId/revisions',
+    authenticateToken,
+    leaveController.getLeaveRevisions
+);
+
+// Documents attached to a leave (student, guardians, approving staff)
+router.get(
+    '/leaves/:leaveId/attachments',
+    authenticateToken,
+    leaveAttachmentController.listAttachments
+);
+
+// Download a leave document
+router.get(
+    '/leaves/:leaveId/attachments/:attachmentId',
+    authenticateToken,
+    leaveAttachmentController.downloadAttachment
+);
+
 module.exports = router;
\ No newline at end of file
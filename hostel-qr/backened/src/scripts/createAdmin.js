@@ -0,0 +1,71 @@
+// =====================================================
+// BOOTSTRAP: CREATE ADMINISTRATOR ACCOUNT
+// =====================================================
+// Usage: ADMIN_EMAIL=... ADMIN_PASSWORD=... ADMIN_NAME=... npm run create-admin
+// Creates the first ADMIN user; further staff are created through the admin API.
+
+require('dotenv').config();
+const db = require('../config/database');
+const { hashPassword, validatePasswordPolicy } = require('../utils/helpers');
+
+const createAdmin = async () => {
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    const name = process.env.ADMIN_NAME || 'Administrator';
+
+    if (!email || !password) {
+        throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD are required');
+    }
+
+    const passwordCheck = validatePasswordPolicy(password);
+
+    if (!passwordCheck.valid) {
+        throw new Error(passwordCheck.errors.join('; '));
+    }
+
+    const existing = await db.getOne('SELECT id FROM users WHERE email = ?', [email]);
+
+    if (existing) {
+        throw new Error(`A user with email ${email} already exists`);
+    }
+
+    const adminRole = await db.getOne("SELECT id FROM roles WHERE role_name = 'ADMIN'");
+
+    if (!adminRole) {
+        throw new Error('ADMIN role not found. Apply database/schema.sql first.');
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    return await db.transaction(async (conn) => {
+        const [userResult] = await conn.execute(
+            `INSERT INTO users (role_id, email, password_hash, is_verified, is_active)
+             VALUES (?, ?, ?, TRUE, TRUE)`,
+            [adminRole.id, email, passwordHash]
+        );
+
+        await conn.execute(
+            `INSERT INTO staff (user_id, staff_name, designation, department)
+             VALUES (?, ?, 'Administrator', 'Administration')`,
+            [userResult.insertId, name]
+        );
+
+        await conn.execute(
+            `INSERT INTO audit_logs (user_id, action, table_name, record_id, new_value)
+             VALUES (?, 'ADMIN_BOOTSTRAPPED', 'users', ?, ?)`,
+            [userResult.insertId, userResult.insertId, JSON.stringify({ email })]
+        );
+
+        return userResult.insertId;
+    });
+};
+
+createAdmin()
+    .then((userId) => {
+        console.log(`✅ Admin user created (id ${userId})`);
+    })
+    .catch((error) => {
+        console.error('❌ Failed to create admin:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => db.closePool());
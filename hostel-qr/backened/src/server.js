@@ -12,6 +12,7 @@ const rateLimit = require('express-rate-limit');
 
 const db = require('./config/database');
 const apiRoutes = require('./routes/api');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Initialize Express app
 const app = express();
@@ -201,6 +202,9 @@ const startServer = async () => {
             console.log('='.repeat(60) + '\n');
         });
 
+        // Background jobs (leave escalation)
+        startJobs();
+
     } catch (error) {
         console.error('❌ Server startup failed:', error);
         process.exit(1);
@@ -210,12 +214,14 @@ const startServer = async () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
     console.log('\n⚠️  Shutting down gracefully...');
+    stopJobs();
     await db.closePool();
     process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
     console.log('\n⚠️  SIGTERM received, shutting down...');
+    stopJobs();
     await db.closePool();
     process.exit(0);
 });
@@ -0,0 +1,108 @@
+// =====================================================
+// ACADEMIC CALENDAR SERVICE (Holidays, blackouts, restrictions)
+// =====================================================
+// Calendar events apply to every student unless scoped to a department
+// and/or a year of study. An EXAM_BLACKOUT stops a student applying for
+// leave that overlaps it; a RESTRICTED window lets the application through
+// but a staff approver has to justify approving it. An override granted
+// ahead of applying lifts both for that student and event; one recorded
+// while approving a leave only covers that leave. HOLIDAY events never
+// block leave.
+
+const db = require('../config/database');
+
+const EVENT_TYPES = ['HOLIDAY', 'EXAM_BLACKOUT', 'RESTRICTED'];
+const BLOCKING_TYPES = ['EXAM_BLACKOUT', 'RESTRICTED'];
+
+/**
+ * Active blocking events a student's leave dates overlap that no override
+ * lifts: standalone overrides count for any leave, overrides recorded on
+ * approval only for leaveId
+ * student: { id, department, year_of_study }
+ */
+const findConflicts = async (student, fromDate, toDate, leaveId = null, conn = null) => {
+    const sql = `SELECT e.id, e.event_name, e.event_type,
+                        DATE_FORMAT(e.start_date, '%Y-%m-%d') as start_date,
+                        DATE_FORMAT(e.end_date, '%Y-%m-%d') as end_date,
+                        EXISTS (SELECT 1 FROM calendar_overrides o
+                                WHERE o.event_id = e.id AND o.student_id = ?
+                                AND (o.leave_application_id IS NULL
+                                     OR o.leave_application_id = ?)) as is_overridden
+                 FROM calendar_events e
+                 WHERE e.is_active = TRUE
+                 AND e.event_type IN (${BLOCKING_TYPES.map(() => '?').join(', ')})
+                 AND e.start_date <= ? AND e.end_date >= ?
+                 AND (e.department IS NULL OR e.department = ?)
+                 AND (e.year_of_study IS NULL OR e.year_of_study = ?)
+                 ORDER BY e.start_date`;
+    const params = [student.id, leaveId, ...BLOCKING_TYPES, toDate, fromDate,
+                    student.department || null, student.year_of_study || null];
+
+    const events = conn
+        ? (await conn.execute(sql, params))[0]
+        : await db.getMany(sql, params);
+
+    return events.filter(event => !event.is_overridden);
+};
+
+/**
+ * e.g. "Mid-term exams (2026-10-20 to 2026-10-25)"
+ */
+const describeEvents = (events) => {
+    return events
+        .map(event => `${event.event_name} (${event.start_date} to ${event.end_date})`)
+        .join(', ');
+};
+
+/**
+ * Check new or edited leave dates against the calendar
+ * Returns null when nothing stands in the way, otherwise
+ * { reject, message, events } - reject when an exam blackout is hit,
+ * otherwise the leave falls in a restricted window and needs justification
+ */
+const checkApplication = async (student, fromDate, toDate) => {
+    const events = await findConflicts(student, fromDate, toDate);
+
+    if (events.length === 0) {
+        return null;
+    }
+
+    const blackouts = events.filter(event => event.event_type === 'EXAM_BLACKOUT');
+
+    if (blackouts.length > 0) {
+        return {
+            reject: true,
+            message: `Leave is not allowed during ${describeEvents(blackouts)}. Ask the warden if you need an exception.`,
+            events
+        };
+    }
+
+    return {
+        reject: false,
+        message: `Your leave falls in a restricted period: ${describeEvents(events)}. It will only be approved with a staff justification.`,
+        events
+    };
+};
+
+/**
+ * Record overrides for the given events (inside a transaction)
+ */
+const recordOverrides = async (conn, events, { studentId, leaveId = null, justification, grantedBy }) => {
+    for (const event of events) {
+        await conn.execute(
+            `INSERT INTO calendar_overrides
+             (event_id, student_id, leave_application_id, justification, granted_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            [event.id, studentId, leaveId, justification, grantedBy]
+        );
+    }
+};
+
+module.exports = {
+    EVENT_TYPES,
+    BLOCKING_TYPES,
+    findConflicts,
+    describeEvents,
+    checkApplication,
+    recordOverrides
+};
@@ -0,0 +1,65 @@
+// =====================================================
+// MEMORY CACHE DRIVER (Single process)
+// =====================================================
+
+/**
+ * Create memory driver
+ * Entries expire lazily on read; when full, the oldest entry is evicted.
+ * Values are stored as given, so callers must treat them as read-only.
+ */
+const createMemoryDriver = (config = {}) => {
+    const maxEntries = config.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || 10000;
+    const entries = new Map();
+
+    const get = async (key) => {
+        const entry = entries.get(key);
+
+        if (!entry) {
+            return undefined;
+        }
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return undefined;
+        }
+
+        return entry.value;
+    };
+
+    const set = async (key, value, ttlSeconds = null) => {
+        // Re-inserting moves the key to the back of the eviction order
+        entries.delete(key);
+
+        if (entries.size >= maxEntries) {
+            entries.delete(entries.keys().next().value);
+        }
+
+        entries.set(key, {
+            value,
+            expiresAt: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null
+        });
+    };
+
+    const del = async (...keys) => {
+        let removed = 0;
+        for (const key of keys) {
+            if (entries.delete(key)) {
+                removed++;
+            }
+        }
+        return removed;
+    };
+
+    return {
+        name: 'memory',
+        get,
+        set,
+        del,
+        size: async () => entries.size,
+        clear: async () => {
+            entries.clear();
+        }
+    };
+};
+
+module.exports = createMemoryDriver;
@@ -0,0 +1,238 @@
+// =====================================================
+// CACHE SERVICE (Pluggable backend, short-TTL lookups)
+// =====================================================
+
+const createMemoryDriver = require('./drivers/memory');
+
+// Backend factories by name (CACHE_DRIVER)
+// Each backend: { name, get(key) -> value | undefined, set(key, value, ttlSeconds), del(...keys), size?() }
+const drivers = {
+    memory: createMemoryDriver
+};
+
+let activeBackend = null;
+
+const stats = {
+    hits: 0,
+    misses: 0,
+    sets: 0,
+    invalidations: 0,
+    errors: 0,
+    since: new Date().toISOString()
+};
+
+/**
+ * Register an extra backend factory (e.g. redis)
+ */
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+/**
+ * Create a backend by driver name
+ */
+const createBackend = (name, config = {}) => {
+    const factory = drivers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown cache driver: ${name}`);
+    }
+
+    return factory(config);
+};
+
+/**
+ * Get the configured backend (created on first use)
+ */
+const getBackend = () => {
+    if (!activeBackend) {
+        activeBackend = createBackend(process.env.CACHE_DRIVER || 'memory');
+    }
+    return activeBackend;
+};
+
+/**
+ * Replace the active backend (tests, runtime switch)
+ */
+const setBackend = (backend) => {
+    activeBackend = backend;
+};
+
+/**
+ * Default TTL for authentication lookups (CACHE_AUTH_TTL_SECONDS; 0 disables caching)
+ */
+const getAuthTTL = () => {
+    const ttl = parseInt(process.env.CACHE_AUTH_TTL_SECONDS);
+    return Number.isNaN(ttl) ? 30 : ttl;
+};
+
+// =====================================================
+// CACHE OPERATIONS
+// =====================================================
+
+/**
+ * Return the cached value or load, cache and return it
+ * null/undefined results are not cached; backend errors fall back to the loader
+ */
+const remember = async (key, ttlSeconds, loader) => {
+    if (ttlSeconds <= 0) {
+        return await loader();
+    }
+
+    try {
+        const cached = await getBackend().get(key);
+
+        if (cached !== undefined) {
+            stats.hits++;
+            return cached;
+        }
+    } catch (error) {
+        stats.errors++;
+        console.error('Cache read error:', error.message);
+    }
+
+    stats.misses++;
+    const value = await loader();
+
+    if (value !== null && value !== undefined) {
+        try {
+            await getBackend().set(key, value, ttlSeconds);
+            stats.sets++;
+        } catch (error) {
+            stats.errors++;
+            console.error('Cache write error:', error.message);
+        }
+    }
+
+    return value;
+};
+
+/**
+ * Remove keys; never throws (the entry then lives until its TTL)
+ */
+const invalidate = async (...keys) => {
+    try {
+        stats.invalidations += await getBackend().del(...keys);
+    } catch (error) {
+        stats.errors++;
+        console.error('Cache invalidation error:', error.message);
+    }
+};
+
+/**
+ * Hit/miss counters plus backend details
+ */
+const getStats = async () => {
+    const backend = getBackend();
+    const lookups = stats.hits + stats.misses;
+
+    return {
+        backend: backend.name,
+        authTTLSeconds: getAuthTTL(),
+        entries: backend.size ? await backend.size() : null,
+        ...stats,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 1000) / 10 : null
+    };
+};
+
+const resetStats = () => {
+    Object.assign(stats, {
+        hits: 0,
+        misses: 0,
+        sets: 0,
+        invalidations: 0,
+        errors: 0,
+        since: new Date().toISOString()
+    });
+};
+
+// =====================================================
+// AUTHENTICATION LOOKUP KEYS
+// =====================================================
+// Permissions depend on role_permissions, which can change for a whole
+// role at once. Their keys carry a version that is replaced on such a
+// change, so stale entries are never read again and simply expire.
+
+const keys = {
+    user: (userId) => `auth:user:${userId}`,
+    session: (sessionId) => `auth:session:${sessionId}`,
+    student: (userId) => `auth:student:${userId}`,
+    permissions: (version, userId) => `auth:permissions:${version}:${userId}`,
+    permissionsVersion: () => 'auth:permissions:version'
+};
+
+const newVersion = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+const getPermissionsVersion = async () => {
+    try {
+        const version = await getBackend().get(keys.permissionsVersion());
+
+        if (version !== undefined) {
+            return version;
+        }
+
+        const fresh = newVersion();
+        await getBackend().set(keys.permissionsVersion(), fresh);
+        return fresh;
+    } catch (error) {
+        stats.errors++;
+        console.error('Cache read error:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Cached effective permissions of a user
+ */
+const rememberPermissions = async (userId, loader) => {
+    const version = await getPermissionsVersion();
+
+    if (version === null) {
+        return await loader();
+    }
+
+    return await remember(keys.permissions(version, userId), getAuthTTL(), loader);
+};
+
+/**
+ * Drop everything cached for a user (active flag, role, contact details,
+ * student verification, permissions)
+ */
+const invalidateUser = async (...userIds) => {
+    const version = await getPermissionsVersion();
+
+    await invalidate(...userIds.flatMap(userId => [
+        keys.user(userId),
+        keys.student(userId),
+        ...(version !== null ? [keys.permissions(version, userId)] : [])
+    ]));
+};
+
+/**
+ * Forget every cached permission set (role permissions changed)
+ */
+const invalidateAllPermissions = async () => {
+    try {
+        await getBackend().set(keys.permissionsVersion(), newVersion());
+        stats.invalidations++;
+    } catch (error) {
+        stats.errors++;
+        console.error('Cache invalidation error:', error.message);
+    }
+};
+
+module.exports = {
+    registerDriver,
+    createBackend,
+    getBackend,
+    setBackend,
+    getAuthTTL,
+    remember,
+    invalidate,
+    getStats,
+    resetStats,
+    keys,
+    rememberPermissions,
+    invalidateUser,
+    invalidateAllPermissions
+};
@@ -0,0 +1,124 @@
+// =====================================================
+// APPROVAL DELEGATIONS SERVICE
+// =====================================================
+// While a delegation is active (today between from_date and to_date, not
+// revoked) the delegate answers for the delegator: they get the approval
+// notifications, see the leaves in their queue and act in the delegator's
+// name. The delegator's queue no longer lists those leaves, although they
+// can still act on them. Authority received by delegation is not passed on.
+
+const db = require('../config/database');
+const { getEffectivePermissions } = require('./permissions');
+
+/**
+ * Permissions that approve some workflow stage, or take over overdue ones
+ */
+const getApprovalPermissions = async (conn = null) => {
+    const sql = `SELECT approver_permission as permission_name FROM approval_workflow_stages
+                 WHERE approver_type = 'PERMISSION' AND approver_permission IS NOT NULL
+                 UNION
+                 SELECT sla_escalate_to FROM approval_workflow_stages
+                 WHERE sla_escalate_to IS NOT NULL`;
+
+    const rows = conn
+        ? (await conn.execute(sql))[0]
+        : await db.getMany(sql);
+
+    return rows.map(row => row.permission_name);
+};
+
+/**
+ * Delegations in force today, to active users only
+ */
+const getActiveDelegations = async (conn = null) => {
+    const sql = `SELECT d.id, d.delegator_user_id, d.delegate_user_id, d.permission_name
+                 FROM approval_delegations d
+                 JOIN users u ON u.id = d.delegate_user_id
+                 WHERE d.revoked_at IS NULL
+                 AND CURDATE() BETWEEN d.from_date AND d.to_date
+                 AND u.is_active = TRUE
+                 ORDER BY d.id`;
+
+    return conn
+        ? (await conn.execute(sql))[0]
+        : await db.getMany(sql);
+};
+
+const coversPermission = (delegation, permission) => {
+    return delegation.permission_name === null || delegation.permission_name === permission;
+};
+
+/**
+ * Replace approvers who delegated this permission with their delegates
+ */
+const applyDelegations = async (userIds, permission, conn = null) => {
+    const delegations = (await getActiveDelegations(conn))
+        .filter(delegation => coversPermission(delegation, permission));
+
+    return [...new Set(userIds.map(userId => {
+        const delegation = delegations.find(d => d.delegator_user_id === userId);
+        return delegation ? delegation.delegate_user_id : userId;
+    }))];
+};
+
+/**
+ * Approval permissions a user answers for today
+ * Returns [{ permission, onBehalfOf }] where onBehalfOf is null for the
+ * user's own permissions and the delegator's user id for delegated ones
+ */
+const getResponsibilities = async (userId) => {
+    const approvalPermissions = await getApprovalPermissions();
+    const delegations = await getActiveDelegations();
+    const responsibilities = [];
+
+    const delegatedAway = delegations.filter(d => d.delegator_user_id === userId);
+    const ownPermissions = (await getEffectivePermissions(userId))
+        .filter(permission => approvalPermissions.includes(permission));
+
+    for (const permission of ownPermissions) {
+        if (!delegatedAway.some(d => coversPermission(d, permission))) {
+            responsibilities.push({ permission, onBehalfOf: null });
+        }
+    }
+
+    for (const delegation of delegations.filter(d => d.delegate_user_id === userId)) {
+        const delegatorPermissions = await getEffectivePermissions(delegation.delegator_user_id);
+
+        for (const permission of approvalPermissions) {
+            const covered = coversPermission(delegation, permission)
+                && delegatorPermissions.includes(permission)
+                && !responsibilities.some(r => r.permission === permission);
+
+            if (covered) {
+                responsibilities.push({ permission, onBehalfOf: delegation.delegator_user_id });
+            }
+        }
+    }
+
+    return responsibilities;
+};
+
+/**
+ * Delegator whose authority lets a user act with this permission today, or null
+ */
+const findDelegator = async (userId, permission) => {
+    const delegations = (await getActiveDelegations())
+        .filter(d => d.delegate_user_id === userId && coversPermission(d, permission));
+
+    for (const delegation of delegations) {
+        const delegatorPermissions = await getEffectivePermissions(delegation.delegator_user_id);
+
+        if (delegatorPermissions.includes(permission)) {
+            return delegation.delegator_user_id;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    getApprovalPermissions,
+    applyDelegations,
+    getResponsibilities,
+    findDelegator
+};
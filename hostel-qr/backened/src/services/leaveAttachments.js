@@ -0,0 +1,168 @@
+// =====================================================
+// LEAVE ATTACHMENTS SERVICE (Supporting documents)
+// =====================================================
+// Uploads are held in memory by multer, typed from their first bytes (a
+// specific declared MIME type must agree), hashed and written under a random key
+// outside the public uploads folder. They are only served through the API
+// after checking who may see the leave.
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const multer = require('multer');
+
+// =====================================================
+// CONFIGURATION
+// =====================================================
+
+// Accepted file types and the bytes their contents start with
+const FILE_SIGNATURES = {
+    'application/pdf': Buffer.from('%PDF-'),
+    'image/jpeg': Buffer.from([0xFF, 0xD8, 0xFF]),
+    'image/png': Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])
+};
+
+const getStorageDir = () => {
+    return path.resolve(process.env.ATTACHMENTS_DIR || path.join(__dirname, '../../storage/leave-attachments'));
+};
+
+const getMaxFileSize = () => {
+    return (parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 5) * 1024 * 1024;
+};
+
+const getMaxPerLeave = () => {
+    return parseInt(process.env.ATTACHMENTS_PER_LEAVE) || 5;
+};
+
+// =====================================================
+// UPLOAD HANDLING
+// =====================================================
+
+const UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: () => `Each file must be at most ${getMaxFileSize() / (1024 * 1024)} MB`,
+    LIMIT_FILE_COUNT: () => `At most ${getMaxPerLeave()} files can be attached to a leave`,
+    LIMIT_UNEXPECTED_FILE: () => 'Files must be sent in the "attachments" field'
+};
+
+/**
+ * Middleware: parse multipart "attachments" files into req.files
+ * Multer errors become 400 responses.
+ */
+const receiveAttachments = (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: getMaxFileSize(),
+            files: getMaxPerLeave()
+        }
+    }).array('attachments');
+
+    upload(req, res, (error) => {
+        if (!error) {
+            return next();
+        }
+
+        if (error instanceof multer.MulterError) {
+            const describe = UPLOAD_ERRORS[error.code];
+
+            return res.status(400).json({
+                success: false,
+                message: describe ? describe() : 'Invalid file upload'
+            });
+        }
+
+        next(error);
+    });
+};
+
+/**
+ * File type of the contents, or null if not an accepted type
+ */
+const detectFileType = (buffer) => {
+    const match = Object.entries(FILE_SIGNATURES).find(([, signature]) =>
+        buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature)
+    );
+
+    return match ? match[0] : null;
+};
+
+/**
+ * Check uploaded files; returns an error message or null
+ */
+const validateFiles = (files) => {
+    if (!files || files.length === 0) {
+        return 'At least one file is required';
+    }
+
+    for (const file of files) {
+        const detected = detectFileType(file.buffer);
+
+        if (!detected) {
+            return `${file.originalname}: only PDF, JPEG and PNG files are accepted`;
+        }
+
+        // Generic clients send application/octet-stream for every file
+        if (file.mimetype !== detected && file.mimetype !== 'application/octet-stream') {
+            return `${file.originalname}: file contents do not match its type`;
+        }
+    }
+
+    return null;
+};
+
+// =====================================================
+// STORAGE
+// =====================================================
+
+const getFilePath = (storageKey) => {
+    return path.join(getStorageDir(), storageKey.slice(0, 2), storageKey);
+};
+
+/**
+ * Write validated files to storage
+ * Returns [{ originalName, mimeType, sizeBytes, sha256, storageKey }]
+ */
+const storeFiles = async (files) => {
+    const stored = [];
+
+    try {
+        for (const file of files) {
+            const storageKey = crypto.randomBytes(32).toString('hex');
+            const filePath = getFilePath(storageKey);
+
+            await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 });
+            await fs.writeFile(filePath, file.buffer, { mode: 0o600, flag: 'wx' });
+
+            stored.push({
+                originalName: path.basename(file.originalname).slice(0, 255),
+                mimeType: detectFileType(file.buffer),
+                sizeBytes: file.size,
+                sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                storageKey
+            });
+        }
+    } catch (error) {
+        await removeFiles(stored.map(file => file.storageKey));
+        throw error;
+    }
+
+    return stored;
+};
+
+/**
+ * Delete stored files; missing files are ignored
+ */
+const removeFiles = async (storageKeys) => {
+    for (const storageKey of storageKeys) {
+        await fs.rm(getFilePath(storageKey), { force: true });
+    }
+};
+
+module.exports = {
+    getMaxPerLeave,
+    receiveAttachments,
+    validateFiles,
+    getFilePath,
+    storeFiles,
+    removeFiles
+};
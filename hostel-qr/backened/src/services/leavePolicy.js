@@ -0,0 +1,89 @@
+// =====================================================
+// LEAVE POLICY SERVICE (Rules per leave type)
+// =====================================================
+// Each leave type has a policy: how far ahead it must be applied for, how
+// long it may last, whether a supporting document is needed, an optional
+// fixed approval workflow and whether it counts toward leave quotas.
+// Dates are checked when a leave is submitted or edited; the duration
+// limit and the attachment requirement are checked before any approval,
+// as policies can change.
+
+const db = require('../config/database');
+const { daysBetween } = require('../utils/helpers');
+
+/**
+ * Active policy of a leave type (null if the type is unknown or disabled)
+ */
+const getPolicy = async (leaveType) => {
+    return await db.getOne(
+        'SELECT * FROM leave_type_policies WHERE leave_type = ? AND is_active = TRUE',
+        [leaveType]
+    );
+};
+
+/**
+ * Check leave dates against a policy
+ * Returns an error message or null
+ */
+const checkLeaveDates = (policy, fromDate, toDate) => {
+    const from = new Date(fromDate);
+    const to = new Date(toDate);
+
+    if (to < from) {
+        return 'To date must be after from date';
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const daysUntilLeave = Math.ceil((from - today) / (1000 * 60 * 60 * 24));
+
+    if (daysUntilLeave < policy.min_advance_days) {
+        return policy.min_advance_days > 0
+            ? `${policy.leave_type} leave must be applied at least ${policy.min_advance_days} days in advance`
+            : 'Leave cannot start in the past';
+    }
+
+    const duration = daysBetween(fromDate, toDate);
+
+    if (policy.max_duration_days && duration > policy.max_duration_days) {
+        return `${policy.leave_type} leave cannot be longer than ${policy.max_duration_days} days`;
+    }
+
+    return null;
+};
+
+/**
+ * Check that a leave may still be approved under its type's policy
+ * leave: { id, leave_type, duration }
+ * Returns an error message or null
+ */
+const checkApprovable = async (leave) => {
+    const policy = await getPolicy(leave.leave_type);
+
+    if (!policy) {
+        return null;
+    }
+
+    if (policy.max_duration_days && leave.duration > policy.max_duration_days) {
+        return `${policy.leave_type} leave is limited to ${policy.max_duration_days} days; this request is for ${leave.duration} days`;
+    }
+
+    if (policy.requires_attachment) {
+        const attachments = await db.getOne(
+            'SELECT COUNT(*) as count FROM leave_attachments WHERE leave_application_id = ?',
+            [leave.id]
+        );
+
+        if (attachments.count === 0) {
+            return `${policy.leave_type} leave needs a supporting document before it can be approved`;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    getPolicy,
+    checkLeaveDates,
+    checkApprovable
+};
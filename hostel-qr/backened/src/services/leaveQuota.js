@@ -0,0 +1,204 @@
+// =====================================================
+// LEAVE QUOTA SERVICE (Days per leave type per term)
+// =====================================================
+// A quota caps the days of one leave type a student can take in an academic
+// term, optionally only for one year of study. Pending and approved leaves
+// use it up; a leave crossing a term boundary counts in each term for the
+// days that fall inside it. Leave types whose policy doesn't count toward
+// quotas (e.g. MEDICAL) are never limited.
+
+const db = require('../config/database');
+const { PENDING_STATUSES, APPROVED_STATUSES } = require('./leaveWorkflow');
+const { getPolicy } = require('./leavePolicy');
+
+const COUNTED_STATUSES = [...PENDING_STATUSES, ...APPROVED_STATUSES];
+
+/**
+ * Quota of a leave type in a term; a year-specific quota wins over one for all years
+ */
+const getQuota = async (termId, leaveType, yearOfStudy) => {
+    return await db.getOne(
+        `SELECT * FROM leave_quotas
+         WHERE term_id = ? AND leave_type = ?
+         AND (year_of_study IS NULL OR year_of_study = ?)
+         ORDER BY year_of_study IS NULL
+         LIMIT 1`,
+        [termId, leaveType, yearOfStudy]
+    );
+};
+
+/**
+ * Days of a student's pending and approved leaves of a type inside a term
+ */
+const getUsedDays = async (studentId, leaveType, term, excludeLeaveId = null) => {
+    const row = await db.getOne(
+        `SELECT COALESCE(SUM(DATEDIFF(LEAST(to_date, ?), GREATEST(from_date, ?)) + 1), 0) as used_days
+         FROM leave_applications
+         WHERE student_id = ? AND leave_type = ? AND id <> ?
+         AND status IN (${COUNTED_STATUSES.map(() => '?').join(', ')})
+         AND from_date <= ? AND to_date >= ?`,
+        [term.end_date, term.start_date, studentId, leaveType, excludeLeaveId || 0,
+         ...COUNTED_STATUSES, term.end_date, term.start_date]
+    );
+
+    return Number(row.used_days);
+};
+
+/**
+ * Check a new or edited leave against the quotas of every term it touches
+ * Returns null when within quota, otherwise
+ * { reject, message, terms: [{ termName, maxDays, usedDays, requestedDays, remainingDays }] }
+ * reject is false when every exceeded quota only flags.
+ */
+const checkQuota = async ({ studentId, yearOfStudy, policy, fromDate, toDate, excludeLeaveId = null }) => {
+    if (!policy.counts_toward_quota) {
+        return null;
+    }
+
+    const terms = await db.getMany(
+        `SELECT t.*, DATEDIFF(LEAST(?, t.end_date), GREATEST(?, t.start_date)) + 1 as requested_days
+         FROM academic_terms t
+         WHERE t.start_date <= ? AND t.end_date >= ?
+         ORDER BY t.start_date`,
+        [toDate, fromDate, toDate, fromDate]
+    );
+
+    const exceeded = [];
+
+    for (const term of terms) {
+        const quota = await getQuota(term.id, policy.leave_type, yearOfStudy);
+
+        if (!quota) {
+            continue;
+        }
+
+        const usedDays = await getUsedDays(studentId, policy.leave_type, term, excludeLeaveId);
+
+        if (usedDays + term.requested_days > quota.max_days) {
+            exceeded.push({
+                termName: term.term_name,
+                maxDays: quota.max_days,
+                usedDays,
+                requestedDays: term.requested_days,
+                remainingDays: Math.max(quota.max_days - usedDays, 0),
+                action: quota.over_quota_action
+            });
+        }
+    }
+
+    if (exceeded.length === 0) {
+        return null;
+    }
+
+    const [first] = exceeded;
+
+    return {
+        reject: exceeded.some(term => term.action === 'REJECT'),
+        message: `${policy.leave_type} leave quota for ${first.termName} is ${first.maxDays} days: ${first.remainingDays} left, ${first.requestedDays} requested`,
+        terms: exceeded.map(({ action, ...term }) => term)
+    };
+};
+
+/**
+ * A student's quota balances for a term (default: the term running today,
+ * or the next one)
+ * Returns { term, balances: [{ leave_type, max_days, used_days, remaining_days }] }
+ * or null if there is no such term
+ */
+const getBalances = async (student, termId = null) => {
+    const term = termId
+        ? await db.getOne('SELECT * FROM academic_terms WHERE id = ?', [termId])
+        : await db.getOne(
+            `SELECT * FROM academic_terms
+             WHERE end_date >= CURDATE()
+             ORDER BY start_date
+             LIMIT 1`
+        );
+
+    if (!term) {
+        return null;
+    }
+
+    const quotas = await db.getMany(
+        `SELECT q.leave_type, q.max_days, q.over_quota_action
+         FROM leave_quotas q
+         JOIN leave_type_policies p ON p.leave_type = q.leave_type
+         WHERE q.term_id = ?
+         AND (q.year_of_study IS NULL OR q.year_of_study = ?)
+         AND p.is_active = TRUE AND p.counts_toward_quota = TRUE
+         ORDER BY q.leave_type, q.year_of_study IS NULL`,
+        [term.id, student.year_of_study]
+    );
+
+    const balances = [];
+
+    for (const quota of quotas) {
+        // Year-specific quota came first
+        if (balances.some(balance => balance.leave_type === quota.leave_type)) {
+            continue;
+        }
+
+        const usedDays = await getUsedDays(student.id, quota.leave_type, term);
+
+        balances.push({
+            leave_type: quota.leave_type,
+            max_days: quota.max_days,
+            used_days: usedDays,
+            remaining_days: Math.max(quota.max_days - usedDays, 0),
+            over_quota_action: quota.over_quota_action
+        });
+    }
+
+    return {
+        term: {
+            id: term.id,
+            term_name: term.term_name,
+            start_date: term.start_date,
+            end_date: term.end_date
+        },
+        balances
+    };
+};
+
+/**
+ * Add quota_balance (for the term the leave starts in) to approval queue rows
+ * used_days includes the leave itself; null when no quota applies
+ */
+const attachQuotaBalances = async (leaves) => {
+    const policies = {};
+
+    for (const leave of leaves) {
+        if (!(leave.leave_type in policies)) {
+            policies[leave.leave_type] = await getPolicy(leave.leave_type);
+        }
+
+        const policy = policies[leave.leave_type];
+        const term = policy && policy.counts_toward_quota && await db.getOne(
+            'SELECT * FROM academic_terms WHERE ? BETWEEN start_date AND end_date',
+            [leave.from_date]
+        );
+        const quota = term && await getQuota(term.id, leave.leave_type, leave.year_of_study);
+
+        if (!quota) {
+            leave.quota_balance = null;
+            continue;
+        }
+
+        const usedDays = await getUsedDays(leave.student_id, leave.leave_type, term);
+
+        leave.quota_balance = {
+            term_name: term.term_name,
+            max_days: quota.max_days,
+            used_days: usedDays,
+            remaining_days: quota.max_days - usedDays
+        };
+    }
+
+    return leaves;
+};
+
+module.exports = {
+    checkQuota,
+    getBalances,
+    attachQuotaBalances
+};
@@ -0,0 +1,1042 @@
+// =====================================================
+// LEAVE WORKFLOW ENGINE (Multi-stage approval chains)
+// =====================================================
+// Approval chains are data. approval_workflows pick a chain by leave type,
+// duration, department and year; approval_workflow_stages list its stages.
+// Submitting a leave copies the chain into leave_approvals: stages whose
+// skip condition matches are SKIPPED straight away, the first remaining
+// stage becomes PENDING and the rest WAIT. Approving a stage hands the
+// leave to the next one, rejecting ends the chain. A leave with every stage
+// skipped is approved outright only if it passes the checks an approver
+// would face; otherwise its last staff stage stays pending.
+//
+// The leave status mirrors the chain: the current stage's pending_status
+// while waiting, the last stage's approved_status once approved. That keeps
+// APPROVED_DW / APPROVED_PRINCIPAL meaning "approved" everywhere else.
+//
+// A stage with escalate_after_hours that nobody acts on in time is marked
+// ESCALATED and the leave moves on to the next stage (see src/jobs).
+//
+// Stages can also carry an SLA deadline counted back from the leave's
+// from_date. Approvers are reminded as it nears; once it passes, holders of
+// sla_escalate_to (e.g. the principal for a deputy warden stage) can decide
+// the stage as well. Pending lists are ordered by deadline and flag overdue
+// items.
+//
+// Staff stages honour approval delegations (see ./delegations): delegates
+// are notified instead of the away approver, and their decisions record
+// whose authority they used in leave_approvals.on_behalf_of.
+//
+// Approving a staff stage of a leave that overlaps an exam blackout or a
+// restricted window (see ./academicCalendar) needs a justification, which
+// is recorded as a calendar override for the student.
+
+const db = require('../config/database');
+const { getGuardianUserIds, getGuardianLink } = require('../utils/helpers');
+const {
+    getEffectivePermissions,
+    getUserIdsWithPermission,
+    hasPermission
+} = require('./permissions');
+const { applyDelegations, getResponsibilities, findDelegator } = require('./delegations');
+const { notifyUsers } = require('./notifications');
+const { checkApprovable } = require('./leavePolicy');
+const academicCalendar = require('./academicCalendar');
+
+const APPROVER_TYPES = ['GUARDIAN', 'PERMISSION'];
+const PENDING_STATUSES = ['PENDING', 'PENDING_PARENT'];
+const APPROVED_STATUSES = ['APPROVED_DW', 'APPROVED_PRINCIPAL'];
+
+// Skip condition keys and when each one matches a leave
+const SKIP_CHECKS = {
+    maxDays: (value, facts) => facts.duration <= value,
+    minDays: (value, facts) => facts.duration >= value,
+    leaveTypes: (value, facts) => value.includes(facts.leaveType),
+    departments: (value, facts) => value.includes(facts.department),
+    years: (value, facts) => value.includes(facts.yearOfStudy)
+};
+
+// Staff decisions at these stages are also written to the older
+// leave_applications columns that existing screens read
+const LEGACY_COLUMNS = {
+    LEAVE_APPROVE_DW: ['approved_by_dw', 'dw_remarks', 'dw_approved_at'],
+    LEAVE_APPROVE_PRINCIPAL: ['approved_by_principal', 'principal_remarks', 'principal_approved_at']
+};
+
+// =====================================================
+// WORKFLOW DEFINITIONS
+// =====================================================
+
+/**
+ * Whether a stage's skip condition matches the leave (every key must match)
+ */
+const matchesSkipCondition = (condition, facts) => {
+    const parsed = typeof condition === 'string' ? JSON.parse(condition) : condition;
+
+    if (!parsed || Object.keys(parsed).length === 0) {
+        return false;
+    }
+
+    return Object.entries(parsed).every(([key, value]) =>
+        SKIP_CHECKS[key] ? SKIP_CHECKS[key](value, facts) : false
+    );
+};
+
+/**
+ * Validate a skip condition sent to the admin API
+ * Returns an error message or null
+ */
+const validateSkipCondition = (condition) => {
+    if (condition === null || condition === undefined) {
+        return null;
+    }
+
+    if (typeof condition !== 'object' || Array.isArray(condition)) {
+        return 'Skip condition must be an object';
+    }
+
+    for (const [key, value] of Object.entries(condition)) {
+        if (!SKIP_CHECKS[key]) {
+            return `Unknown skip condition: ${key}`;
+        }
+
+        const valid = key === 'maxDays' || key === 'minDays'
+            ? Number.isInteger(value) && value > 0
+            : Array.isArray(value);
+
+        if (!valid) {
+            return `Invalid value for skip condition ${key}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Pick the workflow for a new leave (null if none matches)
+ * facts: { leaveType, duration, department, yearOfStudy }
+ * A leave type policy with a fixed workflow (approval route) wins while
+ * that workflow is active.
+ */
+const resolveWorkflow = async (facts, policy = null) => {
+    if (policy && policy.workflow_id) {
+        const routed = await db.getOne(
+            'SELECT * FROM approval_workflows WHERE id = ? AND is_active = TRUE',
+            [policy.workflow_id]
+        );
+
+        if (routed) {
+            return routed;
+        }
+    }
+
+    return await db.getOne(
+        `SELECT * FROM approval_workflows
+         WHERE is_active = TRUE
+         AND (leave_type IS NULL OR leave_type = ?)
+         AND (department IS NULL OR department = ?)
+         AND (year_of_study IS NULL OR year_of_study = ?)
+         AND (min_days IS NULL OR min_days <= ?)
+         AND (max_days IS NULL OR max_days >= ?)
+         ORDER BY priority DESC, id ASC
+         LIMIT 1`,
+        [facts.leaveType, facts.department, facts.yearOfStudy, facts.duration, facts.duration]
+    );
+};
+
+/**
+ * Stages of a workflow in order
+ */
+const getWorkflowStages = async (workflowId, conn = null) => {
+    const sql = `SELECT * FROM approval_workflow_stages
+                 WHERE workflow_id = ?
+                 ORDER BY stage_order`;
+
+    return conn
+        ? (await conn.execute(sql, [workflowId]))[0]
+        : await db.getMany(sql, [workflowId]);
+};
+
+// =====================================================
+// STAGE APPROVERS
+// =====================================================
+
+/**
+ * User ids who answer for a stage of this leave (delegates stand in for
+ * approvers who are away)
+ */
+const getStageApproverIds = async (stage, leave, conn) => {
+    if (stage.approver_type === 'GUARDIAN') {
+        return await getGuardianUserIds(leave.student_id, conn);
+    }
+
+    const approverIds = await getUserIdsWithPermission(stage.approver_permission, conn);
+
+    return await applyDelegations(approverIds, stage.approver_permission, conn);
+};
+
+/**
+ * User ids who may act at the leave's current stage
+ */
+const getCurrentApproverIds = async (conn, leave) => {
+    if (!leave.current_stage_id) {
+        return [];
+    }
+
+    const [stages] = await conn.execute(
+        'SELECT * FROM approval_workflow_stages WHERE id = ?',
+        [leave.current_stage_id]
+    );
+
+    return stages.length > 0 ? await getStageApproverIds(stages[0], leave, conn) : [];
+};
+
+/**
+ * Whether a user may see a leave's details: the student, a linked guardian,
+ * or staff holding (or standing in for) the permission of one of its
+ * workflow's stages
+ */
+const canViewLeave = async (userId, leave) => {
+    if (leave.student_user_id === userId || await getGuardianLink(userId, leave.student_id)) {
+        return true;
+    }
+
+    // Leaves from before workflows were decided by the DW or the principal
+    const stagePermissions = leave.workflow_id
+        ? (await getWorkflowStages(leave.workflow_id))
+            .flatMap(stage => [stage.approver_permission, stage.sla_escalate_to])
+            .filter(Boolean)
+        : Object.keys(LEGACY_COLUMNS);
+
+    const permissions = [
+        ...await getEffectivePermissions(userId),
+        ...(await getResponsibilities(userId)).map(responsibility => responsibility.permission)
+    ];
+
+    return stagePermissions.some(permission => permissions.includes(permission));
+};
+
+/**
+ * Authority a user has to act at a stage of this leave
+ * An overdue stage (stage.sla_escalated_to) also accepts that permission.
+ * Returns { onBehalfOf } (null, or the delegator's user id when acting as
+ * a delegate) or null if the user may not act
+ */
+const getStageAuthority = async (userId, stage, leave) => {
+    if (stage.approver_type === 'GUARDIAN') {
+        return (await getGuardianLink(userId, leave.student_id)) ? { onBehalfOf: null } : null;
+    }
+
+    const permissions = [stage.approver_permission, stage.sla_escalated_to].filter(Boolean);
+
+    for (const permission of permissions) {
+        if (await hasPermission(userId, permission)) {
+            return { onBehalfOf: null };
+        }
+    }
+
+    for (const permission of permissions) {
+        const delegatorId = await findDelegator(userId, permission);
+
+        if (delegatorId) {
+            return { onBehalfOf: delegatorId };
+        }
+    }
+
+    return null;
+};
+
+// =====================================================
+// STATUS TRANSITIONS
+// =====================================================
+// The functions below take a leave shaped as
+// { id, student_id, student_name, student_user_id, duration }
+
+/**
+ * (Re)compute the SLA deadline of a leave's pending stage from its from_date
+ * Approvers get at least LEAVE_SLA_MIN_RESPONSE_HOURS; reminders start over
+ */
+const setStageDeadline = async (conn, leaveId) => {
+    const minResponseHours = parseInt(process.env.LEAVE_SLA_MIN_RESPONSE_HOURS) || 2;
+
+    await conn.execute(
+        `UPDATE leave_approvals lap
+         JOIN leave_applications la ON la.id = lap.leave_application_id
+         JOIN approval_workflow_stages ws ON ws.id = lap.stage_id
+         SET lap.due_at = GREATEST(
+                 TIMESTAMP(la.from_date) - INTERVAL ws.sla_hours_before_start HOUR,
+                 NOW() + INTERVAL ? HOUR
+             ),
+             lap.reminded_at = NULL
+         WHERE lap.leave_application_id = ?
+         AND lap.status = 'PENDING'
+         AND lap.sla_escalated_at IS NULL
+         AND ws.sla_hours_before_start IS NOT NULL`,
+        [minResponseHours, leaveId]
+    );
+};
+
+/**
+ * Make a stage the current one and tell its approvers
+ * notify defaults to notifyUsers; bulk decisions pass a notification batch
+ */
+const activateStage = async (conn, leave, stage, notify = notifyUsers) => {
+    await conn.execute(
+        `UPDATE leave_approvals SET status = 'PENDING', activated_at = NOW()
+         WHERE leave_application_id = ? AND stage_id = ? AND status = 'WAITING'`,
+        [leave.id, stage.id]
+    );
+
+    await conn.execute(
+        'UPDATE leave_applications SET status = ?, current_stage_id = ? WHERE id = ?',
+        [stage.pending_status, stage.id, leave.id]
+    );
+
+    await setStageDeadline(conn, leave.id);
+
+    const approverIds = await getStageApproverIds(stage, leave, conn);
+
+    if (stage.approver_type === 'GUARDIAN') {
+        await notify(conn, approverIds, {
+            type: 'LEAVE_CONSENT_REQUEST',
+            title: 'Leave Consent Needed',
+            message: `${leave.student_name} has applied for ${leave.duration} days of leave. Please approve or decline the request.`,
+            leaveId: leave.id
+        });
+    } else {
+        await notify(conn, approverIds, {
+            type: 'LEAVE_PENDING',
+            title: 'New Leave Request',
+            message: `Leave request from ${leave.student_name} for ${leave.duration} days is waiting for your approval (${stage.stage_name})`,
+            leaveId: leave.id
+        });
+    }
+
+    return stage.pending_status;
+};
+
+/**
+ * End the chain with an approval
+ */
+const completeApproval = async (conn, leave, lastStage, notify = notifyUsers) => {
+    await conn.execute(
+        'UPDATE leave_applications SET status = ?, current_stage_id = NULL WHERE id = ?',
+        [lastStage.approved_status, leave.id]
+    );
+
+    await notify(conn, [leave.student_user_id], {
+        type: 'LEAVE_APPROVED',
+        title: 'Leave Approved',
+        message: 'Your leave application has been approved',
+        leaveId: leave.id
+    });
+
+    return lastStage.approved_status;
+};
+
+/**
+ * Keep approved_by_dw / approved_by_principal and their remarks in step
+ */
+const recordLegacyDecision = async (conn, leaveId, stage, userId, remarks) => {
+    const columns = LEGACY_COLUMNS[stage.approver_permission];
+
+    if (stage.approver_type !== 'PERMISSION' || !columns) {
+        return;
+    }
+
+    const [staffRows] = await conn.execute('SELECT id FROM staff WHERE user_id = ?', [userId]);
+
+    if (staffRows.length === 0) {
+        return;
+    }
+
+    const [byColumn, remarksColumn, atColumn] = columns;
+
+    await conn.execute(
+        `UPDATE leave_applications
+         SET ${byColumn} = ?, ${remarksColumn} = ?, ${atColumn} = NOW()
+         WHERE id = ?`,
+        [staffRows[0].id, remarks, leaveId]
+    );
+};
+
+/**
+ * Whether a leave whose every stage is skipped may be approved outright:
+ * the policy and calendar checks a staff approver would face must pass
+ */
+const canAutoApprove = async (conn, leave, facts) => {
+    const policyError = await checkApprovable({
+        id: leave.id,
+        leave_type: facts.leaveType,
+        duration: leave.duration
+    });
+
+    if (policyError) {
+        return false;
+    }
+
+    const calendarConflicts = await academicCalendar.findConflicts(
+        { id: leave.student_id, department: facts.department, year_of_study: facts.yearOfStudy },
+        leave.from_date,
+        leave.to_date,
+        leave.id,
+        conn
+    );
+
+    return calendarConflicts.length === 0;
+};
+
+/**
+ * Attach a workflow to a newly inserted leave and start its first stage
+ * leave: { id, student_id, student_name, student_user_id, from_date, to_date, duration }
+ * Returns { status, currentStage, currentApproverType, stages }
+ */
+const startWorkflow = async (conn, leave, workflow, facts) => {
+    const stages = await getWorkflowStages(workflow.id, conn);
+    let activeStages = stages.filter(stage => !matchesSkipCondition(stage.skip_condition, facts));
+
+    // Every stage skipped: approved as if the last stage had signed off,
+    // unless it could not pass that stage - then its last staff stage
+    // (or failing that its last stage) stays pending
+    if (activeStages.length === 0 && !(await canAutoApprove(conn, leave, facts))) {
+        const staffStages = stages.filter(stage => stage.approver_type === 'PERMISSION');
+        activeStages = [staffStages.length > 0 ? staffStages[staffStages.length - 1] : stages[stages.length - 1]];
+    }
+
+    for (const stage of stages) {
+        await conn.execute(
+            `INSERT INTO leave_approvals
+             (leave_application_id, stage_id, stage_order, stage_name, status)
+             VALUES (?, ?, ?, ?, ?)`,
+            [
+                leave.id,
+                stage.id,
+                stage.stage_order,
+                stage.stage_name,
+                activeStages.includes(stage) ? 'WAITING' : 'SKIPPED'
+            ]
+        );
+    }
+
+    await conn.execute(
+        'UPDATE leave_applications SET workflow_id = ? WHERE id = ?',
+        [workflow.id, leave.id]
+    );
+
+    const status = activeStages.length > 0
+        ? await activateStage(conn, leave, activeStages[0])
+        : await completeApproval(conn, leave, stages[stages.length - 1]);
+
+    return {
+        status,
+        currentStage: activeStages.length > 0 ? activeStages[0].stage_name : null,
+        currentApproverType: activeStages.length > 0 ? activeStages[0].approver_type : null,
+        stages: activeStages.map(stage => ({
+            stageName: stage.stage_name,
+            approverType: stage.approver_type,
+            approverPermission: stage.approver_permission
+        }))
+    };
+};
+
+/**
+ * Whether any stage of the leave's current round has been decided
+ * (approved, consented or escalated past)
+ */
+const hasStageDecisions = async (leaveId) => {
+    const row = await db.getOne(
+        `SELECT COUNT(*) as decided FROM leave_approvals
+         WHERE leave_application_id = ?
+         AND superseded_at IS NULL
+         AND status IN ('APPROVED', 'ESCALATED')`,
+        [leaveId]
+    );
+
+    return row.decided > 0;
+};
+
+/**
+ * Start the chain of an edited leave again from its first stage
+ * Decisions of the earlier round stay in the trail, marked superseded;
+ * skip conditions are matched again against the edited leave's facts
+ */
+const restartWorkflow = async (conn, leave, workflow, facts) => {
+    await conn.execute(
+        `UPDATE leave_approvals
+         SET superseded_at = NOW(),
+             status = IF(status IN ('WAITING', 'PENDING'), 'SUPERSEDED', status)
+         WHERE leave_application_id = ? AND superseded_at IS NULL`,
+        [leave.id]
+    );
+
+    await conn.execute(
+        `UPDATE leave_applications
+         SET approved_by_dw = NULL, dw_remarks = NULL, dw_approved_at = NULL,
+             approved_by_principal = NULL, principal_remarks = NULL, principal_approved_at = NULL
+         WHERE id = ?`,
+        [leave.id]
+    );
+
+    return await startWorkflow(conn, leave, workflow, facts);
+};
+
+/**
+ * Approve or reject the current stage of a leave
+ * options.permission / options.approverType restrict the call to matching
+ * stages (the per-role endpoints)
+ * options.overrideJustification is needed to approve a staff stage of a
+ * leave during an exam blackout or restricted window
+ * options.notify replaces notifyUsers (e.g. a batch for bulk decisions)
+ * Returns { success, status, nextStage } or { success: false, statusCode, message }
+ */
+const actOnLeave = async (leaveId, userId, {
+    action,
+    remarks = null,
+    permission = null,
+    approverType = null,
+    overrideJustification = null,
+    notify = notifyUsers
+}) => {
+    const leave = await db.getOne(
+        `SELECT la.*, s.student_name, s.user_id as student_user_id,
+                s.department, s.year_of_study,
+                DATEDIFF(la.to_date, la.from_date) + 1 as duration,
+                ws.stage_order, ws.stage_name, ws.approver_type, ws.approver_permission,
+                ws.approved_status, lap.id as approval_id, lap.sla_escalated_to
+         FROM leave_applications la
+         JOIN students s ON la.student_id = s.id
+         JOIN approval_workflow_stages ws ON ws.id = la.current_stage_id
+         JOIN leave_approvals lap ON lap.leave_application_id = la.id AND lap.stage_id = ws.id
+         WHERE la.id = ? AND lap.status = 'PENDING'`,
+        [leaveId]
+    );
+
+    if (!leave) {
+        return {
+            success: false,
+            statusCode: 404,
+            message: 'Leave application not found or already processed'
+        };
+    }
+
+    const stage = {
+        id: leave.current_stage_id,
+        stage_order: leave.stage_order,
+        stage_name: leave.stage_name,
+        approver_type: leave.approver_type,
+        approver_permission: leave.approver_permission,
+        approved_status: leave.approved_status,
+        sla_escalated_to: leave.sla_escalated_to
+    };
+
+    const stageMismatch = (approverType && stage.approver_type !== approverType)
+        || (permission && (stage.approver_type !== 'PERMISSION'
+            || ![stage.approver_permission, stage.sla_escalated_to].includes(permission)));
+
+    if (stageMismatch) {
+        return {
+            success: false,
+            statusCode: 400,
+            message: `This leave is waiting for ${stage.stage_name} approval`
+        };
+    }
+
+    const authority = await getStageAuthority(userId, stage, leave);
+
+    if (!authority) {
+        return {
+            success: false,
+            statusCode: 403,
+            message: 'You are not an approver for this stage'
+        };
+    }
+
+    if (action === 'approve') {
+        const policyError = await checkApprovable(leave);
+
+        if (policyError) {
+            return {
+                success: false,
+                statusCode: 422,
+                message: policyError
+            };
+        }
+    }
+
+    const calendarConflicts = action === 'approve' && stage.approver_type === 'PERMISSION'
+        ? await academicCalendar.findConflicts(
+            { id: leave.student_id, department: leave.department, year_of_study: leave.year_of_study },
+            leave.from_date,
+            leave.to_date,
+            leave.id
+        )
+        : [];
+
+    const justification = typeof overrideJustification === 'string'
+        ? overrideJustification.trim()
+        : '';
+
+    if (calendarConflicts.length > 0 && !justification) {
+        return {
+            success: false,
+            statusCode: 422,
+            message: `This leave overlaps ${academicCalendar.describeEvents(calendarConflicts)}. An override justification is required to approve it.`
+        };
+    }
+
+    return await db.transaction(async (conn) => {
+        const [updated] = await conn.execute(
+            `UPDATE leave_approvals
+             SET status = ?, acted_by = ?, on_behalf_of = ?, remarks = ?, acted_at = NOW()
+             WHERE id = ? AND status = 'PENDING'`,
+            [
+                action === 'approve' ? 'APPROVED' : 'REJECTED',
+                userId,
+                authority.onBehalfOf,
+                remarks || null,
+                leave.approval_id
+            ]
+        );
+
+        // Another approver acted on this stage in the meantime
+        if (updated.affectedRows === 0) {
+            return {
+                success: false,
+                statusCode: 409,
+                message: 'Leave application was already processed'
+            };
+        }
+
+        await recordLegacyDecision(conn, leave.id, stage, userId, remarks || null);
+
+        if (calendarConflicts.length > 0) {
+            await academicCalendar.recordOverrides(conn, calendarConflicts, {
+                studentId: leave.student_id,
+                leaveId: leave.id,
+                justification,
+                grantedBy: userId
+            });
+
+            await conn.execute(
+                `INSERT INTO audit_logs (user_id, action, table_name, record_id, new_value)
+                 VALUES (?, 'CALENDAR_OVERRIDE', 'leave_applications', ?, ?)`,
+                [
+                    userId,
+                    leave.id,
+                    JSON.stringify({
+                        events: calendarConflicts.map(event => event.id),
+                        justification
+                    })
+                ]
+            );
+        }
+
+        if (authority.onBehalfOf) {
+            await notify(conn, [authority.onBehalfOf], {
+                type: 'LEAVE_DELEGATED_DECISION',
+                title: 'Decision Made On Your Behalf',
+                message: `${leave.student_name}'s leave was ${action === 'approve' ? 'approved' : 'rejected'} at the ${stage.stage_name} stage by your delegate`,
+                leaveId: leave.id
+            });
+        }
+
+        if (action === 'reject') {
+            await conn.execute(
+                `UPDATE leave_approvals SET status = 'CLOSED'
+                 WHERE leave_application_id = ? AND status = 'WAITING'`,
+                [leave.id]
+            );
+
+            await conn.execute(
+                `UPDATE leave_applications SET status = 'REJECTED', current_stage_id = NULL
+                 WHERE id = ?`,
+                [leave.id]
+            );
+
+            await notify(conn, [leave.student_user_id], {
+                type: 'LEAVE_REJECTED',
+                title: 'Leave Rejected',
+                message: stage.approver_type === 'GUARDIAN'
+                    ? `Your guardian declined your leave application. Reason: ${remarks || 'Not specified'}`
+                    : `Your leave application has been rejected. Reason: ${remarks || 'Not specified'}`,
+                leaveId: leave.id
+            });
+
+            return { success: true, status: 'REJECTED', nextStage: null };
+        }
+
+        const [nextStages] = await conn.execute(
+            `SELECT ws.*
+             FROM leave_approvals lap
+             JOIN approval_workflow_stages ws ON ws.id = lap.stage_id
+             WHERE lap.leave_application_id = ? AND lap.status = 'WAITING'
+             ORDER BY lap.stage_order
+             LIMIT 1`,
+            [leave.id]
+        );
+
+        if (nextStages.length === 0) {
+            const status = await completeApproval(conn, leave, stage, notify);
+            return { success: true, status, nextStage: null };
+        }
+
+        const nextStage = nextStages[0];
+        const status = await activateStage(conn, leave, nextStage, notify);
+
+        await notify(conn, [leave.student_user_id], {
+            type: 'LEAVE_STAGE_APPROVED',
+            title: 'Leave Update',
+            message: `Your leave application was approved at the ${stage.stage_name} stage and is now waiting for the ${nextStage.stage_name}`,
+            leaveId: leave.id
+        });
+
+        return { success: true, status, nextStage: nextStage.stage_name };
+    });
+};
+
+/**
+ * Stop the chain of a leave the student has withdrawn
+ * Only a pending or approved leave that hasn't ended can be cancelled.
+ * Returns the user ids who already approved a stage or were due to act
+ * next, or null if the leave's status no longer allows cancelling
+ */
+const cancelWorkflow = async (conn, leave) => {
+    const cancellable = [...PENDING_STATUSES, ...APPROVED_STATUSES];
+
+    const [cancelled] = await conn.execute(
+        `UPDATE leave_applications SET status = 'CANCELLED', current_stage_id = NULL
+         WHERE id = ? AND to_date >= CURDATE()
+         AND status IN (${cancellable.map(() => '?').join(', ')})`,
+        [leave.id, ...cancellable]
+    );
+
+    if (cancelled.affectedRows === 0) {
+        return null;
+    }
+
+    const [dueStages] = await conn.execute(
+        `SELECT ws.approver_type, ws.approver_permission
+         FROM leave_approvals lap
+         JOIN approval_workflow_stages ws ON ws.id = lap.stage_id
+         WHERE lap.leave_application_id = ? AND lap.status = 'PENDING'`,
+        [leave.id]
+    );
+
+    const [approvedBy] = await conn.execute(
+        `SELECT DISTINCT acted_by FROM leave_approvals
+         WHERE leave_application_id = ? AND status = 'APPROVED' AND acted_by IS NOT NULL`,
+        [leave.id]
+    );
+
+    await conn.execute(
+        `UPDATE leave_approvals SET status = 'CLOSED'
+         WHERE leave_application_id = ? AND status IN ('PENDING', 'WAITING')`,
+        [leave.id]
+    );
+
+    const dueApproverIds = dueStages.length > 0
+        ? await getStageApproverIds(dueStages[0], leave, conn)
+        : [];
+
+    return [...approvedBy.map(row => row.acted_by), ...dueApproverIds];
+};
+
+/**
+ * Move leaves past stages that have waited longer than escalate_after_hours
+ * Only stages with a later stage to hand over to are escalated
+ * Returns the number of leaves escalated
+ */
+const escalateOverdueStages = async () => {
+    const overdue = await db.getMany(
+        `SELECT la.id, la.student_id, s.student_name, s.user_id as student_user_id,
+                DATEDIFF(la.to_date, la.from_date) + 1 as duration,
+                lap.id as approval_id, lap.stage_order,
+                ws.stage_name, ws.approver_type, ws.approver_permission, ws.escalate_after_hours
+         FROM leave_approvals lap
+         JOIN approval_workflow_stages ws ON ws.id = lap.stage_id
+         JOIN leave_applications la ON la.id = lap.leave_application_id
+         JOIN students s ON la.student_id = s.id
+         WHERE lap.status = 'PENDING'
+         AND ws.escalate_after_hours IS NOT NULL
+         AND lap.activated_at <= NOW() - INTERVAL ws.escalate_after_hours HOUR
+         AND EXISTS (
+             SELECT 1 FROM leave_approvals nx
+             WHERE nx.leave_application_id = lap.leave_application_id
+             AND nx.status = 'WAITING' AND nx.stage_order > lap.stage_order
+         )`
+    );
+
+    let escalated = 0;
+
+    for (const leave of overdue) {
+        const moved = await db.transaction(async (conn) => {
+            const [updated] = await conn.execute(
+                `UPDATE leave_approvals SET status = 'ESCALATED', acted_at = NOW()
+                 WHERE id = ? AND status = 'PENDING'`,
+                [leave.approval_id]
+            );
+
+            // Acted on since the list was read
+            if (updated.affectedRows === 0) {
+                return false;
+            }
+
+            const [nextStages] = await conn.execute(
+                `SELECT ws.*
+                 FROM leave_approvals lap
+                 JOIN approval_workflow_stages ws ON ws.id = lap.stage_id
+                 WHERE lap.leave_application_id = ? AND lap.status = 'WAITING'
+                 ORDER BY lap.stage_order
+                 LIMIT 1`,
+                [leave.id]
+            );
+
+            await activateStage(conn, leave, nextStages[0]);
+
+            const message = `No response at the ${leave.stage_name} stage within ${leave.escalate_after_hours} hours. ${leave.student_name}'s leave request was passed on to the ${nextStages[0].stage_name}.`;
+
+            // The student and whoever was expected to answer
+            const skippedApproverIds = await getStageApproverIds({
+                approver_type: leave.approver_type,
+                approver_permission: leave.approver_permission
+            }, leave, conn);
+
+            await notifyUsers(conn, [leave.student_user_id, ...skippedApproverIds], {
+                type: 'LEAVE_ESCALATED',
+                title: 'Leave Request Escalated',
+                message,
+                leaveId: leave.id
+            });
+
+            return true;
+        });
+
+        if (moved) {
+            escalated++;
+        }
+    }
+
+    return escalated;
+};
+
+/**
+ * Remind approvers of stages nearing their SLA deadline and open overdue
+ * stages to their sla_escalate_to permission
+ * Returns { reminded, escalated }
+ */
+const processStageDeadlines = async () => {
+    const due = await db.getMany(
+        `SELECT la.id, la.student_id, s.student_name, s.user_id as student_user_id,
+                DATE_FORMAT(la.from_date, '%d %b %Y') as starts_on,
+                lap.id as approval_id, lap.due_at <= NOW() as is_overdue,
+                ws.stage_name, ws.approver_type, ws.approver_permission, ws.sla_escalate_to
+         FROM leave_approvals lap
+         JOIN approval_workflow_stages ws ON ws.id = lap.stage_id
+         JOIN leave_applications la ON la.id = lap.leave_application_id
+         JOIN students s ON la.student_id = s.id
+         WHERE lap.status = 'PENDING'
+         AND lap.due_at IS NOT NULL
+         AND (
+             (lap.due_at <= NOW() AND lap.sla_escalated_at IS NULL AND ws.sla_escalate_to IS NOT NULL)
+             OR (lap.due_at > NOW() AND lap.reminded_at IS NULL AND ws.sla_reminder_hours IS NOT NULL
+                 AND lap.due_at - INTERVAL ws.sla_reminder_hours HOUR <= NOW())
+         )`
+    );
+
+    const counts = { reminded: 0, escalated: 0 };
+
+    for (const leave of due) {
+        const handled = await db.transaction(async (conn) => {
+            const [updated] = leave.is_overdue
+                ? await conn.execute(
+                    `UPDATE leave_approvals SET sla_escalated_at = NOW(), sla_escalated_to = ?
+                     WHERE id = ? AND status = 'PENDING' AND sla_escalated_at IS NULL`,
+                    [leave.sla_escalate_to, leave.approval_id]
+                )
+                : await conn.execute(
+                    `UPDATE leave_approvals SET reminded_at = NOW()
+                     WHERE id = ? AND status = 'PENDING' AND reminded_at IS NULL`,
+                    [leave.approval_id]
+                );
+
+            // Acted on since the list was read
+            if (updated.affectedRows === 0) {
+                return false;
+            }
+
+            const approverIds = await getStageApproverIds(leave, leave, conn);
+
+            if (!leave.is_overdue) {
+                await notifyUsers(conn, approverIds, {
+                    type: 'LEAVE_SLA_REMINDER',
+                    title: 'Leave Decision Due Soon',
+                    message: `${leave.student_name}'s leave starting ${leave.starts_on} is waiting for your decision (${leave.stage_name})`,
+                    leaveId: leave.id
+                });
+
+                return true;
+            }
+
+            const escalationIds = await getStageApproverIds({
+                approver_type: 'PERMISSION',
+                approver_permission: leave.sla_escalate_to
+            }, leave, conn);
+
+            await notifyUsers(conn, escalationIds, {
+                type: 'LEAVE_SLA_ESCALATED',
+                title: 'Overdue Leave Request',
+                message: `${leave.student_name}'s leave starting ${leave.starts_on} was not decided in time at the ${leave.stage_name} stage. You can now approve or reject it.`,
+                leaveId: leave.id
+            });
+
+            await notifyUsers(conn, approverIds.filter(id => !escalationIds.includes(id)), {
+                type: 'LEAVE_SLA_ESCALATED',
+                title: 'Leave Request Overdue',
+                message: `${leave.student_name}'s leave starting ${leave.starts_on} has passed its ${leave.stage_name} deadline and was escalated`,
+                leaveId: leave.id
+            });
+
+            return true;
+        });
+
+        if (handled) {
+            counts[leave.is_overdue ? 'escalated' : 'reminded']++;
+        }
+    }
+
+    return counts;
+};
+
+// =====================================================
+// QUEUES & TRAILS
+// =====================================================
+
+/**
+ * Leaves waiting at a staff stage the user currently answers for, soonest
+ * deadline first (overdue stages escalated to the user's permission included)
+ * permissions optionally narrows the queue to some approval permissions.
+ * Leaves the user answers for as a delegate carry on_behalf_of(_name).
+ */
+const getPendingQueue = async (userId, permissions = null) => {
+    const responsibilities = (await getResponsibilities(userId))
+        .filter(responsibility => !permissions || permissions.includes(responsibility.permission));
+
+    if (responsibilities.length === 0) {
+        return [];
+    }
+
+    const permissionList = responsibilities.map(responsibility => responsibility.permission);
+    const placeholders = permissionList.map(() => '?').join(', ');
+
+    const leaves = await db.getMany(
+        `SELECT la.*,
+                s.college_id, s.student_name, s.department, s.year_of_study,
+                s.hostel_block, s.room_number,
+                DATEDIFF(la.to_date, la.from_date) + 1 as duration,
+                ws.stage_name as current_stage_name, ws.approver_permission,
+                lap.activated_at as stage_activated_at,
+                lap.due_at, lap.sla_escalated_to,
+                (lap.due_at IS NOT NULL AND lap.due_at < NOW()) as is_overdue,
+                dw.staff_name as approved_by_dw_name,
+                (SELECT COUNT(*) FROM leave_approvals esc
+                 WHERE esc.leave_application_id = la.id AND esc.status = 'ESCALATED'
+                 AND esc.superseded_at IS NULL) as escalated_stages,
+                (SELECT COUNT(*) FROM leave_application_revisions rev
+                 WHERE rev.leave_application_id = la.id) as revision_count,
+                (SELECT COUNT(*) FROM leave_attachments a
+                 WHERE a.leave_application_id = la.id) as attachment_count
+         FROM leave_applications la
+         JOIN students s ON la.student_id = s.id
+         JOIN approval_workflow_stages ws ON ws.id = la.current_stage_id
+         JOIN leave_approvals lap ON lap.leave_application_id = la.id AND lap.stage_id = ws.id
+         LEFT JOIN staff dw ON la.approved_by_dw = dw.id
+         WHERE lap.status = 'PENDING'
+         AND ws.approver_type = 'PERMISSION'
+         AND (ws.approver_permission IN (${placeholders}) OR lap.sla_escalated_to IN (${placeholders}))
+         ORDER BY lap.due_at IS NULL, lap.due_at ASC, la.created_at ASC`,
+        [...permissionList, ...permissionList]
+    );
+
+    const delegatorIds = responsibilities
+        .map(responsibility => responsibility.onBehalfOf)
+        .filter(Boolean);
+
+    const delegators = delegatorIds.length > 0
+        ? await db.getMany(
+            `SELECT user_id, staff_name FROM staff
+             WHERE user_id IN (${delegatorIds.map(() => '?').join(', ')})`,
+            delegatorIds
+        )
+        : [];
+
+    return leaves.map(leave => {
+        const { onBehalfOf } = responsibilities.find(
+            responsibility => responsibility.permission === leave.approver_permission
+        ) || responsibilities.find(
+            responsibility => responsibility.permission === leave.sla_escalated_to
+        );
+        const delegator = delegators.find(row => row.user_id === onBehalfOf);
+
+        return {
+            ...leave,
+            on_behalf_of: onBehalfOf,
+            on_behalf_of_name: delegator ? delegator.staff_name : null
+        };
+    });
+};
+
+/**
+ * Approval trails of several leaves, keyed by leave id
+ */
+const getApprovalTrails = async (leaveIds) => {
+    if (leaveIds.length === 0) {
+        return {};
+    }
+
+    const rows = await db.getMany(
+        `SELECT lap.leave_application_id, lap.stage_order, lap.stage_name, lap.status,
+                lap.remarks, lap.activated_at, lap.acted_at, lap.superseded_at,
+                COALESCE(st.staff_name, p.parent_name) as acted_by_name,
+                ob.staff_name as on_behalf_of_name
+         FROM leave_approvals lap
+         LEFT JOIN staff st ON st.user_id = lap.acted_by
+         LEFT JOIN parents p ON p.user_id = lap.acted_by
+         LEFT JOIN staff ob ON ob.user_id = lap.on_behalf_of
+         WHERE lap.leave_application_id IN (${leaveIds.map(() => '?').join(', ')})
+         ORDER BY lap.leave_application_id, lap.id`,
+        leaveIds
+    );
+
+    const trails = {};
+
+    for (const row of rows) {
+        if (!trails[row.leave_application_id]) {
+            trails[row.leave_application_id] = [];
+        }
+        trails[row.leave_application_id].push(row);
+    }
+
+    return trails;
+};
+
+module.exports = {
+    APPROVER_TYPES,
+    PENDING_STATUSES,
+    APPROVED_STATUSES,
+    matchesSkipCondition,
+    validateSkipCondition,
+    resolveWorkflow,
+    getWorkflowStages,
+    getCurrentApproverIds,
+    setStageDeadline,
+    canViewLeave,
+    startWorkflow,
+    hasStageDecisions,
+    restartWorkflow,
+    actOnLeave,
+    cancelWorkflow,
+    escalateOverdueStages,
+    processStageDeadlines,
+    getPendingQueue,
+    getApprovalTrails
+};
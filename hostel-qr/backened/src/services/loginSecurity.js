@@ -0,0 +1,364 @@
+// =====================================================
+// LOGIN SECURITY SERVICE (Account lockout, new-device alerts)
+// =====================================================
+// Password logins count failures per account. After a few failures each
+// further attempt has to wait (doubling every time), and at the threshold
+// the account is locked for a while. Identifiers that match no account are
+// counted the same way per identifier, so a lockout answer does not tell
+// which college IDs or emails exist; a job forgets old failures of both. Successful logins are matched
+// against the user's known devices so the owner hears about unfamiliar ones.
+
+const db = require('../config/database');
+const { sendSMS } = require('./messaging');
+const { hashToken } = require('../utils/helpers');
+
+// =====================================================
+// CONFIGURATION
+// =====================================================
+
+const getConfig = () => ({
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    delayAfterAttempts: parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS) || 3,
+    delayBaseSeconds: parseInt(process.env.LOGIN_DELAY_BASE_SECONDS) || 5,
+    retentionHours: parseInt(process.env.LOGIN_FAILURE_RETENTION_HOURS) || 24
+});
+
+/**
+ * Seconds to wait after the given number of consecutive failures
+ */
+const getDelaySeconds = (failedAttempts) => {
+    const { delayAfterAttempts, delayBaseSeconds } = getConfig();
+
+    if (failedAttempts < delayAfterAttempts) {
+        return 0;
+    }
+
+    return delayBaseSeconds * Math.pow(2, failedAttempts - delayAfterAttempts);
+};
+
+/**
+ * Alert the account owner in-app and by SMS (SMS is not awaited)
+ */
+const alertUser = async (userId, type, title, message) => {
+    await db.query(
+        `INSERT INTO notifications (user_id, notification_type, title, message)
+         VALUES (?, ?, ?, ?)`,
+        [userId, type, title, message]
+    );
+
+    const user = await db.getOne('SELECT phone_number FROM users WHERE id = ?', [userId]);
+
+    if (user && user.phone_number) {
+        sendSMS(user.phone_number, `Hostel QR: ${message}`, { purpose: type })
+            .catch(error => console.error('Security alert SMS error:', error));
+    }
+};
+
+// =====================================================
+// FAILED LOGIN TRACKING
+// =====================================================
+
+/**
+ * Whether a failure state (failed_login_attempts, locked_seconds,
+ * seconds_since_failure) still blocks password attempts
+ */
+const getLoginBlock = (state) => {
+    if (!state) {
+        return { allowed: true };
+    }
+
+    if (state.locked_seconds !== null && state.locked_seconds > 0) {
+        return {
+            allowed: false,
+            code: 'ACCOUNT_LOCKED',
+            message: 'Account temporarily locked after too many failed logins. Please try again later.',
+            retryAfterSeconds: state.locked_seconds
+        };
+    }
+
+    const delaySeconds = getDelaySeconds(state.failed_login_attempts);
+
+    if (delaySeconds > 0 && state.seconds_since_failure !== null
+        && state.seconds_since_failure < delaySeconds) {
+        const retryAfterSeconds = delaySeconds - state.seconds_since_failure;
+        return {
+            allowed: false,
+            code: 'LOGIN_DELAYED',
+            message: `Too many failed attempts. Please wait ${retryAfterSeconds} seconds before trying again.`,
+            retryAfterSeconds
+        };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Answer given when a failure reaches the lockout threshold
+ */
+const getLockedResult = (lockoutMinutes) => ({
+    locked: true,
+    code: 'ACCOUNT_LOCKED',
+    message: `Too many failed attempts. Account locked for ${lockoutMinutes} minutes.`,
+    retryAfterSeconds: lockoutMinutes * 60
+});
+
+/**
+ * Respond to a password attempt refused by the lockout rules
+ * result: a blocked checkLoginAllowed / recordFailedLogin answer
+ */
+const sendLoginBlocked = (res, result) => {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+
+    return res.status(429).json({
+        success: false,
+        message: result.message,
+        code: result.code,
+        retryAfterSeconds: result.retryAfterSeconds
+    });
+};
+
+/**
+ * Check whether a password attempt may be made for this account
+ * Returns { allowed } or { allowed: false, code, message, retryAfterSeconds }
+ */
+const checkLoginAllowed = async (userId) => {
+    const state = await db.getOne(
+        `SELECT failed_login_attempts,
+                TIMESTAMPDIFF(SECOND, NOW(), locked_until) as locked_seconds,
+                TIMESTAMPDIFF(SECOND, last_failed_login_at, NOW()) as seconds_since_failure
+         FROM users WHERE id = ?`,
+        [userId]
+    );
+
+    return getLoginBlock(state);
+};
+
+/**
+ * Record a wrong password; locks the account at the threshold
+ * Returns { locked: false, attemptsRemaining } or { locked: true, code, message, retryAfterSeconds }
+ */
+const recordFailedLogin = async (userId, req) => {
+    const { maxAttempts, lockoutMinutes } = getConfig();
+
+    // Counted in the database so parallel guesses can't overwrite each
+    // other; the row stays locked until the lockout decision is written
+    const failedAttempts = await db.transaction(async (conn) => {
+        await conn.execute(
+            `UPDATE users
+             SET failed_login_attempts = failed_login_attempts + 1, last_failed_login_at = NOW()
+             WHERE id = ?`,
+            [userId]
+        );
+
+        const [rows] = await conn.execute(
+            'SELECT failed_login_attempts FROM users WHERE id = ?',
+            [userId]
+        );
+
+        const attempts = rows[0].failed_login_attempts;
+
+        if (attempts < maxAttempts) {
+            return attempts;
+        }
+
+        await conn.execute(
+            `UPDATE users
+             SET failed_login_attempts = 0, last_failed_login_at = NULL,
+                 locked_until = NOW() + INTERVAL ? MINUTE
+             WHERE id = ?`,
+            [lockoutMinutes, userId]
+        );
+
+        await conn.execute(
+            `INSERT INTO audit_logs
+             (user_id, action, table_name, record_id, new_value, ip_address, user_agent)
+             VALUES (?, 'ACCOUNT_LOCKED', 'users', ?, ?, ?, ?)`,
+            [
+                userId,
+                userId,
+                JSON.stringify({ failedAttempts: attempts, lockoutMinutes }),
+                req.ip,
+                req.headers['user-agent'] || null
+            ]
+        );
+
+        return attempts;
+    });
+
+    if (failedAttempts < maxAttempts) {
+        return {
+            locked: false,
+            attemptsRemaining: maxAttempts - failedAttempts
+        };
+    }
+
+    await alertUser(
+        userId,
+        'ACCOUNT_LOCKED',
+        'Account Locked',
+        `Your account was locked for ${lockoutMinutes} minutes after ${failedAttempts} failed login attempts. If this was not you, contact the hostel office.`
+    );
+
+    return getLockedResult(lockoutMinutes);
+};
+
+/**
+ * Count a password attempt for an identifier (college ID or email) that
+ * matches no account, keyed by the identifier alone like a real account
+ * Returns null (answer "Invalid credentials") or the same block a real
+ * account would get at this point ({ code, message, retryAfterSeconds })
+ */
+const recordUnknownLoginFailure = async (identifier) => {
+    const { maxAttempts, lockoutMinutes } = getConfig();
+    const identifierHash = hashToken(String(identifier).trim().toLowerCase());
+
+    const state = await db.getOne(
+        `SELECT failed_login_attempts,
+                TIMESTAMPDIFF(SECOND, NOW(), locked_until) as locked_seconds,
+                TIMESTAMPDIFF(SECOND, last_failed_login_at, NOW()) as seconds_since_failure
+         FROM login_identifier_failures
+         WHERE identifier_hash = ?`,
+        [identifierHash]
+    );
+
+    const block = getLoginBlock(state);
+
+    if (!block.allowed) {
+        return block;
+    }
+
+    const failedAttempts = await db.transaction(async (conn) => {
+        await conn.execute(
+            `INSERT INTO login_identifier_failures
+             (identifier_hash, failed_login_attempts, last_failed_login_at)
+             VALUES (?, 1, NOW())
+             ON DUPLICATE KEY UPDATE failed_login_attempts = failed_login_attempts + 1,
+                 last_failed_login_at = NOW()`,
+            [identifierHash]
+        );
+
+        const [rows] = await conn.execute(
+            'SELECT failed_login_attempts FROM login_identifier_failures WHERE identifier_hash = ?',
+            [identifierHash]
+        );
+
+        const attempts = rows[0].failed_login_attempts;
+
+        if (attempts >= maxAttempts) {
+            await conn.execute(
+                `UPDATE login_identifier_failures
+                 SET failed_login_attempts = 0, last_failed_login_at = NULL,
+                     locked_until = NOW() + INTERVAL ? MINUTE
+                 WHERE identifier_hash = ?`,
+                [lockoutMinutes, identifierHash]
+            );
+        }
+
+        return attempts;
+    });
+
+    return failedAttempts < maxAttempts ? null : getLockedResult(lockoutMinutes);
+};
+
+/**
+ * Clear failures and any lockout (correct password, admin unlock, password reset)
+ * Returns true if there was anything to clear
+ */
+const clearFailedLogins = async (userId, conn = null) => {
+    const sql = `UPDATE users
+                 SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+                 WHERE id = ? AND (failed_login_attempts > 0 OR locked_until > NOW())`;
+
+    if (conn) {
+        const [result] = await conn.execute(sql, [userId]);
+        return result.affectedRows > 0;
+    }
+
+    return (await db.update(sql, [userId])) > 0;
+};
+
+/**
+ * Forget failures that stopped LOGIN_FAILURE_RETENTION_HOURS ago, for
+ * accounts and unknown identifiers alike (expired lockouts included)
+ * Returns the number of unknown identifiers removed
+ */
+const pruneLoginFailures = async () => {
+    const { retentionHours } = getConfig();
+    const stale = `(locked_until IS NULL OR locked_until < NOW())
+                   AND (last_failed_login_at IS NULL OR last_failed_login_at < NOW() - INTERVAL ? HOUR)`;
+
+    await db.query(
+        `UPDATE users
+         SET failed_login_attempts = 0, last_failed_login_at = NULL, locked_until = NULL
+         WHERE (failed_login_attempts > 0 OR locked_until IS NOT NULL) AND ${stale}`,
+        [retentionHours]
+    );
+
+    return await db.remove(
+        `DELETE FROM login_identifier_failures WHERE ${stale}`,
+        [retentionHours]
+    );
+};
+
+// =====================================================
+// KNOWN DEVICES
+// =====================================================
+
+/**
+ * Remember the device behind a successful login and alert on new ones
+ * The app sends a stable X-Device-Id; otherwise the user agent identifies it
+ */
+const recordLoginDevice = async (userId, req) => {
+    const userAgent = req.headers['user-agent'] || null;
+    const deviceKey = req.headers['x-device-id'] || userAgent || 'unknown';
+    const deviceHash = hashToken(deviceKey);
+
+    const knownDevice = await db.getOne(
+        'SELECT id FROM known_devices WHERE user_id = ? AND device_hash = ?',
+        [userId, deviceHash]
+    );
+
+    if (knownDevice) {
+        await db.query(
+            'UPDATE known_devices SET last_ip = ?, last_seen_at = NOW() WHERE id = ?',
+            [req.ip, knownDevice.id]
+        );
+        return { newDevice: false };
+    }
+
+    const { device_count: deviceCount } = await db.getOne(
+        'SELECT COUNT(*) as device_count FROM known_devices WHERE user_id = ?',
+        [userId]
+    );
+
+    await db.query(
+        `INSERT INTO known_devices (user_id, device_hash, device_label, first_ip, last_ip, last_seen_at)
+         VALUES (?, ?, ?, ?, ?, NOW())`,
+        [userId, deviceHash, userAgent ? userAgent.substring(0, 255) : null, req.ip, req.ip]
+    );
+
+    // The very first login has nothing to compare against
+    if (deviceCount === 0) {
+        return { newDevice: false };
+    }
+
+    await alertUser(
+        userId,
+        'NEW_DEVICE_LOGIN',
+        'New Device Login',
+        `Your account was just used to log in from a new device (IP ${req.ip}). If this was not you, change your password and contact the hostel office.`
+    );
+
+    return { newDevice: true };
+};
+
+module.exports = {
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordUnknownLoginFailure,
+    clearFailedLogins,
+    pruneLoginFailures,
+    recordLoginDevice,
+    sendLoginBlocked
+};
@@ -0,0 +1,121 @@
+// =====================================================
+// GENERIC HTTP GATEWAY DRIVER (Indian SMS gateways etc.)
+// =====================================================
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON payload and resolve with the parsed response
+ */
+const postJSON = (url, payload, headers, timeoutMs) => {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const transport = target.protocol === 'https:' ? https : http;
+        const data = JSON.stringify(payload);
+
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data),
+                ...headers
+            },
+            timeout: timeoutMs
+        }, (response) => {
+            let raw = '';
+            response.on('data', chunk => { raw += chunk; });
+            response.on('end', () => {
+                let body = null;
+                try {
+                    body = raw ? JSON.parse(raw) : null;
+                } catch (error) {
+                    body = { raw };
+                }
+
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    return reject(new Error(`Gateway responded ${response.statusCode}: ${raw.slice(0, 200)}`));
+                }
+                resolve(body);
+            });
+        });
+
+        request.on('timeout', () => {
+            const error = new Error('Gateway request timed out');
+            error.code = 'ETIMEDOUT';
+            request.destroy(error);
+        });
+        request.on('error', reject);
+        request.write(data);
+        request.end();
+    });
+};
+
+/**
+ * Read a dotted path ("data.messageId") from a response body
+ */
+const readPath = (body, dottedPath) => {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? value : value[key]), body);
+};
+
+/**
+ * Create HTTP gateway driver
+ * Field names are configurable so most JSON SMS APIs fit without code changes
+ */
+const createHttpDriver = (config = {}) => {
+    const url = config.url || process.env.SMS_HTTP_URL;
+    const apiKey = config.apiKey || process.env.SMS_HTTP_API_KEY;
+    const authHeader = config.authHeader || process.env.SMS_HTTP_AUTH_HEADER || 'Authorization';
+    const senderId = config.senderId || process.env.SMS_HTTP_SENDER_ID;
+    const toField = config.toField || process.env.SMS_HTTP_TO_FIELD || 'to';
+    const messageField = config.messageField || process.env.SMS_HTTP_MESSAGE_FIELD || 'message';
+    const senderField = config.senderField || process.env.SMS_HTTP_SENDER_FIELD || 'sender';
+    const idPath = config.idPath || process.env.SMS_HTTP_ID_PATH || 'id';
+    const extraParams = config.extraParams
+        || (process.env.SMS_HTTP_EXTRA_PARAMS ? JSON.parse(process.env.SMS_HTTP_EXTRA_PARAMS) : {});
+    const timeoutMs = parseInt(config.timeoutMs || process.env.SMS_HTTP_TIMEOUT_MS) || 10000;
+
+    if (!url) {
+        throw new Error('SMS HTTP gateway URL not configured');
+    }
+
+    const send = async ({ to, body }) => {
+        const payload = {
+            ...extraParams,
+            [toField]: to,
+            [messageField]: body,
+            ...(senderId && { [senderField]: senderId })
+        };
+
+        const response = await postJSON(
+            url,
+            payload,
+            apiKey ? { [authHeader]: apiKey } : {},
+            timeoutMs
+        );
+
+        const providerMessageId = response ? readPath(response, idPath) : null;
+
+        return {
+            providerMessageId: providerMessageId ? String(providerMessageId) : null,
+            status: 'SENT'
+        };
+    };
+
+    /**
+     * Delivery reports are expected as { id, status } (status: DELIVERED, FAILED, ...)
+     */
+    const parseStatusCallback = (body) => ({
+        providerMessageId: body.id || body.messageId || body.request_id,
+        status: body.status ? String(body.status).toUpperCase() : null,
+        error: body.error || body.description || null
+    });
+
+    return {
+        name: 'http',
+        send,
+        parseStatusCallback
+    };
+};
+
+module.exports = createHttpDriver;
@@ -0,0 +1,49 @@
+// =====================================================
+// LOCAL MESSAGING DRIVER (Development & testing)
+// =====================================================
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create local driver
+ * Keeps every message in an in-memory outbox and, if a file is
+ * configured, appends it as a JSON line so the flow can be tested offline
+ */
+const createLocalDriver = (config = {}) => {
+    const outboxFile = config.outboxFile || process.env.SMS_LOCAL_OUTBOX_FILE;
+    const outbox = [];
+
+    const send = async ({ to, body }) => {
+        const message = {
+            id: `local-${crypto.randomBytes(8).toString('hex')}`,
+            to,
+            body,
+            sentAt: new Date().toISOString()
+        };
+
+        outbox.push(message);
+
+        if (outboxFile) {
+            await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+            await fs.promises.appendFile(outboxFile, JSON.stringify(message) + '\n');
+        } else {
+            console.log(`📱 SMS to ${to}: ${body}`);
+        }
+
+        // Nothing left the machine, so treat as delivered immediately
+        return { providerMessageId: message.id, status: 'DELIVERED' };
+    };
+
+    return {
+        name: 'local',
+        send,
+        getOutbox: () => [...outbox],
+        clearOutbox: () => {
+            outbox.length = 0;
+        }
+    };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,60 @@
+// =====================================================
+// TWILIO MESSAGING DRIVER
+// =====================================================
+
+const STATUS_MAP = {
+    accepted: 'QUEUED',
+    queued: 'QUEUED',
+    sending: 'QUEUED',
+    sent: 'SENT',
+    delivered: 'DELIVERED',
+    undelivered: 'UNDELIVERED',
+    failed: 'FAILED'
+};
+
+/**
+ * Create Twilio driver
+ */
+const createTwilioDriver = (config = {}) => {
+    const accountSid = config.accountSid || process.env.TWILIO_ACCOUNT_SID;
+    const authToken = config.authToken || process.env.TWILIO_AUTH_TOKEN;
+    const from = config.from || process.env.TWILIO_PHONE_NUMBER;
+    const statusCallback = config.statusCallback || process.env.SMS_STATUS_CALLBACK_URL;
+
+    if (!accountSid || !authToken || !from) {
+        throw new Error('Twilio credentials not configured');
+    }
+
+    const client = require('twilio')(accountSid, authToken);
+
+    const send = async ({ to, body }) => {
+        const message = await client.messages.create({
+            body,
+            from,
+            to,
+            ...(statusCallback && { statusCallback })
+        });
+
+        return {
+            providerMessageId: message.sid,
+            status: STATUS_MAP[message.status] || 'SENT'
+        };
+    };
+
+    /**
+     * Map Twilio status callback body to { providerMessageId, status, error }
+     */
+    const parseStatusCallback = (body) => ({
+        providerMessageId: body.MessageSid,
+        status: STATUS_MAP[body.MessageStatus] || null,
+        error: body.ErrorCode ? `Twilio error ${body.ErrorCode}` : null
+    });
+
+    return {
+        name: 'twilio',
+        send,
+        parseStatusCallback
+    };
+};
+
+module.exports = createTwilioDriver;
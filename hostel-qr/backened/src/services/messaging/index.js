@@ -0,0 +1,191 @@
+// =====================================================
+// MESSAGING SERVICE (Provider-agnostic SMS delivery)
+// =====================================================
+
+const db = require('../../config/database');
+const createTwilioDriver = require('./drivers/twilio');
+const createHttpDriver = require('./drivers/http');
+const createLocalDriver = require('./drivers/local');
+
+// Driver factories by name (SMS_PROVIDER)
+// Each driver: { name, send({ to, body }) -> { providerMessageId, status }, parseStatusCallback?(body) }
+// send() rejects with a TIMEOUT_CODES code when the provider may still
+// have accepted the message
+const drivers = {
+    twilio: createTwilioDriver,
+    http: createHttpDriver,
+    local: createLocalDriver
+};
+
+const DELIVERY_STATUSES = ['QUEUED', 'SENT', 'DELIVERED', 'UNDELIVERED', 'FAILED'];
+
+// Callers wait on sendSMS inside a request, so one quick retry at most
+const MAX_SEND_ATTEMPTS = 2;
+
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED'];
+
+let activeProvider = null;
+
+/**
+ * Register an extra driver factory
+ */
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+};
+
+/**
+ * Create a provider by driver name
+ */
+const createProvider = (name, config = {}) => {
+    const factory = drivers[name];
+
+    if (!factory) {
+        throw new Error(`Unknown messaging provider: ${name}`);
+    }
+
+    return factory(config);
+};
+
+/**
+ * Get the configured provider (created on first use)
+ * Development defaults to the local driver so nothing is really sent
+ */
+const getProvider = () => {
+    if (!activeProvider) {
+        const name = process.env.SMS_PROVIDER
+            || (process.env.NODE_ENV === 'development' ? 'local' : 'twilio');
+        activeProvider = createProvider(name);
+    }
+    return activeProvider;
+};
+
+/**
+ * Replace the active provider (tests, runtime switch)
+ */
+const setProvider = (provider) => {
+    activeProvider = provider;
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send an SMS through the active provider
+ * Every message is tracked in message_deliveries; a failed send is retried
+ * once after a short delay. A timed-out send is not retried, as the
+ * provider may have accepted it: the delivery stays QUEUED for its status
+ * callback and the result carries deliveryUnknown. Sensitive bodies (OTPs)
+ * are not stored.
+ */
+const sendSMS = async (to, body, options = {}) => {
+    const { purpose = 'GENERAL', sensitive = false } = options;
+    const retryDelayMs = parseInt(process.env.SMS_RETRY_DELAY_MS) || 250;
+
+    let provider;
+    try {
+        provider = getProvider();
+    } catch (error) {
+        console.error('Messaging provider error:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    const deliveryId = await db.insert(
+        `INSERT INTO message_deliveries (channel, recipient, purpose, body, provider, status)
+         VALUES ('SMS', ?, ?, ?, ?, 'QUEUED')`,
+        [to, purpose, sensitive ? null : body, provider.name]
+    );
+
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= MAX_SEND_ATTEMPTS; attempt++) {
+        try {
+            const result = await provider.send({ to, body });
+            const status = DELIVERY_STATUSES.includes(result.status) ? result.status : 'SENT';
+
+            await db.query(
+                `UPDATE message_deliveries
+                 SET status = ?, provider_message_id = ?, attempts = ?, last_error = NULL,
+                     sent_at = NOW(), delivered_at = IF(? = 'DELIVERED', NOW(), NULL)
+                 WHERE id = ?`,
+                [status, result.providerMessageId || null, attempt, status, deliveryId]
+            );
+
+            return {
+                success: true,
+                deliveryId,
+                providerMessageId: result.providerMessageId || null,
+                status
+            };
+        } catch (error) {
+            lastError = error.message;
+            console.error(`SMS attempt ${attempt}/${MAX_SEND_ATTEMPTS} to ${to} failed:`, error.message);
+
+            await db.query(
+                'UPDATE message_deliveries SET attempts = ?, last_error = ? WHERE id = ?',
+                [attempt, lastError, deliveryId]
+            );
+
+            if (TIMEOUT_CODES.includes(error.code)) {
+                return { success: false, deliveryId, error: lastError, deliveryUnknown: true };
+            }
+
+            if (attempt < MAX_SEND_ATTEMPTS) {
+                await wait(retryDelayMs);
+            }
+        }
+    }
+
+    await db.query(
+        "UPDATE message_deliveries SET status = 'FAILED' WHERE id = ?",
+        [deliveryId]
+    );
+
+    return { success: false, deliveryId, error: lastError };
+};
+
+/**
+ * Apply a delivery report from the provider's status callback
+ * Returns the number of deliveries updated
+ */
+const handleStatusCallback = async (providerName, body) => {
+    const provider = getProvider();
+
+    if (provider.name !== providerName || !provider.parseStatusCallback) {
+        return 0;
+    }
+
+    const { providerMessageId, status, error } = provider.parseStatusCallback(body);
+
+    if (!providerMessageId || !DELIVERY_STATUSES.includes(status)) {
+        return 0;
+    }
+
+    return await db.update(
+        `UPDATE message_deliveries
+         SET status = ?, last_error = COALESCE(?, last_error),
+             delivered_at = IF(? = 'DELIVERED', NOW(), delivered_at)
+         WHERE provider = ? AND provider_message_id = ?`,
+        [status, error || null, status, providerName, providerMessageId]
+    );
+};
+
+/**
+ * Get delivery status of a tracked message
+ */
+const getDeliveryStatus = async (deliveryId) => {
+    return await db.getOne(
+        `SELECT id, channel, recipient, purpose, provider, provider_message_id, status,
+                attempts, last_error, sent_at, delivered_at, created_at
+         FROM message_deliveries WHERE id = ?`,
+        [deliveryId]
+    );
+};
+
+module.exports = {
+    registerDriver,
+    createProvider,
+    getProvider,
+    setProvider,
+    sendSMS,
+    handleStatusCallback,
+    getDeliveryStatus
+};
\ No newline at end of file
@@ -0,0 +1,116 @@
+// =====================================================
+// NOTIFICATIONS SERVICE (In-app notifications)
+// =====================================================
+
+const db = require('../config/database');
+
+// Types merged into one summary per user when sent in a batch
+const BATCH_SUMMARIES = {
+    LEAVE_PENDING: {
+        title: 'New Leave Requests',
+        message: count => `${count} leave requests are waiting for your approval`
+    },
+    LEAVE_DELEGATED_DECISION: {
+        title: 'Decisions Made On Your Behalf',
+        message: count => `Your delegate decided ${count} leave applications on your behalf`
+    }
+};
+
+/**
+ * Send the same in-app notification to several users in one insert
+ * Duplicate and empty user ids are dropped
+ */
+const notifyUsers = async (conn, userIds, { type, title, message, leaveId = null }) => {
+    const recipients = [...new Set(userIds.filter(Boolean))];
+
+    if (recipients.length === 0) {
+        return 0;
+    }
+
+    const sql = `INSERT INTO notifications
+                 (user_id, notification_type, title, message, related_leave_id)
+                 VALUES ${recipients.map(() => '(?, ?, ?, ?, ?)').join(', ')}`;
+    const params = recipients.flatMap(userId => [userId, type, title, message, leaveId]);
+
+    if (conn) {
+        await conn.execute(sql, params);
+    } else {
+        await db.query(sql, params);
+    }
+
+    return recipients.length;
+};
+
+/**
+ * Collect notifications from many operations and write them in one insert
+ * batch.notify has the signature of notifyUsers (conn is ignored), so it can
+ * be passed wherever notifyUsers is expected. Notifications of a type in
+ * BATCH_SUMMARIES are merged per user, e.g. 40 new leave requests for the
+ * principal become one notification.
+ */
+const createNotificationBatch = () => {
+    const rows = [];
+
+    const notify = async (conn, userIds, { type, title, message, leaveId = null }) => {
+        const recipients = [...new Set(userIds.filter(Boolean))];
+
+        for (const userId of recipients) {
+            rows.push({ userId, type, title, message, leaveId });
+        }
+
+        return recipients.length;
+    };
+
+    // Take over the notifications of another batch (e.g. one item that succeeded)
+    const merge = (other) => {
+        rows.push(...other.rows);
+    };
+
+    const flush = async (conn = null) => {
+        const merged = [];
+
+        for (const row of rows) {
+            const summary = BATCH_SUMMARIES[row.type];
+            const existing = summary && merged.find(m => m.userId === row.userId && m.type === row.type);
+
+            if (existing) {
+                existing.count++;
+            } else {
+                merged.push({ ...row, count: 1 });
+            }
+        }
+
+        if (merged.length === 0) {
+            return 0;
+        }
+
+        const sql = `INSERT INTO notifications
+                     (user_id, notification_type, title, message, related_leave_id)
+                     VALUES ${merged.map(() => '(?, ?, ?, ?, ?)').join(', ')}`;
+        const params = merged.flatMap(row => {
+            const summary = row.count > 1 && BATCH_SUMMARIES[row.type];
+
+            return summary
+                ? [row.userId, row.type, summary.title, summary.message(row.count), null]
+                : [row.userId, row.type, row.title, row.message, row.leaveId];
+        });
+
+        if (conn) {
+            await conn.execute(sql, params);
+        } else {
+            await db.query(sql, params);
+        }
+
+        // Kept until written, so a failed flush can be retried
+        rows.length = 0;
+
+        return merged.length;
+    };
+
+    return { rows, notify, merge, flush };
+};
+
+module.exports = {
+    notifyUsers,
+    createNotificationBatch
+};
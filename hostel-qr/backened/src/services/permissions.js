@@ -0,0 +1,61 @@
+// =====================================================
+// PERMISSIONS SERVICE
+// =====================================================
+// Effective permission = user override if one exists, otherwise
+// whatever the user's role grants (role_permissions).
+
+const db = require('../config/database');
+const cache = require('./cache');
+
+/**
+ * Effective permission names of a user (cached briefly)
+ */
+const getEffectivePermissions = async (userId) => {
+    return await cache.rememberPermissions(userId, async () => {
+        const rows = await db.getMany(
+            `SELECT p.permission_name
+             FROM users u
+             CROSS JOIN permissions p
+             LEFT JOIN role_permissions rp ON rp.role_id = u.role_id AND rp.permission_id = p.id
+             LEFT JOIN user_permission_overrides upo ON upo.user_id = u.id AND upo.permission_id = p.id
+             WHERE u.id = ? AND COALESCE(upo.is_granted, rp.permission_id IS NOT NULL) = TRUE
+             ORDER BY p.permission_name`,
+            [userId]
+        );
+
+        return rows.map(row => row.permission_name);
+    });
+};
+
+/**
+ * Check a single permission for a user
+ */
+const hasPermission = async (userId, permissionName) => {
+    const permissions = await getEffectivePermissions(userId);
+    return permissions.includes(permissionName);
+};
+
+/**
+ * IDs of active users holding a permission (e.g. who to notify)
+ */
+const getUserIdsWithPermission = async (permissionName, conn = null) => {
+    const sql = `SELECT u.id
+                 FROM users u
+                 JOIN permissions p ON p.permission_name = ?
+                 LEFT JOIN role_permissions rp ON rp.role_id = u.role_id AND rp.permission_id = p.id
+                 LEFT JOIN user_permission_overrides upo ON upo.user_id = u.id AND upo.permission_id = p.id
+                 WHERE u.is_active = TRUE
+                 AND COALESCE(upo.is_granted, rp.permission_id IS NOT NULL) = TRUE`;
+
+    const rows = conn
+        ? (await conn.execute(sql, [permissionName]))[0]
+        : await db.getMany(sql, [permissionName]);
+
+    return rows.map(row => row.id);
+};
+
+module.exports = {
+    getEffectivePermissions,
+    hasPermission,
+    getUserIdsWithPermission
+};
@@ -0,0 +1,349 @@
+// =====================================================
+// TWO-FACTOR AUTHENTICATION SERVICE (Staff TOTP)
+// =====================================================
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../config/database');
+const { hashToken } = require('../utils/helpers');
+const {
+    generateSecret,
+    verifyTOTP,
+    buildProvisioningURI
+} = require('../utils/totp');
+
+// =====================================================
+// CONFIGURATION
+// =====================================================
+
+/**
+ * Roles that must use 2FA (TWO_FACTOR_REQUIRED_ROLES, comma separated; 'NONE' disables)
+ */
+const getRequiredRoles = () => {
+    const setting = process.env.TWO_FACTOR_REQUIRED_ROLES !== undefined
+        ? process.env.TWO_FACTOR_REQUIRED_ROLES
+        : 'DEPUTY_WARDEN,PRINCIPAL,ADMIN';
+
+    return setting
+        .split(',')
+        .map(role => role.trim().toUpperCase())
+        .filter(role => role && role !== 'NONE');
+};
+
+const isTwoFactorRequired = (roleName) => {
+    return getRequiredRoles().includes(roleName);
+};
+
+// =====================================================
+// SECRET ENCRYPTION (AES-256-GCM)
+// =====================================================
+
+const getEncryptionKey = () => {
+    return crypto
+        .createHash('sha256')
+        .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+        .digest();
+};
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [iv, tag, encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// =====================================================
+// PENDING LOGIN TOKENS
+// =====================================================
+
+/**
+ * Short-lived token proving the password step passed
+ * purpose: 'login' (code required) or 'enroll' (must set up 2FA first)
+ */
+const generatePendingToken = (userId, purpose) => {
+    return jwt.sign(
+        { userId, purpose },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: `${parseInt(process.env.TWO_FACTOR_PENDING_TOKEN_MINUTES) || 5}m`,
+            audience: 'two-factor'
+        }
+    );
+};
+
+const verifyPendingToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: 'two-factor' });
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// =====================================================
+// ENROLLMENT
+// =====================================================
+
+/**
+ * Get 2FA state for a user
+ */
+const getStatus = async (userId) => {
+    const record = await db.getOne(
+        `SELECT is_enabled, enabled_at,
+                (SELECT COUNT(*) FROM two_factor_recovery_codes
+                 WHERE user_id = ? AND used_at IS NULL) as recovery_codes_left
+         FROM user_two_factor WHERE user_id = ?`,
+        [userId, userId]
+    );
+
+    return {
+        enabled: !!(record && record.is_enabled),
+        enabledAt: record ? record.enabled_at : null,
+        recoveryCodesLeft: record ? record.recovery_codes_left : 0
+    };
+};
+
+/**
+ * Start enrollment: store a fresh (not yet enabled) secret
+ * Returns { secret, otpauthUri } for the authenticator app
+ */
+const startEnrollment = async (userId, accountName) => {
+    const secret = generateSecret();
+
+    await db.query(
+        `INSERT INTO user_two_factor (user_id, secret_encrypted, is_enabled)
+         VALUES (?, ?, FALSE)
+         ON DUPLICATE KEY UPDATE
+            secret_encrypted = IF(is_enabled, secret_encrypted, VALUES(secret_encrypted))`,
+        [userId, encryptSecret(secret)]
+    );
+
+    const record = await db.getOne(
+        'SELECT is_enabled FROM user_two_factor WHERE user_id = ?',
+        [userId]
+    );
+
+    if (record.is_enabled) {
+        return { alreadyEnabled: true };
+    }
+
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'Hostel QR System';
+
+    return {
+        secret,
+        otpauthUri: buildProvisioningURI(secret, accountName, issuer)
+    };
+};
+
+/**
+ * Generate a fresh set of recovery codes (replaces any old ones)
+ */
+const generateRecoveryCodes = async (userId, conn) => {
+    const count = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10;
+    const codes = [];
+
+    await conn.execute(
+        'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+        [userId]
+    );
+
+    for (let i = 0; i < count; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        codes.push(code);
+
+        await conn.execute(
+            'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES (?, ?)',
+            [userId, hashToken(code)]
+        );
+    }
+
+    return codes;
+};
+
+/**
+ * Confirm enrollment with a first code from the app
+ * Returns { success, recoveryCodes } or { success: false, message }
+ */
+const confirmEnrollment = async (userId, code) => {
+    const record = await db.getOne(
+        'SELECT secret_encrypted, is_enabled FROM user_two_factor WHERE user_id = ?',
+        [userId]
+    );
+
+    if (!record) {
+        return { success: false, message: 'Two-factor setup not started' };
+    }
+
+    if (record.is_enabled) {
+        return { success: false, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const step = verifyTOTP(decryptSecret(record.secret_encrypted), code);
+
+    if (step === null) {
+        return { success: false, message: 'Invalid authentication code' };
+    }
+
+    const recoveryCodes = await db.transaction(async (conn) => {
+        await conn.execute(
+            `UPDATE user_two_factor
+             SET is_enabled = TRUE, enabled_at = NOW(), last_used_step = ?,
+                 failed_attempts = 0, locked_until = NULL
+             WHERE user_id = ?`,
+            [step, userId]
+        );
+
+        await conn.execute(
+            `INSERT INTO audit_logs (user_id, action, table_name, record_id)
+             VALUES (?, 'TWO_FACTOR_ENABLED', 'user_two_factor', ?)`,
+            [userId, userId]
+        );
+
+        return await generateRecoveryCodes(userId, conn);
+    });
+
+    return { success: true, recoveryCodes };
+};
+
+// =====================================================
+// VERIFICATION
+// =====================================================
+
+/**
+ * Verify a login code or a recovery code
+ * Codes can't be replayed, and repeated failures lock 2FA for a while
+ */
+const verifyCode = async (userId, { code, recoveryCode }) => {
+    const maxAttempts = parseInt(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5;
+    const lockMinutes = parseInt(process.env.TWO_FACTOR_LOCK_MINUTES) || 15;
+
+    const record = await db.getOne(
+        `SELECT secret_encrypted, is_enabled, last_used_step, failed_attempts,
+                locked_until > NOW() as is_locked
+         FROM user_two_factor WHERE user_id = ?`,
+        [userId]
+    );
+
+    if (!record || !record.is_enabled) {
+        return { success: false, message: 'Two-factor authentication is not enabled' };
+    }
+
+    if (record.is_locked) {
+        return {
+            success: false,
+            code: 'TWO_FACTOR_LOCKED',
+            message: 'Too many failed attempts. Please try again later.'
+        };
+    }
+
+    let verified = false;
+    let usedRecoveryCode = false;
+
+    if (recoveryCode) {
+        const normalized = String(recoveryCode).trim().toLowerCase();
+        const used = await db.update(
+            `UPDATE two_factor_recovery_codes SET used_at = NOW()
+             WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+            [userId, hashToken(normalized)]
+        );
+        verified = used > 0;
+        usedRecoveryCode = verified;
+    } else if (code) {
+        const step = verifyTOTP(decryptSecret(record.secret_encrypted), code);
+
+        // Each time step may only be used once
+        if (step !== null && (record.last_used_step === null || step > record.last_used_step)) {
+            const updated = await db.update(
+                `UPDATE user_two_factor SET last_used_step = ?
+                 WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)`,
+                [step, userId, step]
+            );
+            verified = updated > 0;
+        }
+    }
+
+    if (!verified) {
+        if (record.failed_attempts + 1 >= maxAttempts) {
+            await db.query(
+                `UPDATE user_two_factor
+                 SET failed_attempts = 0, locked_until = NOW() + INTERVAL ? MINUTE
+                 WHERE user_id = ?`,
+                [lockMinutes, userId]
+            );
+        } else {
+            await db.query(
+                'UPDATE user_two_factor SET failed_attempts = failed_attempts + 1 WHERE user_id = ?',
+                [userId]
+            );
+        }
+
+        return {
+            success: false,
+            code: 'TWO_FACTOR_INVALID',
+            message: 'Invalid authentication code'
+        };
+    }
+
+    await db.query(
+        'UPDATE user_two_factor SET failed_attempts = 0, locked_until = NULL WHERE user_id = ?',
+        [userId]
+    );
+
+    return { success: true, usedRecoveryCode };
+};
+
+// =====================================================
+// MANAGEMENT
+// =====================================================
+
+/**
+ * Regenerate recovery codes (old ones stop working)
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    return await db.transaction(async (conn) => {
+        await conn.execute(
+            `INSERT INTO audit_logs (user_id, action, table_name, record_id)
+             VALUES (?, 'TWO_FACTOR_RECOVERY_REGENERATED', 'user_two_factor', ?)`,
+            [userId, userId]
+        );
+        return await generateRecoveryCodes(userId, conn);
+    });
+};
+
+/**
+ * Turn 2FA off and drop the secret and recovery codes
+ */
+const disable = async (userId, actorId = userId) => {
+    await db.transaction(async (conn) => {
+        await conn.execute('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+        await conn.execute('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+        await conn.execute(
+            `INSERT INTO audit_logs (user_id, action, table_name, record_id)
+             VALUES (?, 'TWO_FACTOR_DISABLED', 'user_two_factor', ?)`,
+            [actorId, userId]
+        );
+    });
+};
+
+module.exports = {
+    isTwoFactorRequired,
+    generatePendingToken,
+    verifyPendingToken,
+    getStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifyCode,
+    regenerateRecoveryCodes,
+    disable
+};
\ No newline at end of file
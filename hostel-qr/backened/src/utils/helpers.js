@@ -6,7 +6,10 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
+const { sendSMS } = require('../services/messaging');
+const cache = require('../services/cache');
 
 // =====================================================
 // JWT UTILITIES
@@ -14,10 +17,11 @@ const db = require('../config/database');
 
 /**
  * Generate JWT access token
+ * sessionId ties the token to a row in user_sessions so it can be revoked
  */
-const generateAccessToken = (userId, roleId, roleName) => {
+const generateAccessToken = (userId, roleId, roleName, sessionId) => {
     return jwt.sign(
-        { userId, roleId, roleName },
+        { userId, roleId, roleName, sid: sessionId },
         process.env.JWT_SECRET,
         { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
     );
@@ -25,12 +29,16 @@ const generateAccessToken = (userId, roleId, roleName) => {
 
 /**
  * Generate refresh token
+ * tokenId becomes the JWT ID; familyId groups every rotation of one login
  */
-const generateRefreshToken = (userId) => {
+const generateRefreshToken = (userId, tokenId, familyId) => {
     return jwt.sign(
-        { userId, type: 'refresh' },
+        { userId, type: 'refresh', familyId },
         process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
+        {
+            expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d',
+            jwtid: tokenId
+        }
     );
 };
 
@@ -39,12 +47,197 @@ const generateRefreshToken = (userId) => {
  */
 const verifyRefreshToken = (token) => {
     try {
-        return jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+        const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET);
+        return decoded.type === 'refresh' ? decoded : null;
     } catch (error) {
         return null;
     }
 };
 
+/**
+ * Issue a refresh token and store it server-side
+ * Starts a new token family unless one is passed in (rotation)
+ */
+const issueRefreshToken = async (userId, familyId = null, conn = null) => {
+    const tokenId = uuidv4();
+    const family = familyId || uuidv4();
+    const token = generateRefreshToken(userId, tokenId, family);
+    const expiresAt = new Date(jwt.decode(token).exp * 1000);
+
+    const sql = `INSERT INTO refresh_tokens (token_id, family_id, user_id, expires_at)
+                 VALUES (?, ?, ?, ?)`;
+    const params = [tokenId, family, userId, expiresAt];
+
+    if (conn) {
+        await conn.execute(sql, params);
+    } else {
+        await db.query(sql, params);
+    }
+
+    return { token, tokenId, familyId: family, expiresAt };
+};
+
+/**
+ * Issue access + refresh token pair on login
+ * Each login opens a session; its ID doubles as the refresh token family
+ */
+const issueAuthTokens = async (userId, roleId, roleName, req = null) => {
+    const sessionId = uuidv4();
+
+    const refreshToken = await db.transaction(async (conn) => {
+        await conn.execute(
+            `INSERT INTO user_sessions (id, user_id, ip_address, user_agent, expires_at)
+             VALUES (?, ?, ?, ?, NOW())`,
+            [
+                sessionId,
+                userId,
+                req ? req.ip : null,
+                req ? req.headers['user-agent'] || null : null
+            ]
+        );
+
+        const issued = await issueRefreshToken(userId, sessionId, conn);
+
+        // A session lives as long as its newest refresh token
+        await conn.execute(
+            'UPDATE user_sessions SET expires_at = ? WHERE id = ?',
+            [issued.expiresAt, sessionId]
+        );
+
+        return issued.token;
+    });
+
+    const accessToken = generateAccessToken(userId, roleId, roleName, sessionId);
+    return { accessToken, refreshToken, sessionId };
+};
+
+// =====================================================
+// SESSION UTILITIES
+// =====================================================
+
+/**
+ * Revoke a single session and its refresh tokens
+ */
+const revokeSession = async (sessionId, revokedBy = null, reason = 'LOGOUT', conn = null) => {
+    const run = conn
+        ? (sql, params) => conn.execute(sql, params)
+        : (sql, params) => db.query(sql, params);
+
+    await run(
+        `UPDATE user_sessions 
+         SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [revokedBy, reason, sessionId]
+    );
+
+    await run(
+        `UPDATE refresh_tokens 
+         SET revoked_at = NOW(), revoke_reason = ?
+         WHERE family_id = ? AND revoked_at IS NULL`,
+        [reason, sessionId]
+    );
+
+    await db.afterCommit(conn, () => cache.invalidate(cache.keys.session(sessionId)));
+};
+
+/**
+ * Revoke every active session of a user
+ * Returns the number of sessions revoked
+ */
+const revokeAllUserSessions = async (userId, revokedBy = null, reason = 'REVOKED', exceptSessionId = null, conn = null) => {
+    const run = conn
+        ? async (sql, params) => (await conn.execute(sql, params))[0]
+        : (sql, params) => db.query(sql, params);
+
+    const liveSessions = await run(
+        `SELECT id FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+        [userId, exceptSessionId || '']
+    );
+
+    const sessionResult = await run(
+        `UPDATE user_sessions 
+         SET revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL AND id <> ?`,
+        [revokedBy, reason, userId, exceptSessionId || '']
+    );
+
+    await run(
+        `UPDATE refresh_tokens 
+         SET revoked_at = NOW(), revoke_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL AND family_id <> ?`,
+        [reason, userId, exceptSessionId || '']
+    );
+
+    // Only once committed: a lookup in between would cache the sessions as live again
+    if (liveSessions.length > 0) {
+        await db.afterCommit(conn, () => cache.invalidate(
+            ...liveSessions.map(session => cache.keys.session(session.id))
+        ));
+    }
+
+    return sessionResult.affectedRows;
+};
+
+/**
+ * Check that a session exists, belongs to the user and is still live
+ * The answer is cached for CACHE_AUTH_TTL_SECONDS by session id (the owner,
+ * or false once revoked or expired); revoking a session drops the entry
+ */
+const isSessionActive = async (sessionId, userId) => {
+    if (!sessionId) {
+        return false;
+    }
+
+    const ownerId = await cache.remember(
+        cache.keys.session(sessionId),
+        cache.getAuthTTL(),
+        async () => {
+            const session = await db.getOne(
+                `SELECT user_id FROM user_sessions 
+                 WHERE id = ? AND revoked_at IS NULL AND expires_at > NOW()`,
+                [sessionId]
+            );
+
+            return session ? session.user_id : false;
+        }
+    );
+
+    return ownerId !== false && Number(ownerId) === Number(userId);
+};
+
+// =====================================================
+// GUARDIAN UTILITIES
+// =====================================================
+
+/**
+ * User IDs of a student's registered and verified guardians
+ * Primary guardian first
+ */
+const getGuardianUserIds = async (studentId, conn = null) => {
+    const sql = `SELECT sg.guardian_user_id
+                 FROM student_guardians sg
+                 JOIN users u ON sg.guardian_user_id = u.id
+                 WHERE sg.student_id = ? AND u.is_verified = TRUE
+                 ORDER BY sg.is_primary DESC, sg.id ASC`;
+
+    const rows = conn
+        ? (await conn.execute(sql, [studentId]))[0]
+        : await db.getMany(sql, [studentId]);
+
+    return rows.map(row => row.guardian_user_id);
+};
+
+/**
+ * Get a guardian's link to a student (null if not linked)
+ */
+const getGuardianLink = async (guardianUserId, studentId) => {
+    return await db.getOne(
+        'SELECT * FROM student_guardians WHERE guardian_user_id = ? AND student_id = ?',
+        [guardianUserId, studentId]
+    );
+};
+
 // =====================================================
 // PASSWORD UTILITIES
 // =====================================================
@@ -64,6 +257,37 @@ const comparePassword = async (password, hash) => {
     return await bcrypt.compare(password, hash);
 };
 
+/**
+ * Validate password against the password policy
+ * Returns { valid, errors } so every rule that failed can be shown
+ */
+const validatePasswordPolicy = (password) => {
+    const minLength = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+    const errors = [];
+
+    if (typeof password !== 'string' || password.length < minLength) {
+        errors.push(`Password must be at least ${minLength} characters`);
+    }
+
+    if (typeof password === 'string') {
+        // bcrypt ignores everything after 72 bytes
+        if (Buffer.byteLength(password) > 72) {
+            errors.push('Password must be at most 72 bytes');
+        }
+        if (!/[a-z]/.test(password)) {
+            errors.push('Password must contain a lowercase letter');
+        }
+        if (!/[A-Z]/.test(password)) {
+            errors.push('Password must contain an uppercase letter');
+        }
+        if (!/\d/.test(password)) {
+            errors.push('Password must contain a digit');
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+};
+
 // =====================================================
 // OTP UTILITIES
 // =====================================================
@@ -76,18 +300,78 @@ const generateOTP = () => {
     return crypto.randomInt(100000, 999999).toString().padStart(length, '0');
 };
 
+/**
+ * Hash OTP for storage
+ * Keyed with a server secret so a leaked table can't be brute-forced offline
+ */
+const hashOTP = (phoneNumber, otp) => {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(`${phoneNumber}:${otp}`)
+        .digest('hex');
+};
+
+/**
+ * Check resend cooldown and daily cap before sending another OTP
+ * Limits are per phone number across all purposes (they all cost an SMS)
+ */
+const checkOTPRequestAllowed = async (phoneNumber) => {
+    const cooldownSeconds = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+    const dailyLimit = parseInt(process.env.OTP_DAILY_LIMIT) || 10;
+
+    const usage = await db.getOne(
+        `SELECT 
+            COUNT(*) as sent_today,
+            TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) as seconds_since_last
+         FROM otp_verifications
+         WHERE phone_number = ? AND created_at > NOW() - INTERVAL 1 DAY`,
+        [phoneNumber]
+    );
+
+    if (usage.sent_today >= dailyLimit) {
+        return {
+            allowed: false,
+            code: 'OTP_DAILY_LIMIT_REACHED',
+            message: 'Daily OTP limit reached for this phone number. Please try again tomorrow.'
+        };
+    }
+
+    if (usage.seconds_since_last !== null && usage.seconds_since_last < cooldownSeconds) {
+        const retryAfterSeconds = cooldownSeconds - usage.seconds_since_last;
+        return {
+            allowed: false,
+            code: 'OTP_RESEND_COOLDOWN',
+            message: `Please wait ${retryAfterSeconds} seconds before requesting another OTP`,
+            retryAfterSeconds
+        };
+    }
+
+    return { allowed: true };
+};
+
 /**
  * Store OTP in database
+ * Any earlier unused OTP for the same phone and purpose stops working
  */
-const storeOTP = async (userId, phoneNumber, purpose = 'LOGIN') => {
+const storeOTP = async (userId, phoneNumber, purpose = 'LOGIN', conn = null) => {
     const otp = generateOTP();
     const expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
     const expiresAt = new Date(Date.now() + expiryMinutes * 60 * 1000);
+    const run = conn
+        ? (sql, params) => conn.execute(sql, params)
+        : (sql, params) => db.query(sql, params);
+
+    await run(
+        `UPDATE otp_verifications SET invalidated_at = NOW()
+         WHERE phone_number = ? AND purpose = ? 
+         AND is_verified = FALSE AND invalidated_at IS NULL`,
+        [phoneNumber, purpose]
+    );
 
-    await db.query(
-        `INSERT INTO otp_verifications (user_id, phone_number, otp_code, purpose, expires_at)
+    await run(
+        `INSERT INTO otp_verifications (user_id, phone_number, otp_hash, purpose, expires_at)
          VALUES (?, ?, ?, ?, ?)`,
-        [userId, phoneNumber, otp, purpose, expiresAt]
+        [userId, phoneNumber, hashOTP(phoneNumber, otp), purpose, expiresAt]
     );
 
     return otp;
@@ -95,67 +379,102 @@ const storeOTP = async (userId, phoneNumber, purpose = 'LOGIN') => {
 
 /**
  * Verify OTP
+ * Wrong guesses count against the latest OTP; after OTP_MAX_ATTEMPTS it is burned
+ * userId limits the lookup to OTPs issued for that account, so a code sent
+ * to someone else sharing the phone number is never touched
  */
-const verifyOTP = async (phoneNumber, otp, purpose = 'LOGIN') => {
-    const result = await db.getOne(
-        `SELECT * FROM otp_verifications 
+const verifyOTP = async (phoneNumber, otp, purpose = 'LOGIN', userId = null) => {
+    const maxAttempts = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+
+    const record = await db.getOne(
+        `SELECT id, user_id, otp_hash, attempts, expires_at <= NOW() as is_expired
+         FROM otp_verifications 
          WHERE phone_number = ? 
-         AND otp_code = ? 
          AND purpose = ? 
          AND is_verified = FALSE 
-         AND expires_at > NOW()
-         ORDER BY created_at DESC 
+         AND invalidated_at IS NULL
+         ${userId ? 'AND user_id = ?' : ''}
+         ORDER BY created_at DESC, id DESC
          LIMIT 1`,
-        [phoneNumber, otp, purpose]
+        userId ? [phoneNumber, purpose, userId] : [phoneNumber, purpose]
     );
 
-    if (!result) {
-        return { success: false, message: 'Invalid or expired OTP' };
+    if (!record) {
+        return {
+            success: false,
+            code: 'OTP_NOT_FOUND',
+            message: 'No active OTP found. Please request a new one.'
+        };
+    }
+
+    if (record.is_expired) {
+        return {
+            success: false,
+            code: 'OTP_EXPIRED',
+            message: 'OTP has expired. Please request a new one.'
+        };
+    }
+
+    const expected = Buffer.from(record.otp_hash, 'hex');
+    const actual = Buffer.from(hashOTP(phoneNumber, String(otp)), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        // Assignments run left to right, so the IF sees the incremented count
+        await db.query(
+            `UPDATE otp_verifications 
+             SET attempts = attempts + 1,
+                 invalidated_at = IF(attempts >= ?, NOW(), invalidated_at)
+             WHERE id = ?`,
+            [maxAttempts, record.id]
+        );
+
+        const attemptsRemaining = Math.max(maxAttempts - (record.attempts + 1), 0);
+
+        if (attemptsRemaining === 0) {
+            return {
+                success: false,
+                code: 'OTP_ATTEMPTS_EXCEEDED',
+                message: 'Too many incorrect attempts. Please request a new OTP.'
+            };
+        }
+
+        return {
+            success: false,
+            code: 'OTP_INVALID',
+            message: 'Incorrect OTP',
+            attemptsRemaining
+        };
     }
 
-    // Mark OTP as verified
-    await db.query(
-        'UPDATE otp_verifications SET is_verified = TRUE WHERE id = ?',
-        [result.id]
+    // Mark OTP as verified (guarded so a code burned meanwhile can't be used)
+    const updated = await db.update(
+        `UPDATE otp_verifications SET is_verified = TRUE 
+         WHERE id = ? AND is_verified = FALSE AND invalidated_at IS NULL`,
+        [record.id]
     );
 
-    return { success: true, userId: result.user_id };
+    if (!updated) {
+        return {
+            success: false,
+            code: 'OTP_NOT_FOUND',
+            message: 'No active OTP found. Please request a new one.'
+        };
+    }
+
+    return { success: true, userId: record.user_id };
 };
 
 /**
- * Send OTP via SMS (Twilio integration)
+ * Send OTP via SMS (through the configured messaging provider)
  */
 const sendOTP = async (phoneNumber, otp) => {
-    // For development, just log the OTP
-    if (process.env.NODE_ENV === 'development') {
-        console.log(`📱 OTP for ${phoneNumber}: ${otp}`);
-        return { success: true };
-    }
+    const expiryMinutes = process.env.OTP_EXPIRY_MINUTES || 10;
 
-    // Production: Use Twilio
-    try {
-        const accountSid = process.env.TWILIO_ACCOUNT_SID;
-        const authToken = process.env.TWILIO_AUTH_TOKEN;
-        const twilioPhone = process.env.TWILIO_PHONE_NUMBER;
-
-        if (!accountSid || !authToken || !twilioPhone) {
-            console.warn('Twilio credentials not configured. OTP:', otp);
-            return { success: true };
-        }
-
-        const client = require('twilio')(accountSid, authToken);
-        
-        await client.messages.create({
-            body: `Your Hostel System OTP is: ${otp}. Valid for ${process.env.OTP_EXPIRY_MINUTES || 10} minutes.`,
-            from: twilioPhone,
-            to: phoneNumber
-        });
-
-        return { success: true };
-    } catch (error) {
-        console.error('SMS sending error:', error);
-        return { success: false, error: error.message };
-    }
+    return await sendSMS(
+        phoneNumber,
+        `Your Hostel System OTP is: ${otp}. Valid for ${expiryMinutes} minutes.`,
+        { purpose: 'OTP', sensitive: true }
+    );
 };
 
 // =====================================================
@@ -236,6 +555,10 @@ const validateQRCode = async (qrData) => {
             return { valid: false, message: 'Leave application not found' };
         }
 
+        if (leave.qr_revoked_at) {
+            return { valid: false, message: 'QR code revoked. Leave was cancelled.' };
+        }
+
         if (leave.status !== 'APPROVED_DW' && leave.status !== 'APPROVED_PRINCIPAL') {
             return { valid: false, message: 'Leave not approved' };
         }
@@ -271,6 +594,32 @@ const validateQRCode = async (qrData) => {
     }
 };
 
+// =====================================================
+// AUDIT LOG
+// =====================================================
+
+/**
+ * Write a change to audit_logs inside a transaction
+ * userId defaults to the signed-in user (gate devices pass the watchman)
+ */
+const writeAuditLog = async (conn, req, action, tableName, recordId, oldValue = null, newValue = null, userId = req.user.id) => {
+    await conn.execute(
+        `INSERT INTO audit_logs
+         (user_id, action, table_name, record_id, old_value, new_value, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            userId,
+            action,
+            tableName,
+            recordId,
+            oldValue ? JSON.stringify(oldValue) : null,
+            newValue ? JSON.stringify(newValue) : null,
+            req.ip,
+            req.headers['user-agent'] || null
+        ]
+    );
+};
+
 // =====================================================
 // HELPER UTILITIES
 // =====================================================
@@ -313,6 +662,19 @@ const isFutureDate = (date) => {
     return checkDate > today;
 };
 
+/**
+ * Whether a YYYY-MM-DD string is a real date
+ * (Date rolls 2026-02-31 over to March, so compare it back)
+ */
+const isValidDateString = (value) => {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+
+    const date = new Date(value);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
 /**
  * Sanitize phone number
  */
@@ -333,6 +695,25 @@ const sanitizePhoneNumber = (phone) => {
     return cleaned;
 };
 
+/**
+ * Normalize a person's name for comparison
+ * Case, dots and repeated whitespace are ignored ("R. Kumar" == "r kumar")
+ */
+const normalizeName = (name) => {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/\./g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+/**
+ * Hash an opaque token (reset tokens, API keys) for storage
+ */
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 /**
  * Generate random string
  */
@@ -345,13 +726,26 @@ module.exports = {
     generateAccessToken,
     generateRefreshToken,
     verifyRefreshToken,
+    issueRefreshToken,
+    issueAuthTokens,
+
+    // Sessions
+    revokeSession,
+    revokeAllUserSessions,
+    isSessionActive,
+
+    // Guardians
+    getGuardianUserIds,
+    getGuardianLink,
     
     // Password
     hashPassword,
     comparePassword,
+    validatePasswordPolicy,
     
     // OTP
     generateOTP,
+    checkOTPRequestAllowed,
     storeOTP,
     verifyOTP,
     sendOTP,
@@ -360,12 +754,18 @@ module.exports = {
     generateQRCodeData,
     generateQRCodeImage,
     validateQRCode,
+
+    // Audit log
+    writeAuditLog,
     
     // Helpers
     generateHash,
     daysBetween,
     formatDateForMySQL,
     isFutureDate,
+    isValidDateString,
     sanitizePhoneNumber,
+    normalizeName,
+    hashToken,
     generateRandomString
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+// =====================================================
+// TOTP UTILITIES (RFC 6238, compatible with authenticator apps)
+// =====================================================
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+/**
+ * Encode buffer as base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode base32 string to buffer
+ */
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret (base32)
+ */
+const generateSecret = () => {
+    return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ */
+const generateHOTP = (secret, counter) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+        .createHmac('sha1', base32Decode(secret))
+        .update(counterBuffer)
+        .digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+/**
+ * Current time step
+ */
+const currentStep = (timestamp = Date.now()) => {
+    return Math.floor(timestamp / 1000 / PERIOD_SECONDS);
+};
+
+/**
+ * Verify a TOTP code, allowing `window` steps of clock drift either way
+ * Returns the matching time step, or null
+ */
+const verifyTOTP = (secret, code, window = 1, timestamp = Date.now()) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+
+    if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) {
+        return null;
+    }
+
+    const step = currentStep(timestamp);
+
+    for (let drift = -window; drift <= window; drift++) {
+        const expected = generateHOTP(secret, step + drift);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return step + drift;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Build otpauth:// provisioning URI (rendered as a QR code by the client)
+ */
+const buildProvisioningURI = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHOTP,
+    currentStep,
+    verifyTOTP,
+    buildProvisioningURI
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+// =====================================================
+// LEAVE ATTACHMENTS SERVICE TESTS
+// =====================================================
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const {
+    validateFiles,
+    getFilePath,
+    storeFiles,
+    removeFiles
+} = require('../../src/services/leaveAttachments');
+
+const PDF = Buffer.from('%PDF-1.7\n1 0 obj\n');
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x10, 0x4A, 0x46]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0x00, 0x00]);
+
+const upload = (originalname, mimetype, buffer) => ({
+    originalname,
+    mimetype,
+    buffer,
+    size: buffer.length
+});
+
+describe('validateFiles', () => {
+    it('requires at least one file', () => {
+        expect(validateFiles(undefined)).toBe('At least one file is required');
+        expect(validateFiles([])).toBe('At least one file is required');
+    });
+
+    it('accepts PDF, JPEG and PNG files with matching types', () => {
+        expect(validateFiles([
+            upload('letter.pdf', 'application/pdf', PDF),
+            upload('photo.jpg', 'image/jpeg', JPEG),
+            upload('scan.png', 'image/png', PNG)
+        ])).toBeNull();
+    });
+
+    it('accepts a generic declared type and goes by the contents', () => {
+        expect(validateFiles([upload('letter.pdf', 'application/octet-stream', PDF)])).toBeNull();
+    });
+
+    it('rejects contents that are not an accepted type, whatever the name', () => {
+        const script = Buffer.from('#!/bin/sh\nrm -rf /\n');
+
+        expect(validateFiles([upload('letter.pdf', 'application/pdf', script)]))
+            .toBe('letter.pdf: only PDF, JPEG and PNG files are accepted');
+    });
+
+    it('rejects a declared type that disagrees with the contents', () => {
+        expect(validateFiles([upload('photo.png', 'image/png', JPEG)]))
+            .toBe('photo.png: file contents do not match its type');
+    });
+
+    it('rejects files shorter than their signature', () => {
+        expect(validateFiles([upload('scan.png', 'image/png', PNG.subarray(0, 4))]))
+            .toBe('scan.png: only PDF, JPEG and PNG files are accepted');
+    });
+
+    it('reports the first bad file of a batch', () => {
+        expect(validateFiles([
+            upload('letter.pdf', 'application/pdf', PDF),
+            upload('notes.txt', 'text/plain', Buffer.from('hello'))
+        ])).toBe('notes.txt: only PDF, JPEG and PNG files are accepted');
+    });
+});
+
+describe('storeFiles', () => {
+    let storageDir;
+
+    beforeEach(async () => {
+        storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'leave-attachments-'));
+        process.env.ATTACHMENTS_DIR = storageDir;
+    });
+
+    afterEach(async () => {
+        delete process.env.ATTACHMENTS_DIR;
+        await fs.rm(storageDir, { recursive: true, force: true });
+    });
+
+    it('stores files under random keys with the detected type and hash', async () => {
+        const [stored] = await storeFiles([upload('letter.pdf', 'application/octet-stream', PDF)]);
+
+        expect(stored).toEqual({
+            originalName: 'letter.pdf',
+            mimeType: 'application/pdf',
+            sizeBytes: PDF.length,
+            sha256: crypto.createHash('sha256').update(PDF).digest('hex'),
+            storageKey: expect.stringMatching(/^[0-9a-f]{64}$/)
+        });
+        expect(getFilePath(stored.storageKey).startsWith(storageDir)).toBe(true);
+        expect(await fs.readFile(getFilePath(stored.storageKey))).toEqual(PDF);
+    });
+
+    it('keeps only the base name of the uploaded file', async () => {
+        const [stored] = await storeFiles([upload('../../etc/passwd.png', 'image/png', PNG)]);
+
+        expect(stored.originalName).toBe('passwd.png');
+    });
+
+    it('removes stored files', async () => {
+        const stored = await storeFiles([
+            upload('photo.jpg', 'image/jpeg', JPEG),
+            upload('scan.png', 'image/png', PNG)
+        ]);
+
+        await removeFiles(stored.map(file => file.storageKey));
+
+        for (const file of stored) {
+            await expect(fs.access(getFilePath(file.storageKey))).rejects.toThrow();
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,181 @@
+// =====================================================
+// LEAVE QUOTA SERVICE TESTS
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({
+    getOne: jest.fn(),
+    getMany: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const { checkQuota } = require('../../src/services/leaveQuota');
+
+const ODD_TERM = { id: 1, term_name: 'Odd Semester 2026', start_date: '2026-07-01', end_date: '2026-11-30' };
+const EVEN_TERM = { id: 2, term_name: 'Even Semester 2027', start_date: '2026-12-01', end_date: '2027-04-30' };
+
+const REGULAR = { leave_type: 'REGULAR', counts_toward_quota: true };
+
+/**
+ * Answer the quota queries from plain data
+ * terms: [{ ...term, requested_days }], quotas / usedDays keyed by term id
+ */
+const mockTerms = ({ terms, quotas = {}, usedDays = {} }) => {
+    db.getMany.mockResolvedValue(terms);
+    db.getOne.mockImplementation(async (sql, params) => {
+        if (sql.includes('FROM leave_quotas')) {
+            return quotas[params[0]] || null;
+        }
+
+        if (sql.includes('used_days')) {
+            const term = terms.find(candidate => candidate.end_date === params[0]);
+            return { used_days: String(usedDays[term.id] || 0) };
+        }
+
+        throw new Error(`Unexpected query: ${sql}`);
+    });
+};
+
+const request = (overrides = {}) => ({
+    studentId: 7,
+    yearOfStudy: 2,
+    policy: REGULAR,
+    fromDate: '2026-11-25',
+    toDate: '2026-12-04',
+    ...overrides
+});
+
+beforeEach(() => {
+    jest.resetAllMocks();
+});
+
+describe('checkQuota', () => {
+    it('never limits leave types that do not count toward quotas', async () => {
+        const result = await checkQuota(request({
+            policy: { leave_type: 'MEDICAL', counts_toward_quota: false }
+        }));
+
+        expect(result).toBeNull();
+        expect(db.getMany).not.toHaveBeenCalled();
+    });
+
+    it('passes when the leave fits in the remaining days', async () => {
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 6 }],
+            quotas: { 1: { max_days: 15, over_quota_action: 'REJECT' } },
+            usedDays: { 1: 9 }
+        });
+
+        expect(await checkQuota(request())).toBeNull();
+    });
+
+    it('ignores terms without a quota', async () => {
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 6 }, { ...EVEN_TERM, requested_days: 4 }],
+            usedDays: { 1: 100, 2: 100 }
+        });
+
+        expect(await checkQuota(request())).toBeNull();
+    });
+
+    it('flags without rejecting when the exceeded quota only flags', async () => {
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 6 }],
+            quotas: { 1: { max_days: 15, over_quota_action: 'FLAG' } },
+            usedDays: { 1: 12 }
+        });
+
+        expect(await checkQuota(request())).toEqual({
+            reject: false,
+            message: 'REGULAR leave quota for Odd Semester 2026 is 15 days: 3 left, 6 requested',
+            terms: [{
+                termName: 'Odd Semester 2026',
+                maxDays: 15,
+                usedDays: 12,
+                requestedDays: 6,
+                remainingDays: 3
+            }]
+        });
+    });
+
+    it('counts a leave crossing a term boundary in each term separately', async () => {
+        // 6 days in the odd term fit; 4 days in the even term do not
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 6 }, { ...EVEN_TERM, requested_days: 4 }],
+            quotas: {
+                1: { max_days: 10, over_quota_action: 'FLAG' },
+                2: { max_days: 10, over_quota_action: 'REJECT' }
+            },
+            usedDays: { 1: 4, 2: 8 }
+        });
+
+        const result = await checkQuota(request());
+
+        expect(result.reject).toBe(true);
+        expect(result.terms).toEqual([{
+            termName: 'Even Semester 2027',
+            maxDays: 10,
+            usedDays: 8,
+            requestedDays: 4,
+            remainingDays: 2
+        }]);
+    });
+
+    it('rejects when any exceeded term rejects and reports the first one', async () => {
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 6 }, { ...EVEN_TERM, requested_days: 4 }],
+            quotas: {
+                1: { max_days: 5, over_quota_action: 'FLAG' },
+                2: { max_days: 3, over_quota_action: 'REJECT' }
+            }
+        });
+
+        const result = await checkQuota(request());
+
+        expect(result.reject).toBe(true);
+        expect(result.message).toBe('REGULAR leave quota for Odd Semester 2026 is 5 days: 5 left, 6 requested');
+        expect(result.terms.map(term => term.termName)).toEqual(['Odd Semester 2026', 'Even Semester 2027']);
+    });
+
+    it('never reports negative remaining days', async () => {
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 2 }],
+            quotas: { 1: { max_days: 10, over_quota_action: 'REJECT' } },
+            usedDays: { 1: 12 }
+        });
+
+        const result = await checkQuota(request());
+
+        expect(result.terms[0].remainingDays).toBe(0);
+    });
+
+    it('asks only for terms the leave overlaps and clips days to each term', async () => {
+        mockTerms({ terms: [] });
+
+        await checkQuota(request());
+
+        const [sql, params] = db.getMany.mock.calls[0];
+        expect(sql).toContain('LEAST(?, t.end_date)');
+        expect(params).toEqual(['2026-12-04', '2026-11-25', '2026-12-04', '2026-11-25']);
+    });
+
+    it('leaves the edited leave itself out of the used days', async () => {
+        mockTerms({
+            terms: [{ ...ODD_TERM, requested_days: 6 }],
+            quotas: { 1: { max_days: 15, over_quota_action: 'REJECT' } }
+        });
+
+        await checkQuota(request({ excludeLeaveId: 42 }));
+
+        const usedCall = db.getOne.mock.calls.find(([sql]) => sql.includes('used_days'));
+        expect(usedCall[1].slice(0, 5)).toEqual(['2026-11-30', '2026-07-01', 7, 'REGULAR', 42]);
+    });
+
+    it('uses the quota for the student\'s year of study', async () => {
+        mockTerms({ terms: [{ ...ODD_TERM, requested_days: 6 }] });
+
+        await checkQuota(request({ yearOfStudy: 3 }));
+
+        const quotaCall = db.getOne.mock.calls.find(([sql]) => sql.includes('FROM leave_quotas'));
+        expect(quotaCall[1]).toEqual([1, 'REGULAR', 3]);
+    });
+});
\ No newline at end of file
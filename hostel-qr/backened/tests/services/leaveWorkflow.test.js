@@ -0,0 +1,308 @@
+// =====================================================
+// LEAVE WORKFLOW ENGINE TESTS (Stage and skip resolution)
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({
+    getOne: jest.fn(),
+    getMany: jest.fn()
+}));
+jest.mock('../../src/utils/helpers', () => ({
+    getGuardianUserIds: jest.fn(),
+    getGuardianLink: jest.fn()
+}));
+jest.mock('../../src/services/permissions', () => ({
+    getEffectivePermissions: jest.fn(),
+    getUserIdsWithPermission: jest.fn(),
+    hasPermission: jest.fn()
+}));
+jest.mock('../../src/services/delegations', () => ({
+    applyDelegations: jest.fn(),
+    getResponsibilities: jest.fn(),
+    findDelegator: jest.fn()
+}));
+jest.mock('../../src/services/notifications', () => ({
+    notifyUsers: jest.fn()
+}));
+jest.mock('../../src/services/leavePolicy', () => ({
+    checkApprovable: jest.fn()
+}));
+jest.mock('../../src/services/academicCalendar', () => ({
+    findConflicts: jest.fn()
+}));
+
+const { getGuardianUserIds } = require('../../src/utils/helpers');
+const { getUserIdsWithPermission } = require('../../src/services/permissions');
+const { applyDelegations } = require('../../src/services/delegations');
+const { notifyUsers } = require('../../src/services/notifications');
+const { checkApprovable } = require('../../src/services/leavePolicy');
+const { findConflicts } = require('../../src/services/academicCalendar');
+const {
+    matchesSkipCondition,
+    validateSkipCondition,
+    startWorkflow,
+    restartWorkflow
+} = require('../../src/services/leaveWorkflow');
+
+// "Regular leave": guardian consent, then the deputy warden, then the
+// principal only for long leaves
+const STAGES = [
+    {
+        id: 11, stage_order: 1, stage_name: 'Parent Consent', approver_type: 'GUARDIAN',
+        approver_permission: null, skip_condition: null,
+        pending_status: 'PENDING_PARENT', approved_status: 'APPROVED_DW'
+    },
+    {
+        id: 12, stage_order: 2, stage_name: 'Deputy Warden', approver_type: 'PERMISSION',
+        approver_permission: 'LEAVE_APPROVE_DW', skip_condition: null,
+        pending_status: 'PENDING', approved_status: 'APPROVED_DW'
+    },
+    {
+        id: 13, stage_order: 3, stage_name: 'Principal', approver_type: 'PERMISSION',
+        approver_permission: 'LEAVE_APPROVE_PRINCIPAL', skip_condition: '{"maxDays": 3}',
+        pending_status: 'PENDING', approved_status: 'APPROVED_PRINCIPAL'
+    }
+];
+
+const LEAVE = {
+    id: 5, student_id: 3, student_name: 'Asha', student_user_id: 30,
+    from_date: '2026-11-02', to_date: '2026-11-03', duration: 2
+};
+
+const facts = (overrides = {}) => ({
+    leaveType: 'REGULAR',
+    duration: 2,
+    department: 'CSE',
+    yearOfStudy: 2,
+    ...overrides
+});
+
+/**
+ * Connection that serves the workflow's stages and records every statement
+ */
+const createConn = (stages = STAGES) => ({
+    execute: jest.fn(async (sql) => {
+        if (sql.includes('FROM approval_workflow_stages')) {
+            return [stages];
+        }
+        return [{ affectedRows: 1 }];
+    })
+});
+
+const insertedApprovals = (conn) => conn.execute.mock.calls
+    .filter(([sql]) => sql.includes('INSERT INTO leave_approvals'))
+    .map(([, params]) => ({ stageId: params[1], status: params[4] }));
+
+const statusUpdates = (conn) => conn.execute.mock.calls
+    .filter(([sql]) => sql.startsWith('UPDATE leave_applications SET status = ?'))
+    .map(([, params]) => params[0]);
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    getGuardianUserIds.mockResolvedValue([40]);
+    getUserIdsWithPermission.mockResolvedValue([50]);
+    applyDelegations.mockImplementation(async (userIds) => userIds);
+    checkApprovable.mockResolvedValue(null);
+    findConflicts.mockResolvedValue([]);
+});
+
+describe('matchesSkipCondition', () => {
+    it('never matches an empty condition', () => {
+        expect(matchesSkipCondition(null, facts())).toBe(false);
+        expect(matchesSkipCondition({}, facts())).toBe(false);
+        expect(matchesSkipCondition('{}', facts())).toBe(false);
+    });
+
+    it.each([
+        [{ maxDays: 3 }, { duration: 3 }, true],
+        [{ maxDays: 3 }, { duration: 4 }, false],
+        [{ minDays: 7 }, { duration: 7 }, true],
+        [{ minDays: 7 }, { duration: 6 }, false],
+        [{ leaveTypes: ['MEDICAL'] }, { leaveType: 'MEDICAL' }, true],
+        [{ leaveTypes: ['MEDICAL'] }, { leaveType: 'REGULAR' }, false],
+        [{ departments: ['ECE'] }, { department: 'ECE' }, true],
+        [{ years: [1] }, { yearOfStudy: 2 }, false]
+    ])('%j against %j is %s', (condition, overrides, expected) => {
+        expect(matchesSkipCondition(condition, facts(overrides))).toBe(expected);
+    });
+
+    it('needs every key to match', () => {
+        const condition = { maxDays: 3, departments: ['CSE'] };
+
+        expect(matchesSkipCondition(condition, facts())).toBe(true);
+        expect(matchesSkipCondition(condition, facts({ department: 'ECE' }))).toBe(false);
+    });
+
+    it('parses conditions stored as JSON', () => {
+        expect(matchesSkipCondition('{"maxDays": 3}', facts())).toBe(true);
+    });
+
+    it('does not match unknown keys', () => {
+        expect(matchesSkipCondition({ weekdays: ['MON'] }, facts())).toBe(false);
+    });
+});
+
+describe('validateSkipCondition', () => {
+    it('accepts no condition', () => {
+        expect(validateSkipCondition(null)).toBeNull();
+        expect(validateSkipCondition(undefined)).toBeNull();
+    });
+
+    it('accepts known keys with valid values', () => {
+        expect(validateSkipCondition({ maxDays: 3, leaveTypes: ['MEDICAL'], years: [1, 2] })).toBeNull();
+    });
+
+    it.each([
+        [[], 'Skip condition must be an object'],
+        ['maxDays', 'Skip condition must be an object'],
+        [{ weekdays: ['MON'] }, 'Unknown skip condition: weekdays'],
+        [{ maxDays: 0 }, 'Invalid value for skip condition maxDays'],
+        [{ minDays: 2.5 }, 'Invalid value for skip condition minDays'],
+        [{ departments: 'CSE' }, 'Invalid value for skip condition departments']
+    ])('rejects %j', (condition, message) => {
+        expect(validateSkipCondition(condition)).toBe(message);
+    });
+});
+
+describe('startWorkflow', () => {
+    it('skips matching stages and starts the first remaining one', async () => {
+        const conn = createConn();
+
+        const result = await startWorkflow(conn, LEAVE, { id: 1 }, facts());
+
+        expect(insertedApprovals(conn)).toEqual([
+            { stageId: 11, status: 'WAITING' },
+            { stageId: 12, status: 'WAITING' },
+            { stageId: 13, status: 'SKIPPED' }
+        ]);
+        expect(statusUpdates(conn)).toEqual(['PENDING_PARENT']);
+        expect(result).toEqual({
+            status: 'PENDING_PARENT',
+            currentStage: 'Parent Consent',
+            currentApproverType: 'GUARDIAN',
+            stages: [
+                { stageName: 'Parent Consent', approverType: 'GUARDIAN', approverPermission: null },
+                { stageName: 'Deputy Warden', approverType: 'PERMISSION', approverPermission: 'LEAVE_APPROVE_DW' }
+            ]
+        });
+    });
+
+    it('asks the guardians for consent at a guardian stage', async () => {
+        await startWorkflow(createConn(), LEAVE, { id: 1 }, facts());
+
+        expect(getGuardianUserIds).toHaveBeenCalledWith(LEAVE.student_id, expect.anything());
+        expect(notifyUsers).toHaveBeenCalledWith(expect.anything(), [40], expect.objectContaining({
+            type: 'LEAVE_CONSENT_REQUEST',
+            leaveId: LEAVE.id
+        }));
+    });
+
+    it('notifies staff approvers and their delegates at a permission stage', async () => {
+        const stages = STAGES.slice(1);
+        applyDelegations.mockResolvedValue([50, 60]);
+
+        const result = await startWorkflow(createConn(stages), LEAVE, { id: 1 }, facts());
+
+        expect(result.currentStage).toBe('Deputy Warden');
+        expect(applyDelegations).toHaveBeenCalledWith([50], 'LEAVE_APPROVE_DW', expect.anything());
+        expect(notifyUsers).toHaveBeenCalledWith(expect.anything(), [50, 60], expect.objectContaining({
+            type: 'LEAVE_PENDING'
+        }));
+    });
+
+    it('keeps stages whose skip condition does not match', async () => {
+        const conn = createConn();
+
+        const result = await startWorkflow(conn, { ...LEAVE, duration: 10 }, { id: 1 }, facts({ duration: 10 }));
+
+        expect(insertedApprovals(conn).map(approval => approval.status))
+            .toEqual(['WAITING', 'WAITING', 'WAITING']);
+        expect(result.stages).toHaveLength(3);
+    });
+
+    it('approves straight away as the last stage when every stage is skipped', async () => {
+        const stages = STAGES.map(stage => ({ ...stage, skip_condition: { maxDays: 3 } }));
+        const conn = createConn(stages);
+
+        const result = await startWorkflow(conn, LEAVE, { id: 1 }, facts());
+
+        expect(result.status).toBe('APPROVED_PRINCIPAL');
+        expect(result.currentStage).toBeNull();
+        expect(statusUpdates(conn)).toEqual(['APPROVED_PRINCIPAL']);
+        expect(notifyUsers).toHaveBeenCalledWith(expect.anything(), [LEAVE.student_user_id], expect.objectContaining({
+            type: 'LEAVE_APPROVED'
+        }));
+        expect(findConflicts).toHaveBeenCalledWith(
+            { id: LEAVE.student_id, department: 'CSE', year_of_study: 2 },
+            LEAVE.from_date,
+            LEAVE.to_date,
+            LEAVE.id,
+            conn
+        );
+    });
+
+    it('leaves the last staff stage pending when the policy blocks approval', async () => {
+        const stages = STAGES.map(stage => ({ ...stage, skip_condition: { maxDays: 3 } }));
+        const conn = createConn(stages);
+        checkApprovable.mockResolvedValue('MEDICAL leave needs a supporting document before it can be approved');
+
+        const result = await startWorkflow(conn, LEAVE, { id: 1 }, facts());
+
+        expect(insertedApprovals(conn)).toEqual([
+            { stageId: 11, status: 'SKIPPED' },
+            { stageId: 12, status: 'SKIPPED' },
+            { stageId: 13, status: 'WAITING' }
+        ]);
+        expect(result.status).toBe('PENDING');
+        expect(result.currentStage).toBe('Principal');
+        expect(statusUpdates(conn)).toEqual(['PENDING']);
+    });
+
+    it('leaves the last staff stage pending during a calendar conflict', async () => {
+        const stages = STAGES.map(stage => ({ ...stage, skip_condition: { maxDays: 3 } }));
+        const conn = createConn(stages);
+        findConflicts.mockResolvedValue([{ id: 8, event_name: 'Mid-term exams', event_type: 'RESTRICTED' }]);
+
+        const result = await startWorkflow(conn, LEAVE, { id: 1 }, facts());
+
+        expect(result.status).toBe('PENDING');
+        expect(result.currentStage).toBe('Principal');
+        expect(notifyUsers).not.toHaveBeenCalledWith(expect.anything(), [LEAVE.student_user_id], expect.objectContaining({
+            type: 'LEAVE_APPROVED'
+        }));
+    });
+
+    it('does not check approvability while a stage remains', async () => {
+        await startWorkflow(createConn(), LEAVE, { id: 1 }, facts());
+
+        expect(checkApprovable).not.toHaveBeenCalled();
+        expect(findConflicts).not.toHaveBeenCalled();
+    });
+});
+
+describe('restartWorkflow', () => {
+    it('supersedes the earlier round before starting again', async () => {
+        const conn = createConn();
+
+        await restartWorkflow(conn, LEAVE, { id: 1 }, facts());
+
+        const statements = conn.execute.mock.calls.map(([sql]) => sql);
+        const superseded = statements.findIndex(sql => sql.includes('superseded_at = NOW()'));
+        const firstInsert = statements.findIndex(sql => sql.includes('INSERT INTO leave_approvals'));
+
+        expect(superseded).toBeGreaterThanOrEqual(0);
+        expect(superseded).toBeLessThan(firstInsert);
+    });
+
+    it('resolves skips again for the edited leave', async () => {
+        const conn = createConn();
+
+        const result = await restartWorkflow(conn, { ...LEAVE, duration: 14 }, { id: 1 }, facts({ duration: 14 }));
+
+        expect(insertedApprovals(conn)).toEqual([
+            { stageId: 11, status: 'WAITING' },
+            { stageId: 12, status: 'WAITING' },
+            { stageId: 13, status: 'WAITING' }
+        ]);
+        expect(result.currentStage).toBe('Parent Consent');
+    });
+});
\ No newline at end of file
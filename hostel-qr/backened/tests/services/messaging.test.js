@@ -0,0 +1,104 @@
+// =====================================================
+// MESSAGING SERVICE TESTS (Send retries)
+// =====================================================
+
+jest.mock('../../src/config/database', () => ({
+    insert: jest.fn(),
+    query: jest.fn()
+}));
+
+const db = require('../../src/config/database');
+const { setProvider, sendSMS } = require('../../src/services/messaging');
+
+const failure = (message, code) => Object.assign(new Error(message), code && { code });
+
+/**
+ * Provider whose sends resolve or reject in turn
+ */
+const createProvider = (...outcomes) => ({
+    name: 'test',
+    send: jest.fn(async () => {
+        const outcome = outcomes.shift();
+        if (outcome instanceof Error) {
+            throw outcome;
+        }
+        return outcome;
+    })
+});
+
+const deliveryUpdates = () => db.query.mock.calls.map(([sql]) => sql);
+
+beforeEach(() => {
+    jest.resetAllMocks();
+    db.insert.mockResolvedValue(9);
+    process.env.SMS_RETRY_DELAY_MS = '1';
+});
+
+afterAll(() => {
+    delete process.env.SMS_RETRY_DELAY_MS;
+    setProvider(null);
+});
+
+describe('sendSMS', () => {
+    it('records a successful send', async () => {
+        const provider = createProvider({ providerMessageId: 'm-1', status: 'SENT' });
+        setProvider(provider);
+
+        const result = await sendSMS('+919876543210', 'Hello');
+
+        expect(result).toEqual({ success: true, deliveryId: 9, providerMessageId: 'm-1', status: 'SENT' });
+        expect(provider.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries a failed send once', async () => {
+        const provider = createProvider(failure('Gateway responded 503'), { providerMessageId: 'm-2', status: 'QUEUED' });
+        setProvider(provider);
+
+        const result = await sendSMS('+919876543210', 'Hello');
+
+        expect(result.success).toBe(true);
+        expect(provider.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('gives up and marks the delivery failed after the retry', async () => {
+        const provider = createProvider(
+            failure('Gateway responded 503'),
+            failure('Gateway responded 503'),
+            { providerMessageId: 'm-3', status: 'SENT' }
+        );
+        setProvider(provider);
+
+        const result = await sendSMS('+919876543210', 'Hello');
+
+        expect(result).toEqual({ success: false, deliveryId: 9, error: 'Gateway responded 503' });
+        expect(provider.send).toHaveBeenCalledTimes(2);
+        expect(deliveryUpdates().pop()).toContain("status = 'FAILED'");
+    });
+
+    it('does not retry a timed-out send, whose delivery is unknown', async () => {
+        const provider = createProvider(
+            failure('Gateway request timed out', 'ETIMEDOUT'),
+            { providerMessageId: 'm-4', status: 'SENT' }
+        );
+        setProvider(provider);
+
+        const result = await sendSMS('+919876543210', 'Hello');
+
+        expect(result).toEqual({
+            success: false,
+            deliveryId: 9,
+            error: 'Gateway request timed out',
+            deliveryUnknown: true
+        });
+        expect(provider.send).toHaveBeenCalledTimes(1);
+        expect(deliveryUpdates().some(sql => sql.includes("'FAILED'"))).toBe(false);
+    });
+
+    it('does not store sensitive bodies', async () => {
+        setProvider(createProvider({ providerMessageId: 'm-5', status: 'SENT' }));
+
+        await sendSMS('+919876543210', 'Your OTP is 123456', { purpose: 'OTP', sensitive: true });
+
+        expect(db.insert.mock.calls[0][1]).toEqual(['+919876543210', 'OTP', null, 'test']);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,102 @@
+// =====================================================
+// TOTP UTILITIES TESTS
+// =====================================================
+
+const {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHOTP,
+    currentStep,
+    verifyTOTP,
+    buildProvisioningURI
+} = require('../../src/utils/totp');
+
+// RFC 4226 / RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+    it('encodes the RFC test secret', () => {
+        expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    it('round-trips random bytes', () => {
+        const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+        expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('ignores padding, spaces and case when decoding', () => {
+        expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq===').toString())
+            .toBe('12345678901234567890');
+    });
+
+    it('rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+
+    it('generates 160-bit secrets', () => {
+        expect(base32Decode(generateSecret())).toHaveLength(20);
+    });
+});
+
+describe('generateHOTP', () => {
+    it('matches the RFC 4226 test values', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314',
+            '254676', '287922', '162583', '399871', '520489'];
+
+        expected.forEach((code, counter) => {
+            expect(generateHOTP(RFC_SECRET, counter)).toBe(code);
+        });
+    });
+});
+
+describe('verifyTOTP', () => {
+    // RFC 6238 test times (last six digits of the SHA-1 values)
+    it.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ])('accepts the code for t=%i', (seconds, code) => {
+        const timestamp = seconds * 1000;
+        expect(verifyTOTP(RFC_SECRET, code, 0, timestamp)).toBe(currentStep(timestamp));
+    });
+
+    it('accepts codes within the drift window and returns their step', () => {
+        const timestamp = 1111111109 * 1000;
+        const step = currentStep(timestamp);
+
+        expect(verifyTOTP(RFC_SECRET, generateHOTP(RFC_SECRET, step - 1), 1, timestamp)).toBe(step - 1);
+        expect(verifyTOTP(RFC_SECRET, generateHOTP(RFC_SECRET, step + 1), 1, timestamp)).toBe(step + 1);
+    });
+
+    it('rejects codes outside the drift window', () => {
+        const timestamp = 1111111109 * 1000;
+        const step = currentStep(timestamp);
+
+        expect(verifyTOTP(RFC_SECRET, generateHOTP(RFC_SECRET, step - 2), 1, timestamp)).toBeNull();
+        expect(verifyTOTP(RFC_SECRET, generateHOTP(RFC_SECRET, step + 1), 0, timestamp)).toBeNull();
+    });
+
+    it('allows spaces inside the code', () => {
+        expect(verifyTOTP(RFC_SECRET, '081 804', 0, 1111111109 * 1000)).not.toBeNull();
+    });
+
+    it.each([null, '', '12345', '1234567', '08180a', 81804])('rejects malformed code %p', (code) => {
+        expect(verifyTOTP(RFC_SECRET, code, 1, 1111111109 * 1000)).toBeNull();
+    });
+});
+
+describe('buildProvisioningURI', () => {
+    it('builds an otpauth URI for authenticator apps', () => {
+        const uri = new URL(buildProvisioningURI(RFC_SECRET, 'warden@college.edu', 'Hostel QR'));
+
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.host).toBe('totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/Hostel QR:warden@college.edu');
+        expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+        expect(uri.searchParams.get('issuer')).toBe('Hostel QR');
+        expect(uri.searchParams.get('digits')).toBe('6');
+        expect(uri.searchParams.get('period')).toBe('30');
+    });
+});
\ No newline at end of file
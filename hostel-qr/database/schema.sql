@@ -21,7 +21,8 @@ INSERT INTO roles (role_name, description) VALUES
 ('PARENT', 'Parent role for verification and monitoring'),
 ('DEPUTY_WARDEN', 'Deputy warden with approval authority'),
 ('PRINCIPAL', 'Principal with authority for long leaves'),
-('WATCHMAN', 'Watchman for QR scanning at gate');
+('WATCHMAN', 'Watchman for QR scanning at gate'),
+('ADMIN', 'Administrator for staff user management');
 
 -- =====================================================
 -- USERS TABLE (All users)
@@ -34,11 +35,121 @@ CREATE TABLE users (
     password_hash VARCHAR(255),
     is_verified BOOLEAN DEFAULT FALSE,
     is_active BOOLEAN DEFAULT FALSE,
+    failed_login_attempts INT DEFAULT 0, -- Consecutive wrong passwords
+    last_failed_login_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL, -- Login lockout
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (role_id) REFERENCES roles(id)
 );
 
+-- =====================================================
+-- PERMISSIONS (Role grants + per-user overrides)
+-- =====================================================
+CREATE TABLE permissions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    permission_name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE role_permissions (
+    role_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (role_id, permission_id),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+);
+
+CREATE TABLE user_permission_overrides (
+    user_id INT NOT NULL,
+    permission_id INT NOT NULL,
+    is_granted BOOLEAN NOT NULL, -- TRUE adds the permission, FALSE takes it away from the role's set
+    reason VARCHAR(255),
+    granted_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, permission_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO permissions (permission_name, description) VALUES
+('STUDENT_PROFILE_MANAGE', 'View and update own student profile and dashboard'),
+('LEAVE_APPLY', 'Apply for leave and view own leaves and QR codes'),
+('CHILD_MONITOR', 'View linked students, their leaves, gate history and notifications'),
+('EXTENSION_REQUEST', 'Request emergency leave extensions'),
+('GUARDIAN_MANAGE', 'Manage guardians and guardian phone numbers'),
+('LEAVE_APPROVE_DW', 'Approve or reject leaves at the deputy warden stage'),
+('LEAVE_APPROVE_PRINCIPAL', 'Approve or reject leaves needing principal approval'),
+('EXTENSION_PROCESS', 'Approve or reject emergency extensions'),
+('PHONE_CHANGE_APPROVE', 'Approve or reject guardian phone number changes'),
+('GATE_LOGS_VIEW', 'View gate logs and students currently outside'),
+('GATE_SCAN', 'Scan QR codes and record manual entry/exit'),
+('ROSTER_MANAGE', 'Import and view the student roster'),
+('MESSAGING_VIEW', 'View SMS delivery status'),
+('SESSIONS_REVOKE', 'Sign a user out of every session'),
+('USERS_MANAGE', 'Create, deactivate and update staff users'),
+('PERMISSIONS_MANAGE', 'Manage roles, role permissions and user overrides'),
+('TWO_FACTOR_USE', 'Set up and manage two-factor authentication'),
+('GATE_DEVICES_MANAGE', 'Register gates and gate scanner devices, revoke devices'),
+('SYSTEM_MONITOR', 'View system statistics such as cache hit rates'),
+('WORKFLOWS_MANAGE', 'Configure leave approval workflows and their stages'),
+('LEAVE_CONSENT', 'Consent to or decline leave requests of linked students'),
+('LEAVE_POLICIES_MANAGE', 'Configure leave types and their policies'),
+('DELEGATIONS_MANAGE', 'Set up and revoke approval delegations for any staff member'),
+('LEAVE_QUOTAS_MANAGE', 'Configure academic terms and leave day quotas'),
+('CALENDAR_MANAGE', 'Maintain the academic calendar of holidays, exam blackouts and restricted windows'),
+('CALENDAR_OVERRIDE', 'Let a student take leave during an exam blackout or restricted window');
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r
+JOIN permissions p
+WHERE (r.role_name, p.permission_name) IN (
+    ('STUDENT', 'STUDENT_PROFILE_MANAGE'),
+    ('STUDENT', 'LEAVE_APPLY'),
+    ('PARENT', 'CHILD_MONITOR'),
+    ('PARENT', 'EXTENSION_REQUEST'),
+    ('PARENT', 'GUARDIAN_MANAGE'),
+    ('PARENT', 'LEAVE_CONSENT'),
+    ('DEPUTY_WARDEN', 'LEAVE_APPROVE_DW'),
+    ('DEPUTY_WARDEN', 'EXTENSION_PROCESS'),
+    ('DEPUTY_WARDEN', 'PHONE_CHANGE_APPROVE'),
+    ('DEPUTY_WARDEN', 'GATE_LOGS_VIEW'),
+    ('DEPUTY_WARDEN', 'ROSTER_MANAGE'),
+    ('DEPUTY_WARDEN', 'MESSAGING_VIEW'),
+    ('DEPUTY_WARDEN', 'SESSIONS_REVOKE'),
+    ('DEPUTY_WARDEN', 'TWO_FACTOR_USE'),
+    ('DEPUTY_WARDEN', 'CALENDAR_OVERRIDE'),
+    ('PRINCIPAL', 'LEAVE_APPROVE_PRINCIPAL'),
+    ('PRINCIPAL', 'GATE_LOGS_VIEW'),
+    ('PRINCIPAL', 'ROSTER_MANAGE'),
+    ('PRINCIPAL', 'MESSAGING_VIEW'),
+    ('PRINCIPAL', 'SESSIONS_REVOKE'),
+    ('PRINCIPAL', 'TWO_FACTOR_USE'),
+    ('PRINCIPAL', 'CALENDAR_OVERRIDE'),
+    ('WATCHMAN', 'GATE_SCAN'),
+    ('WATCHMAN', 'GATE_LOGS_VIEW'),
+    ('WATCHMAN', 'TWO_FACTOR_USE'),
+    ('ADMIN', 'ROSTER_MANAGE'),
+    ('ADMIN', 'MESSAGING_VIEW'),
+    ('ADMIN', 'SESSIONS_REVOKE'),
+    ('ADMIN', 'USERS_MANAGE'),
+    ('ADMIN', 'PERMISSIONS_MANAGE'),
+    ('ADMIN', 'TWO_FACTOR_USE'),
+    ('ADMIN', 'GATE_DEVICES_MANAGE'),
+    ('ADMIN', 'SYSTEM_MONITOR'),
+    ('ADMIN', 'WORKFLOWS_MANAGE'),
+    ('ADMIN', 'LEAVE_POLICIES_MANAGE'),
+    ('ADMIN', 'DELEGATIONS_MANAGE'),
+    ('ADMIN', 'LEAVE_QUOTAS_MANAGE'),
+    ('ADMIN', 'CALENDAR_MANAGE'),
+    ('ADMIN', 'CALENDAR_OVERRIDE')
+);
+
 -- =====================================================
 -- STUDENTS TABLE
 -- =====================================================
@@ -61,6 +172,26 @@ CREATE TABLE students (
     FOREIGN KEY (parent_id) REFERENCES users(id) ON DELETE SET NULL
 );
 
+-- =====================================================
+-- STUDENT ROSTER TABLE (Official list loaded by the college)
+-- =====================================================
+CREATE TABLE student_roster (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    college_id VARCHAR(20) NOT NULL UNIQUE,
+    student_name VARCHAR(100) NOT NULL,
+    department VARCHAR(100),
+    year_of_study INT,
+    parent_phone VARCHAR(15) NOT NULL,
+    is_active BOOLEAN DEFAULT TRUE, -- FALSE for withdrawn/graduated students
+    registered_user_id INT NULL, -- Set once the student self-registers
+    registered_at TIMESTAMP NULL,
+    uploaded_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (registered_user_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- =====================================================
 -- PARENTS TABLE
 -- =====================================================
@@ -76,6 +207,53 @@ CREATE TABLE parents (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
+-- =====================================================
+-- STUDENT GUARDIANS TABLE (Parents / local guardians of a student)
+-- =====================================================
+CREATE TABLE student_guardians (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    student_id INT NOT NULL,
+    guardian_phone VARCHAR(15) NOT NULL, -- Phone the guardian registers and logs in with
+    guardian_user_id INT NULL, -- Set once the guardian registers
+    relationship VARCHAR(50), -- Father, Mother, Local Guardian
+    is_primary BOOLEAN DEFAULT FALSE, -- Roster parent; mirrored in students.parent_id
+    added_by INT NULL, -- Guardian who added this one (NULL for the roster parent)
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (guardian_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL,
+    UNIQUE KEY uk_student_guardian_phone (student_id, guardian_phone),
+    INDEX idx_guardian_user (guardian_user_id),
+    INDEX idx_guardian_phone (guardian_phone)
+);
+
+-- =====================================================
+-- GUARDIAN PHONE CHANGE REQUESTS TABLE
+-- =====================================================
+CREATE TABLE guardian_phone_change_requests (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    student_id INT NULL, -- Set when raised by a student
+    guardian_link_id INT NULL, -- student_guardians.id (student-raised)
+    guardian_user_id INT NULL, -- Registered guardian; all their links move
+    old_phone VARCHAR(15) NOT NULL,
+    new_phone VARCHAR(15) NOT NULL,
+    reason TEXT,
+    requested_by INT NOT NULL,
+    status VARCHAR(50) DEFAULT 'PENDING_OTP', -- PENDING_OTP, PENDING_APPROVAL, APPROVED, REJECTED, CANCELLED
+    otp_verified_at TIMESTAMP NULL,
+    reviewed_by INT NULL, -- staff.id of the Deputy Warden
+    remarks TEXT,
+    reviewed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (guardian_link_id) REFERENCES student_guardians(id) ON DELETE CASCADE,
+    FOREIGN KEY (guardian_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (requested_by) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_phone_change_status (status, created_at)
+);
+
 -- =====================================================
 -- STAFF TABLE (Deputy Warden, Principal, Watchman)
 -- =====================================================
@@ -97,16 +275,307 @@ CREATE TABLE otp_verifications (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     phone_number VARCHAR(15) NOT NULL,
-    otp_code VARCHAR(6) NOT NULL,
-    purpose VARCHAR(50) NOT NULL, -- REGISTRATION, LOGIN, VERIFICATION
+    otp_hash CHAR(64) NOT NULL, -- HMAC-SHA256 of phone + code, never the code itself
+    purpose VARCHAR(50) NOT NULL, -- REGISTRATION, LOGIN, VERIFICATION, PASSWORD_RESET, PHONE_CHANGE
     is_verified BOOLEAN DEFAULT FALSE,
+    attempts INT DEFAULT 0, -- Wrong guesses against this code
+    invalidated_at TIMESTAMP NULL, -- Burned (too many attempts) or superseded by a newer OTP
     expires_at TIMESTAMP NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    INDEX idx_phone_otp (phone_number, otp_code),
+    INDEX idx_phone_purpose (phone_number, purpose, created_at),
     INDEX idx_expires (expires_at)
 );
 
+-- =====================================================
+-- PASSWORD RESET TOKENS TABLE (Issued after OTP check)
+-- =====================================================
+CREATE TABLE password_reset_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    token_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the token sent to the client
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- =====================================================
+-- USER SESSIONS TABLE (One row per login/device)
+-- =====================================================
+CREATE TABLE user_sessions (
+    id VARCHAR(36) PRIMARY KEY, -- Session ID, carried as 'sid' in access tokens
+    user_id INT NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    last_seen_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by INT NULL,
+    revoke_reason VARCHAR(50), -- LOGOUT, USER_REVOKED, ADMIN_REVOKED, REUSE_DETECTED
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_user_sessions (user_id, revoked_at, expires_at)
+);
+
+-- =====================================================
+-- KNOWN DEVICES TABLE (New-device login alerts)
+-- =====================================================
+CREATE TABLE known_devices (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    device_hash CHAR(64) NOT NULL, -- SHA-256 of X-Device-Id header (or user agent)
+    device_label VARCHAR(255), -- User agent, for display
+    first_ip VARCHAR(45),
+    last_ip VARCHAR(45),
+    first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uk_user_device (user_id, device_hash)
+);
+
+-- =====================================================
+-- LOGIN IDENTIFIER FAILURES (Lockout for unknown IDs)
+-- =====================================================
+-- Failed password logins for college IDs / emails that match no account,
+-- counted like users.failed_login_attempts so both get the same answers.
+-- Rows idle for LOGIN_FAILURE_RETENTION_HOURS are pruned by a job.
+CREATE TABLE login_identifier_failures (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    identifier_hash CHAR(64) NOT NULL, -- SHA-256 of the lowercased identifier
+    failed_login_attempts INT DEFAULT 0,
+    last_failed_login_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
+    UNIQUE KEY uk_identifier (identifier_hash)
+);
+
+-- =====================================================
+-- REFRESH TOKENS TABLE (Rotation & reuse detection)
+-- =====================================================
+CREATE TABLE refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    token_id VARCHAR(36) NOT NULL UNIQUE, -- JWT ID (jti)
+    family_id VARCHAR(36) NOT NULL, -- user_sessions.id; shared by every rotation of one login
+    user_id INT NOT NULL,
+    replaced_by VARCHAR(36) NULL, -- token_id issued when this one was rotated
+    revoked_at TIMESTAMP NULL,
+    revoke_reason VARCHAR(50), -- ROTATED, REUSE_DETECTED, LOGOUT, USER_REVOKED, ADMIN_REVOKED
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (family_id) REFERENCES user_sessions(id) ON DELETE CASCADE,
+    INDEX idx_family (family_id),
+    INDEX idx_user_tokens (user_id, revoked_at)
+);
+
+-- =====================================================
+-- TWO-FACTOR AUTHENTICATION (Staff TOTP)
+-- =====================================================
+CREATE TABLE user_two_factor (
+    user_id INT PRIMARY KEY,
+    secret_encrypted VARCHAR(255) NOT NULL, -- AES-256-GCM: iv.tag.ciphertext (base64)
+    is_enabled BOOLEAN DEFAULT FALSE, -- FALSE while enrollment is pending confirmation
+    last_used_step BIGINT NULL, -- Last accepted TOTP time step (replay protection)
+    failed_attempts INT DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    enabled_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE TABLE two_factor_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL, -- SHA-256 of the one-time recovery code
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_recovery_user (user_id, used_at)
+);
+
+-- =====================================================
+-- LEAVE APPROVAL WORKFLOWS (Approval chains as data)
+-- =====================================================
+-- The active workflow with the highest priority whose criteria all match
+-- a new leave (NULL criteria match anything) decides its approval chain.
+CREATE TABLE approval_workflows (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    workflow_name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    leave_type VARCHAR(50) NULL,
+    department VARCHAR(100) NULL,
+    year_of_study INT NULL,
+    min_days INT NULL,
+    max_days INT NULL,
+    priority INT DEFAULT 0,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE approval_workflow_stages (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    workflow_id INT NOT NULL,
+    stage_order INT NOT NULL,
+    stage_name VARCHAR(100) NOT NULL,
+    approver_type VARCHAR(20) NOT NULL, -- GUARDIAN, PERMISSION
+    approver_permission VARCHAR(100) NULL, -- Required when approver_type = PERMISSION
+    pending_status VARCHAR(50) NOT NULL DEFAULT 'PENDING', -- Leave status while waiting at this stage
+    approved_status VARCHAR(50) NOT NULL DEFAULT 'APPROVED_DW', -- Leave status when this stage approves last
+    skip_condition JSON NULL, -- e.g. {"maxDays": 3}; the stage is skipped when every key matches
+    escalate_after_hours INT NULL, -- Pass the leave on to the next stage if nobody acts in time (NULL waits)
+    sla_hours_before_start INT NULL, -- Deadline: this many hours before the leave starts (NULL for none)
+    sla_reminder_hours INT NULL, -- Remind the approvers this many hours before the deadline
+    sla_escalate_to VARCHAR(100) NULL, -- Permission that may also decide once the deadline has passed
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_workflow_stage (workflow_id, stage_order),
+    FOREIGN KEY (workflow_id) REFERENCES approval_workflows(id) ON DELETE CASCADE,
+    FOREIGN KEY (approver_permission) REFERENCES permissions(permission_name),
+    FOREIGN KEY (sla_escalate_to) REFERENCES permissions(permission_name)
+);
+
+INSERT INTO approval_workflows (workflow_name, description, leave_type, min_days, max_days, priority) VALUES
+('Regular leave', 'Up to 15 days, decided by the deputy warden', NULL, NULL, 15, 0),
+('Long leave', 'More than 15 days, decided by the principal', NULL, 16, NULL, 0),
+('Emergency leave', 'Same-day leave; parents get 2 hours before the deputy warden decides', 'EMERGENCY', NULL, NULL, 10);
+
+-- Guardians consent first; without an answer in time the wardens see the leave anyway.
+-- Deputy warden decisions are due a day before departure (the same day for
+-- emergencies); after that the principal can decide as well.
+INSERT INTO approval_workflow_stages
+(workflow_id, stage_order, stage_name, approver_type, approver_permission,
+ pending_status, approved_status, escalate_after_hours,
+ sla_hours_before_start, sla_reminder_hours, sla_escalate_to)
+SELECT w.id, 1, 'Parent Consent', 'GUARDIAN', NULL, 'PENDING_PARENT', 'APPROVED_DW',
+       IF(w.workflow_name = 'Emergency leave', 2, 24), NULL, NULL, NULL
+FROM approval_workflows w
+UNION ALL
+SELECT w.id, 2, 'Deputy Warden', 'PERMISSION', 'LEAVE_APPROVE_DW', 'PENDING', 'APPROVED_DW', NULL,
+       0, 1, 'LEAVE_APPROVE_PRINCIPAL'
+FROM approval_workflows w WHERE w.workflow_name = 'Emergency leave'
+UNION ALL
+SELECT w.id, 2, 'Deputy Warden', 'PERMISSION', 'LEAVE_APPROVE_DW', 'PENDING', 'APPROVED_DW', NULL,
+       24, 12, 'LEAVE_APPROVE_PRINCIPAL'
+FROM approval_workflows w WHERE w.workflow_name = 'Regular leave'
+UNION ALL
+SELECT w.id, 2, 'Principal', 'PERMISSION', 'LEAVE_APPROVE_PRINCIPAL', 'PENDING', 'APPROVED_PRINCIPAL', NULL,
+       24, 12, NULL
+FROM approval_workflows w WHERE w.workflow_name = 'Long leave';
+
+-- Staff away for a date range hand their approval permissions to another
+-- staff member. permission_name NULL covers every approval permission the
+-- delegator holds. Delegated authority is not passed on again.
+CREATE TABLE approval_delegations (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    delegator_user_id INT NOT NULL,
+    delegate_user_id INT NOT NULL,
+    permission_name VARCHAR(100) NULL,
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_by INT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoked_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (delegator_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (delegate_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (permission_name) REFERENCES permissions(permission_name),
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_delegator_dates (delegator_user_id, from_date, to_date),
+    INDEX idx_delegate_dates (delegate_user_id, from_date, to_date)
+);
+
+-- =====================================================
+-- LEAVE TYPE POLICIES (Rules per leave type)
+-- =====================================================
+-- Only leave types with an active policy can be applied for.
+CREATE TABLE leave_type_policies (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    leave_type VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    min_advance_days INT NOT NULL DEFAULT 2, -- 0 allows leave starting today
+    max_duration_days INT NULL, -- NULL for no limit
+    requires_attachment BOOLEAN DEFAULT FALSE, -- Supporting document needed before approval
+    workflow_id INT NULL, -- Fixed approval route; NULL picks a workflow by its criteria
+    counts_toward_quota BOOLEAN DEFAULT TRUE, -- Whether the days use up the student's leave quota
+    is_active BOOLEAN DEFAULT TRUE,
+    updated_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (workflow_id) REFERENCES approval_workflows(id) ON DELETE SET NULL,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+INSERT INTO leave_type_policies
+(leave_type, description, min_advance_days, max_duration_days, requires_attachment, counts_toward_quota) VALUES
+('REGULAR', 'Planned leave (home visits, functions)', 2, NULL, FALSE, TRUE),
+('EMERGENCY', 'Family or personal emergency', 0, 7, FALSE, TRUE),
+('MEDICAL', 'Illness or treatment; a medical certificate is required', 0, 30, TRUE, FALSE);
+
+-- =====================================================
+-- ACADEMIC TERMS & LEAVE QUOTAS
+-- =====================================================
+CREATE TABLE academic_terms (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    term_name VARCHAR(100) NOT NULL UNIQUE, -- e.g. 'Odd semester 2026-27'
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_dates (start_date, end_date)
+);
+
+-- Days of a leave type a student may take in a term. A quota for the
+-- student's year of study wins over one for all years (year_of_study NULL).
+-- Pending and approved leaves count; only types whose policy has
+-- counts_toward_quota are limited.
+CREATE TABLE leave_quotas (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    term_id INT NOT NULL,
+    leave_type VARCHAR(50) NOT NULL,
+    year_of_study INT NULL,
+    max_days INT NOT NULL,
+    over_quota_action VARCHAR(10) NOT NULL DEFAULT 'REJECT', -- REJECT, or FLAG (accept and mark for approvers)
+    updated_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_term_type_year (term_id, leave_type, year_of_study),
+    FOREIGN KEY (term_id) REFERENCES academic_terms(id) ON DELETE CASCADE,
+    FOREIGN KEY (leave_type) REFERENCES leave_type_policies(leave_type) ON UPDATE CASCADE,
+    FOREIGN KEY (updated_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- =====================================================
+-- ACADEMIC CALENDAR
+-- =====================================================
+-- HOLIDAY is informational. No leave can be applied for during an
+-- EXAM_BLACKOUT; leave during a RESTRICTED window can be applied for but
+-- needs a justification from the approving staff member. Either can be
+-- overridden for a student (see calendar_overrides).
+CREATE TABLE calendar_events (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_name VARCHAR(150) NOT NULL,
+    event_type VARCHAR(20) NOT NULL, -- HOLIDAY, EXAM_BLACKOUT, RESTRICTED
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    department VARCHAR(100) NULL, -- NULL: every department
+    year_of_study INT NULL, -- NULL: every year
+    description TEXT,
+    is_active BOOLEAN DEFAULT TRUE,
+    created_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_dates (start_date, end_date)
+);
+
 -- =====================================================
 -- LEAVE APPLICATIONS TABLE
 -- =====================================================
@@ -119,7 +588,7 @@ CREATE TABLE leave_applications (
     reason TEXT NOT NULL,
     destination VARCHAR(255),
     contact_during_leave VARCHAR(15),
-    status VARCHAR(50) DEFAULT 'PENDING', -- PENDING, APPROVED_DW, APPROVED_PRINCIPAL, REJECTED, EXPIRED
+    status VARCHAR(50) DEFAULT 'PENDING', -- PENDING_PARENT, PENDING, APPROVED_DW, APPROVED_PRINCIPAL, REJECTED, CANCELLED, EXPIRED
     approved_by_dw INT NULL,
     approved_by_principal INT NULL,
     dw_remarks TEXT,
@@ -129,15 +598,102 @@ CREATE TABLE leave_applications (
     qr_code_generated BOOLEAN DEFAULT FALSE,
     qr_code_data TEXT,
     qr_code_expires_at TIMESTAMP NULL,
+    qr_revoked_at TIMESTAMP NULL, -- Set when the leave is cancelled; gates reject the QR from then on
+    cancelled_at TIMESTAMP NULL,
+    cancel_reason VARCHAR(255),
+    workflow_id INT NULL,
+    current_stage_id INT NULL, -- NULL once the approval chain has finished
+    over_quota BOOLEAN DEFAULT FALSE, -- Accepted beyond a term quota set to FLAG
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
     FOREIGN KEY (approved_by_dw) REFERENCES staff(id) ON DELETE SET NULL,
     FOREIGN KEY (approved_by_principal) REFERENCES staff(id) ON DELETE SET NULL,
+    FOREIGN KEY (workflow_id) REFERENCES approval_workflows(id),
+    FOREIGN KEY (current_stage_id) REFERENCES approval_workflow_stages(id),
     INDEX idx_student_status (student_id, status),
     INDEX idx_status_dates (status, from_date, to_date)
 );
 
+-- One row per workflow stage of a leave (the approval trail). Editing an
+-- approved leave starts a new round; rows of earlier rounds get superseded_at.
+CREATE TABLE leave_approvals (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    leave_application_id INT NOT NULL,
+    stage_id INT NOT NULL,
+    stage_order INT NOT NULL,
+    stage_name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'WAITING', -- WAITING, PENDING, APPROVED, REJECTED, SKIPPED, ESCALATED, CLOSED, SUPERSEDED
+    acted_by INT NULL,
+    on_behalf_of INT NULL, -- Delegator whose authority acted_by used
+    remarks TEXT,
+    activated_at TIMESTAMP NULL, -- When the stage became PENDING
+    due_at DATETIME NULL, -- SLA deadline of the stage
+    reminded_at TIMESTAMP NULL,
+    sla_escalated_at TIMESTAMP NULL, -- Deadline passed; sla_escalated_to may decide as well
+    sla_escalated_to VARCHAR(100) NULL,
+    acted_at TIMESTAMP NULL,
+    superseded_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_leave_stage (leave_application_id, stage_id),
+    FOREIGN KEY (leave_application_id) REFERENCES leave_applications(id) ON DELETE CASCADE,
+    FOREIGN KEY (stage_id) REFERENCES approval_workflow_stages(id),
+    FOREIGN KEY (acted_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (on_behalf_of) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_stage_status (stage_id, status),
+    INDEX idx_status_due (status, due_at)
+);
+
+-- Student edits of a leave; changed_fields holds {"column": {"from": old, "to": new}}
+CREATE TABLE leave_application_revisions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    leave_application_id INT NOT NULL,
+    revision_number INT NOT NULL,
+    edited_by INT NULL,
+    status_before VARCHAR(50) NOT NULL,
+    changed_fields JSON NOT NULL,
+    reapproval_required BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uk_leave_revision (leave_application_id, revision_number),
+    FOREIGN KEY (leave_application_id) REFERENCES leave_applications(id) ON DELETE CASCADE,
+    FOREIGN KEY (edited_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Supporting documents of a leave. Files live outside the public uploads
+-- folder under a random storage_key and are only served through the API.
+CREATE TABLE leave_attachments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    leave_application_id INT NOT NULL,
+    uploaded_by INT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL, -- Detected from the file contents
+    size_bytes INT NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    storage_key CHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_leave (leave_application_id),
+    FOREIGN KEY (leave_application_id) REFERENCES leave_applications(id) ON DELETE CASCADE,
+    FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Staff permission for a student to be on leave during a calendar event.
+-- Granted ahead of applying (leave_application_id NULL, covers any leave)
+-- or while approving (covers only that leave).
+CREATE TABLE calendar_overrides (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    event_id INT NOT NULL,
+    student_id INT NOT NULL,
+    leave_application_id INT NULL,
+    justification TEXT NOT NULL,
+    granted_by INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_student_event (student_id, event_id),
+    FOREIGN KEY (event_id) REFERENCES calendar_events(id) ON DELETE CASCADE,
+    FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
+    FOREIGN KEY (leave_application_id) REFERENCES leave_applications(id) ON DELETE CASCADE,
+    FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- =====================================================
 -- EMERGENCY EXTENSION REQUESTS TABLE
 -- =====================================================
@@ -157,6 +713,51 @@ CREATE TABLE emergency_extensions (
     FOREIGN KEY (approved_by) REFERENCES staff(id) ON DELETE SET NULL
 );
 
+-- =====================================================
+-- GATES & GATE DEVICES (Fixed scanner terminals)
+-- =====================================================
+CREATE TABLE gates (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    gate_name VARCHAR(100) NOT NULL UNIQUE,
+    description VARCHAR(255),
+    is_active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE gate_devices (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    gate_id INT NOT NULL,
+    device_name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL, -- Shown to admins to tell keys apart
+    api_key_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the device API key
+    registered_by INT NULL,
+    last_seen_at TIMESTAMP NULL,
+    last_ip VARCHAR(45),
+    revoked_at TIMESTAMP NULL,
+    revoked_by INT NULL,
+    revoke_reason VARCHAR(255),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (gate_id) REFERENCES gates(id),
+    FOREIGN KEY (registered_by) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (revoked_by) REFERENCES users(id) ON DELETE SET NULL
+);
+
+CREATE TABLE device_shifts (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    device_id INT NOT NULL,
+    watchman_user_id INT NOT NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    ended_at TIMESTAMP NULL,
+    end_reason VARCHAR(50), -- SIGNED_OUT, REPLACED, MOVED_DEVICE, DEVICE_REVOKED
+    FOREIGN KEY (device_id) REFERENCES gate_devices(id) ON DELETE CASCADE,
+    FOREIGN KEY (watchman_user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_device_open (device_id, ended_at),
+    INDEX idx_watchman_open (watchman_user_id, ended_at)
+);
+
+INSERT INTO gates (gate_name, description) VALUES
+('Main Gate', 'Hostel main entrance');
+
 -- =====================================================
 -- GATE ENTRY/EXIT LOGS TABLE
 -- =====================================================
@@ -166,6 +767,8 @@ CREATE TABLE gate_logs (
     leave_application_id INT NULL,
     action_type VARCHAR(20) NOT NULL, -- EXIT, ENTRY
     scanned_by INT NOT NULL, -- Watchman user_id
+    device_id INT NULL, -- Gate device used (NULL for scans from a personal login)
+    gate_id INT NULL,
     scan_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     qr_code_data TEXT,
     validation_status VARCHAR(50) NOT NULL, -- VALID, INVALID, EXPIRED, UNAUTHORIZED
@@ -175,7 +778,9 @@ CREATE TABLE gate_logs (
     INDEX idx_leave_application (leave_application_id),
     FOREIGN KEY (student_id) REFERENCES students(id) ON DELETE CASCADE,
     FOREIGN KEY (leave_application_id) REFERENCES leave_applications(id) ON DELETE SET NULL,
-    FOREIGN KEY (scanned_by) REFERENCES users(id) ON DELETE CASCADE
+    FOREIGN KEY (scanned_by) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (device_id) REFERENCES gate_devices(id) ON DELETE SET NULL,
+    FOREIGN KEY (gate_id) REFERENCES gates(id) ON DELETE SET NULL
 );
 
 -- =====================================================
@@ -195,6 +800,28 @@ CREATE TABLE notifications (
     INDEX idx_user_unread (user_id, is_read, created_at)
 );
 
+-- =====================================================
+-- MESSAGE DELIVERIES TABLE (SMS tracking)
+-- =====================================================
+CREATE TABLE message_deliveries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    channel VARCHAR(20) NOT NULL DEFAULT 'SMS',
+    recipient VARCHAR(20) NOT NULL,
+    purpose VARCHAR(50), -- OTP, NOTIFICATION, GENERAL
+    body TEXT, -- NULL for sensitive messages such as OTPs
+    provider VARCHAR(30) NOT NULL, -- twilio, http, local
+    provider_message_id VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'QUEUED', -- QUEUED, SENT, DELIVERED, UNDELIVERED, FAILED
+    attempts INT DEFAULT 0,
+    last_error TEXT,
+    sent_at TIMESTAMP NULL,
+    delivered_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_provider_message (provider, provider_message_id),
+    INDEX idx_recipient (recipient, created_at)
+);
+
 -- =====================================================
 -- SYSTEM SETTINGS TABLE
 -- =====================================================
@@ -207,10 +834,20 @@ CREATE TABLE system_settings (
 );
 
 INSERT INTO system_settings (setting_key, setting_value, description) VALUES
-('MAX_REGULAR_LEAVE_DAYS', '15', 'Maximum days for regular leave without principal approval'),
 ('QR_CODE_VALIDITY_HOURS', '2', 'Hours before leave starts when QR code becomes valid'),
 ('OTP_EXPIRY_MINUTES', '10', 'OTP expiry time in minutes'),
-('MIN_ADVANCE_DAYS', '2', 'Minimum advance days required for leave application');
+('OTP_MAX_ATTEMPTS', '5', 'Wrong guesses allowed before an OTP is burned'),
+('OTP_RESEND_COOLDOWN_SECONDS', '60', 'Minimum seconds between OTPs to the same phone'),
+('OTP_DAILY_LIMIT', '10', 'Maximum OTPs sent to one phone in 24 hours'),
+('PASSWORD_MIN_LENGTH', '8', 'Minimum password length'),
+('PASSWORD_RESET_TOKEN_MINUTES', '15', 'Validity of a password reset token after OTP verification'),
+('TWO_FACTOR_REQUIRED_ROLES', 'DEPUTY_WARDEN,PRINCIPAL,ADMIN', 'Staff roles that must use an authenticator app'),
+('LOGIN_MAX_FAILED_ATTEMPTS', '5', 'Wrong passwords in a row before the account is locked'),
+('LOGIN_LOCKOUT_MINUTES', '15', 'How long a locked account stays locked'),
+('LOGIN_DELAY_AFTER_ATTEMPTS', '3', 'Failures before each further attempt must wait (doubling delay)'),
+('LOGIN_DELAY_BASE_SECONDS', '5', 'First wait after LOGIN_DELAY_AFTER_ATTEMPTS failures'),
+('CACHE_AUTH_TTL_SECONDS', '30', 'Seconds user, role, verification and permission lookups stay cached (0 disables)'),
+('LEAVE_ESCALATION_CHECK_MINUTES', '15', 'How often unanswered approval stages are checked for escalation');
 
 -- =====================================================
 -- AUDIT LOG TABLE
@@ -233,24 +870,26 @@ CREATE TABLE audit_logs (
 -- =====================================================
 -- SAMPLE DATA FOR TESTING
 -- =====================================================
+-- Staff are seeded without passwords. Create the first admin with
+-- `npm run create-admin`, then set passwords via the admin API.
 
 -- Insert Deputy Warden
 INSERT INTO users (role_id, email, phone_number, password_hash, is_verified, is_active) 
-VALUES (3, 'deputywarden@college.edu', '+919876543210', '$2b$10$rJZhWzHyW6tQqN9kF9J8T.xMKxMKxMKxMKxMKxMKxMKxMKxMKxMKx', TRUE, TRUE);
+VALUES (3, 'deputywarden@college.edu', '+919876543210', NULL, TRUE, TRUE);
 
 INSERT INTO staff (user_id, staff_name, employee_id, designation, department)
 VALUES (1, 'Dr. Rajesh Kumar', 'EMP001', 'Deputy Warden', 'Administration');
 
 -- Insert Principal
 INSERT INTO users (role_id, email, phone_number, password_hash, is_verified, is_active) 
-VALUES (4, 'principal@college.edu', '+919876543211', '$2b$10$rJZhWzHyW6tQqN9kF9J8T.xMKxMKxMKxMKxMKxMKxMKxMKxMKxMKx', TRUE, TRUE);
+VALUES (4, 'principal@college.edu', '+919876543211', NULL, TRUE, TRUE);
 
 INSERT INTO staff (user_id, staff_name, employee_id, designation, department)
 VALUES (2, 'Dr. Lakshmi Narayan', 'EMP002', 'Principal', 'Administration');
 
 -- Insert Watchman
 INSERT INTO users (role_id, email, phone_number, password_hash, is_verified, is_active) 
-VALUES (5, 'watchman@college.edu', '+919876543212', '$2b$10$rJZhWzHyW6tQqN9kF9J8T.xMKxMKxMKxMKxMKxMKxMKxMKxMKxMKx', TRUE, TRUE);
+VALUES (5, 'watchman@college.edu', '+919876543212', NULL, TRUE, TRUE);
 
 INSERT INTO staff (user_id, staff_name, employee_id, designation, department)
 VALUES (3, 'Murugan', 'WATCH001', 'Security Guard', 'Security');
@@ -266,7 +905,7 @@ SELECT
     s.department,
     COUNT(la.id) as total_leaves,
     SUM(CASE WHEN la.status = 'APPROVED_DW' OR la.status = 'APPROVED_PRINCIPAL' THEN 1 ELSE 0 END) as approved_leaves,
-    SUM(CASE WHEN la.status = 'PENDING' THEN 1 ELSE 0 END) as pending_leaves,
+    SUM(CASE WHEN la.status IN ('PENDING', 'PENDING_PARENT') THEN 1 ELSE 0 END) as pending_leaves,
     SUM(CASE WHEN la.status = 'REJECTED' THEN 1 ELSE 0 END) as rejected_leaves
 FROM students s
 LEFT JOIN leave_applications la ON s.id = la.student_id
@@ -303,11 +942,11 @@ BEGIN
     -- Get student's user_id
     SELECT user_id INTO v_student_user_id FROM students WHERE id = p_student_id;
     
-    -- Check if parent is verified
-    SELECT u.is_verified INTO v_parent_verified
-    FROM students s
-    JOIN users u ON s.parent_id = u.id
-    WHERE s.id = p_student_id;
+    -- Check if any guardian is verified
+    SELECT COUNT(*) > 0 INTO v_parent_verified
+    FROM student_guardians sg
+    JOIN users u ON sg.guardian_user_id = u.id
+    WHERE sg.student_id = p_student_id AND u.is_verified = TRUE;
     
     -- Activate student account if parent is verified
     IF v_parent_verified = TRUE THEN
@@ -347,7 +986,7 @@ BEGIN
         SELECT COUNT(*) INTO v_overlapping_count
         FROM leave_applications
         WHERE student_id = p_student_id
-        AND status IN ('PENDING', 'APPROVED_DW', 'APPROVED_PRINCIPAL')
+        AND status IN ('PENDING_PARENT', 'PENDING', 'APPROVED_DW', 'APPROVED_PRINCIPAL')
         AND (
             (p_from_date BETWEEN from_date AND to_date)
             OR (p_to_date BETWEEN from_date AND to_date)
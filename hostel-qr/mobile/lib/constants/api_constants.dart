@@ -5,6 +5,7 @@
 import 'dart:convert';
 import 'package:http/http.dart' as http;
 import 'package:flutter_secure_storage/flutter_secure_storage.dart';
+import 'package:uuid/uuid.dart';
 import '../constants/app_constants.dart';
 
 class ApiService {
@@ -14,6 +15,9 @@ class ApiService {
 
   final _storage = const FlutterSecureStorage();
   String? _accessToken;
+  String? _deviceId;
+  String? _gateDeviceKey;
+  Future<bool>? _refreshing;
 
   // =====================================================
   // TOKEN MANAGEMENT
@@ -36,6 +40,39 @@ class ApiService {
     await _storage.delete(key: AppConstants.keyRefreshToken);
   }
 
+  // Refresh tokens are single-use, so concurrent callers share one refresh
+  Future<bool> refreshTokens() {
+    _refreshing ??= _doRefresh().whenComplete(() => _refreshing = null);
+    return _refreshing!;
+  }
+
+  Future<bool> _doRefresh() async {
+    final refreshToken = await _storage.read(key: AppConstants.keyRefreshToken);
+    if (refreshToken == null) return false;
+
+    try {
+      final response = await http.post(
+        Uri.parse('${AppConstants.baseUrl}${AppConstants.endpointRefreshToken}'),
+        headers: await _getHeaders(false),
+        body: jsonEncode({'refreshToken': refreshToken}),
+      ).timeout(const Duration(seconds: 30));
+
+      if (response.statusCode != 200) {
+        await clearTokens();
+        return false;
+      }
+
+      final body = jsonDecode(response.body);
+      await saveTokens(
+        body['data']['accessToken'],
+        body['data']['refreshToken'],
+      );
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
   // =====================================================
   // HTTP METHODS
   // =====================================================
@@ -43,10 +80,11 @@ class ApiService {
   Future<Map<String, dynamic>> get(String endpoint, {bool requiresAuth = true}) async {
     try {
       final url = Uri.parse('${AppConstants.baseUrl}$endpoint');
-      final headers = await _getHeaders(requiresAuth);
 
-      final response = await http.get(url, headers: headers)
-          .timeout(const Duration(seconds: 30));
+      final response = await _send(
+        (headers) => http.get(url, headers: headers),
+        requiresAuth,
+      );
 
       return _handleResponse(response);
     } catch (e) {
@@ -61,13 +99,11 @@ class ApiService {
   }) async {
     try {
       final url = Uri.parse('${AppConstants.baseUrl}$endpoint');
-      final headers = await _getHeaders(requiresAuth);
 
-      final response = await http.post(
-        url,
-        headers: headers,
-        body: jsonEncode(body),
-      ).timeout(const Duration(seconds: 30));
+      final response = await _send(
+        (headers) => http.post(url, headers: headers, body: jsonEncode(body)),
+        requiresAuth,
+      );
 
       return _handleResponse(response);
     } catch (e) {
@@ -82,13 +118,11 @@ class ApiService {
   }) async {
     try {
       final url = Uri.parse('${AppConstants.baseUrl}$endpoint');
-      final headers = await _getHeaders(requiresAuth);
 
-      final response = await http.put(
-        url,
-        headers: headers,
-        body: jsonEncode(body),
-      ).timeout(const Duration(seconds: 30));
+      final response = await _send(
+        (headers) => http.put(url, headers: headers, body: jsonEncode(body)),
+        requiresAuth,
+      );
 
       return _handleResponse(response);
     } catch (e) {
@@ -99,10 +133,38 @@ class ApiService {
   Future<Map<String, dynamic>> delete(String endpoint, {bool requiresAuth = true}) async {
     try {
       final url = Uri.parse('${AppConstants.baseUrl}$endpoint');
-      final headers = await _getHeaders(requiresAuth);
 
-      final response = await http.delete(url, headers: headers)
-          .timeout(const Duration(seconds: 30));
+      final response = await _send(
+        (headers) => http.delete(url, headers: headers),
+        requiresAuth,
+      );
+
+      return _handleResponse(response);
+    } catch (e) {
+      throw _handleError(e);
+    }
+  }
+
+  // Multipart upload of local files under one form field
+  Future<Map<String, dynamic>> postFiles(
+    String endpoint,
+    String field,
+    List<String> filePaths,
+  ) async {
+    try {
+      final url = Uri.parse('${AppConstants.baseUrl}$endpoint');
+
+      final response = await _send(
+        (headers) async {
+          final request = http.MultipartRequest('POST', url)
+            ..headers.addAll(headers..remove('Content-Type'));
+          for (final path in filePaths) {
+            request.files.add(await http.MultipartFile.fromPath(field, path));
+          }
+          return http.Response.fromStream(await request.send());
+        },
+        true,
+      );
 
       return _handleResponse(response);
     } catch (e) {
@@ -114,12 +176,62 @@ class ApiService {
   // HELPER METHODS
   // =====================================================
 
+  // Sends the request, refreshing and retrying once if the access token expired
+  Future<http.Response> _send(
+    Future<http.Response> Function(Map<String, String> headers) request,
+    bool requiresAuth,
+  ) async {
+    var response = await request(await _getHeaders(requiresAuth))
+        .timeout(const Duration(seconds: 30));
+
+    if (requiresAuth && response.statusCode == 401 && await refreshTokens()) {
+      response = await request(await _getHeaders(requiresAuth))
+          .timeout(const Duration(seconds: 30));
+    }
+
+    return response;
+  }
+
+  // Set when this install is a registered gate scanner terminal
+  Future<String?> getGateDeviceKey() async {
+    _gateDeviceKey ??= await _storage.read(key: AppConstants.keyGateDeviceKey);
+    return _gateDeviceKey;
+  }
+
+  Future<void> saveGateDeviceKey(String? apiKey) async {
+    _gateDeviceKey = apiKey;
+    if (apiKey == null) {
+      await _storage.delete(key: AppConstants.keyGateDeviceKey);
+    } else {
+      await _storage.write(key: AppConstants.keyGateDeviceKey, value: apiKey);
+    }
+  }
+
+  // Stable per-install ID; lets the server recognise this device at login
+  Future<String> _getDeviceId() async {
+    if (_deviceId != null) return _deviceId!;
+
+    var deviceId = await _storage.read(key: AppConstants.keyDeviceId);
+    if (deviceId == null) {
+      deviceId = const Uuid().v4();
+      await _storage.write(key: AppConstants.keyDeviceId, value: deviceId);
+    }
+
+    return _deviceId = deviceId;
+  }
+
   Future<Map<String, String>> _getHeaders(bool requiresAuth) async {
     final headers = {
       'Content-Type': 'application/json',
       'Accept': 'application/json',
+      'X-Device-Id': await _getDeviceId(),
     };
 
+    final gateDeviceKey = await getGateDeviceKey();
+    if (gateDeviceKey != null) {
+      headers['X-Device-Key'] = gateDeviceKey;
+    }
+
     if (requiresAuth) {
       final token = await getAccessToken();
       if (token != null) {
@@ -278,6 +390,72 @@ class ApiService {
     return response;
   }
 
+  Future<Map<String, dynamic>> forgotPassword({String? collegeId, String? email}) async {
+    return await post(
+      AppConstants.endpointForgotPassword,
+      {
+        if (collegeId != null) 'collegeId': collegeId,
+        if (email != null) 'email': email,
+      },
+      requiresAuth: false,
+    );
+  }
+
+  Future<Map<String, dynamic>> verifyPasswordResetOTP({
+    String? collegeId,
+    String? email,
+    required String otp,
+  }) async {
+    return await post(
+      AppConstants.endpointVerifyResetOTP,
+      {
+        if (collegeId != null) 'collegeId': collegeId,
+        if (email != null) 'email': email,
+        'otp': otp,
+      },
+      requiresAuth: false,
+    );
+  }
+
+  Future<Map<String, dynamic>> resetPassword({
+    required String resetToken,
+    required String newPassword,
+  }) async {
+    final response = await post(
+      AppConstants.endpointResetPassword,
+      {
+        'resetToken': resetToken,
+        'newPassword': newPassword,
+      },
+      requiresAuth: false,
+    );
+
+    // Every session was revoked server-side
+    await clearTokens();
+    return response;
+  }
+
+  Future<void> logout() async {
+    try {
+      await post(AppConstants.endpointLogout, {});
+    } finally {
+      await clearTokens();
+    }
+  }
+
+  Future<Map<String, dynamic>> getSessions() async {
+    return await get(AppConstants.endpointSessions);
+  }
+
+  Future<Map<String, dynamic>> revokeSession(String sessionId) async {
+    return await delete('${AppConstants.endpointSessions}/$sessionId');
+  }
+
+  // Effective permissions (also returned as user.permissions on login)
+  Future<Map<String, dynamic>> getMyPermissions() async {
+    return await get(AppConstants.endpointPermissions);
+  }
+
   // =====================================================
   // STUDENT APIS
   // =====================================================
@@ -330,10 +508,76 @@ class ApiService {
     return await get(AppConstants.endpointStudentMyLeaves);
   }
 
+  Future<Map<String, dynamic>> getLeaveTypes() async {
+    return await get(AppConstants.endpointStudentLeaveTypes);
+  }
+
+  Future<Map<String, dynamic>> getLeaveBalance({int? termId}) async {
+    String endpoint = AppConstants.endpointStudentLeaveBalance;
+    if (termId != null) {
+      endpoint += '?termId=$termId';
+    }
+    return await get(endpoint);
+  }
+
+  // Holidays, exam blackouts and restricted windows
+  Future<Map<String, dynamic>> getAcademicCalendar() async {
+    return await get(AppConstants.endpointStudentCalendar);
+  }
+
   Future<Map<String, dynamic>> getLeaveQRCode(int leaveId) async {
     return await get('/student/leave/$leaveId/qr-code');
   }
 
+  // Only the fields passed are changed
+  Future<Map<String, dynamic>> updateLeave(
+    int leaveId, {
+    String? fromDate,
+    String? toDate,
+    String? reason,
+    String? destination,
+    String? contactDuringLeave,
+    String? leaveType,
+  }) async {
+    return await put(
+      '/student/leave/$leaveId',
+      {
+        if (fromDate != null) 'fromDate': fromDate,
+        if (toDate != null) 'toDate': toDate,
+        if (reason != null) 'reason': reason,
+        if (destination != null) 'destination': destination,
+        if (contactDuringLeave != null) 'contactDuringLeave': contactDuringLeave,
+        if (leaveType != null) 'leaveType': leaveType,
+      },
+    );
+  }
+
+  Future<Map<String, dynamic>> getLeaveRevisions(int leaveId) async {
+    return await get('/leaves/$leaveId/revisions');
+  }
+
+  // PDF, JPEG or PNG files (e.g. a medical certificate)
+  Future<Map<String, dynamic>> uploadLeaveAttachments(int leaveId, List<String> filePaths) async {
+    return await postFiles('/student/leave/$leaveId/attachments', 'attachments', filePaths);
+  }
+
+  Future<Map<String, dynamic>> getLeaveAttachments(int leaveId) async {
+    return await get('/leaves/$leaveId/attachments');
+  }
+
+  Future<Map<String, dynamic>> deleteLeaveAttachment(int leaveId, int attachmentId) async {
+    return await delete('/student/leave/$leaveId/attachments/$attachmentId');
+  }
+
+  Future<Map<String, dynamic>> cancelLeave(int leaveId, {String? reason}) async {
+    return await post(
+      '/student/leave/$leaveId/cancel',
+      {
+        if (reason != null) 'reason': reason,
+      },
+    );
+  }
+
   // =====================================================
   // PARENT APIS
   // =====================================================
@@ -350,6 +594,21 @@ class ApiService {
     return await get(endpoint);
   }
 
+  // action: 'approve' or 'decline'
+  Future<Map<String, dynamic>> respondToLeaveConsent({
+    required int leaveId,
+    required String action,
+    String? remarks,
+  }) async {
+    return await post(
+      '${AppConstants.endpointParentLeaves}/$leaveId/consent',
+      {
+        'action': action,
+        if (remarks != null) 'remarks': remarks,
+      },
+    );
+  }
+
   Future<Map<String, dynamic>> requestEmergencyExtension({
     required int leaveId,
     required String extendedToDate,
@@ -369,21 +628,6 @@ class ApiService {
   // WATCHMAN APIS
   // =====================================================
 
-  Future<Map<String, dynamic>> scanQRCode({
-    required String qrData,
-    required String actionType,
-    String? location,
-  }) async {
-    return await post(
-      AppConstants.endpointWatchmanScanQR,
-      {
-        'qrData': qrData,
-        'actionType': actionType,
-        if (location != null) 'location': location,
-      },
-    );
-  }
-
   Future<Map<String, dynamic>> getGateLogs({
     String? date,
     String? actionType,
@@ -397,6 +641,48 @@ class ApiService {
     }
     return await get(endpoint);
   }
+
+  // =====================================================
+  // GATE DEVICE APIS (requires a saved gate device key)
+  // =====================================================
+
+  Future<Map<String, dynamic>> getGateShift() async {
+    return await get(AppConstants.endpointGateDeviceShift, requiresAuth: false);
+  }
+
+  Future<Map<String, dynamic>> startGateShift({
+    required String email,
+    required String password,
+    String? code,
+  }) async {
+    return await post(
+      AppConstants.endpointGateDeviceShiftStart,
+      {
+        'email': email,
+        'password': password,
+        if (code != null) 'code': code,
+      },
+      requiresAuth: false,
+    );
+  }
+
+  Future<Map<String, dynamic>> endGateShift() async {
+    return await post(AppConstants.endpointGateDeviceShiftEnd, {}, requiresAuth: false);
+  }
+
+  Future<Map<String, dynamic>> gateDeviceScanQRCode({
+    required String qrData,
+    required String actionType,
+  }) async {
+    return await post(
+      AppConstants.endpointGateDeviceScanQR,
+      {
+        'qrData': qrData,
+        'actionType': actionType,
+      },
+      requiresAuth: false,
+    );
+  }
 }
 
 // =====================================================
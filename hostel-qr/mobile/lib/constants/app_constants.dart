@@ -15,6 +15,8 @@ class AppConstants {
   static const String keyUserRole = 'user_role';
   static const String keyUserData = 'user_data';
   static const String keyLanguage = 'language';
+  static const String keyDeviceId = 'device_id';
+  static const String keyGateDeviceKey = 'gate_device_key';
 
   // API Endpoints
   static const String endpointHealth = '/health';
@@ -27,6 +29,13 @@ class AppConstants {
   static const String endpointParentRequestOTP = '/auth/parent/request-otp';
   static const String endpointParentLogin = '/auth/parent/login';
   static const String endpointStaffLogin = '/auth/staff/login';
+  static const String endpointRefreshToken = '/auth/refresh';
+  static const String endpointLogout = '/auth/logout';
+  static const String endpointSessions = '/auth/sessions';
+  static const String endpointPermissions = '/auth/permissions';
+  static const String endpointForgotPassword = '/auth/password/forgot';
+  static const String endpointVerifyResetOTP = '/auth/password/verify-otp';
+  static const String endpointResetPassword = '/auth/password/reset';
   
   // Student
   static const String endpointStudentProfile = '/student/profile';
@@ -34,6 +43,9 @@ class AppConstants {
   static const String endpointStudentCompleteProfile = '/student/profile/complete';
   static const String endpointStudentApplyLeave = '/student/leave/apply';
   static const String endpointStudentMyLeaves = '/student/leave/my-leaves';
+  static const String endpointStudentLeaveTypes = '/student/leave/types';
+  static const String endpointStudentLeaveBalance = '/student/leave/balance';
+  static const String endpointStudentCalendar = '/student/calendar';
   
   // Parent
   static const String endpointParentDashboard = '/parent/dashboard';
@@ -42,11 +54,16 @@ class AppConstants {
   static const String endpointParentNotifications = '/parent/notifications';
   
   // Watchman
-  static const String endpointWatchmanScanQR = '/watchman/scan-qr';
   static const String endpointWatchmanGateLogs = '/watchman/gate-logs';
-  static const String endpointWatchmanManualEntry = '/watchman/manual-entry';
   static const String endpointWatchmanStudentsOutside = '/watchman/students-outside';
 
+  // Gate device (fixed scanner terminal, authenticates with its API key)
+  static const String endpointGateDeviceShift = '/gate-device/shift';
+  static const String endpointGateDeviceShiftStart = '/gate-device/shift/start';
+  static const String endpointGateDeviceShiftEnd = '/gate-device/shift/end';
+  static const String endpointGateDeviceScanQR = '/gate-device/scan-qr';
+  static const String endpointGateDeviceManualEntry = '/gate-device/manual-entry';
+
   // App Settings
   static const int maxLeaveRegularDays = 15;
   static const int minAdvanceDays = 2;